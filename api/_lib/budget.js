@@ -0,0 +1,213 @@
+/**
+ * Spending Budgets
+ * Daily and monthly spend caps for the paid proxies, per client and for the whole server
+ *
+ * Spend is tracked in USD under each client key (IP and session, like the rate limits)
+ * and a server-wide total, per UTC day and month. A request is rejected with `402` and
+ * `type: 'budget_exceeded'` once any cap is reached; one that starts under a cap may finish past it.
+ *
+ * Environment variables (USD; unset or 0 means no cap):
+ *   BUDGET_DAILY          Per client per UTC day
+ *   BUDGET_MONTHLY        Per client per UTC month
+ *   BUDGET_TOTAL_DAILY    All clients together per UTC day
+ *   BUDGET_TOTAL_MONTHLY  All clients together per UTC month
+ */
+
+import { jsonResponse, getClientKeys } from './guard.js';
+import { getSpendStore } from './spendStore.js';
+
+// Environment variable holding each cap
+const CAP_VARIABLES = {
+    client: { day: 'BUDGET_DAILY', month: 'BUDGET_MONTHLY' },
+    total: { day: 'BUDGET_TOTAL_DAILY', month: 'BUDGET_TOTAL_MONTHLY' }
+};
+
+// Keep totals a little past the end of their period
+const TTL_SLACK_SECONDS = 60 * 60;
+
+/**
+ * Read a cap from the environment
+ * @param {string} scope - 'client' or 'total'
+ * @param {string} period - 'day' or 'month'
+ * @returns {number|null} USD, or null for no cap
+ */
+const resolveCap = (scope, period) => {
+    const value = Number(process.env[CAP_VARIABLES[scope][period]]);
+    return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+/**
+ * Get the current UTC day and month
+ * @param {number} now - Timestamp
+ * @returns {Array<{period: string, id: string, resetAt: number, ttl: number}>} resetAt in ms, ttl in seconds
+ */
+const getPeriods = (now = Date.now()) => {
+    const date = new Date(now);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const dayResetAt = Date.UTC(year, month, date.getUTCDate() + 1);
+    const monthResetAt = Date.UTC(year, month + 1, 1);
+    const ttl = (resetAt) => Math.ceil((resetAt - now) / 1000) + TTL_SLACK_SECONDS;
+
+    return [
+        { period: 'day', id: date.toISOString().slice(0, 10), resetAt: dayResetAt, ttl: ttl(dayResetAt) },
+        { period: 'month', id: date.toISOString().slice(0, 7), resetAt: monthResetAt, ttl: ttl(monthResetAt) }
+    ];
+};
+
+/**
+ * Get everything a request's spend counts against
+ * @param {Request} req - Incoming request
+ * @returns {Array<{scope: string, key: string}>}
+ */
+const getSubjects = (req) => [
+    ...getClientKeys(req).map(key => ({ scope: 'client', key })),
+    { scope: 'total', key: 'total' }
+];
+
+/**
+ * Build a store key
+ * @param {Object} period - From getPeriods()
+ * @param {Object} subject - From getSubjects()
+ * @returns {string} e.g. spend:day:2025-06-01:session:3f2a…
+ */
+const getSpendKey = (period, subject) => `spend:${period.period}:${period.id}:${subject.key}`;
+
+/**
+ * Read the spend of every subject in the current day and month
+ * @param {Request} req - Incoming request
+ * @returns {Promise<Array<{scope: string, period: string, spent: number, limit: number|null, remaining: number|null, resetAt: number}>>}
+ */
+const readBudgets = async (req) => {
+    const store = getSpendStore();
+    const subjects = getSubjects(req);
+    const budgets = [];
+
+    for (const period of getPeriods()) {
+        for (const subject of subjects) {
+            const limit = resolveCap(subject.scope, period.period);
+            const spent = Number(await store.get(getSpendKey(period, subject))) || 0;
+            budgets.push({
+                scope: subject.scope,
+                period: period.period,
+                spent,
+                limit,
+                remaining: limit === null ? null : Math.max(limit - spent, 0),
+                resetAt: period.resetAt
+            });
+        }
+    }
+
+    return budgets;
+};
+
+/**
+ * Describe a reached cap
+ * @param {Object} budget - From readBudgets()
+ * @returns {string}
+ */
+const getExceededMessage = ({ scope, period, limit }) => {
+    const periodName = period === 'day' ? 'daily' : 'monthly';
+    const resets = period === 'day' ? 'It resets at midnight UTC.' : 'It resets on the 1st of the month (UTC).';
+    return scope === 'client'
+        ? `You've reached your ${periodName} spending limit of $${limit.toFixed(2)}. ${resets}`
+        : `This server has reached its ${periodName} spending limit. ${resets}`;
+};
+
+/**
+ * Check that no cap has been reached before making a paid request
+ * Fails closed: when the spend store can't be read, the request is refused with a 503.
+ * @param {Request} req - Incoming request
+ * @param {Object} corsHeaders - Headers for the rejection
+ * @returns {Promise<{response?: Response}>} A ready 402 response when a cap is reached
+ */
+export const checkBudget = async (req, corsHeaders) => {
+    let budgets;
+    try {
+        budgets = await readBudgets(req);
+    } catch (error) {
+        console.error('Could not read spend:', error);
+        return {
+            response: jsonResponse(
+                { error: 'Spending limits are unavailable right now. Please try again shortly.', type: 'budget_unavailable' },
+                503,
+                corsHeaders
+            )
+        };
+    }
+
+    // When several caps are reached, report the one that resets last
+    const exceeded = budgets
+        .filter(budget => budget.limit !== null && budget.spent >= budget.limit)
+        .sort((a, b) => b.resetAt - a.resetAt)[0];
+
+    if (!exceeded) return {};
+
+    const retryAfter = Math.ceil((exceeded.resetAt - Date.now()) / 1000);
+    return {
+        response: jsonResponse(
+            {
+                error: getExceededMessage(exceeded),
+                type: 'budget_exceeded',
+                scope: exceeded.scope,
+                period: exceeded.period,
+                limit: exceeded.limit,
+                resetAt: exceeded.resetAt
+            },
+            402,
+            { ...corsHeaders, 'Retry-After': String(retryAfter) }
+        )
+    };
+};
+
+/**
+ * Add what a request cost to the client's and the server's totals
+ * Store failures are logged, never surfaced: the request itself already succeeded.
+ * @param {Request} req - Incoming request
+ * @param {number} cost - USD
+ */
+export const recordSpend = async (req, cost) => {
+    if (!Number.isFinite(cost) || cost <= 0) return;
+
+    const store = getSpendStore();
+    const subjects = getSubjects(req);
+
+    try {
+        for (const period of getPeriods()) {
+            for (const subject of subjects) {
+                await store.increment(getSpendKey(period, subject), cost, { ex: period.ttl });
+            }
+        }
+    } catch (error) {
+        console.error('Could not record spend:', error);
+    }
+};
+
+/**
+ * Summarize the client's budget for /api/usage
+ * Each period reports the cap closest to being reached (the client's or the server's);
+ * without caps it reports the client's spend alone.
+ * @param {Request} req - Incoming request
+ * @returns {Promise<{enabled: boolean, day: Object, month: Object}>} Periods as
+ *          { scope, spent, limit, remaining, resetAt }; limit and remaining are null without a cap
+ */
+export const getBudgetStatus = async (req) => {
+    const budgets = await readBudgets(req);
+
+    const summarize = (period) => {
+        const inPeriod = budgets.filter(budget => budget.period === period);
+        const capped = inPeriod.filter(budget => budget.limit !== null);
+        const pick = capped.length > 0
+            ? capped.reduce((tightest, budget) => budget.remaining < tightest.remaining ? budget : tightest)
+            : inPeriod.filter(budget => budget.scope === 'client').reduce((most, budget) => budget.spent > most.spent ? budget : most);
+
+        const { scope, spent, limit, remaining, resetAt } = pick;
+        return { scope, spent, limit, remaining, resetAt };
+    };
+
+    const day = summarize('day');
+    const month = summarize('month');
+    return { enabled: day.limit !== null || month.limit !== null, day, month };
+};
+
+export default { checkBudget, recordSpend, getBudgetStatus };
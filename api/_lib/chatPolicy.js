@@ -0,0 +1,482 @@
+/**
+ * Chat Request Policy
+ * Validates chat completion requests before they reach OpenRouter:
+ * model allowlist, per-model caps, message shape, tool definitions, reasoning options,
+ * and a whitelist of forwarded fields
+ *
+ * Environment variables:
+ *   ALLOWED_MODELS   Comma-separated model IDs or "provider/*" patterns, or "*" for any.
+ *                    Unset means the models listed in MODEL_LIMITS.
+ */
+
+// Caps for models without their own entry
+const DEFAULT_LIMITS = {
+    maxTokens: 8192,
+    maxImages: 10,
+    maxFiles: 5
+};
+
+// Models allowed by default, with their caps
+export const MODEL_LIMITS = {
+    'x-ai/grok-4.1-fast': { maxTokens: 16384 },
+    'x-ai/grok-code-fast-1': { maxTokens: 4096, maxImages: 0 },
+    'openai/gpt-4o': { maxTokens: 8192 },
+    'openai/gpt-4o-mini': { maxTokens: 8192 },
+    'anthropic/claude-sonnet-4': { maxTokens: 8192 },
+    'anthropic/claude-3.5-haiku': { maxTokens: 8192 },
+    'google/gemini-2.5-pro': { maxTokens: 16384 },
+    'google/gemini-2.5-flash': { maxTokens: 16384 },
+    'deepseek/deepseek-chat': { maxTokens: 8192, maxImages: 0 },
+    'meta-llama/llama-3.3-70b-instruct': { maxTokens: 4096, maxImages: 0 }
+};
+
+const MAX_MESSAGES = 200;
+const MAX_TOOLS = 32;
+const ROLES = ['system', 'user', 'assistant', 'tool'];
+const TOOL_CHOICES = ['auto', 'none', 'required'];
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const WEB_ENGINES = ['native', 'exa'];
+const PDF_ENGINES = ['pdf-text', 'mistral-ocr', 'native'];
+const SEARCH_CONTEXT_SIZES = ['low', 'medium', 'high'];
+const MAX_SEARCH_PROMPT_CHARS = 2000;
+const MAX_SEARCH_DOMAINS = 10;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+const REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high'];
+
+// Sampling parameters forwarded as-is when in range: [min, max]
+const NUMBER_PARAMS = {
+    temperature: [0, 2],
+    top_p: [0, 1],
+    frequency_penalty: [-2, 2],
+    presence_penalty: [-2, 2]
+};
+
+/**
+ * Read the model allowlist
+ * @returns {Array<string>} Model IDs and patterns
+ */
+const getAllowedModels = () => {
+    const value = process.env.ALLOWED_MODELS;
+    if (!value || !value.trim()) return Object.keys(MODEL_LIMITS);
+    return value.split(',').map(id => id.trim()).filter(Boolean);
+};
+
+/**
+ * Check if a model may be used
+ * @param {string} modelId - OpenRouter model ID
+ * @returns {boolean}
+ */
+export const isModelAllowed = (modelId) => {
+    if (typeof modelId !== 'string' || !modelId) return false;
+
+    return getAllowedModels().some(pattern => {
+        if (pattern === '*') return true;
+        if (pattern.endsWith('/*')) return modelId.startsWith(pattern.slice(0, -1));
+        return pattern === modelId;
+    });
+};
+
+/**
+ * Get the caps for a model
+ * @param {string} modelId - OpenRouter model ID
+ * @returns {{maxTokens: number, maxImages: number, maxFiles: number}}
+ */
+export const getModelLimits = (modelId) => ({
+    ...DEFAULT_LIMITS,
+    ...MODEL_LIMITS[modelId]
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isAttachmentUrl = (url, dataPrefix) => {
+    return typeof url === 'string' && (url.startsWith(dataPrefix) || url.startsWith('https://'));
+};
+
+/**
+ * Validate a content part and return the cleaned part
+ * @param {Object} part - Content part
+ * @param {string} field - Field path for errors
+ * @param {Function} addError - Error collector
+ * @param {Object} counts - Attachment counters
+ * @returns {Object|null}
+ */
+const sanitizePart = (part, field, addError, counts) => {
+    if (!isPlainObject(part)) {
+        addError(field, 'must be an object');
+        return null;
+    }
+
+    switch (part.type) {
+        case 'text':
+            if (typeof part.text !== 'string') {
+                addError(`${field}.text`, 'must be a string');
+                return null;
+            }
+            return { type: 'text', text: part.text };
+
+        case 'image_url': {
+            const url = part.image_url?.url;
+            if (!isAttachmentUrl(url, 'data:image/')) {
+                addError(`${field}.image_url.url`, 'must be an image data URL or https URL');
+                return null;
+            }
+            counts.images++;
+            return { type: 'image_url', image_url: { url } };
+        }
+
+        case 'file': {
+            const fileData = part.file?.file_data;
+            if (!isAttachmentUrl(fileData, 'data:application/pdf')) {
+                addError(`${field}.file.file_data`, 'must be a PDF data URL or https URL');
+                return null;
+            }
+            counts.files++;
+            return {
+                type: 'file',
+                file: { filename: String(part.file.filename || 'document.pdf'), file_data: fileData }
+            };
+        }
+
+        default:
+            addError(`${field}.type`, `unsupported content type "${part.type}"`);
+            return null;
+    }
+};
+
+/**
+ * Validate the tool calls of an assistant message
+ * @param {Array} toolCalls - Tool calls
+ * @param {string} field - Field path for errors
+ * @param {Function} addError - Error collector
+ * @returns {Array}
+ */
+const sanitizeToolCalls = (toolCalls, field, addError) => {
+    if (!Array.isArray(toolCalls) || toolCalls.length === 0) {
+        addError(field, 'must be a non-empty array');
+        return [];
+    }
+
+    return toolCalls.map((call, i) => {
+        const name = call?.function?.name;
+        if (typeof call?.id !== 'string' || !TOOL_NAME_PATTERN.test(name || '')) {
+            addError(`${field}[${i}]`, 'must have an id and a valid function name');
+            return null;
+        }
+        return {
+            id: call.id,
+            type: 'function',
+            function: { name, arguments: String(call.function.arguments ?? '') }
+        };
+    });
+};
+
+/**
+ * Validate tool definitions and return the cleaned list
+ * @param {Array} tools - OpenAI-style tool definitions
+ * @param {Function} addError - Error collector
+ * @returns {Array}
+ */
+const sanitizeTools = (tools, addError) => {
+    if (!Array.isArray(tools)) {
+        addError('tools', 'must be an array');
+        return [];
+    }
+    if (tools.length > MAX_TOOLS) {
+        addError('tools', `must contain at most ${MAX_TOOLS} tools`);
+        return [];
+    }
+
+    return tools.map((tool, i) => {
+        const field = `tools[${i}]`;
+        const fn = tool?.function;
+
+        if (tool?.type !== 'function' || !isPlainObject(fn)) {
+            addError(`${field}.type`, 'must be "function" with a function definition');
+            return null;
+        }
+        if (!TOOL_NAME_PATTERN.test(fn.name || '')) {
+            addError(`${field}.function.name`, 'must be 1-64 letters, digits, underscores or dashes');
+            return null;
+        }
+        if (fn.parameters !== undefined && !isPlainObject(fn.parameters)) {
+            addError(`${field}.function.parameters`, 'must be a JSON schema object');
+            return null;
+        }
+
+        const clean = { name: fn.name };
+        if (typeof fn.description === 'string') clean.description = fn.description;
+        if (fn.parameters !== undefined) clean.parameters = fn.parameters;
+        return { type: 'function', function: clean };
+    });
+};
+
+/**
+ * Validate a message and return the cleaned message
+ * @param {Object} message - Chat message
+ * @param {string} field - Field path for errors
+ * @param {Function} addError - Error collector
+ * @param {Object} counts - Attachment counters
+ * @returns {Object|null}
+ */
+const sanitizeMessage = (message, field, addError, counts) => {
+    if (!isPlainObject(message)) {
+        addError(field, 'must be an object');
+        return null;
+    }
+
+    if (!ROLES.includes(message.role)) {
+        addError(`${field}.role`, `must be one of ${ROLES.join(', ')}`);
+        return null;
+    }
+
+    // Tool results answer a call by ID
+    if (message.role === 'tool') {
+        if (typeof message.tool_call_id !== 'string' || !message.tool_call_id) {
+            addError(`${field}.tool_call_id`, 'is required for tool messages');
+            return null;
+        }
+        if (typeof message.content !== 'string') {
+            addError(`${field}.content`, 'must be a string for tool messages');
+            return null;
+        }
+        return { role: 'tool', tool_call_id: message.tool_call_id, content: message.content };
+    }
+
+    // Assistant turns that called tools (content may be empty)
+    if (message.role === 'assistant' && message.tool_calls !== undefined) {
+        const toolCalls = sanitizeToolCalls(message.tool_calls, `${field}.tool_calls`, addError);
+        const content = typeof message.content === 'string' ? message.content : null;
+        return { role: 'assistant', content, tool_calls: toolCalls };
+    }
+
+    if (typeof message.content === 'string') {
+        return { role: message.role, content: message.content };
+    }
+
+    if (!Array.isArray(message.content) || message.content.length === 0) {
+        addError(`${field}.content`, 'must be a string or a non-empty array of content parts');
+        return null;
+    }
+
+    if (message.role !== 'user' && message.content.some(part => part?.type !== 'text')) {
+        addError(`${field}.content`, 'only user messages may contain attachments');
+        return null;
+    }
+
+    const content = message.content.map((part, i) => sanitizePart(part, `${field}.content[${i}]`, addError, counts));
+    return { role: message.role, content };
+};
+
+/**
+ * Validate plugins and return the cleaned list
+ * @param {Array} plugins - Plugin configs
+ * @param {Function} addError - Error collector
+ * @returns {Array}
+ */
+const sanitizePlugins = (plugins, addError) => {
+    if (!Array.isArray(plugins)) {
+        addError('plugins', 'must be an array');
+        return [];
+    }
+
+    return plugins.map((plugin, i) => {
+        const field = `plugins[${i}]`;
+
+        if (plugin?.id === 'web') {
+            const web = { id: 'web' };
+            if (plugin.max_results !== undefined) {
+                if (!Number.isInteger(plugin.max_results) || plugin.max_results < 1 || plugin.max_results > 25) {
+                    addError(`${field}.max_results`, 'must be an integer between 1 and 25');
+                }
+                web.max_results = plugin.max_results;
+            }
+            if (plugin.engine !== undefined) {
+                if (!WEB_ENGINES.includes(plugin.engine)) {
+                    addError(`${field}.engine`, `must be one of ${WEB_ENGINES.join(', ')}`);
+                }
+                web.engine = plugin.engine;
+            }
+            if (plugin.search_prompt !== undefined) {
+                if (typeof plugin.search_prompt !== 'string' || plugin.search_prompt.length > MAX_SEARCH_PROMPT_CHARS) {
+                    addError(`${field}.search_prompt`, `must be a string of at most ${MAX_SEARCH_PROMPT_CHARS} characters`);
+                }
+                web.search_prompt = plugin.search_prompt;
+            }
+            for (const key of ['include_domains', 'exclude_domains']) {
+                if (plugin[key] === undefined) continue;
+                const domains = plugin[key];
+                if (!Array.isArray(domains) || domains.length > MAX_SEARCH_DOMAINS ||
+                    !domains.every(domain => typeof domain === 'string' && DOMAIN_PATTERN.test(domain))) {
+                    addError(`${field}.${key}`, `must be an array of at most ${MAX_SEARCH_DOMAINS} domains`);
+                }
+                web[key] = domains;
+            }
+            if (plugin.start_published_date !== undefined) {
+                if (typeof plugin.start_published_date !== 'string' || Number.isNaN(Date.parse(plugin.start_published_date))) {
+                    addError(`${field}.start_published_date`, 'must be an ISO date string');
+                }
+                web.start_published_date = plugin.start_published_date;
+            }
+            return web;
+        }
+
+        if (plugin?.id === 'file-parser') {
+            const engine = plugin.pdf?.engine;
+            if (engine !== undefined && !PDF_ENGINES.includes(engine)) {
+                addError(`${field}.pdf.engine`, `must be one of ${PDF_ENGINES.join(', ')}`);
+            }
+            return engine ? { id: 'file-parser', pdf: { engine } } : { id: 'file-parser' };
+        }
+
+        addError(`${field}.id`, `unsupported plugin "${plugin?.id}"`);
+        return null;
+    });
+};
+
+/**
+ * Validate reasoning options and return the cleaned object
+ * @param {Object} reasoning - { effort, max_tokens, exclude, enabled }
+ * @param {number} maxTokens - The request's max_tokens (reasoning budget must stay below it)
+ * @param {Function} addError - Error collector
+ * @returns {Object}
+ */
+const sanitizeReasoning = (reasoning, maxTokens, addError) => {
+    if (!isPlainObject(reasoning)) {
+        addError('reasoning', 'must be an object');
+        return {};
+    }
+
+    const clean = {};
+    if (reasoning.effort !== undefined) {
+        if (!REASONING_EFFORTS.includes(reasoning.effort)) {
+            addError('reasoning.effort', `must be one of ${REASONING_EFFORTS.join(', ')}`);
+        }
+        clean.effort = reasoning.effort;
+    }
+    if (reasoning.max_tokens !== undefined) {
+        if (!Number.isInteger(reasoning.max_tokens) || reasoning.max_tokens < 1 || reasoning.max_tokens >= maxTokens) {
+            addError('reasoning.max_tokens', `must be an integer between 1 and ${maxTokens - 1}`);
+        }
+        clean.max_tokens = reasoning.max_tokens;
+    }
+    if (clean.effort !== undefined && clean.max_tokens !== undefined) {
+        addError('reasoning', 'use either effort or max_tokens, not both');
+    }
+    ['exclude', 'enabled'].forEach(name => {
+        if (reasoning[name] === undefined) return;
+        if (typeof reasoning[name] !== 'boolean') addError(`reasoning.${name}`, 'must be a boolean');
+        clean[name] = reasoning[name];
+    });
+
+    return clean;
+};
+
+/**
+ * Validate a chat completion request
+ * Unknown fields are dropped; invalid values are reported per field.
+ * @param {Object} body - Parsed request body
+ * @returns {{body?: Object, errors?: Array<{field: string, message: string}>}}
+ */
+export const validateChatRequest = (body) => {
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+
+    if (!isPlainObject(body)) {
+        return { errors: [{ field: 'body', message: 'must be a JSON object' }] };
+    }
+
+    const clean = {};
+
+    // Model
+    if (typeof body.model !== 'string' || !body.model) {
+        addError('model', 'is required');
+    } else if (!isModelAllowed(body.model)) {
+        addError('model', `"${body.model}" is not available on this server`);
+    }
+    clean.model = body.model;
+    const limits = getModelLimits(body.model);
+
+    // Messages
+    const counts = { images: 0, files: 0 };
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        addError('messages', 'must be a non-empty array');
+    } else if (body.messages.length > MAX_MESSAGES) {
+        addError('messages', `must contain at most ${MAX_MESSAGES} messages`);
+    } else {
+        clean.messages = body.messages.map((message, i) => sanitizeMessage(message, `messages[${i}]`, addError, counts));
+    }
+
+    if (counts.images > limits.maxImages) {
+        addError('messages', limits.maxImages === 0
+            ? `${body.model} does not accept images`
+            : `at most ${limits.maxImages} images are allowed for ${body.model}`);
+    }
+    if (counts.files > limits.maxFiles) {
+        addError('messages', `at most ${limits.maxFiles} files are allowed for ${body.model}`);
+    }
+
+    // Output length: always capped so a request can't run unbounded
+    if (body.max_tokens !== undefined) {
+        if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) {
+            addError('max_tokens', 'must be a positive integer');
+        } else if (body.max_tokens > limits.maxTokens) {
+            addError('max_tokens', `must be at most ${limits.maxTokens} for ${body.model}`);
+        }
+    }
+    clean.max_tokens = body.max_tokens ?? limits.maxTokens;
+
+    // Sampling parameters
+    Object.entries(NUMBER_PARAMS).forEach(([name, [min, max]]) => {
+        if (body[name] === undefined) return;
+        if (typeof body[name] !== 'number' || body[name] < min || body[name] > max) {
+            addError(name, `must be a number between ${min} and ${max}`);
+        }
+        clean[name] = body[name];
+    });
+
+    // Streaming
+    if (body.stream !== undefined) {
+        if (typeof body.stream !== 'boolean') addError('stream', 'must be a boolean');
+        clean.stream = body.stream;
+    }
+    if (body.stream_options !== undefined) {
+        clean.stream_options = { include_usage: Boolean(body.stream_options?.include_usage) };
+    }
+    if (body.usage !== undefined) {
+        clean.usage = { include: Boolean(body.usage?.include) };
+    }
+
+    // Tool calling
+    if (body.tools !== undefined) {
+        clean.tools = sanitizeTools(body.tools, addError);
+    }
+    if (body.tool_choice !== undefined) {
+        const choice = body.tool_choice;
+        const isNamedChoice = choice?.type === 'function' && TOOL_NAME_PATTERN.test(choice.function?.name || '');
+        if (!TOOL_CHOICES.includes(choice) && !isNamedChoice) {
+            addError('tool_choice', `must be one of ${TOOL_CHOICES.join(', ')} or a named function`);
+        }
+        clean.tool_choice = isNamedChoice ? { type: 'function', function: { name: choice.function.name } } : choice;
+    }
+
+    // Reasoning (thinking) models
+    if (body.reasoning !== undefined) {
+        clean.reasoning = sanitizeReasoning(body.reasoning, clean.max_tokens, addError);
+    }
+
+    // Web search and file parsing
+    if (body.plugins !== undefined) {
+        clean.plugins = sanitizePlugins(body.plugins, addError);
+    }
+    if (body.web_search_options !== undefined) {
+        const size = body.web_search_options?.search_context_size;
+        if (!SEARCH_CONTEXT_SIZES.includes(size)) {
+            addError('web_search_options.search_context_size', `must be one of ${SEARCH_CONTEXT_SIZES.join(', ')}`);
+        }
+        clean.web_search_options = { search_context_size: size };
+    }
+
+    return errors.length > 0 ? { errors } : { body: clean };
+};
+
+export default { MODEL_LIMITS, isModelAllowed, getModelLimits, validateChatRequest };
@@ -0,0 +1,296 @@
+/**
+ * Request Guard
+ * Shared abuse protection for the API proxies: origin allowlist, CORS,
+ * per-IP and per-session token-bucket rate limits, and request body caps
+ *
+ * Environment variables:
+ *   ALLOWED_ORIGINS      Comma-separated origins allowed to call the API, or "*" for any.
+ *                        Unset means same-origin only.
+ *   RATE_LIMIT_<NAME>    Override a route's limit as "capacity/refillPerMinute", e.g. RATE_LIMIT_CHAT=30/15
+ *   RATE_LIMIT_IP_MULTIPLIER  How many sessions' worth of requests one IP may make in total (default 5)
+ *   MAX_BODY_<NAME>      Override a route's body cap in bytes, e.g. MAX_BODY_CHAT=10485760
+ */
+
+import { getRateLimitStore } from './rateLimitStore.js';
+
+// Session IDs sent by the client in X-Session-Id
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// An IP's bucket holds this many sessions' worth of requests, so tabs behind a shared IP each get their own limit
+const IP_LIMIT_MULTIPLIER = 5;
+
+/**
+ * Build a JSON response
+ * @param {Object} data - Response body
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Extra headers
+ * @returns {Response}
+ */
+export const jsonResponse = (data, status = 200, headers = {}) => {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+};
+
+/**
+ * Read the origin allowlist from the environment
+ * @returns {Array<string>|null} Allowed origins, or null for same-origin only
+ */
+const getAllowedOrigins = () => {
+    const value = process.env.ALLOWED_ORIGINS;
+    if (!value || !value.trim()) return null;
+    return value.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+};
+
+/**
+ * Get the origin of the page that sent a request, from its Referer
+ * @param {Request} req - Incoming request
+ * @returns {string|null}
+ */
+const getRefererOrigin = (req) => {
+    try {
+        return new URL(req.headers.get('referer')).origin;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Check if a request origin may use the API
+ * Browsers leave Origin off same-origin GETs, so the Referer's origin stands in for it.
+ * A request with neither only passes when the browser marks it same-origin (Sec-Fetch-Site),
+ * which keeps out scripts that simply omit the headers.
+ * @param {Request} req - Incoming request
+ * @param {string|null} origin - Origin header
+ * @returns {boolean}
+ */
+const isOriginAllowed = (req, origin) => {
+    const allowed = getAllowedOrigins();
+    if (allowed?.includes('*')) return true;
+
+    const source = origin || getRefererOrigin(req);
+    if (!source) {
+        return req.headers.get('sec-fetch-site') === 'same-origin';
+    }
+
+    if (!allowed) {
+        return source === new URL(req.url).origin;
+    }
+    return allowed.includes(source);
+};
+
+/**
+ * Build CORS headers for an allowed origin
+ * @param {string|null} origin - Origin header
+ * @param {Array<string>} methods - Allowed methods
+ * @returns {Object}
+ */
+const getCorsHeaders = (origin, methods) => {
+    const headers = {
+        'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+        'Access-Control-Allow-Headers': 'Content-Type, X-Session-Id',
+        'Access-Control-Expose-Headers': 'Retry-After',
+        'Vary': 'Origin'
+    };
+    if (origin) {
+        headers['Access-Control-Allow-Origin'] = origin;
+    }
+    return headers;
+};
+
+/**
+ * Get the client IP address
+ * @param {Request} req - Incoming request
+ * @returns {string}
+ */
+const getClientIp = (req) => {
+    const forwarded = req.headers.get('x-forwarded-for');
+    if (forwarded) return forwarded.split(',')[0].trim();
+    return req.headers.get('x-real-ip') || 'unknown';
+};
+
+/**
+ * Get the keys identifying the client: its IP, and its session when it sends a valid one
+ * @param {Request} req - Incoming request
+ * @returns {Array<string>} e.g. ['ip:203.0.113.7', 'session:3f2a…']
+ */
+export const getClientKeys = (req) => {
+    const keys = [`ip:${getClientIp(req)}`];
+    const sessionId = req.headers.get('x-session-id');
+    if (sessionId && SESSION_ID_PATTERN.test(sessionId)) {
+        keys.push(`session:${sessionId}`);
+    }
+    return keys;
+};
+
+/**
+ * Resolve a route's rate limit, applying any environment override
+ * @param {Object} rateLimit - { name, capacity, refillPerMinute }
+ * @returns {{capacity: number, refillPerMinute: number}}
+ */
+const resolveRateLimit = ({ name, capacity, refillPerMinute }) => {
+    const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+    if (override) {
+        const [overrideCapacity, overrideRefill] = override.split('/').map(Number);
+        if (overrideCapacity > 0 && overrideRefill > 0) {
+            return { capacity: overrideCapacity, refillPerMinute: overrideRefill };
+        }
+    }
+    return { capacity, refillPerMinute };
+};
+
+/**
+ * Get the rate limit buckets a request takes a token from
+ * The session bucket holds the route's limit; the IP bucket holds
+ * several sessions' worth, so it only stops an IP opening sessions to get around the limit.
+ * Requests without a session share one session-sized bucket per IP.
+ * @param {Request} req - Incoming request
+ * @param {Object} rateLimit - { name, capacity, refillPerMinute }
+ * @returns {Array<{key: string, limit: {capacity: number, refillPerMinute: number}}>}
+ */
+const getRateLimitBuckets = (req, rateLimit) => {
+    const limit = resolveRateLimit(rateLimit);
+    const multiplier = Number(process.env.RATE_LIMIT_IP_MULTIPLIER) || IP_LIMIT_MULTIPLIER;
+    const [ipKey, sessionKey] = getClientKeys(req);
+
+    return [
+        { key: `${rateLimit.name}:${sessionKey || `${ipKey}:no-session`}`, limit },
+        {
+            key: `${rateLimit.name}:${ipKey}`,
+            limit: { capacity: limit.capacity * multiplier, refillPerMinute: limit.refillPerMinute * multiplier }
+        }
+    ];
+};
+
+/**
+ * Take one token from each of several buckets, or from none of them
+ * Every bucket is checked first, so a request one bucket refuses costs the others nothing.
+ * @param {Array<{key: string, limit: {capacity: number, refillPerMinute: number}}>} buckets
+ * @returns {Promise<{allowed: boolean, retryAfter: number}>} retryAfter in seconds, for the bucket that refills last
+ */
+export const takeTokens = async (buckets) => {
+    const store = getRateLimitStore();
+    const now = Date.now();
+
+    const states = await Promise.all(buckets.map(async ({ key, limit: { capacity, refillPerMinute } }) => {
+        const refillPerSecond = refillPerMinute / 60;
+        const bucket = await store.get(key) || { tokens: capacity, updatedAt: now };
+        const elapsed = Math.max(now - bucket.updatedAt, 0) / 1000;
+        return {
+            key,
+            tokens: Math.min(capacity, bucket.tokens + elapsed * refillPerSecond),
+            refillPerSecond,
+            // A bucket is full again after this long, so it can expire then
+            ttl: Math.ceil(capacity / refillPerSecond)
+        };
+    }));
+
+    const empty = states.filter(state => state.tokens < 1);
+    if (empty.length > 0) {
+        const retryAfter = Math.max(...empty.map(state => Math.ceil((1 - state.tokens) / state.refillPerSecond)));
+        return { allowed: false, retryAfter };
+    }
+
+    await Promise.all(states.map(state => store.set(state.key, { tokens: state.tokens - 1, updatedAt: now }, { ex: state.ttl })));
+    return { allowed: true, retryAfter: 0 };
+};
+
+/**
+ * Read and parse a JSON body, enforcing a size cap
+ * The body is read in chunks and reading stops as soon as it passes the cap,
+ * so a request without an honest Content-Length can't make us buffer more.
+ * @param {Request} req - Incoming request
+ * @param {number} maxBytes - Maximum body size
+ * @returns {Promise<{body?: Object, error?: string, status?: number}>}
+ */
+const readJsonBody = async (req, maxBytes) => {
+    const tooLarge = { error: `Request body too large (limit ${maxBytes} bytes)`, status: 413 };
+
+    const declaredLength = Number(req.headers.get('content-length'));
+    if (declaredLength > maxBytes) {
+        return tooLarge;
+    }
+
+    const decoder = new TextDecoder();
+    let text = '';
+    let size = 0;
+
+    if (req.body) {
+        const reader = req.body.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            size += value.byteLength;
+            if (size > maxBytes) {
+                await reader.cancel();
+                return tooLarge;
+            }
+            text += decoder.decode(value, { stream: true });
+        }
+        text += decoder.decode();
+    }
+
+    try {
+        return { body: JSON.parse(text) };
+    } catch {
+        return { error: 'Invalid JSON body', status: 400 };
+    }
+};
+
+/**
+ * Run all checks for an API request
+ * Returns either a ready response to send back (preflight or rejection)
+ * or the CORS headers and parsed body for the handler to use.
+ * @param {Request} req - Incoming request
+ * @param {Object} options
+ * @param {Array<string>} options.methods - Allowed methods (besides OPTIONS)
+ * @param {Object} options.rateLimit - { name, capacity, refillPerMinute }
+ * @param {number} [options.maxBodyBytes] - Body cap; omit for requests without a body
+ * @returns {Promise<{response?: Response, corsHeaders?: Object, body?: Object}>}
+ */
+export const guardRequest = async (req, { methods, rateLimit, maxBodyBytes }) => {
+    const origin = req.headers.get('origin');
+
+    if (!isOriginAllowed(req, origin)) {
+        return { response: jsonResponse({ error: 'Origin not allowed' }, 403, { 'Vary': 'Origin' }) };
+    }
+
+    const corsHeaders = getCorsHeaders(origin, methods);
+
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return { response: new Response(null, { status: 204, headers: corsHeaders }) };
+    }
+
+    if (!methods.includes(req.method)) {
+        return { response: jsonResponse({ error: 'Method not allowed' }, 405, corsHeaders) };
+    }
+
+    // Per-session and per-IP buckets
+    const { allowed, retryAfter } = await takeTokens(getRateLimitBuckets(req, rateLimit));
+    if (!allowed) {
+        return {
+            response: jsonResponse(
+                { error: 'Too many requests. Please slow down.', retryAfter },
+                429,
+                { ...corsHeaders, 'Retry-After': String(retryAfter) }
+            )
+        };
+    }
+
+    if (!maxBodyBytes) {
+        return { corsHeaders, body: null };
+    }
+
+    const cap = Number(process.env[`MAX_BODY_${rateLimit.name.toUpperCase()}`]) || maxBodyBytes;
+    const { body, error, status } = await readJsonBody(req, cap);
+    if (error) {
+        return { response: jsonResponse({ error }, status, corsHeaders) };
+    }
+
+    return { corsHeaders, body };
+};
+
+export default { jsonResponse, getClientKeys, takeTokens, guardRequest };
@@ -0,0 +1,71 @@
+/**
+ * Rate Limit Store
+ * Key-value store for rate limit buckets
+ *
+ * Any store with this interface can be plugged in with setRateLimitStore(),
+ * e.g. a Vercel KV / Upstash Redis client:
+ *   get(key) -> Promise<value | null>
+ *   set(key, value, { ex }) -> Promise   // ex = time to live in seconds
+ *
+ * The default in-memory store is per edge instance, so limits are approximate
+ * across regions but need no setup for local development.
+ */
+
+// Drop expired entries once the map grows past this size
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Create an in-memory store
+ * @returns {{get: Function, set: Function}}
+ */
+export const createMemoryStore = () => {
+    const entries = new Map();
+
+    const sweep = (now) => {
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    };
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+
+        async set(key, value, { ex } = {}) {
+            const now = Date.now();
+            if (entries.size >= SWEEP_THRESHOLD) sweep(now);
+            entries.set(key, {
+                value,
+                expiresAt: ex ? now + ex * 1000 : Infinity
+            });
+        }
+    };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Get the active store
+ * @returns {Object}
+ */
+export const getRateLimitStore = () => store;
+
+/**
+ * Replace the active store (e.g. with a KV client)
+ * @param {Object} newStore - Store with get/set
+ */
+export const setRateLimitStore = (newStore) => {
+    if (!newStore || typeof newStore.get !== 'function' || typeof newStore.set !== 'function') {
+        throw new Error('Rate limit store must implement get(key) and set(key, value, { ex })');
+    }
+    store = newStore;
+};
+
+export default { createMemoryStore, getRateLimitStore, setRateLimitStore };
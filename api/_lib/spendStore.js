@@ -0,0 +1,82 @@
+/**
+ * Spend Store
+ * Running totals of what the paid proxies spent, in USD
+ *
+ * Any store with this interface can be plugged in with setSpendStore(),
+ * e.g. a Vercel KV / Upstash Redis client wrapped around INCRBYFLOAT:
+ *   get(key) -> Promise<number | null>
+ *   increment(key, amount, { ex }) -> Promise<number>   // new total; ex = time to live
+ *                                                        // in seconds, set when the key is created
+ *
+ * The default in-memory store is per edge instance, so budgets are approximate
+ * across regions but need no setup for local development.
+ */
+
+// Drop expired entries once the map grows past this size
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Create an in-memory store
+ * @returns {{get: Function, increment: Function}}
+ */
+export const createMemorySpendStore = () => {
+    const entries = new Map();
+
+    const sweep = (now) => {
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    };
+
+    const read = (key, now) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    return {
+        async get(key) {
+            return read(key, Date.now())?.value ?? null;
+        },
+
+        async increment(key, amount, { ex } = {}) {
+            const now = Date.now();
+            const entry = read(key, now);
+            if (entry) {
+                entry.value += amount;
+                return entry.value;
+            }
+
+            if (entries.size >= SWEEP_THRESHOLD) sweep(now);
+            entries.set(key, {
+                value: amount,
+                expiresAt: ex ? now + ex * 1000 : Infinity
+            });
+            return amount;
+        }
+    };
+};
+
+let store = createMemorySpendStore();
+
+/**
+ * Get the active store
+ * @returns {Object}
+ */
+export const getSpendStore = () => store;
+
+/**
+ * Replace the active store (e.g. with a KV client)
+ * @param {Object} newStore - Store with get/increment
+ */
+export const setSpendStore = (newStore) => {
+    if (!newStore || typeof newStore.get !== 'function' || typeof newStore.increment !== 'function') {
+        throw new Error('Spend store must implement get(key) and increment(key, amount, { ex })');
+    }
+    store = newStore;
+};
+
+export default { createMemorySpendStore, getSpendStore, setSpendStore };
@@ -1,45 +1,91 @@
 /**
  * Vercel Serverless Function - Chat API Proxy
- * Proxies requests to OpenRouter with server-side API key
+ * Proxies validated requests to OpenRouter with server-side API key
  */
 
+import { guardRequest, jsonResponse } from './_lib/guard.js';
+import { validateChatRequest } from './_lib/chatPolicy.js';
+import { checkBudget, recordSpend } from './_lib/budget.js';
+
 export const config = {
     runtime: 'edge'
 };
 
-// CORS headers
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
-};
+// 20-request burst, refilling 10 per minute (override with RATE_LIMIT_CHAT)
+const RATE_LIMIT = { name: 'chat', capacity: 20, refillPerMinute: 10 };
+
+// Attachments are sent inline as base64, so allow large bodies (override with MAX_BODY_CHAT)
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Read an SSE stream to the end and find the usage chunk OpenRouter sends before [DONE]
+ * Reads its own branch of the upstream body, so it finishes even if the client stops reading.
+ * @param {ReadableStream} stream - Upstream body
+ * @returns {Promise<Object|null>} The usage object, or null if the stream had none
+ */
+const readStreamUsage = async (stream) => {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let usage = null;
 
-export default async function handler(req) {
-    // Handle CORS preflight
-    if (req.method === 'OPTIONS') {
-        return new Response(null, { status: 204, headers: corsHeaders });
+    const scan = (line) => {
+        if (!line.startsWith('data: ') || !line.includes('"usage"')) return;
+        try {
+            usage = JSON.parse(line.slice(6)).usage || usage;
+        } catch {
+            // Not JSON (e.g. [DONE])
+        }
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(line => scan(line.trim()));
+        }
+        scan(buffer.trim());
+    } catch (error) {
+        console.error('Could not read stream usage:', error);
     }
 
-    // Only allow POST
-    if (req.method !== 'POST') {
-        return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-            status: 405,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
+    return usage;
+};
+
+export default async function handler(req, context) {
+    const guard = await guardRequest(req, {
+        methods: ['POST'],
+        rateLimit: RATE_LIMIT,
+        maxBodyBytes: MAX_BODY_BYTES
+    });
+    if (guard.response) return guard.response;
+
+    const { corsHeaders } = guard;
+
+    // Enforce the model allowlist and request shape; only validated fields are forwarded
+    const { body, errors } = validateChatRequest(guard.body);
+    if (errors) {
+        return jsonResponse({ error: 'Invalid request', fields: errors }, 400, corsHeaders);
     }
 
+    // Refuse once the client or the server has used up its budget
+    const budget = await checkBudget(req, corsHeaders);
+    if (budget.response) return budget.response;
+
     const apiKey = process.env.OPENROUTER_API_KEY;
     if (!apiKey) {
-        return new Response(JSON.stringify({ error: 'API key not configured' }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
+        return jsonResponse({ error: 'API key not configured' }, 500, corsHeaders);
     }
 
     try {
-        const body = await req.json();
         const isStreaming = body.stream === true;
 
+        // Spend is tracked from the cost OpenRouter reports, so always ask for it
+        body.usage = { include: true };
+
         const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
             method: 'POST',
             headers: {
@@ -53,7 +99,15 @@ export default async function handler(req) {
 
         // Handle streaming responses
         if (isStreaming && response.ok) {
-            return new Response(response.body, {
+            // Upstream keeps generating (and billing) after the client disconnects, so read
+            // a copy to the end in the background and record what it cost either way
+            const [clientStream, usageStream] = response.body.tee();
+            const recording = readStreamUsage(usageStream).then(usage => {
+                if (usage) return recordSpend(req, Number(usage.cost));
+            });
+            context?.waitUntil?.(recording);
+
+            return new Response(clientStream, {
                 status: response.status,
                 headers: {
                     'Content-Type': 'text/event-stream',
@@ -66,15 +120,12 @@ export default async function handler(req) {
 
         // Handle non-streaming responses
         const data = await response.json();
-        return new Response(JSON.stringify(data), {
-            status: response.status,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
+        if (response.ok) {
+            await recordSpend(req, Number(data.usage?.cost));
+        }
+        return jsonResponse(data, response.status, corsHeaders);
 
     } catch (error) {
-        return new Response(JSON.stringify({ error: error.message }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
+        return jsonResponse({ error: error.message }, 500, corsHeaders);
     }
 }
@@ -3,30 +3,48 @@
  * Proxies requests to Fal.ai for secure image generation
  */
 
+import { guardRequest, jsonResponse } from './_lib/guard.js';
+import { checkBudget, recordSpend } from './_lib/budget.js';
+
 export const config = {
     runtime: 'edge'
 };
 
+// Image generation is the most expensive call (override with RATE_LIMIT_IMAGE)
+const RATE_LIMIT = { name: 'image', capacity: 5, refillPerMinute: 2 };
+
+// Prompt and options only (override with MAX_BODY_IMAGE)
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Fal doesn't report what a request cost, so each image counts this much USD against budgets (override with IMAGE_COST)
+const DEFAULT_IMAGE_COST = 0.01;
+
+/**
+ * Get the cost counted per image
+ * @returns {number} USD
+ */
+const getImageCost = () => {
+    const value = Number(process.env.IMAGE_COST);
+    return process.env.IMAGE_COST && Number.isFinite(value) && value >= 0 ? value : DEFAULT_IMAGE_COST;
+};
+
 export default async function handler(req) {
-    // Only allow POST
-    if (req.method !== 'POST') {
-        return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-            status: 405,
-            headers: { 'Content-Type': 'application/json' }
-        });
-    }
+    const guard = await guardRequest(req, {
+        methods: ['POST'],
+        rateLimit: RATE_LIMIT,
+        maxBodyBytes: MAX_BODY_BYTES
+    });
+    if (guard.response) return guard.response;
+
+    const { corsHeaders, body } = guard;
 
     const FAL_KEY = process.env.FAL_KEY;
 
     if (!FAL_KEY) {
-        return new Response(JSON.stringify({ error: 'FAL_KEY not configured' }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json' }
-        });
+        return jsonResponse({ error: 'FAL_KEY not configured' }, 500, corsHeaders);
     }
 
     try {
-        const body = await req.json();
         const { 
             prompt,
             image_size = 'landscape_4_3',
@@ -36,12 +54,13 @@ export default async function handler(req) {
         } = body;
 
         if (!prompt || typeof prompt !== 'string') {
-            return new Response(JSON.stringify({ error: 'Prompt is required' }), {
-                status: 400,
-                headers: { 'Content-Type': 'application/json' }
-            });
+            return jsonResponse({ error: 'Prompt is required' }, 400, corsHeaders);
         }
 
+        // Refuse once the client or the server has used up its budget
+        const budget = await checkBudget(req, corsHeaders);
+        if (budget.response) return budget.response;
+
         // Validate and clamp inference steps to safe range
         const clampedSteps = Math.min(Math.max(Number(num_inference_steps) || 30, 10), 50);
 
@@ -63,28 +82,21 @@ export default async function handler(req) {
 
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            return new Response(JSON.stringify({
+            return jsonResponse({
                 error: errorData.detail || errorData.message || 'Image generation failed',
                 status: response.status
-            }), {
-                status: response.status,
-                headers: { 'Content-Type': 'application/json' }
-            });
+            }, response.status, corsHeaders);
         }
 
         const result = await response.json();
 
-        return new Response(JSON.stringify(result), {
-            status: 200,
-            headers: { 'Content-Type': 'application/json' }
-        });
+        await recordSpend(req, getImageCost() * (result.images?.length || 1));
+
+        return jsonResponse(result, 200, corsHeaders);
     } catch (error) {
         console.error('Image generation error:', error);
-        return new Response(JSON.stringify({
+        return jsonResponse({
             error: error.message || 'Internal server error'
-        }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json' }
-        });
+        }, 500, corsHeaders);
     }
 }
@@ -1,39 +1,30 @@
 /**
  * Vercel Serverless Function - Models API Proxy
- * Fetches available models from OpenRouter
+ * Fetches available models from OpenRouter, filtered by the model allowlist
  */
 
+import { guardRequest, jsonResponse } from './_lib/guard.js';
+import { isModelAllowed, getModelLimits } from './_lib/chatPolicy.js';
+
 export const config = {
     runtime: 'edge'
 };
 
-// CORS headers
-const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
-};
+// Fetched once per page load, so keep this tight (override with RATE_LIMIT_MODELS)
+const RATE_LIMIT = { name: 'models', capacity: 10, refillPerMinute: 5 };
 
 export default async function handler(req) {
-    // Handle CORS preflight
-    if (req.method === 'OPTIONS') {
-        return new Response(null, { status: 204, headers: corsHeaders });
-    }
+    const guard = await guardRequest(req, {
+        methods: ['GET'],
+        rateLimit: RATE_LIMIT
+    });
+    if (guard.response) return guard.response;
 
-    // Only allow GET
-    if (req.method !== 'GET') {
-        return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-            status: 405,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
-    }
+    const { corsHeaders } = guard;
 
     const apiKey = process.env.OPENROUTER_API_KEY;
     if (!apiKey) {
-        return new Response(JSON.stringify({ error: 'API key not configured' }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
+        return jsonResponse({ error: 'API key not configured' }, 500, corsHeaders);
     }
 
     try {
@@ -47,15 +38,17 @@ export default async function handler(req) {
         });
 
         const data = await response.json();
-        return new Response(JSON.stringify(data), {
-            status: response.status,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
+
+        // Only list models the chat endpoint will accept, with the max_tokens it allows for each
+        if (response.ok && Array.isArray(data.data)) {
+            data.data = data.data
+                .filter(model => isModelAllowed(model.id))
+                .map(model => ({ ...model, max_output_tokens: getModelLimits(model.id).maxTokens }));
+        }
+
+        return jsonResponse(data, response.status, corsHeaders);
 
     } catch (error) {
-        return new Response(JSON.stringify({ error: error.message }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-        });
+        return jsonResponse({ error: error.message }, 500, corsHeaders);
     }
 }
@@ -0,0 +1,31 @@
+/**
+ * Vercel Serverless Function - Usage API
+ * Reports the caller's spend and remaining budget for today and this month
+ */
+
+import { guardRequest, jsonResponse } from './_lib/guard.js';
+import { getBudgetStatus } from './_lib/budget.js';
+
+export const config = {
+    runtime: 'edge'
+};
+
+// Polled about once a minute per tab, plus after each answer (override with RATE_LIMIT_USAGE)
+const RATE_LIMIT = { name: 'usage', capacity: 20, refillPerMinute: 10 };
+
+export default async function handler(req) {
+    const guard = await guardRequest(req, {
+        methods: ['GET'],
+        rateLimit: RATE_LIMIT
+    });
+    if (guard.response) return guard.response;
+
+    const { corsHeaders } = guard;
+
+    try {
+        const status = await getBudgetStatus(req);
+        return jsonResponse(status, 200, { ...corsHeaders, 'Cache-Control': 'no-store' });
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500, corsHeaders);
+    }
+}
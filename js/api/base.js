@@ -5,18 +5,86 @@
 
 import config from '../config.js';
 
+/**
+ * Get the host of a web page URL
+ * @param {string} url
+ * @returns {string|null} Hostname, or null when the URL isn't a valid http(s) URL
+ */
+const getWebHostname = (url) => {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.hostname : null;
+    } catch {
+        return null;
+    }
+};
+
 /**
  * Custom API Error class
  */
 export class APIError extends Error {
-    constructor(message, status, data = null) {
+    constructor(message, status, data = null, retryAfter = null) {
         super(message);
         this.name = 'APIError';
         this.status = status;
         this.data = data;
+        this.retryAfter = retryAfter; // Seconds until a rate-limited request may be retried
     }
 }
 
+/**
+ * Get this tab's session ID, sent so the API can rate limit per session
+ * @returns {string}
+ */
+export const getSessionId = () => {
+    try {
+        let sessionId = sessionStorage.getItem(config.storage.sessionId);
+        if (!sessionId) {
+            sessionId = crypto.randomUUID();
+            sessionStorage.setItem(config.storage.sessionId, sessionId);
+        }
+        return sessionId;
+    } catch {
+        return '';
+    }
+};
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Seconds to wait
+ */
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(Math.ceil(seconds), 0);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+};
+
+/**
+ * Build an APIError from a failed response
+ * @param {Response} response - Non-OK response
+ * @param {string} fallbackMessage - Message if the body has none
+ * @returns {Promise<APIError>}
+ */
+export const createResponseError = async (response, fallbackMessage = 'API request failed') => {
+    let errorData;
+    try {
+        errorData = await response.json();
+    } catch {
+        errorData = { message: response.statusText };
+    }
+
+    // Proxies send { error: string }, OpenRouter sends { error: { message } }
+    const message = typeof errorData.error === 'string'
+        ? errorData.error
+        : errorData.error?.message || errorData.message || fallbackMessage;
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After')) ?? errorData.retryAfter ?? null;
+
+    return new APIError(message, response.status, errorData, retryAfter);
+};
+
 /**
  * Base fetch wrapper with common configuration
  * @param {string} endpoint - API endpoint
@@ -27,7 +95,8 @@ export const baseFetch = async (endpoint, options = {}) => {
     const url = `${config.api.baseUrl}${endpoint}`;
 
     const defaultHeaders = {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'X-Session-Id': getSessionId()
     };
 
     const fetchOptions = {
@@ -42,17 +111,7 @@ export const baseFetch = async (endpoint, options = {}) => {
         const response = await fetch(url, fetchOptions);
 
         if (!response.ok) {
-            let errorData;
-            try {
-                errorData = await response.json();
-            } catch {
-                errorData = { message: response.statusText };
-            }
-            throw new APIError(
-                errorData.error?.message || errorData.message || 'API request failed',
-                response.status,
-                errorData
-            );
+            throw await createResponseError(response);
         }
 
         return response;
@@ -83,6 +142,18 @@ export const fetchJSON = async (endpoint, options = {}) => {
  * - Handles various SSE termination signals: `data: [DONE]`, connection close, finish_reason
  * - Gracefully handles malformed JSON by logging and skipping (chunk may be split across reads)
  * - Preserves partial content on abort/error for graceful degradation
+ * - Gives up on a stalled stream: when nothing (not even a processing comment) arrives for
+ *   config.chat.streamIdleTimeout ms, the request is aborted and fails with a 408 APIError
+ *   (`data.type: 'stream_stalled'`), which callers may retry
+ * - Accumulates streamed `tool_calls` deltas (merged by index) and passes them to onComplete
+ * - Collects `url_citation` annotations as sources (one per URL) with every cited span;
+ *   citations whose URL isn't an http(s) URL are skipped
+ *   (`spans`: [{ startIndex, endIndex }] offsets into the content)
+ * - Streams reasoning (`delta.reasoning`, or the text of `delta.reasoning_details`) to onReasoning,
+ *   separately from the answer
+ * 
+ * onReasoning receives (chunk, fullReasoning).
+ * onComplete receives (fullContent, usage, annotations, { toolCalls, finishReason, reasoning }).
  * 
  * @param {string} endpoint - API endpoint
  * @param {Object} body - Request body
@@ -90,21 +161,93 @@ export const fetchJSON = async (endpoint, options = {}) => {
  * @param {AbortController} abortController - Optional abort controller for cancellation
  * @returns {Promise<void>}
  */
-export const fetchStream = async (endpoint, body, { onChunk, onComplete, onError, onProcessing, onAnnotations }, abortController = null) => {
+export const fetchStream = async (endpoint, body, { onChunk, onComplete, onError, onProcessing, onAnnotations, onReasoning }, abortController = null) => {
     const url = `${config.api.baseUrl}${endpoint}`;
 
     const headers = {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'X-Session-Id': getSessionId()
     };
 
     // Create abort controller if not provided
     const controller = abortController || new AbortController();
 
+    // The request has its own controller so a stall can abort it without looking like a cancel
+    const requestController = new AbortController();
+    const cancel = () => requestController.abort();
+    if (controller.signal.aborted) {
+        cancel();
+    } else {
+        controller.signal.addEventListener('abort', cancel, { once: true });
+    }
+
+    const idleTimeout = config.chat.streamIdleTimeout;
+    let idleTimer = null;
+    let stalled = false;
+    const resetIdleTimer = () => {
+        if (!idleTimeout) return;
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+            stalled = true;
+            requestController.abort();
+        }, idleTimeout);
+    };
+
     // Track state across try-catch
     let fullContent = '';
+    let fullReasoning = '';
     let annotations = [];
     let usage = null;
-    let streamCompleted = false;
+    let finishReason = null;
+
+    // Tool calls arrive in pieces: the first delta for an index has the id and name,
+    // later ones append to the JSON arguments string
+    const toolCalls = [];
+
+    /**
+     * Merge streamed tool call deltas
+     * @param {Array} deltas - delta.tool_calls from one chunk
+     */
+    const mergeToolCallDeltas = (deltas) => {
+        for (const delta of deltas) {
+            const index = delta.index ?? toolCalls.length;
+            if (!toolCalls[index]) {
+                toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+            }
+            const call = toolCalls[index];
+            if (delta.id) call.id = delta.id;
+            if (delta.function?.name) call.function.name += delta.function.name;
+            if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+        }
+    };
+
+    /**
+     * Call onComplete with everything collected so far
+     */
+    const complete = () => {
+        if (onComplete) {
+            onComplete(fullContent, usage, annotations, {
+                toolCalls: toolCalls.filter(call => call && call.function.name),
+                finishReason,
+                reasoning: fullReasoning
+            });
+        }
+    };
+
+    /**
+     * Get the reasoning text of a delta
+     * OpenRouter sends it as `reasoning`, and again as structured `reasoning_details`;
+     * the details are only read when the plain field is missing.
+     * @param {Object} delta - Chunk delta
+     * @returns {string}
+     */
+    const getReasoningText = (delta) => {
+        if (typeof delta.reasoning === 'string') return delta.reasoning;
+        if (!Array.isArray(delta.reasoning_details)) return '';
+        return delta.reasoning_details
+            .map(detail => detail.text || detail.summary || '')
+            .join('');
+    };
 
     /**
      * Parse a single SSE data line
@@ -127,6 +270,13 @@ export const fetchStream = async (endpoint, body, { onChunk, onComplete, onError
                 throw new APIError(errorMessage, parsed.error.code || 500, parsed.error);
             }
 
+            // Reasoning arrives before (and separately from) the answer
+            const reasoning = getReasoningText(parsed.choices?.[0]?.delta || {});
+            if (reasoning) {
+                fullReasoning += reasoning;
+                if (onReasoning) onReasoning(reasoning, fullReasoning);
+            }
+
             // Extract content from delta
             const content = parsed.choices?.[0]?.delta?.content || '';
 
@@ -135,34 +285,64 @@ export const fetchStream = async (endpoint, body, { onChunk, onComplete, onError
                 if (onChunk) onChunk(content, fullContent);
             }
 
+            // Accumulate tool call deltas
+            const deltaToolCalls = parsed.choices?.[0]?.delta?.tool_calls;
+            if (Array.isArray(deltaToolCalls)) {
+                mergeToolCallDeltas(deltaToolCalls);
+            }
+
             // Extract web search annotations (URL citations)
             const deltaAnnotations = parsed.choices?.[0]?.delta?.annotations;
             if (deltaAnnotations && Array.isArray(deltaAnnotations)) {
                 for (const annotation of deltaAnnotations) {
                     if (annotation.type === 'url_citation' && annotation.url_citation) {
-                        // Avoid duplicates
-                        const exists = annotations.some(a => a.url === annotation.url_citation.url);
-                        if (!exists) {
-                            annotations.push({
-                                url: annotation.url_citation.url,
-                                title: annotation.url_citation.title || new URL(annotation.url_citation.url).hostname,
-                                startIndex: annotation.start_index,
-                                endIndex: annotation.end_index
-                            });
-                            if (onAnnotations) onAnnotations([...annotations]);
+                        const citation = annotation.url_citation;
+                        const hostname = getWebHostname(citation.url);
+                        if (!hostname) continue;
+
+                        // Offsets are on url_citation in the OpenAI format, on the annotation in older responses
+                        const startIndex = citation.start_index ?? annotation.start_index;
+                        const endIndex = citation.end_index ?? annotation.end_index;
+                        const span = Number.isInteger(startIndex) && Number.isInteger(endIndex)
+                            ? { startIndex, endIndex }
+                            : null;
+
+                        // One source per URL; later citations of it only add a span
+                        const existing = annotations.find(a => a.url === citation.url);
+                        if (existing) {
+                            if (span && !existing.spans.some(s => s.startIndex === startIndex && s.endIndex === endIndex)) {
+                                existing.spans.push(span);
+                                if (onAnnotations) onAnnotations([...annotations]);
+                            }
+                            continue;
+                        }
+
+                        const source = {
+                            url: citation.url,
+                            title: citation.title || hostname,
+                            startIndex,
+                            endIndex,
+                            spans: span ? [span] : []
+                        };
+                        // Some engines include the cited passage
+                        if (typeof citation.content === 'string' && citation.content.trim()) {
+                            source.snippet = citation.content.trim().slice(0, 300);
                         }
+                        annotations.push(source);
+                        if (onAnnotations) onAnnotations([...annotations]);
                     }
                 }
             }
 
             // Check for finish reason
-            const finishReason = parsed.choices?.[0]?.finish_reason;
-            if (finishReason) {
-                if (finishReason === 'error') {
+            const chunkFinishReason = parsed.choices?.[0]?.finish_reason;
+            if (chunkFinishReason) {
+                if (chunkFinishReason === 'error') {
                     throw new APIError('Stream terminated due to error', 500, parsed);
                 }
-                // 'stop', 'length', 'content_filter' etc. indicate normal completion
+                // 'stop', 'length', 'tool_calls', 'content_filter' etc. indicate normal completion
                 // Don't return false here - let the stream close naturally or send [DONE]
+                finishReason = chunkFinishReason;
             }
 
             // Capture usage stats from final chunk
@@ -181,6 +361,7 @@ export const fetchStream = async (endpoint, body, { onChunk, onComplete, onError
     };
 
     try {
+        resetIdleTimer();
         const response = await fetch(url, {
             method: 'POST',
             headers,
@@ -189,21 +370,11 @@ export const fetchStream = async (endpoint, body, { onChunk, onComplete, onError
                 stream: true,
                 stream_options: { include_usage: true }
             }),
-            signal: controller.signal
+            signal: requestController.signal
         });
 
         if (!response.ok) {
-            let errorData;
-            try {
-                errorData = await response.json();
-            } catch {
-                errorData = { message: response.statusText };
-            }
-            throw new APIError(
-                errorData.error?.message || 'Stream request failed',
-                response.status,
-                errorData
-            );
+            throw await createResponseError(response, 'Stream request failed');
         }
 
         const reader = response.body.getReader();
@@ -211,6 +382,7 @@ export const fetchStream = async (endpoint, body, { onChunk, onComplete, onError
         let buffer = '';
 
         while (true) {
+            resetIdleTimer();
             const { done, value } = await reader.read();
 
             if (done) {
@@ -226,7 +398,6 @@ export const fetchStream = async (endpoint, body, { onChunk, onComplete, onError
                         }
                     }
                 }
-                streamCompleted = true;
                 break;
             }
 
@@ -255,8 +426,7 @@ export const fetchStream = async (endpoint, body, { onChunk, onComplete, onError
                 if (trimmedLine.startsWith('data: ')) {
                     const shouldContinue = parseSSEData(trimmedLine.slice(6));
                     if (!shouldContinue) {
-                        streamCompleted = true;
-                        if (onComplete) onComplete(fullContent, usage, annotations);
+                        complete();
                         return;
                     }
                 }
@@ -265,41 +435,66 @@ export const fetchStream = async (endpoint, body, { onChunk, onComplete, onError
         }
 
         // Stream ended normally (connection closed)
-        if (onComplete) onComplete(fullContent, usage, annotations);
+        complete();
 
     } catch (error) {
         // Handle abort - still call onComplete with partial content
-        if (error.name === 'AbortError') {
-            if (onComplete) onComplete(fullContent, usage, annotations);
+        if (error.name === 'AbortError' && !stalled) {
+            complete();
             return;
         }
 
+        const streamError = stalled
+            ? new APIError(`The response stalled (nothing received for ${Math.round(idleTimeout / 1000)}s)`, 408, { type: 'stream_stalled' })
+            : error instanceof APIError ? error : new APIError(error.message, 0);
         if (onError) {
-            onError(error instanceof APIError ? error : new APIError(error.message, 0));
+            onError(streamError);
         } else {
-            throw error;
+            throw streamError;
         }
+    } finally {
+        clearTimeout(idleTimer);
+        controller.signal.removeEventListener('abort', cancel);
     }
 };
 
+/**
+ * Check if a failed request may succeed on a retry or with another model
+ * Provider rate limits, server errors, streams that ended in an error and network failures qualify;
+ * the proxy's own rate limit (it sends a string error and Retry-After), budget caps and invalid
+ * requests would fail again.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isTransientError = (error) => {
+    if (!(error instanceof APIError)) return false;
+    if (error.status === 429) return typeof error.data?.error !== 'string';
+    return error.status === 0 || error.status === 408 || error.status >= 500;
+};
+
 /**
  * Retry wrapper for API calls
- * @param {Function} fn - Async function to retry
- * @param {number} maxRetries - Maximum retry attempts
- * @param {number} delay - Delay between retries (ms)
+ * @param {Function} fn - Async function to retry (receives the attempt number, from 0)
+ * @param {number} maxRetries - Maximum attempts
+ * @param {number} delay - Delay between retries (ms), multiplied by the attempt number
+ * @param {Function} shouldRetry - Decides whether an error is worth another attempt;
+ *                                 defaults to anything but a client error (4xx)
  * @returns {Promise<*>}
  */
-export const withRetry = async (fn, maxRetries = 3, delay = 1000) => {
+export const withRetry = async (fn, maxRetries = 3, delay = 1000, shouldRetry = null) => {
     let lastError;
 
     for (let i = 0; i < maxRetries; i++) {
         try {
-            return await fn();
+            return await fn(i);
         } catch (error) {
             lastError = error;
 
-            // Don't retry on client errors (4xx)
-            if (error instanceof APIError && error.status >= 400 && error.status < 500) {
+            // Don't retry on client errors (4xx) unless the caller says otherwise
+            const retry = shouldRetry
+                ? shouldRetry(error)
+                : !(error instanceof APIError && error.status >= 400 && error.status < 500);
+            if (!retry) {
                 throw error;
             }
 
@@ -313,4 +508,4 @@ export const withRetry = async (fn, maxRetries = 3, delay = 1000) => {
     throw lastError;
 };
 
-export default { baseFetch, fetchJSON, fetchStream, withRetry, APIError };
+export default { baseFetch, fetchJSON, fetchStream, withRetry, isTransientError, getSessionId, createResponseError, APIError };
@@ -0,0 +1,19 @@
+/**
+ * Budget API Client
+ * Reads this client's spend and remaining budget from the proxy
+ */
+
+import { fetchJSON } from './base.js';
+
+/**
+ * Get spend and remaining budget for today and this month
+ * @returns {Promise<Object>} { enabled, day, month }, periods as { scope, spent, limit, remaining, resetAt }
+ * @throws {APIError} If the request fails
+ */
+export const getBudget = async () => {
+    return fetchJSON('/usage', {
+        method: 'GET'
+    });
+};
+
+export default { getBudget };
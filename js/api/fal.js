@@ -3,7 +3,7 @@
  * Handles communication with the image generation API
  */
 
-import { APIError } from './base.js';
+import { APIError, getSessionId, createResponseError } from './base.js';
 import config from '../config.js';
 
 /**
@@ -33,23 +33,14 @@ export const generateImage = async (prompt, options = {}) => {
         const response = await fetch(url, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'X-Session-Id': getSessionId()
             },
             body: JSON.stringify(params)
         });
 
         if (!response.ok) {
-            let errorData;
-            try {
-                errorData = await response.json();
-            } catch {
-                errorData = { error: response.statusText };
-            }
-            throw new APIError(
-                errorData.error || 'Image generation failed',
-                response.status,
-                errorData
-            );
+            throw await createResponseError(response, 'Image generation failed');
         }
 
         return await response.json();
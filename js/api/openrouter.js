@@ -3,35 +3,40 @@
  * Handles communication with OpenRouter API
  */
 
-import { fetchJSON, fetchStream, APIError } from './base.js';
+import { fetchJSON, fetchStream } from './base.js';
 import config from '../config.js';
+import { normalizeWebSearchOptions, getSearchFilterParams } from '../services/webSearch.js';
 
 /**
  * Build web search configuration for request
  * @param {boolean} enabled - Whether web search is enabled for this request
+ * @param {Object} searchOptions - Per-query options (see services/webSearch.js); missing ones use config.webSearch
  * @returns {Object} Web search options to merge into request
  */
-const getWebSearchConfig = (enabled = false) => {
+const getWebSearchConfig = (enabled = false, searchOptions = {}) => {
     if (!enabled) {
         return {};
     }
 
+    const options = normalizeWebSearchOptions(searchOptions);
     const webConfig = {
         plugins: [{
             id: 'web',
-            max_results: config.webSearch.maxResults || 10
+            max_results: options.maxResults,
+            // Recency and domain filters (options with any use the Exa engine)
+            ...getSearchFilterParams(options)
         }]
     };
 
     // Add engine if specified
-    if (config.webSearch.engine) {
-        webConfig.plugins[0].engine = config.webSearch.engine;
+    if (options.engine) {
+        webConfig.plugins[0].engine = options.engine;
     }
 
     // Add search context size for native search
-    if (config.webSearch.searchContextSize) {
+    if (options.searchContextSize) {
         webConfig.web_search_options = {
-            search_context_size: config.webSearch.searchContextSize
+            search_context_size: options.searchContextSize
         };
     }
 
@@ -42,23 +47,25 @@ const getWebSearchConfig = (enabled = false) => {
  * Send a chat completion request
  * @param {Array} messages - Array of message objects {role, content}
  * @param {string} model - Model ID to use
- * @param {Object} options - Additional options (includes webSearchEnabled)
+ * @param {Object} options - Additional options (includes webSearchEnabled, webSearchOptions, and an AbortSignal as signal)
  * @returns {Promise<Object>}
  */
 export const sendMessage = async (messages, model = config.defaultModel, options = {}) => {
-    const { webSearchEnabled, ...restOptions } = options;
-    const webSearchConfig = getWebSearchConfig(webSearchEnabled);
+    const { webSearchEnabled, webSearchOptions, signal, ...restOptions } = options;
+    const webSearchConfig = getWebSearchConfig(webSearchEnabled, webSearchOptions);
 
     const body = {
         model,
         messages,
         ...webSearchConfig,
+        usage: { include: true }, // Adds the cost and token details to `usage`
         ...restOptions
     };
 
     const response = await fetchJSON('/chat', {
         method: 'POST',
-        body: JSON.stringify(body)
+        body: JSON.stringify(body),
+        signal
     });
 
     return response;
@@ -68,18 +75,19 @@ export const sendMessage = async (messages, model = config.defaultModel, options
  * Send a streaming chat completion request
  * @param {Array} messages - Array of message objects {role, content}
  * @param {string} model - Model ID to use
- * @param {Object} callbacks - Callback functions {onChunk, onComplete, onError, onProcessing, onAnnotations}
- * @param {Object} options - Additional options (includes webSearchEnabled)
+ * @param {Object} callbacks - Callback functions {onChunk, onComplete, onError, onProcessing, onAnnotations, onReasoning}
+ * @param {Object} options - Additional options (includes webSearchEnabled, webSearchOptions)
  * @param {AbortController} abortController - Optional abort controller for cancellation
  */
 export const sendMessageStream = async (messages, model = config.defaultModel, callbacks = {}, options = {}, abortController = null) => {
-    const { webSearchEnabled, ...restOptions } = options;
-    const webSearchConfig = getWebSearchConfig(webSearchEnabled);
+    const { webSearchEnabled, webSearchOptions, ...restOptions } = options;
+    const webSearchConfig = getWebSearchConfig(webSearchEnabled, webSearchOptions);
 
     const body = {
         model,
         messages,
         ...webSearchConfig,
+        usage: { include: true }, // Adds the cost and token details to `usage`
         ...restOptions
     };
 
@@ -87,20 +95,16 @@ export const sendMessageStream = async (messages, model = config.defaultModel, c
 };
 
 /**
- * Get available models from OpenRouter
+ * Get available models from OpenRouter (raw OpenRouter model objects)
+ * Callers decide on a fallback; see refreshModels() in services/models.js
  * @returns {Promise<Array>}
+ * @throws {APIError} If the request fails
  */
 export const getModels = async () => {
-    try {
-        const response = await fetchJSON('/models', {
-            method: 'GET'
-        });
-        return response.data || [];
-    } catch (error) {
-        console.error('Failed to fetch models:', error);
-        // Return default models from config if API fails
-        return config.models;
-    }
+    const response = await fetchJSON('/models', {
+        method: 'GET'
+    });
+    return response.data || [];
 };
 
 /**
@@ -118,9 +122,10 @@ export const getModelDetails = async (modelId) => {
  * Handles multimodal content (text + images + PDFs)
  * @param {Array} history - Chat history
  * @param {string} systemPrompt - Optional system prompt
+ * @param {Object} options - { supportsImages: false replaces images with a note, for models without vision }
  * @returns {Array}
  */
-export const formatMessages = (history, systemPrompt = config.chat.systemPrompt) => {
+export const formatMessages = (history, systemPrompt = config.chat.systemPrompt, { supportsImages = true } = {}) => {
     const messages = [];
 
     // Add system prompt if provided
@@ -133,8 +138,12 @@ export const formatMessages = (history, systemPrompt = config.chat.systemPrompt)
 
     // Add conversation history
     history.forEach(msg => {
-        const hasImages = msg.images && msg.images.length > 0;
+        const hasImages = supportsImages && msg.images && msg.images.length > 0;
         const hasPDFs = msg.pdfs && msg.pdfs.length > 0;
+        const omittedImages = !supportsImages && msg.images ? msg.images.length : 0;
+        const text = omittedImages > 0
+            ? `${msg.content}\n\n[${omittedImages} image${omittedImages === 1 ? '' : 's'} omitted: the current model can't read images]`.trim()
+            : msg.content;
 
         // Check if message has multimodal content
         if (hasImages || hasPDFs) {
@@ -142,10 +151,10 @@ export const formatMessages = (history, systemPrompt = config.chat.systemPrompt)
             const content = [];
 
             // Text first (recommended by OpenRouter docs)
-            if (msg.content && msg.content.trim()) {
+            if (text && text.trim()) {
                 content.push({
                     type: 'text',
-                    text: msg.content
+                    text
                 });
             }
 
@@ -182,7 +191,7 @@ export const formatMessages = (history, systemPrompt = config.chat.systemPrompt)
             // Standard text-only message
             messages.push({
                 role: msg.role,
-                content: msg.content
+                content: text
             });
         }
     });
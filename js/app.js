@@ -3,7 +3,6 @@
  * Initializes all components and services
  */
 
-import config from './config.js';
 import eventBus, { Events } from './utils/events.js';
 
 // Components
@@ -11,10 +10,22 @@ import sidebar from './components/sidebar.js';
 import searchBox from './components/searchBox.js';
 import messageList from './components/messageList.js';
 import modelSelector from './components/modelSelector.js';
+import personaPicker from './components/personaPicker.js';
+import reasoningPicker from './components/reasoningPicker.js';
+import comparePicker from './components/comparePicker.js';
+import webSearchOptions from './components/webSearchOptions.js';
 import imageGallery from './components/imageGallery.js';
+import usageDashboard from './components/usageDashboard.js';
+import historySearch from './components/historySearch.js';
+import trashView from './components/trashView.js';
 
 // Services
 import { refreshModels } from './services/models.js';
+import { initStorage } from './services/storage.js';
+import { init as initChat } from './services/chat.js';
+import { init as initImageGen } from './services/imageGen.js';
+import { init as initBudget, isBudgetError } from './services/budget.js';
+import { initSync } from './services/sync.js';
 
 // Only log in development (localhost or explicit debug flag)
 const isDev = window.location.hostname === 'localhost' || 
@@ -30,21 +41,48 @@ const warn = (...args) => isDev && console.warn(...args);
 const init = async () => {
     log('🚀 Initializing Lampira AI...');
 
+    // Setup global error handler (before storage, so open/migration errors are shown)
+    setupErrorHandler();
+
+    // Open storage and restore saved state before anything renders
+    try {
+        const persistent = await initStorage();
+        await initChat();
+        initImageGen();
+
+        if (persistent) {
+            // Other tabs share the database; keep them in step
+            initSync();
+            log('✅ Storage ready');
+        } else {
+            warn('⚠️ Persistent storage unavailable, data will not be saved');
+        }
+    } catch (error) {
+        console.error('❌ Failed to restore saved data:', error);
+    }
+
     // Initialize components
     try {
         sidebar.init();
         searchBox.init();
         messageList.init();
         modelSelector.init();
+        personaPicker.init();
+        reasoningPicker.init();
+        comparePicker.init();
+        webSearchOptions.init();
         imageGallery.init();
+        usageDashboard.init();
+        historySearch.init();
+        trashView.init();
 
         log('✅ Components initialized');
     } catch (error) {
         console.error('❌ Failed to initialize components:', error);
     }
 
-    // Setup global error handler
-    setupErrorHandler();
+    // Load the spending budget once the sidebar can show it
+    initBudget();
 
     // Refresh models list
     try {
@@ -66,12 +104,22 @@ const setupErrorHandler = () => {
 
         let message = 'An error occurred while processing your request.';
 
-        if (error.status === 401) {
+        if (error.status === 429 && error.retryAfter) {
+            showRateLimitCountdown(error.retryAfter);
+            return;
+        }
+
+        if (isBudgetError(error)) {
+            message = error.message;
+        } else if (error.status === 401) {
             message = 'Invalid API key. Please check your OpenRouter API key.';
         } else if (error.status === 429) {
             message = 'Rate limit exceeded. Please wait a moment and try again.';
         } else if (error.status === 402) {
             message = 'Insufficient credits. Please add credits to your OpenRouter account.';
+        } else if (error.status === 400 && Array.isArray(error.data?.fields)) {
+            // Field-level validation errors from the chat proxy
+            message = [error.message, ...error.data.fields.map(({ field, message: detail }) => `• ${field}: ${detail}`)].join('\n');
         } else if (error.message) {
             message = error.message;
         }
@@ -85,7 +133,14 @@ const setupErrorHandler = () => {
 
         let message = 'An error occurred while generating the image.';
 
-        if (error.status === 401) {
+        if (error.status === 429 && error.retryAfter) {
+            showRateLimitCountdown(error.retryAfter);
+            return;
+        }
+
+        if (isBudgetError(error)) {
+            message = error.message;
+        } else if (error.status === 401) {
             message = 'Invalid API key. Please check your Fal.ai API key.';
         } else if (error.status === 429) {
             message = 'Rate limit exceeded. Please wait a moment and try again.';
@@ -96,19 +151,48 @@ const setupErrorHandler = () => {
         // Show error to user
         showNotification(message, 'error');
     });
+
+    // The partial answer was kept; the message list offers to continue it
+    eventBus.on(Events.AI_INTERRUPTED, ({ error }) => {
+        console.error('AI Interrupted:', error);
+        showNotification('The answer was cut off. You can continue it from where it stopped.', 'warning');
+    });
+
+    eventBus.on(Events.STORAGE_ERROR, ({ message, isQuotaError }) => {
+        showNotification(message, isQuotaError ? 'warning' : 'error');
+    });
+
+    // Notifications requested by components
+    eventBus.on(Events.NOTIFY, ({ message, type, duration, action }) => {
+        showNotification(message, type, duration, action);
+    });
 };
 
 /**
  * Show notification to user
  * @param {string} message
  * @param {string} type - 'info', 'success', 'warning', 'error'
+ * @param {number} duration - Time on screen (ms)
+ * @param {{label: string, onClick: Function}|null} action - Optional button (e.g. Undo); clicking it dismisses the notification
+ * @returns {{element: HTMLElement, dismiss: Function}} Element and a function to dismiss it early
  */
-const showNotification = (message, type = 'info') => {
+const showNotification = (message, type = 'info', duration = 5000, action = null) => {
     // Create notification element
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
     notification.textContent = message;
 
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'notification-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            action.onClick();
+            dismiss();
+        });
+        notification.appendChild(button);
+    }
+
     // Add to document
     document.body.appendChild(notification);
 
@@ -117,11 +201,49 @@ const showNotification = (message, type = 'info') => {
         notification.classList.add('show');
     });
 
-    // Remove after delay
-    setTimeout(() => {
+    const dismiss = () => {
+        clearTimeout(timeout);
         notification.classList.remove('show');
         setTimeout(() => notification.remove(), 300);
-    }, 5000);
+    };
+
+    // Remove after delay
+    const timeout = setTimeout(dismiss, duration);
+
+    return { element: notification, dismiss };
+};
+
+// Active rate limit countdown (only one is shown at a time)
+let rateLimitCountdown = null;
+
+/**
+ * Show a notification counting down until requests are allowed again
+ * @param {number} seconds - Seconds from the Retry-After header
+ */
+const showRateLimitCountdown = (seconds) => {
+    if (rateLimitCountdown) {
+        clearInterval(rateLimitCountdown.interval);
+        rateLimitCountdown.dismiss();
+    }
+
+    const until = Date.now() + seconds * 1000;
+    const getText = () => {
+        const remaining = Math.max(Math.ceil((until - Date.now()) / 1000), 0);
+        return `Rate limit reached. You can send again in ${remaining}s.`;
+    };
+
+    const { element, dismiss } = showNotification(getText(), 'warning', seconds * 1000);
+
+    const interval = setInterval(() => {
+        if (Date.now() >= until) {
+            clearInterval(interval);
+            rateLimitCountdown = null;
+            return;
+        }
+        element.textContent = getText();
+    }, 1000);
+
+    rateLimitCountdown = { interval, dismiss };
 };
 
 /**
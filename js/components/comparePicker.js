@@ -0,0 +1,213 @@
+/**
+ * Compare Picker Component
+ * Per-chat list of models that answer side by side, next to the reasoning picker
+ */
+
+import { $, createElement, removeClass, toggleClass } from '../utils/dom.js';
+import eventBus, { Events } from '../utils/events.js';
+import config from '../config.js';
+import { getChatSettings, updateChatSettings } from '../services/chat.js';
+import { getAvailableModels, searchModels, getModelDisplayName, isFavoriteModel } from '../services/models.js';
+import { CHECK_PATH } from '../utils/icons.js';
+
+// DOM Elements
+let compareSelector;
+let compareDropdown;
+let searchInput;
+let compareList;
+let isOpen = false;
+
+/**
+ * Initialize compare picker component
+ */
+export const init = () => {
+    compareSelector = $('.compare-selector');
+
+    if (!compareSelector) return;
+
+    createDropdown();
+    setupEventListeners();
+    updateDisplay();
+
+    const refresh = () => {
+        updateDisplay();
+        updateDropdownList();
+    };
+    eventBus.on(Events.CHAT_SETTINGS_CHANGED, refresh);
+    eventBus.on(Events.CHAT_LOADED, refresh);
+    eventBus.on(Events.CHAT_CLEARED, refresh);
+    eventBus.on(Events.MODELS_LOADED, refresh);
+};
+
+/**
+ * Create dropdown element
+ */
+const createDropdown = () => {
+    compareDropdown = createElement('div', { className: 'model-dropdown compare-dropdown' });
+    compareDropdown.style.display = 'none';
+
+    searchInput = createElement('input', {
+        type: 'text',
+        className: 'model-dropdown-search',
+        placeholder: 'Search models...'
+    });
+    searchInput.addEventListener('input', updateDropdownList);
+
+    compareList = createElement('div', { className: 'model-dropdown-list' });
+
+    compareDropdown.appendChild(searchInput);
+    compareDropdown.appendChild(compareList);
+    compareSelector.parentElement.appendChild(compareDropdown);
+
+    updateDropdownList();
+};
+
+/**
+ * Update dropdown list: the picked models first, then favorites, then the rest
+ */
+const updateDropdownList = () => {
+    if (!compareList) return;
+
+    const { compareModels } = getChatSettings();
+    const { minModels, maxModels } = config.compare;
+    const query = searchInput.value.trim();
+    const models = query ? searchModels(query) : getAvailableModels();
+    const rank = (model) => compareModels.includes(model.id) ? 0 : isFavoriteModel(model.id) ? 1 : 2;
+
+    compareList.innerHTML = '';
+    compareList.appendChild(createElement('div', { className: 'model-dropdown-header' },
+        `Compare ${minModels}-${maxModels} models · ${compareModels.length} picked`));
+
+    if (compareModels.length > 0) {
+        const offItem = createElement('div', { className: 'model-dropdown-item compare-off-item' });
+        offItem.appendChild(createElement('span', { className: 'model-name' }, 'Turn off compare'));
+        offItem.appendChild(createElement('span', { className: 'model-desc' }, 'Answer with the selected model only'));
+        offItem.addEventListener('click', () => {
+            updateChatSettings({ compareModels: [] });
+            closeDropdown();
+        });
+        compareList.appendChild(offItem);
+    }
+
+    if (models.length === 0) {
+        compareList.appendChild(createElement('div', { className: 'model-dropdown-empty' }, 'No models match your search'));
+        return;
+    }
+
+    [...models].sort((a, b) => rank(a) - rank(b)).forEach(model => {
+        const picked = compareModels.includes(model.id);
+        const full = !picked && compareModels.length >= maxModels;
+        const item = createElement('div', {
+            className: `model-dropdown-item compare-item ${picked ? 'active' : ''} ${full ? 'disabled' : ''}`,
+            dataset: { modelId: model.id },
+            title: full ? `Pick at most ${maxModels} models` : ''
+        });
+
+        const row = createElement('div', { className: 'model-item-row' });
+        const check = createElement('span', { className: 'compare-check' });
+        check.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">${CHECK_PATH}</svg>`;
+        row.appendChild(check);
+        row.appendChild(createElement('span', { className: 'model-name' }, model.name));
+        item.appendChild(row);
+
+        item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (!full) toggleModel(model.id);
+        });
+        compareList.appendChild(item);
+    });
+};
+
+/**
+ * Add or remove a model from the current chat's comparison
+ * @param {string} modelId
+ */
+const toggleModel = (modelId) => {
+    const { compareModels } = getChatSettings();
+    const next = compareModels.includes(modelId)
+        ? compareModels.filter(id => id !== modelId)
+        : [...compareModels, modelId].slice(0, config.compare.maxModels);
+    updateChatSettings({ compareModels: next });
+};
+
+/**
+ * Update display with the current chat's comparison
+ * Reads "Compare" until enough models are picked to turn compare mode on.
+ */
+export const updateDisplay = () => {
+    if (!compareSelector) return;
+
+    const { compareModels } = getChatSettings();
+    const enabled = compareModels.length >= config.compare.minModels;
+    toggleClass(compareSelector, 'enabled', enabled);
+
+    const nameSpan = compareSelector.querySelector('.compare-name-text');
+    if (nameSpan) {
+        nameSpan.textContent = enabled ? `Compare: ${compareModels.length} models` : 'Compare';
+    }
+    compareSelector.title = enabled
+        ? `Comparing ${compareModels.map(getModelDisplayName).join(', ')}`
+        : 'Compare models';
+};
+
+/**
+ * Setup event listeners
+ */
+const setupEventListeners = () => {
+    compareSelector.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleDropdown();
+    });
+
+    // The other selectors stop click propagation, so close when they open
+    $('.model-selector')?.addEventListener('click', closeDropdown);
+    $('.persona-selector')?.addEventListener('click', closeDropdown);
+    $('.reasoning-selector')?.addEventListener('click', closeDropdown);
+
+    // Close on outside click
+    document.addEventListener('click', (e) => {
+        if (isOpen && !compareDropdown.contains(e.target)) {
+            closeDropdown();
+        }
+    });
+
+    // Close on escape
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isOpen) {
+            closeDropdown();
+        }
+    });
+};
+
+/**
+ * Toggle dropdown visibility
+ */
+const toggleDropdown = () => {
+    isOpen = !isOpen;
+    compareDropdown.style.display = isOpen ? 'flex' : 'none';
+    toggleClass(compareSelector, 'active', isOpen);
+
+    if (isOpen) {
+        searchInput.value = '';
+        updateDropdownList();
+        searchInput.focus();
+    }
+};
+
+/**
+ * Close dropdown
+ */
+const closeDropdown = () => {
+    if (!compareDropdown) return;
+    isOpen = false;
+    compareDropdown.style.display = 'none';
+    removeClass(compareSelector, 'active');
+};
+
+/**
+ * Check if dropdown is open
+ * @returns {boolean}
+ */
+export const isDropdownOpen = () => isOpen;
+
+export default { init, isDropdownOpen, updateDisplay };
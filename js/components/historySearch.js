@@ -0,0 +1,280 @@
+/**
+ * History Search Component
+ * Every saved chat, searchable by content, title and source titles, with date, model and mode filters
+ */
+
+import { $, createElement, empty } from '../utils/dom.js';
+import eventBus, { Events } from '../utils/events.js';
+import config from '../config.js';
+import { searchChats, getSearchModels } from '../services/chatSearch.js';
+import { SEARCH_PATH } from '../utils/icons.js';
+
+// Date ranges offered by the date filter (days; '' is any time, 'custom' shows date inputs)
+const DATE_RANGES = [
+    { value: '', label: 'Any time' },
+    { value: '1', label: 'Today' },
+    { value: '7', label: 'Last 7 days' },
+    { value: '30', label: 'Last 30 days' },
+    { value: '365', label: 'Last year' },
+    { value: 'custom', label: 'Custom range' }
+];
+
+// Labels of the document a hit was found in
+const HIT_LABELS = {
+    title: 'Title',
+    user: 'You',
+    assistant: 'Lampira',
+    sources: 'Sources'
+};
+
+// DOM Elements
+let mainContent;
+let historyContainer;
+let queryInput;
+let rangeSelect;
+let fromInput;
+let toInput;
+let modelSelect;
+let modeSelect;
+let summaryEl;
+let resultsEl;
+
+// View state
+let isVisible = false;
+let searchTimer = null;
+
+/**
+ * Initialize history search component
+ */
+export const init = () => {
+    mainContent = $('.main-content');
+
+    historyContainer = $('.history-search');
+    if (!historyContainer) {
+        historyContainer = createElement('div', { className: 'history-search' });
+        historyContainer.style.display = 'none';
+        mainContent.appendChild(historyContainer);
+    }
+
+    createHeader();
+
+    eventBus.on(Events.VIEW_CHANGED, handleViewChanged);
+
+    // Keep the results current while the view is open
+    eventBus.on(Events.CHAT_SAVED, () => {
+        if (isVisible) scheduleSearch();
+    });
+};
+
+/**
+ * Handle view changed event
+ * @param {Object} data
+ */
+const handleViewChanged = ({ view }) => {
+    isVisible = view === 'history';
+    historyContainer.style.display = isVisible ? 'block' : 'none';
+    if (!isVisible) return;
+
+    updateModelOptions();
+    render();
+    queryInput.focus();
+};
+
+/**
+ * Create the search box and filters
+ */
+const createHeader = () => {
+    const header = createElement('div', { className: 'history-header' });
+    header.appendChild(createElement('h2', { className: 'history-title' }, 'Search chats'));
+
+    const searchField = createElement('label', { className: 'history-query' });
+    searchField.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${SEARCH_PATH}</svg>`;
+    queryInput = createElement('input', {
+        type: 'search',
+        className: 'history-query-input',
+        placeholder: 'Search messages, titles and sources',
+        'aria-label': 'Search chats'
+    });
+    queryInput.addEventListener('input', scheduleSearch);
+    queryInput.addEventListener('keydown', (e) => {
+        // Enter opens the best match
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            $('.history-hit, .history-result-title', resultsEl)?.click();
+        }
+    });
+    searchField.appendChild(queryInput);
+    header.appendChild(searchField);
+
+    const filters = createElement('div', { className: 'history-filters' });
+
+    rangeSelect = createElement('select', { className: 'history-filter', 'aria-label': 'Date range' });
+    DATE_RANGES.forEach(range => rangeSelect.appendChild(createElement('option', { value: range.value }, range.label)));
+
+    fromInput = createElement('input', { type: 'date', className: 'history-filter history-date', 'aria-label': 'From' });
+    toInput = createElement('input', { type: 'date', className: 'history-filter history-date', 'aria-label': 'To' });
+    const customRange = createElement('span', { className: 'history-custom-range' }, [fromInput, '–', toInput]);
+    customRange.style.display = 'none';
+
+    rangeSelect.addEventListener('change', () => {
+        customRange.style.display = rangeSelect.value === 'custom' ? '' : 'none';
+        render();
+    });
+    fromInput.addEventListener('change', render);
+    toInput.addEventListener('change', render);
+
+    modelSelect = createElement('select', { className: 'history-filter', 'aria-label': 'Model' });
+    modelSelect.addEventListener('change', render);
+
+    modeSelect = createElement('select', { className: 'history-filter', 'aria-label': 'Mode' });
+    [['', 'Chat and web'], ['web', 'Web search'], ['chat', 'Chat only']].forEach(([value, label]) => {
+        modeSelect.appendChild(createElement('option', { value }, label));
+    });
+    modeSelect.addEventListener('change', render);
+
+    filters.appendChild(rangeSelect);
+    filters.appendChild(customRange);
+    filters.appendChild(modelSelect);
+    filters.appendChild(modeSelect);
+    header.appendChild(filters);
+
+    summaryEl = createElement('div', { className: 'history-summary' });
+    resultsEl = createElement('div', { className: 'history-results' });
+
+    historyContainer.appendChild(header);
+    historyContainer.appendChild(summaryEl);
+    historyContainer.appendChild(resultsEl);
+};
+
+/**
+ * Fill the model filter with the models of the saved chats, keeping the selection
+ */
+const updateModelOptions = () => {
+    const selected = modelSelect.value;
+    empty(modelSelect);
+    modelSelect.appendChild(createElement('option', { value: '' }, 'All models'));
+    getSearchModels().forEach(model => {
+        modelSelect.appendChild(createElement('option', { value: model.id }, model.name));
+    });
+    modelSelect.value = [...modelSelect.options].some(option => option.value === selected) ? selected : '';
+};
+
+/**
+ * Search after a pause in typing
+ */
+const scheduleSearch = () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(render, config.chatSearch.searchDelay);
+};
+
+/**
+ * Read the filters from the controls
+ * @returns {Object} { from, to, model, mode } for searchChats()
+ */
+const getFilters = () => {
+    let from = null;
+    let to = null;
+
+    if (rangeSelect.value === 'custom') {
+        // Date inputs are local calendar days; "to" includes the whole day
+        if (fromInput.value) from = new Date(`${fromInput.value}T00:00:00`).getTime();
+        if (toInput.value) to = new Date(`${toInput.value}T23:59:59.999`).getTime();
+    } else if (rangeSelect.value) {
+        from = new Date().setHours(0, 0, 0, 0) - (Number(rangeSelect.value) - 1) * 24 * 60 * 60 * 1000;
+    }
+
+    return { from, to, model: modelSelect.value || null, mode: modeSelect.value || null };
+};
+
+/**
+ * Create an element from snippet segments, with the matched words marked
+ * @param {string} tag
+ * @param {string} className
+ * @param {Array<{text: string, match: boolean}>} segments
+ * @returns {HTMLElement}
+ */
+const createSnippetElement = (tag, className, segments) => createElement(tag, { className },
+    segments.map(segment => segment.match ? createElement('mark', {}, segment.text) : segment.text));
+
+/**
+ * Format a timestamp for a result
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+/**
+ * Ask for a chat to be opened, optionally at a message
+ * @param {string} chatId
+ * @param {string|null} messageId
+ * @param {Array<string>} terms - Search terms to highlight
+ */
+const openChat = (chatId, messageId = null, terms = []) => {
+    eventBus.emit(Events.CHAT_OPEN, { chatId, messageId, terms });
+};
+
+/**
+ * Create one chat's result with its matching messages
+ * @param {Object} result - From searchChats()
+ * @param {Array<string>} terms - Index terms that matched
+ * @returns {HTMLElement}
+ */
+const createResult = (result, terms) => {
+    const item = createElement('article', { className: 'history-result' });
+
+    const titleHit = result.hits.find(hit => hit.field === 'title');
+    const title = titleHit
+        ? createSnippetElement('button', 'history-result-title', titleHit.snippet)
+        : createElement('button', { className: 'history-result-title' }, result.title);
+    title.addEventListener('click', () => openChat(result.chatId, null, terms));
+
+    item.appendChild(createElement('div', { className: 'history-result-header' }, [
+        title,
+        createElement('span', { className: 'history-result-date' }, formatDate(result.updatedAt))
+    ]));
+
+    result.hits.filter(hit => hit.field !== 'title').forEach(hit => {
+        const hitEl = createElement('button', { className: 'history-hit' }, [
+            createElement('span', { className: 'history-hit-label' }, HIT_LABELS[hit.field === 'sources' ? 'sources' : hit.role] || ''),
+            createSnippetElement('span', 'history-hit-snippet', hit.snippet)
+        ]);
+        hitEl.title = `Go to this message (${new Date(hit.timestamp).toLocaleString()})`;
+        hitEl.addEventListener('click', () => openChat(result.chatId, hit.messageId, terms));
+        item.appendChild(hitEl);
+    });
+
+    return item;
+};
+
+/**
+ * Run the search and render the results
+ */
+export const render = () => {
+    if (!historyContainer) return;
+    clearTimeout(searchTimer);
+
+    const query = queryInput.value.trim();
+    const { results, total, terms } = searchChats(query, getFilters());
+
+    empty(resultsEl);
+
+    if (total === 0) {
+        summaryEl.textContent = '';
+        const emptyState = createElement('div', { className: 'history-empty' });
+        emptyState.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">${SEARCH_PATH}</svg>
+            <h3>${query ? 'No matches' : 'No chats'}</h3>
+            <p>${query ? 'Try other words, or loosen the filters.' : 'Saved chats that match the filters will show up here.'}</p>
+        `;
+        resultsEl.appendChild(emptyState);
+        return;
+    }
+
+    const noun = total === 1 ? 'chat' : 'chats';
+    summaryEl.textContent = (query ? `${total} matching ${noun}` : `${total} ${noun}`) +
+        (results.length < total ? `, showing the first ${results.length}` : '');
+
+    results.forEach(result => resultsEl.appendChild(createResult(result, terms)));
+};
+
+export default { init, render };
@@ -5,6 +5,8 @@
 
 import { $, createElement, empty } from '../utils/dom.js';
 import eventBus, { Events } from '../utils/events.js';
+import config from '../config.js';
+import { restoreFromTrash } from '../services/storage.js';
 import { getImages, deleteImage as deleteImageFromStorage } from '../services/imageGen.js';
 import { CLOSE_PATH, TRASH_PATH } from '../utils/icons.js';
 
@@ -33,6 +35,17 @@ export const init = () => {
     eventBus.on(Events.IMAGE_GEN_ERROR, handleGenError);
     eventBus.on(Events.VIEW_CHANGED, handleViewChanged);
 
+    // Show images restored from the trash
+    eventBus.on(Events.TRASH_CHANGED, ({ restored }) => {
+        if (galleryContainer.style.display !== 'none' && restored.some(entry => entry.kind === 'image')) {
+            show();
+        }
+    });
+    // Show images another tab changed (not while this tab's placeholder is showing)
+    eventBus.on(Events.IMAGES_CHANGED, () => {
+        if (galleryContainer.style.display !== 'none' && !currentPlaceholder) show();
+    });
+
     // Render any existing images
     const images = getImages();
     if (images.length > 0) {
@@ -353,11 +366,17 @@ const handleDeleteImage = (image, card) => {
     card.style.opacity = '0';
     card.style.transform = 'scale(0.95)';
 
-    // Remove from storage and DOM after animation
+    // Move to the trash and remove from the DOM after animation
     setTimeout(() => {
-        deleteImageFromStorage(image.id);
+        const trashIds = deleteImageFromStorage(image.id);
         card.remove();
 
+        eventBus.emit(Events.NOTIFY, {
+            message: 'Image moved to trash',
+            duration: config.trash.undoDuration,
+            action: { label: 'Undo', onClick: () => restoreFromTrash(trashIds) }
+        });
+
         // Show empty state if no images left
         const images = getImages();
         if (images.length === 0) {
@@ -3,11 +3,47 @@
  * Renders chat messages with streaming support
  */
 
-import { $, $$, createElement, empty, scrollIntoView, addClass, removeClass } from '../utils/dom.js';
+import { $, $$, createElement, empty, scrollIntoView, addClass, removeClass, toggleClass } from '../utils/dom.js';
 import eventBus, { Events } from '../utils/events.js';
 import { parseMarkdown, highlightCodeBlocks } from '../utils/markdown.js';
-import { getHistory, sendUserMessage } from '../services/chat.js';
-import { icons, USER_PATH, LOGO_PATH, SOURCES_PATH, CHEVRON_DOWN_PATH, COPY_PATH, CHECK_PATH, DOCUMENT_PATH } from '../utils/icons.js';
+import {
+    getHistory,
+    getIsLoading,
+    getBranchInfo,
+    sendUserMessage,
+    editAndResend,
+    regenerateResponse,
+    continueResponse,
+    getAutoContinue,
+    setAutoContinue,
+    switchBranch,
+    getCompareGroup,
+    pickCompareWinner,
+    cancelCompareAnswer
+} from '../services/chat.js';
+import { getModelDisplayName } from '../services/models.js';
+import {
+    USER_PATH,
+    LOGO_PATH,
+    SOURCES_PATH,
+    CHEVRON_DOWN_PATH,
+    CHEVRON_LEFT_PATH,
+    CHEVRON_RIGHT_PATH,
+    COPY_PATH,
+    CHECK_PATH,
+    DOCUMENT_PATH,
+    EDIT_PATH,
+    REFRESH_PATH,
+    TOOL_PATH,
+    BULB_PATH,
+    RESEARCH_PATH,
+    GLOBE_PATH,
+    STOP_PATH,
+    PLAY_PATH
+} from '../utils/icons.js';
+import { summarizeWebSearchOptions } from '../services/webSearch.js';
+import { formatCost, formatTokens } from '../services/usage.js';
+import { findTermMatches } from '../services/chatSearch.js';
 
 // DOM Elements
 let mainContent;
@@ -18,6 +54,9 @@ let searchContainer;
 // Throttled renderers map for streaming performance
 const streamingRenderers = new Map();
 
+// Floating card shown when hovering a citation marker
+let citationCard = null;
+
 /**
  * Throttle function - limits how often a function can be called
  * @param {Function} func - Function to throttle
@@ -67,8 +106,21 @@ export const init = () => {
     eventBus.on(Events.AI_SOURCES_UPDATED, handleSourcesUpdated);
     eventBus.on(Events.CHAT_CLEARED, handleChatCleared);
     eventBus.on(Events.CHAT_LOADED, handleChatLoaded);
+    eventBus.on(Events.CHAT_BRANCH_CHANGED, handleBranchChanged);
     eventBus.on(Events.AI_SUGGESTIONS, handleSuggestions);
     eventBus.on(Events.AI_CANCELLED, handleAICancelled);
+    eventBus.on(Events.AI_TOOL_CALL, handleToolCall);
+    eventBus.on(Events.AI_REASONING, handleReasoning);
+    eventBus.on(Events.AI_RESEARCH_PROGRESS, handleResearchProgress);
+    eventBus.on(Events.AI_FALLBACK, handleFallback);
+    eventBus.on(Events.AI_INTERRUPTED, handleInterrupted);
+    eventBus.on(Events.SETTINGS_CHANGED, handleSettingsChanged);
+    eventBus.on(Events.MESSAGE_FOCUS, handleMessageFocus);
+
+    // Citation markers: hover for the source, click to find its card
+    messageContainer.addEventListener('mouseover', handleCitationHover);
+    messageContainer.addEventListener('mouseout', handleCitationLeave);
+    messageContainer.addEventListener('click', handleCitationClick);
 
     // Render any existing messages
     const history = getHistory();
@@ -89,7 +141,13 @@ const handleChatUpdated = ({ history, message }) => {
 
     if (message) {
         renderMessage(message);
+        if (message.context) {
+            renderContextMarker(history);
+        }
         scrollToBottom();
+    } else {
+        // History was cut back to a branch point (edit/regenerate) - redraw it
+        renderMessages(history);
     }
 };
 
@@ -104,6 +162,7 @@ const handleStreaming = ({ chunk, fullContent, message }) => {
 
     removeClass(messageEl, 'processing');
     addClass(messageEl, 'streaming');
+    finishReasoning(messageEl, message);
 
     const contentEl = $('.message-content', messageEl);
     if (!contentEl) return;
@@ -112,6 +171,7 @@ const handleStreaming = ({ chunk, fullContent, message }) => {
     if (!streamingRenderers.has(message.id)) {
         const throttledUpdate = throttle((content, sources) => {
             contentEl.innerHTML = parseMarkdown(content, sources);
+            updateCitedSources(messageEl);
             scrollToBottom();
         }, 100); // Update HTML max once every 100ms
 
@@ -122,6 +182,246 @@ const handleStreaming = ({ chunk, fullContent, message }) => {
     streamingRenderers.get(message.id)(fullContent, message.sources || []);
 };
 
+/**
+ * Handle reasoning event (thinking tokens streamed before the answer)
+ * The panel opens while the model thinks and folds away once the answer starts.
+ * @param {Object} data
+ */
+const handleReasoning = ({ reasoning, message }) => {
+    const messageEl = $(`[data-message-id="${message.id}"]`);
+    const wrapper = messageEl && $('.message-wrapper', messageEl);
+    if (!wrapper) return;
+
+    let panel = $('.message-reasoning', wrapper);
+    if (!panel) {
+        panel = createReasoningElement(message, { expanded: true });
+        wrapper.insertBefore(panel, $('.message-tool-calls', wrapper) || $('.message-content', wrapper));
+    }
+    if (!panel.classList.contains('thinking')) {
+        addClass(panel, 'thinking');
+        $('.reasoning-label', panel).textContent = 'Thinking...';
+    }
+
+    const key = `${message.id}:reasoning`;
+    if (!streamingRenderers.has(key)) {
+        const bodyEl = $('.reasoning-body', panel);
+        streamingRenderers.set(key, throttle((text) => {
+            bodyEl.innerHTML = parseMarkdown(text);
+            bodyEl.scrollTop = bodyEl.scrollHeight;
+        }, 100));
+    }
+    streamingRenderers.get(key)(reasoning);
+};
+
+/**
+ * Fold the reasoning panel once the model has stopped thinking
+ * @param {HTMLElement} messageEl - Message element
+ * @param {Object} message - Message object
+ */
+const finishReasoning = (messageEl, message) => {
+    const panel = $('.message-reasoning.thinking', messageEl);
+    if (!panel) return;
+
+    streamingRenderers.delete(`${message.id}:reasoning`);
+    removeClass(panel, 'thinking');
+    addClass(panel, 'collapsed');
+    $('.reasoning-label', panel).textContent = getReasoningLabel(message);
+    $('.reasoning-body', panel).innerHTML = parseMarkdown(message.reasoning || '');
+};
+
+/**
+ * Handle research progress event (plan drafted, query finished, report started...)
+ * @param {Object} data
+ */
+const handleResearchProgress = ({ message, research }) => {
+    const messageEl = $(`[data-message-id="${message.id}"]`);
+    const wrapper = messageEl && $('.message-wrapper', messageEl);
+    if (!wrapper) return;
+
+    // Follow the research while it runs; fold it away once the report starts
+    const existing = $('.research-timeline', wrapper);
+    const collapsed = research.status === 'writing' || research.status === 'done'
+        ? true
+        : existing ? existing.classList.contains('collapsed') : false;
+
+    const timeline = createResearchTimeline(research, message.sources || [], { collapsed });
+    if (existing) {
+        existing.replaceWith(timeline);
+    } else {
+        wrapper.insertBefore(timeline, $('.message-content', wrapper));
+    }
+    scrollToBottom();
+};
+
+/**
+ * Handle fallback event (an attempt failed and the request is being retried)
+ * The failed attempt's partial answer is cleared; content and reasoning are swapped for fresh
+ * elements so pending throttled renders of the old text land on detached nodes.
+ * @param {Object} data
+ */
+const handleFallback = ({ message }) => {
+    const messageEl = $(`[data-message-id="${message.id}"]`);
+    const wrapper = messageEl && $('.message-wrapper', messageEl);
+    if (!wrapper) return;
+
+    streamingRenderers.delete(message.id);
+    streamingRenderers.delete(`${message.id}:reasoning`);
+    removeClass(messageEl, 'streaming');
+    addClass(messageEl, 'processing');
+
+    const contentEl = $('.message-content', wrapper);
+    const freshContent = createElement('div', { className: 'message-content' });
+    if (message.content) {
+        freshContent.innerHTML = parseMarkdown(message.content, message.sources || []);
+    } else {
+        freshContent.innerHTML = '<div class="processing-indicator"><div class="shimmer-line"></div><div class="shimmer-line"></div><div class="shimmer-line"></div></div>';
+    }
+    contentEl?.replaceWith(freshContent);
+
+    const reasoningEl = $('.message-reasoning', wrapper);
+    if (reasoningEl) {
+        if (message.reasoning) {
+            reasoningEl.replaceWith(createReasoningElement(message));
+        } else {
+            reasoningEl.remove();
+        }
+    }
+
+    renderFallbackBadge(wrapper, message, { pending: true });
+    scrollToBottom();
+};
+
+/**
+ * Add or update the fallback badge of an answer, above its reasoning and content
+ * @param {HTMLElement} wrapper - Message wrapper
+ * @param {Object} message - Assistant message with attempts
+ * @param {Object} options - { pending: still retrying }
+ */
+const renderFallbackBadge = (wrapper, message, options = {}) => {
+    const existing = $('.message-fallback-badge', wrapper);
+    if (!message.attempts || message.attempts.length === 0) {
+        existing?.remove();
+        return;
+    }
+
+    const badge = createFallbackElement(message, options);
+    if (existing) {
+        existing.replaceWith(badge);
+    } else {
+        $('.message-role', wrapper).after(badge);
+    }
+};
+
+/**
+ * Create the label of an answer that needed retries or another model
+ * @param {Object} message - Assistant message with model and attempts ({ model, status, error, timestamp })
+ * @param {Object} options - { pending: still retrying }
+ * @returns {HTMLElement}
+ */
+const createFallbackElement = (message, { pending = false } = {}) => {
+    const { attempts } = message;
+    const last = attempts[attempts.length - 1];
+    const failedModels = [...new Set(attempts.map(attempt => attempt.model))].filter(model => model !== message.model);
+
+    let text;
+    if (pending) {
+        text = `${getModelDisplayName(last.model)} failed · trying again...`;
+    } else if (failedModels.length > 0) {
+        text = `Answered by ${getModelDisplayName(message.model)} · ${failedModels.map(getModelDisplayName).join(', ')} failed`;
+    } else {
+        text = `${getModelDisplayName(message.model)} · answered after ${attempts.length} failed ${attempts.length === 1 ? 'attempt' : 'attempts'}`;
+    }
+
+    const details = attempts.map(attempt => {
+        const time = new Date(attempt.timestamp).toLocaleTimeString();
+        const status = attempt.status ? ` (${attempt.status})` : '';
+        return `${time} · ${getModelDisplayName(attempt.model)}: ${attempt.error}${status}`;
+    });
+
+    return createElement('div', {
+        className: `message-fallback-badge ${pending ? 'pending' : ''}`,
+        title: details.join('\n')
+    }, text);
+};
+
+/**
+ * Handle interrupted event (every attempt failed after part of the answer was streamed)
+ * The partial answer is shown as finished, with a notice and a Continue button.
+ * @param {Object} data
+ */
+const handleInterrupted = ({ message }) => {
+    handleComplete({ content: message.content, message, sources: message.sources });
+};
+
+/**
+ * Check whether an answer was cut off (by a dropped stream, or by max_tokens) and can be continued
+ * @param {Object} message - Assistant message
+ * @returns {boolean}
+ */
+const isCutOff = (message) => !!message.interrupted || message.finishReason === 'length';
+
+/**
+ * Add, update or remove the notice under an answer that was cut off
+ * @param {HTMLElement} wrapper - Message wrapper
+ * @param {Object} message - Assistant message
+ */
+const renderCutOffNotice = (wrapper, message) => {
+    const existing = $('.message-cutoff', wrapper);
+    if (!isCutOff(message)) {
+        existing?.remove();
+        return;
+    }
+
+    const notice = createCutOffElement(message);
+    if (existing) {
+        existing.replaceWith(notice);
+    } else {
+        $('.message-content', wrapper)?.after(notice);
+    }
+};
+
+/**
+ * Create the notice of an answer that was cut off
+ * A dropped stream shows its error on hover; an answer that reached max_tokens
+ * offers to continue such answers automatically.
+ * @param {Object} message - Assistant message with interrupted ({ error, status, timestamp }) or finishReason 'length'
+ * @returns {HTMLElement}
+ */
+const createCutOffElement = (message) => {
+    const { interrupted } = message;
+    if (interrupted) {
+        const status = interrupted.status ? ` (${interrupted.status})` : '';
+        return createElement('div', {
+            className: 'message-cutoff',
+            title: `${new Date(interrupted.timestamp).toLocaleTimeString()} · ${interrupted.error}${status}`
+        }, 'The answer was cut off. Continue to let the model pick up where it stopped.');
+    }
+
+    const { enabled, maxRounds } = getAutoContinue();
+    const autoToggle = createElement('input', { type: 'checkbox' });
+    autoToggle.checked = enabled;
+    autoToggle.addEventListener('change', () => setAutoContinue(autoToggle.checked));
+
+    return createElement('div', { className: 'message-cutoff truncated' }, [
+        createElement('span', {}, 'The answer reached its length limit. Continue to get the rest.'),
+        createElement('label', {
+            className: 'message-cutoff-auto',
+            title: `Continue answers that reach the limit up to ${maxRounds} ${maxRounds === 1 ? 'time' : 'times'} without asking`
+        }, [autoToggle, 'Continue automatically'])
+    ]);
+};
+
+/**
+ * Handle settings changed event
+ * Keeps the auto-continue checkboxes of every truncated answer in step.
+ */
+const handleSettingsChanged = () => {
+    const { enabled } = getAutoContinue();
+    $$('.message-cutoff-auto input', messageContainer).forEach(input => {
+        input.checked = enabled;
+    });
+};
+
 /**
  * Handle processing event (OpenRouter processing)
  * @param {Object} data
@@ -149,6 +449,7 @@ const handleComplete = ({ content, message, sources }) => {
     if (messageEl) {
         removeClass(messageEl, 'streaming');
         removeClass(messageEl, 'processing');
+        finishReasoning(messageEl, message);
         const contentEl = $('.message-content', messageEl);
         if (contentEl) {
             contentEl.innerHTML = parseMarkdown(content, sources || []);
@@ -157,16 +458,42 @@ const handleComplete = ({ content, message, sources }) => {
             // Add copy buttons to code blocks
             addCopyButtonsToCodeBlocks(contentEl);
         }
-        // Add message actions (copy button) if not already present - before sources
+        // Token usage and cost under the answer (compare columns show their own figures)
         const wrapper = $('.message-wrapper', messageEl);
-        if (wrapper && !$('.message-actions', wrapper)) {
+        if (wrapper && !message.compare) {
+            renderFallbackBadge(wrapper, message);
+        }
+        if (wrapper && message.usage && !message.compare) {
+            const usageEl = createUsageElement(message.usage);
+            const existing = $('.message-usage', wrapper);
+            if (existing) {
+                existing.replaceWith(usageEl);
+            } else if (contentEl) {
+                contentEl.after(usageEl);
+            }
+        }
+        if (wrapper && !message.compare) {
+            renderCutOffNotice(wrapper, message);
+        }
+        // Add message actions (copy button) if not already present - before sources.
+        // A continued answer's actions are rebuilt so its Continue button goes away.
+        const existingActions = wrapper && $('.message-actions', wrapper);
+        if (wrapper && (!existingActions || isCutOff(message) || $('.message-continue-btn', existingActions))) {
             const actionsEl = createMessageActions(message);
-            wrapper.appendChild(actionsEl);
+            if (existingActions) {
+                existingActions.replaceWith(actionsEl);
+            } else {
+                wrapper.appendChild(actionsEl);
+            }
         }
         // Render sources if available (after actions)
         if (sources && sources.length > 0) {
             renderSources(messageEl, sources);
         }
+        updateCitedSources(messageEl);
+        if (message.compare) {
+            updateCompareStats(messageEl, message);
+        }
     }
     scrollToBottom();
 };
@@ -191,7 +518,32 @@ const handleSourcesUpdated = ({ message, sources }) => {
     const messageEl = $(`[data-message-id="${message.id}"]`);
     if (messageEl && sources && sources.length > 0) {
         renderSources(messageEl, sources);
+        updateCitedSources(messageEl);
+    }
+};
+
+/**
+ * Handle tool call event (a tool started or finished running)
+ * @param {Object} data
+ */
+const handleToolCall = ({ message }) => {
+    const messageEl = $(`[data-message-id="${message.id}"]`);
+    const wrapper = messageEl && $('.message-wrapper', messageEl);
+    if (!wrapper) return;
+
+    // Keep cards the user expanded open across re-renders
+    const existing = $('.message-tool-calls', wrapper);
+    const expandedIds = existing
+        ? Array.from($$('.tool-call:not(.collapsed)', existing)).map(el => el.dataset.toolCallId)
+        : [];
+
+    const toolCallsEl = createToolCallsElement(message.toolCalls, expandedIds);
+    if (existing) {
+        existing.replaceWith(toolCallsEl);
+    } else {
+        wrapper.insertBefore(toolCallsEl, $('.message-content', wrapper));
     }
+    scrollToBottom();
 };
 
 /**
@@ -222,6 +574,74 @@ const handleChatLoaded = ({ history }) => {
     scrollToBottom();
 };
 
+/**
+ * Handle branch changed event (user switched to another message version)
+ * @param {Object} data
+ */
+const handleBranchChanged = ({ history, messageId }) => {
+    streamingRenderers.clear();
+    renderMessages(history);
+
+    // Keep the switched message in view instead of jumping to the end
+    const messageEl = $(`[data-message-id="${messageId}"]`);
+    if (messageEl) {
+        scrollIntoView(messageEl, { block: 'nearest' });
+    }
+};
+
+/**
+ * Handle message focus event (a search result was opened)
+ * Scrolls the message into view, flashes it and marks the search terms in its text.
+ * Waits a frame so code highlighting of a just-rendered message runs first.
+ * @param {Object} data
+ */
+const handleMessageFocus = ({ messageId, terms = [] }) => {
+    requestAnimationFrame(() => {
+        const messageEl = $(`[data-message-id="${messageId}"]`);
+        if (!messageEl) return;
+
+        $$('mark.search-match', messageContainer).forEach(mark => mark.replaceWith(...mark.childNodes));
+        const contentEl = $('.message-content', messageEl);
+        if (contentEl && terms.length > 0) {
+            markSearchMatches(contentEl, terms);
+        }
+
+        scrollIntoView(messageEl, { behavior: 'smooth', block: 'center' });
+        removeClass(messageEl, 'message-focused');
+        void messageEl.offsetWidth; // Restart the flash animation
+        addClass(messageEl, 'message-focused');
+    });
+};
+
+/**
+ * Wrap the words of an element's text that match search terms in <mark>
+ * Code blocks are left alone.
+ * @param {HTMLElement} container
+ * @param {Array<string>} terms - Normalized terms (see services/chatSearch.js)
+ */
+const markSearchMatches = (container, terms) => {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => node.parentElement.closest('pre, mark')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+        const matches = findTermMatches(node.nodeValue, terms);
+        // Split from the end so earlier offsets stay valid
+        for (let i = matches.length - 1; i >= 0; i--) {
+            const { start, end } = matches[i];
+            const matchNode = node.splitText(start);
+            matchNode.splitText(end - start);
+            const mark = createElement('mark', { className: 'search-match' });
+            matchNode.replaceWith(mark);
+            mark.appendChild(matchNode);
+        }
+    });
+};
+
 /**
  * Show chat mode (hide brand title)
  */
@@ -269,6 +689,51 @@ const renderMessages = (messages) => {
     messages.forEach(message => {
         renderMessage(message, false);
     });
+    renderContextMarker(messages);
+};
+
+/**
+ * Mark where the context the model saw for the latest answer begins
+ * Shown only when earlier messages were summarized or left out to fit the context window.
+ * @param {Array} messages - Active branch
+ */
+const renderContextMarker = (messages) => {
+    $$('.context-marker', messageContainer).forEach(el => el.remove());
+
+    const index = messages.findLastIndex(m => m.role === 'assistant');
+    const context = messages[index]?.context;
+    if (!context || context.omittedCount === 0) return;
+
+    const startIndex = index - context.keptCount;
+    const firstKept = messages[startIndex];
+    const firstKeptEl = firstKept && $(`[data-message-id="${firstKept.id}"]`, messageContainer);
+    if (!firstKeptEl) return;
+
+    const count = `${context.omittedCount} earlier message${context.omittedCount === 1 ? '' : 's'}`;
+    const summary = context.summarized ? messages[startIndex - 1]?.contextSummary?.text : null;
+
+    const marker = createElement('div', { className: 'context-marker collapsed' });
+    const header = createElement('div', { className: 'context-marker-header' });
+    header.innerHTML = `
+        <span class="context-marker-label">Context compressed</span>
+        <span class="context-marker-detail">${summary ? `${count} summarized` : `${count} not sent to the model`}</span>
+        ${summary ? `<svg class="context-marker-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${CHEVRON_DOWN_PATH}</svg>` : ''}
+    `;
+    marker.appendChild(header);
+
+    if (summary) {
+        addClass(marker, 'has-summary');
+        header.title = 'Show the summary the model saw';
+        header.addEventListener('click', () => {
+            marker.classList.toggle('collapsed');
+        });
+
+        const summaryEl = createElement('div', { className: 'context-marker-summary message-text' });
+        summaryEl.innerHTML = parseMarkdown(summary);
+        marker.appendChild(summaryEl);
+    }
+
+    messageContainer.insertBefore(marker, firstKeptEl);
 };
 
 /**
@@ -277,6 +742,13 @@ const renderMessages = (messages) => {
  * @param {boolean} animate
  */
 const renderMessage = (message, animate = true) => {
+    // Answers of a comparison still waiting for a winner are shown side by side
+    const compareGroup = message.compare ? getCompareGroup(message.id) : null;
+    if (compareGroup?.pending) {
+        renderCompareGroup(compareGroup, animate);
+        return;
+    }
+
     const isUser = message.role === 'user';
     const isStreaming = message.role === 'assistant' && !message.content;
 
@@ -345,10 +817,41 @@ const renderMessage = (message, animate = true) => {
     }
 
     wrapper.appendChild(roleLabel);
+    if (compareGroup) {
+        const others = compareGroup.answers.length - 1;
+        const verdict = compareGroup.winnerId === message.id ? 'picked over' : 'compared with';
+        wrapper.appendChild(createElement('div', { className: 'message-compare-badge' },
+            `${getModelDisplayName(message.model)} · ${verdict} ${others} other ${others === 1 ? 'model' : 'models'}`));
+    }
+    if (!isUser && message.attempts && message.attempts.length > 0) {
+        wrapper.appendChild(createFallbackElement(message));
+    }
+    if (!isUser && message.webSearchOptions) {
+        wrapper.appendChild(createSearchOptionsElement(message.webSearchOptions));
+    }
+    if (message.research) {
+        wrapper.appendChild(createResearchTimeline(message.research, message.sources || [], {
+            collapsed: !!message.content
+        }));
+    }
+    if (message.reasoning) {
+        wrapper.appendChild(createReasoningElement(message));
+    }
+    if (message.toolCalls && message.toolCalls.length > 0) {
+        wrapper.appendChild(createToolCallsElement(message.toolCalls));
+    }
     wrapper.appendChild(content);
+    if (!isUser && isCutOff(message)) {
+        wrapper.appendChild(createCutOffElement(message));
+    }
+    if (!isUser && message.usage) {
+        wrapper.appendChild(createUsageElement(message.usage));
+    }
 
-    // Add message actions for assistant messages (copy button) - before sources
-    if (!isUser && message.content) {
+    // Add message actions (edit for user, copy/regenerate for assistant) - before sources
+    if (isUser) {
+        wrapper.appendChild(createUserMessageActions(message));
+    } else if (message.content) {
         const actionsEl = createMessageActions(message);
         wrapper.appendChild(actionsEl);
     }
@@ -361,6 +864,7 @@ const renderMessage = (message, animate = true) => {
 
     messageEl.appendChild(avatar);
     messageEl.appendChild(wrapper);
+    updateCitedSources(messageEl);
 
     // Add animation class
     if (animate) {
@@ -370,6 +874,388 @@ const renderMessage = (message, animate = true) => {
     messageContainer.appendChild(messageEl);
 };
 
+/**
+ * Get the reasoning panel title for a finished message
+ * @param {Object} message - Message object
+ * @returns {string}
+ */
+const getReasoningLabel = (message) => {
+    if (!message.reasoningDuration) return 'Reasoning';
+    const seconds = Math.max(Math.round(message.reasoningDuration / 1000), 1);
+    return seconds < 60
+        ? `Thought for ${seconds}s`
+        : `Thought for ${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+/**
+ * Create the collapsible reasoning panel of an assistant message
+ * @param {Object} message - Message object (reasoning, reasoningDuration)
+ * @param {Object} options - { expanded: show the text (while streaming) }
+ * @returns {HTMLElement}
+ */
+const createReasoningElement = (message, { expanded = false } = {}) => {
+    const panel = createElement('div', { className: `message-reasoning ${expanded ? '' : 'collapsed'}` });
+
+    const header = createElement('div', { className: 'reasoning-header' });
+    header.innerHTML = `
+        <svg class="reasoning-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${BULB_PATH}</svg>
+        <span class="reasoning-label">${getReasoningLabel(message)}</span>
+        <svg class="reasoning-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${CHEVRON_DOWN_PATH}</svg>
+    `;
+    header.addEventListener('click', () => {
+        panel.classList.toggle('collapsed');
+    });
+
+    const body = createElement('div', { className: 'reasoning-body message-text' });
+    body.innerHTML = parseMarkdown(message.reasoning || '');
+
+    panel.appendChild(header);
+    panel.appendChild(body);
+    return panel;
+};
+
+/**
+ * Create the token usage and cost footer of an answer
+ * @param {Object} usage - Normalized usage (see services/usage.js)
+ * @returns {HTMLElement}
+ */
+const createUsageElement = (usage) => {
+    const parts = [
+        `${formatTokens(usage.promptTokens)} in`,
+        `${formatTokens(usage.completionTokens)} out`,
+        usage.reasoningTokens > 0 && `${formatTokens(usage.reasoningTokens)} reasoning`,
+        usage.cachedTokens > 0 && `${formatTokens(usage.cachedTokens)} cached`,
+        formatCost(usage.cost)
+    ].filter(Boolean);
+
+    const details = [
+        `Prompt: ${usage.promptTokens.toLocaleString()} tokens` +
+            (usage.cachedTokens > 0 ? ` (${usage.cachedTokens.toLocaleString()} from cache)` : ''),
+        `Completion: ${usage.completionTokens.toLocaleString()} tokens` +
+            (usage.reasoningTokens > 0 ? ` (${usage.reasoningTokens.toLocaleString()} reasoning)` : ''),
+        Number.isFinite(usage.cost) ? `Cost: $${usage.cost.toFixed(6)}` : 'Cost: unknown'
+    ];
+
+    return createElement('div', { className: 'message-usage', title: details.join('\n') }, parts.join(' · '));
+};
+
+/**
+ * Get the latency, token and cost figures of a compare answer
+ * @param {Object} message - Answer with compare (firstTokenMs, durationMs) and usage
+ * @returns {Array<string>}
+ */
+const getCompareStats = (message) => {
+    const { compare, usage } = message;
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+    return [
+        Number.isFinite(compare.firstTokenMs) && `${seconds(compare.firstTokenMs)} to first token`,
+        Number.isFinite(compare.durationMs) && `${seconds(compare.durationMs)} total`,
+        usage && `${(usage.promptTokens + usage.completionTokens).toLocaleString()} tokens`,
+        usage && formatCost(usage.cost)
+    ].filter(Boolean);
+};
+
+/**
+ * Refresh the figures under a compare answer
+ * @param {HTMLElement} columnEl - Answer column
+ * @param {Object} message - Answer
+ */
+const updateCompareStats = (columnEl, message) => {
+    const statsEl = $('.compare-stats', columnEl);
+    if (statsEl) {
+        statsEl.textContent = getCompareStats(message).join(' · ');
+    }
+    toggleClass(columnEl, 'failed', message.compare.status === 'error');
+};
+
+/**
+ * Create the column of one answer in a comparison
+ * Has the data-message-id of the answer, so the streaming handlers update it like a message.
+ * @param {Object} message - Answer
+ * @returns {HTMLElement}
+ */
+const createCompareColumn = (message) => {
+    const streaming = message.compare.status === 'streaming';
+    const column = createElement('div', {
+        className: `compare-column ${streaming ? 'streaming' : ''} ${message.compare.status === 'error' ? 'failed' : ''}`,
+        dataset: { messageId: message.id }
+    });
+    const wrapper = createElement('div', { className: 'message-wrapper' });
+
+    // Model name, with a stop button while it streams
+    const header = createElement('div', { className: 'compare-column-header' });
+    header.appendChild(createElement('span', { className: 'compare-model-name' }, getModelDisplayName(message.model)));
+    const stopBtn = createElement('button', { className: 'compare-stop-btn', title: 'Stop this answer' });
+    stopBtn.innerHTML = `<svg viewBox="0 0 24 24" width="12" height="12">${STOP_PATH}</svg>`;
+    stopBtn.addEventListener('click', () => cancelCompareAnswer(message.id));
+    header.appendChild(stopBtn);
+    wrapper.appendChild(header);
+
+    if (message.reasoning) {
+        wrapper.appendChild(createReasoningElement(message));
+    }
+
+    const content = createElement('div', { className: 'message-content' });
+    if (message.content) {
+        const textContent = createElement('div', { className: 'message-text' });
+        textContent.innerHTML = parseMarkdown(message.content, message.sources || []);
+        content.appendChild(textContent);
+        requestAnimationFrame(() => {
+            highlightCodeBlocks(textContent);
+            addCopyButtonsToCodeBlocks(textContent);
+        });
+    } else {
+        content.innerHTML = '<div class="processing-indicator"><div class="shimmer-line"></div><div class="shimmer-line"></div><div class="shimmer-line"></div></div>';
+    }
+    wrapper.appendChild(content);
+
+    wrapper.appendChild(createElement('div', { className: 'compare-stats' }, getCompareStats(message).join(' · ')));
+
+    // Copy and pick (present from the start so the completion handler doesn't add regenerate)
+    const actions = createElement('div', { className: 'message-actions' });
+    const copyBtn = createElement('button', { className: 'message-action-btn', title: 'Copy response' });
+    copyBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${COPY_PATH}</svg><span>Copy</span>`;
+    copyBtn.addEventListener('click', () => {
+        navigator.clipboard.writeText(message.content).catch(() => fallbackCopy(message.content));
+    });
+    const pickBtn = createElement('button', {
+        className: 'message-action-btn message-action-btn-primary',
+        title: 'Continue the conversation with this answer'
+    });
+    pickBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${CHECK_PATH}</svg><span>Use this answer</span>`;
+    pickBtn.addEventListener('click', () => {
+        if (!pickCompareWinner(message.id)) {
+            eventBus.emit(Events.NOTIFY, { message: 'Wait for every model to finish before picking an answer', type: 'info' });
+        }
+    });
+    actions.appendChild(copyBtn);
+    actions.appendChild(pickBtn);
+    wrapper.appendChild(actions);
+
+    if (message.sources && message.sources.length > 0) {
+        wrapper.appendChild(createSourcesElement(message.sources));
+    }
+
+    column.appendChild(wrapper);
+    updateCitedSources(column);
+    return column;
+};
+
+/**
+ * Render the answers of a comparison in columns
+ * @param {Object} group - { answers } from getCompareGroup
+ * @param {boolean} animate
+ */
+const renderCompareGroup = (group, animate = true) => {
+    const groupEl = createElement('div', {
+        className: 'message message-assistant message-compare',
+        dataset: { compareId: group.answers[0]?.parentId || '' }
+    });
+
+    const avatar = createElement('div', { className: 'message-avatar' });
+    avatar.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">${LOGO_PATH}</svg>`;
+
+    const wrapper = createElement('div', { className: 'compare-wrapper' });
+    wrapper.appendChild(createElement('div', { className: 'message-role' },
+        `Comparing ${group.answers.length} models — pick an answer to continue with`));
+
+    const columns = createElement('div', { className: 'compare-columns' });
+    group.answers.forEach(answer => columns.appendChild(createCompareColumn(answer)));
+    wrapper.appendChild(columns);
+
+    groupEl.appendChild(avatar);
+    groupEl.appendChild(wrapper);
+    if (animate) {
+        addClass(groupEl, 'animate-in');
+    }
+    messageContainer.appendChild(groupEl);
+};
+
+/**
+ * Create the line naming the web search options an answer was searched with
+ * @param {Object} options - Normalized web search options
+ * @returns {HTMLElement}
+ */
+const createSearchOptionsElement = (options) => {
+    const summary = summarizeWebSearchOptions(options).join(' · ');
+    const el = createElement('div', { className: 'message-search-options', title: 'Web search options' });
+    el.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="12" height="12">${GLOBE_PATH}</svg><span>${escapeHtml(summary)}</span>`;
+    return el;
+};
+
+// Timeline headings while research runs
+const RESEARCH_PHASES = {
+    planning: 'Planning research...',
+    searching: 'Researching...',
+    writing: 'Writing report...'
+};
+
+/**
+ * Format how long the research took
+ * @param {Object} research - Research record (startedAt, finishedAt)
+ * @returns {string}
+ */
+const formatResearchDuration = (research) => {
+    if (!research.startedAt || !research.finishedAt) return '';
+    const seconds = Math.max(Math.round((research.finishedAt - research.startedAt) / 1000), 1);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+/**
+ * Get the timeline heading for a research record
+ * @param {Object} research - Research record
+ * @param {number} sourceCount - Sources found
+ * @returns {string}
+ */
+const getResearchLabel = (research, sourceCount) => {
+    if (RESEARCH_PHASES[research.status]) return RESEARCH_PHASES[research.status];
+
+    const steps = research.steps || [];
+    const summary = [
+        `${steps.length} ${steps.length === 1 ? 'step' : 'steps'}`,
+        `${sourceCount} ${sourceCount === 1 ? 'source' : 'sources'}`,
+        formatResearchDuration(research)
+    ].filter(Boolean).join(' · ');
+
+    if (research.status === 'cancelled') return `Research cancelled · ${summary}`;
+    if (research.status === 'error') return `Research failed · ${summary}`;
+    return `Researched ${summary}`;
+};
+
+/**
+ * Get a short domain for a source chip
+ * @param {string} url
+ * @returns {string}
+ */
+const getSourceDomain = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return url;
+    }
+};
+
+/**
+ * Create the research timeline of an assistant message
+ * Lists the plan's steps with their queries and the sources each step found.
+ * @param {Object} research - Research record ({ status, steps, startedAt, finishedAt })
+ * @param {Array} sources - Message sources (step sourceIndexes point into this)
+ * @param {Object} options - { collapsed }
+ * @returns {HTMLElement}
+ */
+const createResearchTimeline = (research, sources, { collapsed = false } = {}) => {
+    const running = Boolean(RESEARCH_PHASES[research.status]);
+    const timeline = createElement('div', {
+        className: `research-timeline ${running ? 'running' : ''} ${collapsed ? 'collapsed' : ''}`
+    });
+
+    const header = createElement('div', { className: 'research-header' });
+    header.innerHTML = `
+        <svg class="research-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${RESEARCH_PATH}</svg>
+        <span class="research-label">${escapeHtml(getResearchLabel(research, sources.length))}</span>
+        <svg class="research-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${CHEVRON_DOWN_PATH}</svg>
+    `;
+    header.addEventListener('click', () => {
+        timeline.classList.toggle('collapsed');
+    });
+
+    const stepsList = createElement('ol', { className: 'research-steps' });
+    (research.steps || []).forEach(step => {
+        const stepEl = createElement('li', { className: `research-step ${step.status}` });
+        stepEl.appendChild(createElement('div', { className: 'research-step-title' }, step.title));
+
+        const queries = createElement('div', { className: 'research-queries' });
+        step.queries.forEach(query => {
+            const label = query.status === 'done' ? `${query.text} · ${query.sourceCount}` : query.text;
+            queries.appendChild(createElement('span', {
+                className: `research-query ${query.status}`,
+                title: query.status === 'error' ? 'Search failed' : query.text
+            }, label));
+        });
+        stepEl.appendChild(queries);
+
+        const stepSources = (step.sourceIndexes || []).map(index => sources[index]).filter(Boolean);
+        if (stepSources.length > 0) {
+            const sourcesEl = createElement('div', { className: 'research-step-sources' });
+            stepSources.forEach(source => {
+                const chip = createElement('a', {
+                    className: 'research-source',
+                    href: source.url,
+                    target: '_blank',
+                    rel: 'noopener noreferrer',
+                    title: source.title
+                }, getSourceDomain(source.url));
+                sourcesEl.appendChild(chip);
+            });
+            stepEl.appendChild(sourcesEl);
+        }
+
+        stepsList.appendChild(stepEl);
+    });
+
+    timeline.appendChild(header);
+    timeline.appendChild(stepsList);
+    return timeline;
+};
+
+/**
+ * Pretty-print a JSON string (or return it as-is)
+ * @param {string} text
+ * @returns {string}
+ */
+const formatJSON = (text) => {
+    if (!text) return '';
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+        return text;
+    }
+};
+
+/**
+ * Create the collapsible tool call cards of an assistant message
+ * @param {Array} toolCalls - Tool call records ({ id, name, label, arguments, status, result })
+ * @param {Array<string>} expandedIds - Cards to show expanded
+ * @returns {HTMLElement}
+ */
+const createToolCallsElement = (toolCalls, expandedIds = []) => {
+    const container = createElement('div', { className: 'message-tool-calls' });
+    const statusLabels = { running: 'Running...', done: 'Done', error: 'Failed' };
+
+    toolCalls.forEach(call => {
+        const card = createElement('div', {
+            className: `tool-call tool-call-${call.status} ${expandedIds.includes(call.id) ? '' : 'collapsed'}`,
+            dataset: { toolCallId: call.id }
+        });
+
+        const header = createElement('div', { className: 'tool-call-header' });
+        header.innerHTML = `
+            <svg class="tool-call-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${TOOL_PATH}</svg>
+            <span class="tool-call-name">${escapeHtml(call.label || call.name)}</span>
+            <span class="tool-call-status">${statusLabels[call.status] || ''}</span>
+            <svg class="tool-call-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${CHEVRON_DOWN_PATH}</svg>
+        `;
+        header.addEventListener('click', () => {
+            card.classList.toggle('collapsed');
+        });
+
+        const body = createElement('div', { className: 'tool-call-body' });
+        body.appendChild(createElement('div', { className: 'tool-call-label' }, 'Arguments'));
+        body.appendChild(createElement('pre', { className: 'tool-call-code' }, formatJSON(call.arguments) || '{}'));
+        if (call.result !== null && call.result !== undefined) {
+            body.appendChild(createElement('div', { className: 'tool-call-label' }, 'Result'));
+            body.appendChild(createElement('pre', { className: 'tool-call-code' }, formatJSON(call.result)));
+        }
+
+        card.appendChild(header);
+        card.appendChild(body);
+        container.appendChild(card);
+    });
+
+    return container;
+};
+
 /**
  * Create sources element
  * @param {Array} sources - Array of source objects
@@ -383,6 +1269,7 @@ const createSourcesElement = (sources) => {
         <svg class="sources-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">${SOURCES_PATH}</svg>
         <span>Sources</span>
         <span class="sources-count">${sources.length}</span>
+        <span class="sources-cited"></span>
         <svg class="sources-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">${CHEVRON_DOWN_PATH}</svg>
     `;
 
@@ -400,7 +1287,8 @@ const createSourcesElement = (sources) => {
             className: 'source-card',
             href: source.url,
             target: '_blank',
-            rel: 'noopener noreferrer'
+            rel: 'noopener noreferrer',
+            dataset: { sourceIndex: String(index) }
         });
 
         // Extract favicon URL from source
@@ -426,7 +1314,7 @@ const createSourcesElement = (sources) => {
                 <div class="source-title">${escapeHtml(source.title || domain)}</div>
                 <div class="source-domain">
                     ${faviconUrl ? `<img src="${faviconUrl}" alt="" class="source-favicon" onerror="this.style.display='none'">` : ''}
-                    <span>${domain}</span>
+                    <span>${escapeHtml(domain)}</span>
                 </div>
             </div>
         `;
@@ -439,7 +1327,126 @@ const createSourcesElement = (sources) => {
 };
 
 /**
- * Create message actions element (copy button)
+ * Mark which sources the answer actually cites
+ * Sources that were retrieved but never cited are dimmed, and the header counts the cited ones.
+ * @param {HTMLElement} messageEl - Message element
+ */
+const updateCitedSources = (messageEl) => {
+    const sourcesEl = $('.message-sources', messageEl);
+    if (!sourcesEl) return;
+
+    const cited = new Set(
+        Array.from($$('.message-content .citation', messageEl)).map(el => el.dataset.sourceIndex)
+    );
+    const cards = Array.from($$('.source-card', sourcesEl));
+
+    // Until the answer cites anything, every source counts as cited
+    cards.forEach(card => {
+        const isCited = cited.size === 0 || cited.has(card.dataset.sourceIndex);
+        toggleClass(card, 'cited', isCited && cited.size > 0);
+        toggleClass(card, 'retrieved', !isCited);
+        card.title = isCited ? '' : 'Retrieved but not cited in the answer';
+    });
+
+    const citedLabel = $('.sources-cited', sourcesEl);
+    if (citedLabel) {
+        const citedCount = cards.filter(card => cited.has(card.dataset.sourceIndex)).length;
+        citedLabel.textContent = cited.size > 0 && citedCount < cards.length ? `${citedCount} cited` : '';
+    }
+};
+
+/**
+ * Find the source a citation marker points to
+ * @param {HTMLElement} marker - .citation element
+ * @returns {{messageEl: HTMLElement, source: Object, index: number}|null}
+ */
+const getCitationSource = (marker) => {
+    const messageEl = marker.closest('[data-message-id]');
+    if (!messageEl) return null;
+
+    const message = getHistory().find(m => m.id === messageEl.dataset.messageId);
+    const index = Number(marker.dataset.sourceIndex);
+    const source = message?.sources?.[index];
+    return source ? { messageEl, source, index } : null;
+};
+
+/**
+ * Show the source card for a hovered citation marker
+ * @param {MouseEvent} e
+ */
+const handleCitationHover = (e) => {
+    const marker = e.target.closest('.citation');
+    if (!marker) return;
+
+    const citation = getCitationSource(marker);
+    if (!citation) return;
+
+    const { source, index } = citation;
+    let domain = source.url;
+    try {
+        domain = new URL(source.url).hostname.replace('www.', '');
+    } catch {
+        // Keep the raw URL
+    }
+
+    if (!citationCard) {
+        citationCard = createElement('div', { className: 'citation-card' });
+        document.body.appendChild(citationCard);
+    }
+
+    citationCard.innerHTML = `
+        <div class="citation-card-domain">
+            <img src="https://www.google.com/s2/favicons?domain=${encodeURIComponent(domain)}&sz=32" alt="" class="source-favicon" onerror="this.style.display='none'">
+            <span>${escapeHtml(domain)}</span>
+            <span class="citation-card-number">${index + 1}</span>
+        </div>
+        <div class="citation-card-title">${escapeHtml(source.title || domain)}</div>
+        ${source.snippet ? `<div class="citation-card-snippet">${escapeHtml(source.snippet)}</div>` : ''}
+    `;
+
+    // Above the marker, or below it near the top of the window
+    const rect = marker.getBoundingClientRect();
+    citationCard.style.display = 'block';
+    const cardHeight = citationCard.offsetHeight;
+    const left = Math.min(Math.max(rect.left - 12, 8), window.innerWidth - citationCard.offsetWidth - 8);
+    const top = rect.top - cardHeight - 8 >= 8 ? rect.top - cardHeight - 8 : rect.bottom + 8;
+    citationCard.style.left = `${left}px`;
+    citationCard.style.top = `${top}px`;
+};
+
+/**
+ * Hide the citation hover card
+ * @param {MouseEvent} e
+ */
+const handleCitationLeave = (e) => {
+    if (citationCard && e.target.closest('.citation')) {
+        citationCard.style.display = 'none';
+    }
+};
+
+/**
+ * Open the sources list and highlight the card of a clicked citation marker
+ * @param {MouseEvent} e
+ */
+const handleCitationClick = (e) => {
+    const marker = e.target.closest('.citation');
+    if (!marker) return;
+
+    const citation = getCitationSource(marker);
+    const sourcesEl = citation && $('.message-sources', citation.messageEl);
+    const card = sourcesEl && $(`.source-card[data-source-index="${citation.index}"]`, sourcesEl);
+    if (!card) return;
+
+    e.preventDefault();
+    removeClass(sourcesEl, 'collapsed');
+    $$('.source-card.highlighted', messageContainer).forEach(el => removeClass(el, 'highlighted'));
+    addClass(card, 'highlighted');
+    scrollIntoView(card, { block: 'nearest' });
+    setTimeout(() => removeClass(card, 'highlighted'), 2000);
+};
+
+/**
+ * Create message actions element (copy, regenerate and version navigation)
  * @param {Object} message - Message object
  * @returns {HTMLElement}
  */
@@ -475,10 +1482,215 @@ const createMessageActions = (message) => {
         }
     });
 
+    // Regenerate button (the previous answer is kept as another version)
+    const regenerateBtn = createElement('button', {
+        className: 'message-action-btn',
+        title: 'Regenerate response'
+    });
+    regenerateBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${REFRESH_PATH}</svg><span>Regenerate</span>`;
+
+    regenerateBtn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        try {
+            await regenerateResponse(message.id);
+        } catch (error) {
+            console.error('Failed to regenerate response:', error);
+            // API failures are already reported through AI_ERROR
+            if (error.name !== 'APIError') {
+                eventBus.emit(Events.NOTIFY, { message: error.message, type: 'error' });
+            }
+        }
+    });
+
+    // Continue button (an answer that was cut off, extended in place)
+    if (isCutOff(message) && !message.compare) {
+        const continueBtn = createElement('button', {
+            className: 'message-action-btn message-action-btn-primary message-continue-btn',
+            title: 'Let the model pick up where it stopped'
+        });
+        continueBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${PLAY_PATH}</svg><span>Continue</span>`;
+
+        continueBtn.addEventListener('click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            const messageEl = continueBtn.closest('.message');
+            continueBtn.disabled = true;
+            addClass(messageEl, 'streaming');
+            $('.message-cutoff', messageEl)?.remove();
+
+            try {
+                await continueResponse(message.id);
+            } catch (error) {
+                console.error('Failed to continue response:', error);
+                continueBtn.disabled = false;
+                removeClass(messageEl, 'streaming');
+                renderCutOffNotice($('.message-wrapper', messageEl), message);
+                // API failures are already reported through AI_ERROR
+                if (error.name !== 'APIError') {
+                    eventBus.emit(Events.NOTIFY, { message: error.message, type: 'error' });
+                }
+            }
+        });
+
+        actionsContainer.appendChild(continueBtn);
+    }
+
     actionsContainer.appendChild(copyBtn);
+    actionsContainer.appendChild(regenerateBtn);
+    appendBranchNav(actionsContainer, message);
     return actionsContainer;
 };
 
+/**
+ * Create user message actions element (edit and version navigation)
+ * @param {Object} message - Message object
+ * @returns {HTMLElement}
+ */
+const createUserMessageActions = (message) => {
+    const actionsContainer = createElement('div', { className: 'message-actions' });
+
+    const editBtn = createElement('button', {
+        className: 'message-action-btn',
+        title: 'Edit message'
+    });
+    editBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${EDIT_PATH}</svg><span>Edit</span>`;
+
+    editBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        startEditing(message);
+    });
+
+    actionsContainer.appendChild(editBtn);
+    appendBranchNav(actionsContainer, message);
+    return actionsContainer;
+};
+
+/**
+ * Append "< 2/3 >" version navigation if the message has alternate versions
+ * @param {HTMLElement} actionsContainer - Message actions element
+ * @param {Object} message - Message object
+ */
+const appendBranchNav = (actionsContainer, message) => {
+    const { index, total } = getBranchInfo(message.id);
+    if (total < 2) return;
+
+    const nav = createElement('div', { className: 'message-branch-nav' });
+
+    const prevBtn = createElement('button', {
+        className: 'branch-nav-btn',
+        title: 'Previous version'
+    });
+    prevBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${CHEVRON_LEFT_PATH}</svg>`;
+    prevBtn.disabled = index === 0;
+
+    const label = createElement('span', { className: 'branch-nav-label' }, `${index + 1}/${total}`);
+
+    const nextBtn = createElement('button', {
+        className: 'branch-nav-btn',
+        title: 'Next version'
+    });
+    nextBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">${CHEVRON_RIGHT_PATH}</svg>`;
+    nextBtn.disabled = index === total - 1;
+
+    prevBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        switchBranch(message.id, -1);
+    });
+
+    nextBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        switchBranch(message.id, 1);
+    });
+
+    nav.appendChild(prevBtn);
+    nav.appendChild(label);
+    nav.appendChild(nextBtn);
+
+    actionsContainer.appendChild(nav);
+    addClass(actionsContainer, 'has-branches');
+};
+
+/**
+ * Replace a user message with an inline editor
+ * Sending the edit creates a new version of the message; the original is kept
+ * @param {Object} message - Message object
+ */
+const startEditing = (message) => {
+    if (getIsLoading()) return;
+
+    const messageEl = $(`[data-message-id="${message.id}"]`);
+    if (!messageEl || $('.message-edit', messageEl)) return;
+
+    const contentEl = $('.message-content', messageEl);
+    const actionsEl = $('.message-actions', messageEl);
+
+    const editor = createElement('div', { className: 'message-edit' });
+    const textarea = createElement('textarea', {
+        className: 'message-edit-input',
+        rows: '3'
+    });
+    textarea.value = message.content;
+
+    const controls = createElement('div', { className: 'message-edit-controls' });
+    const cancelBtn = createElement('button', { className: 'message-action-btn' }, 'Cancel');
+    const sendBtn = createElement('button', { className: 'message-action-btn message-action-btn-primary' }, 'Send');
+
+    const stopEditing = () => {
+        editor.remove();
+        if (contentEl) contentEl.style.display = '';
+        if (actionsEl) actionsEl.style.display = '';
+    };
+
+    const submitEdit = async () => {
+        const newContent = textarea.value.trim();
+        const hasAttachments = message.images?.length > 0 || message.pdfs?.length > 0;
+        if (!newContent && !hasAttachments) return;
+
+        if (newContent === message.content.trim()) {
+            stopEditing();
+            return;
+        }
+
+        try {
+            await editAndResend(message.id, newContent);
+        } catch (error) {
+            console.error('Failed to edit message:', error);
+            // API failures are already reported through AI_ERROR
+            if (error.name !== 'APIError') {
+                eventBus.emit(Events.NOTIFY, { message: error.message, type: 'error' });
+            }
+        }
+    };
+
+    cancelBtn.addEventListener('click', stopEditing);
+    sendBtn.addEventListener('click', submitEdit);
+
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            submitEdit();
+        } else if (e.key === 'Escape') {
+            stopEditing();
+        }
+    });
+
+    controls.appendChild(cancelBtn);
+    controls.appendChild(sendBtn);
+    editor.appendChild(textarea);
+    editor.appendChild(controls);
+
+    if (contentEl) contentEl.style.display = 'none';
+    if (actionsEl) actionsEl.style.display = 'none';
+    $('.message-wrapper', messageEl).appendChild(editor);
+    textarea.focus();
+};
+
 /**
  * Render or update sources for a message
  * @param {HTMLElement} messageEl - Message element
@@ -642,6 +1854,9 @@ const renderSuggestions = (messageEl, suggestions) => {
                 await sendUserMessage(suggestion);
             } catch (error) {
                 console.error('Failed to send suggestion:', error);
+                if (error.name !== 'APIError') {
+                    eventBus.emit(Events.NOTIFY, { message: error.message, type: 'error' });
+                }
             }
         });
 
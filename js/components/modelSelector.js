@@ -3,13 +3,25 @@
  * Handles model selection dropdown
  */
 
-import { $, $$, createElement, addClass, removeClass, toggleClass } from '../utils/dom.js';
+import { $, $$, createElement, removeClass, toggleClass } from '../utils/dom.js';
 import eventBus, { Events } from '../utils/events.js';
-import { getModel, setModel, getAvailableModels, getModelDisplayName, refreshModels } from '../services/models.js';
+import {
+    getModel,
+    setModel,
+    getAvailableModels,
+    getModelDisplayName,
+    refreshModels,
+    searchModels,
+    isFavoriteModel,
+    toggleFavoriteModel
+} from '../services/models.js';
+import { STAR_PATH } from '../utils/icons.js';
 
 // DOM Elements
 let modelSelector;
 let modelDropdown;
+let searchInput;
+let modelList;
 let isOpen = false;
 
 /**
@@ -28,7 +40,11 @@ export const init = () => {
 
     // Subscribe to events
     eventBus.on(Events.MODEL_CHANGED, updateDisplay);
-    eventBus.on(Events.MODELS_LOADED, updateDropdownList);
+    eventBus.on(Events.MODELS_LOADED, () => {
+        updateDisplay();
+        updateDropdownList();
+    });
+    eventBus.on(Events.MODEL_FAVORITES_CHANGED, updateDropdownList);
 
     // Fetch models from API
     refreshModels();
@@ -41,6 +57,25 @@ const createDropdown = () => {
     modelDropdown = createElement('div', { className: 'model-dropdown' });
     modelDropdown.style.display = 'none';
 
+    searchInput = createElement('input', {
+        type: 'text',
+        className: 'model-dropdown-search',
+        placeholder: 'Search models...'
+    });
+    searchInput.addEventListener('input', updateDropdownList);
+    searchInput.addEventListener('keydown', (e) => {
+        // Enter picks the first match
+        if (e.key === 'Enter') {
+            const first = $('.model-dropdown-item', modelList);
+            if (first) handleModelSelect(first.dataset.modelId);
+        }
+    });
+
+    modelList = createElement('div', { className: 'model-dropdown-list' });
+
+    modelDropdown.appendChild(searchInput);
+    modelDropdown.appendChild(modelList);
+
     // Position relative to selector
     const parent = modelSelector.parentElement;
     parent.style.position = 'relative';
@@ -49,50 +84,132 @@ const createDropdown = () => {
     updateDropdownList();
 };
 
+/**
+ * Format a context length for display
+ * @param {number} tokens
+ * @returns {string}
+ */
+const formatContextLength = (tokens) => {
+    if (tokens >= 1000000) return `${+(tokens / 1000000).toFixed(1)}M`;
+    return `${Math.round(tokens / 1000)}K`;
+};
+
+/**
+ * Format per-token pricing as USD per million tokens
+ * @param {Object|null} pricing - { prompt, completion } in USD per token
+ * @returns {string}
+ */
+const formatPricing = (pricing) => {
+    if (!pricing || pricing.prompt === null || pricing.completion === null) return '';
+    if (pricing.prompt === 0 && pricing.completion === 0) return 'Free';
+
+    const perMillion = (price) => `$${+(price * 1000000).toFixed(2)}`;
+    return `${perMillion(pricing.prompt)} / ${perMillion(pricing.completion)} per 1M`;
+};
+
+/**
+ * Create a dropdown item for a model
+ * @param {Object} model - Normalized model
+ * @param {string} currentModel - Selected model ID
+ * @returns {HTMLElement}
+ */
+const createModelItem = (model, currentModel) => {
+    const item = createElement('div', {
+        className: `model-dropdown-item ${model.id === currentModel ? 'active' : ''}`,
+        dataset: { modelId: model.id }
+    });
+
+    // Name row with favorite toggle
+    const row = createElement('div', { className: 'model-item-row' });
+    const name = createElement('span', { className: 'model-name' }, model.name);
+
+    const favorite = isFavoriteModel(model.id);
+    const favoriteBtn = createElement('button', {
+        className: `model-favorite-btn ${favorite ? 'active' : ''}`,
+        title: favorite ? 'Remove from favorites' : 'Add to favorites'
+    });
+    favoriteBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="${favorite ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">${STAR_PATH}</svg>`;
+    favoriteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleFavoriteModel(model.id);
+    });
+
+    row.appendChild(name);
+    row.appendChild(favoriteBtn);
+    item.appendChild(row);
+
+    // Capability badges
+    const badges = [
+        model.supportsVision && 'Vision',
+        model.supportsPdf && 'PDF',
+        model.supportsWebSearch && 'Web search',
+        model.supportedParameters.includes('reasoning') && 'Reasoning'
+    ].filter(Boolean);
+
+    // Context window and price
+    const meta = [
+        model.contextLength && `${formatContextLength(model.contextLength)} context`,
+        formatPricing(model.pricing)
+    ].filter(Boolean).join(' · ');
+
+    if (badges.length > 0 || meta) {
+        const details = createElement('div', { className: 'model-item-details' });
+        badges.forEach(badge => {
+            details.appendChild(createElement('span', { className: 'model-badge' }, badge));
+        });
+        if (meta) {
+            details.appendChild(createElement('span', { className: 'model-desc' }, meta));
+        }
+        item.appendChild(details);
+    }
+
+    item.addEventListener('click', () => handleModelSelect(model.id));
+    return item;
+};
+
 /**
  * Update dropdown list with available models
+ * Favorites come first, then models grouped by provider; the search box filters both.
  */
 const updateDropdownList = () => {
-    if (!modelDropdown) return;
+    if (!modelList) return;
 
-    const models = getAvailableModels();
+    const query = searchInput.value.trim();
+    const models = query ? searchModels(query) : getAvailableModels();
     const currentModel = getModel();
 
-    modelDropdown.innerHTML = '';
+    modelList.innerHTML = '';
+
+    if (models.length === 0) {
+        modelList.appendChild(createElement('div', { className: 'model-dropdown-empty' }, 'No models match your search'));
+        return;
+    }
+
+    const groups = [];
+
+    const favorites = models.filter(model => isFavoriteModel(model.id));
+    if (favorites.length > 0) {
+        groups.push(['Favorites', favorites]);
+    }
 
     // Group by provider
     const grouped = {};
     models.forEach(model => {
-        const provider = model.id.split('/')[0] || 'other';
-        if (!grouped[provider]) {
-            grouped[provider] = [];
+        if (!grouped[model.provider]) {
+            grouped[model.provider] = [];
         }
-        grouped[provider].push(model);
+        grouped[model.provider].push(model);
     });
 
-    // Render groups
-    Object.entries(grouped).forEach(([provider, providerModels]) => {
-        // Provider header
-        const header = createElement('div', { className: 'model-dropdown-header' }, formatProviderName(provider));
-        modelDropdown.appendChild(header);
-
-        // Models
-        providerModels.forEach(model => {
-            const item = createElement('div', {
-                className: `model-dropdown-item ${model.id === currentModel ? 'active' : ''}`,
-                dataset: { modelId: model.id }
-            });
-
-            const name = createElement('span', { className: 'model-name' }, model.name);
-            const desc = createElement('span', { className: 'model-desc' }, model.description || '');
-
-            item.appendChild(name);
-            if (model.description) {
-                item.appendChild(desc);
-            }
+    Object.keys(grouped)
+        .sort((a, b) => formatProviderName(a).localeCompare(formatProviderName(b)))
+        .forEach(provider => groups.push([formatProviderName(provider), grouped[provider]]));
 
-            item.addEventListener('click', () => handleModelSelect(model.id));
-            modelDropdown.appendChild(item);
+    // Render groups
+    groups.forEach(([label, groupModels]) => {
+        modelList.appendChild(createElement('div', { className: 'model-dropdown-header' }, label));
+        groupModels.forEach(model => {
+            modelList.appendChild(createModelItem(model, currentModel));
         });
     });
 };
@@ -109,6 +226,7 @@ const formatProviderName = (provider) => {
         'google': 'Google',
         'meta-llama': 'Meta',
         'mistralai': 'Mistral',
+        'deepseek': 'DeepSeek',
         'x-ai': 'xAI'
     };
     return names[provider] || provider.charAt(0).toUpperCase() + provider.slice(1);
@@ -124,6 +242,11 @@ const setupEventListeners = () => {
         toggleDropdown();
     });
 
+    // The persona and reasoning pickers stop click propagation, so close when they open
+    $('.persona-selector')?.addEventListener('click', closeDropdown);
+    $('.reasoning-selector')?.addEventListener('click', closeDropdown);
+    $('.compare-selector')?.addEventListener('click', closeDropdown);
+
     // Close on outside click
     document.addEventListener('click', (e) => {
         if (isOpen && !modelDropdown.contains(e.target)) {
@@ -144,8 +267,14 @@ const setupEventListeners = () => {
  */
 const toggleDropdown = () => {
     isOpen = !isOpen;
-    modelDropdown.style.display = isOpen ? 'block' : 'none';
+    modelDropdown.style.display = isOpen ? 'flex' : 'none';
     toggleClass(modelSelector, 'active', isOpen);
+
+    if (isOpen) {
+        searchInput.value = '';
+        updateDropdownList();
+        searchInput.focus();
+    }
 };
 
 /**
@@ -180,11 +309,6 @@ const updateDisplay = () => {
     const modelId = getModel();
     const displayName = getModelDisplayName(modelId);
 
-    // Find the text node in model selector
-    const textNodes = Array.from(modelSelector.childNodes)
-        .filter(node => node.nodeType === Node.TEXT_NODE ||
-            (node.nodeType === Node.ELEMENT_NODE && !node.querySelector('svg')));
-
     // Update the model name text
     const modelNameSpan = modelSelector.querySelector('.model-name-text');
     if (modelNameSpan) {
@@ -0,0 +1,404 @@
+/**
+ * Persona Picker Component
+ * Persona dropdown next to the model selector, and the editor for personas and per-chat prompts
+ */
+
+import { $, createElement, removeClass, toggleClass } from '../utils/dom.js';
+import eventBus, { Events } from '../utils/events.js';
+import {
+    TEMPLATE_VARIABLES,
+    getPersonas,
+    getPersona,
+    createPersona,
+    updatePersona,
+    deletePersona,
+    getUserName,
+    setUserName,
+    getTemplateValues,
+    renderPromptTemplate
+} from '../services/personas.js';
+import { getChatSettings, updateChatSettings } from '../services/chat.js';
+import { getModel } from '../services/models.js';
+import { EDIT_PATH, PLUS_PATH, CLOSE_PATH } from '../utils/icons.js';
+
+// DOM Elements
+let personaSelector;
+let personaDropdown;
+let personaList;
+let isOpen = false;
+
+/**
+ * Initialize persona picker component
+ */
+export const init = () => {
+    personaSelector = $('.persona-selector');
+
+    if (!personaSelector) return;
+
+    createDropdown();
+    setupEventListeners();
+    updateDisplay();
+
+    // The picker shows the current chat's persona
+    const refresh = () => {
+        updateDisplay();
+        updateDropdownList();
+    };
+    eventBus.on(Events.CHAT_SETTINGS_CHANGED, refresh);
+    eventBus.on(Events.CHAT_LOADED, refresh);
+    eventBus.on(Events.CHAT_CLEARED, refresh);
+    eventBus.on(Events.PERSONAS_CHANGED, refresh);
+};
+
+/**
+ * Create dropdown element
+ */
+const createDropdown = () => {
+    personaDropdown = createElement('div', { className: 'model-dropdown persona-dropdown' });
+    personaDropdown.style.display = 'none';
+
+    personaList = createElement('div', { className: 'model-dropdown-list' });
+    personaDropdown.appendChild(personaList);
+
+    const newBtn = createElement('button', { className: 'persona-dropdown-action' });
+    newBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${PLUS_PATH}</svg><span>New persona</span>`;
+    newBtn.addEventListener('click', () => {
+        closeDropdown();
+        openEditor({ mode: 'persona' });
+    });
+    personaDropdown.appendChild(newBtn);
+
+    personaSelector.parentElement.appendChild(personaDropdown);
+
+    updateDropdownList();
+};
+
+/**
+ * Get a one-line description for a persona
+ * @param {Object} persona
+ * @returns {string}
+ */
+const describePersona = (persona) => {
+    if (persona.description) return persona.description;
+    const firstLine = persona.prompt.split('\n')[0];
+    return firstLine.length > 60 ? firstLine.slice(0, 60) + '...' : firstLine;
+};
+
+/**
+ * Create a dropdown item
+ * @param {Object} options - { label, description, active, onSelect, onEdit }
+ * @returns {HTMLElement}
+ */
+const createItem = ({ label, description, active, onSelect, onEdit = null }) => {
+    const item = createElement('div', {
+        className: `model-dropdown-item ${active ? 'active' : ''}`
+    });
+
+    const row = createElement('div', { className: 'model-item-row' });
+    row.appendChild(createElement('span', { className: 'model-name' }, label));
+
+    if (onEdit) {
+        const editBtn = createElement('button', { className: 'persona-edit-btn', title: 'Edit' });
+        editBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${EDIT_PATH}</svg>`;
+        editBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeDropdown();
+            onEdit();
+        });
+        row.appendChild(editBtn);
+    }
+
+    item.appendChild(row);
+    if (description) {
+        item.appendChild(createElement('span', { className: 'model-desc' }, description));
+    }
+
+    item.addEventListener('click', onSelect);
+    return item;
+};
+
+/**
+ * Update dropdown list with personas and the per-chat prompt
+ */
+const updateDropdownList = () => {
+    if (!personaList) return;
+
+    const settings = getChatSettings();
+    const hasChatPrompt = Boolean(settings.systemPrompt);
+
+    personaList.innerHTML = '';
+    personaList.appendChild(createElement('div', { className: 'model-dropdown-header' }, 'Personas'));
+
+    getPersonas().forEach(persona => {
+        personaList.appendChild(createItem({
+            label: persona.name,
+            description: describePersona(persona),
+            active: !hasChatPrompt && persona.id === settings.personaId,
+            onSelect: () => handlePersonaSelect(persona.id),
+            onEdit: persona.builtIn ? null : () => openEditor({ mode: 'persona', persona })
+        }));
+    });
+
+    personaList.appendChild(createElement('div', { className: 'model-dropdown-header' }, 'This chat'));
+    personaList.appendChild(createItem({
+        label: hasChatPrompt ? 'Custom prompt (active)' : 'Custom prompt...',
+        description: 'A system prompt for this chat only',
+        active: hasChatPrompt,
+        onSelect: () => {
+            closeDropdown();
+            openEditor({ mode: 'chat' });
+        }
+    }));
+};
+
+/**
+ * Handle persona selection
+ * @param {string} personaId
+ */
+const handlePersonaSelect = (personaId) => {
+    updateChatSettings({ personaId, systemPrompt: null });
+    closeDropdown();
+};
+
+/**
+ * Update display with the current chat's persona
+ */
+const updateDisplay = () => {
+    if (!personaSelector) return;
+
+    const settings = getChatSettings();
+    const label = settings.systemPrompt
+        ? 'Custom prompt'
+        : getPersona(settings.personaId)?.name || 'Persona';
+
+    const nameSpan = personaSelector.querySelector('.persona-name-text');
+    if (nameSpan) nameSpan.textContent = label;
+};
+
+/**
+ * Setup event listeners
+ */
+const setupEventListeners = () => {
+    personaSelector.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleDropdown();
+    });
+
+    // The model and reasoning selectors stop click propagation, so close when they open
+    $('.model-selector')?.addEventListener('click', closeDropdown);
+    $('.reasoning-selector')?.addEventListener('click', closeDropdown);
+    $('.compare-selector')?.addEventListener('click', closeDropdown);
+
+    // Close on outside click
+    document.addEventListener('click', (e) => {
+        if (isOpen && !personaDropdown.contains(e.target)) {
+            closeDropdown();
+        }
+    });
+
+    // Close on escape
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isOpen) {
+            closeDropdown();
+        }
+    });
+};
+
+/**
+ * Toggle dropdown visibility
+ */
+const toggleDropdown = () => {
+    isOpen = !isOpen;
+    personaDropdown.style.display = isOpen ? 'flex' : 'none';
+    toggleClass(personaSelector, 'active', isOpen);
+
+    if (isOpen) {
+        updateDropdownList();
+    }
+};
+
+/**
+ * Close dropdown
+ */
+const closeDropdown = () => {
+    isOpen = false;
+    personaDropdown.style.display = 'none';
+    removeClass(personaSelector, 'active');
+};
+
+/**
+ * Insert text at the textarea cursor
+ * @param {HTMLTextAreaElement} textarea
+ * @param {string} text
+ */
+const insertAtCursor = (textarea, text) => {
+    const { selectionStart, selectionEnd, value } = textarea;
+    textarea.value = value.slice(0, selectionStart) + text + value.slice(selectionEnd);
+    textarea.selectionStart = textarea.selectionEnd = selectionStart + text.length;
+    textarea.focus();
+    textarea.dispatchEvent(new Event('input'));
+};
+
+/**
+ * Open the editor for a persona or for the current chat's prompt
+ * @param {Object} options
+ * @param {string} options.mode - 'persona' or 'chat'
+ * @param {Object} options.persona - Persona to edit (omit to create one)
+ */
+const openEditor = ({ mode, persona = null }) => {
+    const isChatPrompt = mode === 'chat';
+    const settings = getChatSettings();
+
+    const modal = createElement('div', { className: 'persona-modal' });
+    const panel = createElement('div', { className: 'persona-modal-panel' });
+
+    // Header
+    const header = createElement('div', { className: 'persona-modal-header' });
+    const title = isChatPrompt ? 'System prompt for this chat' : persona ? 'Edit persona' : 'New persona';
+    header.appendChild(createElement('h2', { className: 'persona-modal-title' }, title));
+    const closeBtn = createElement('button', { className: 'persona-modal-close', title: 'Close' });
+    closeBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${CLOSE_PATH}</svg>`;
+    header.appendChild(closeBtn);
+    panel.appendChild(header);
+
+    // Name
+    let nameInput = null;
+    if (!isChatPrompt) {
+        nameInput = createElement('input', {
+            type: 'text',
+            className: 'persona-input',
+            placeholder: 'Name, e.g. Code reviewer',
+            maxlength: '60'
+        });
+        nameInput.value = persona?.name || '';
+        panel.appendChild(createElement('label', { className: 'persona-label' }, ['Name', nameInput]));
+    }
+
+    // Prompt
+    const promptInput = createElement('textarea', {
+        className: 'persona-input persona-prompt-input',
+        rows: '10',
+        placeholder: 'You are a ...'
+    });
+    promptInput.value = isChatPrompt
+        ? settings.systemPrompt || getPersona(settings.personaId)?.prompt || ''
+        : persona?.prompt || '';
+    panel.appendChild(createElement('label', { className: 'persona-label' }, ['System prompt', promptInput]));
+
+    // Template variables
+    const variables = createElement('div', { className: 'persona-variables' });
+    variables.appendChild(createElement('span', { className: 'persona-hint' }, 'Insert:'));
+    TEMPLATE_VARIABLES.forEach(variable => {
+        const chip = createElement('button', {
+            className: 'persona-variable',
+            type: 'button',
+            title: variable.description
+        }, `{{${variable.name}}}`);
+        chip.addEventListener('click', () => insertAtCursor(promptInput, `{{${variable.name}}}`));
+        variables.appendChild(chip);
+    });
+    panel.appendChild(variables);
+
+    // User name, for {{userName}}
+    const userNameInput = createElement('input', {
+        type: 'text',
+        className: 'persona-input',
+        placeholder: 'Used for {{userName}}'
+    });
+    userNameInput.value = getUserName();
+    panel.appendChild(createElement('label', { className: 'persona-label' }, ['Your name', userNameInput]));
+
+    // Preview with variables filled in
+    const preview = createElement('details', { className: 'persona-preview' });
+    const previewText = createElement('pre', { className: 'persona-preview-text' });
+    preview.appendChild(createElement('summary', {}, 'Preview'));
+    preview.appendChild(previewText);
+    panel.appendChild(preview);
+
+    const updatePreview = () => {
+        const values = { ...getTemplateValues(getModel()), userName: userNameInput.value.trim() };
+        previewText.textContent = renderPromptTemplate(promptInput.value, values);
+    };
+    promptInput.addEventListener('input', updatePreview);
+    userNameInput.addEventListener('input', updatePreview);
+    updatePreview();
+
+    const errorEl = createElement('div', { className: 'persona-error' });
+    panel.appendChild(errorEl);
+
+    // Actions
+    const actions = createElement('div', { className: 'persona-modal-actions' });
+
+    const close = () => {
+        modal.remove();
+        document.removeEventListener('keydown', handleEscape);
+    };
+
+    const handleEscape = (e) => {
+        if (e.key === 'Escape') close();
+    };
+
+    if (persona) {
+        const deleteBtn = createElement('button', { className: 'persona-btn persona-btn-danger', type: 'button' }, 'Delete');
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Delete the persona "${persona.name}"?`)) return;
+            deletePersona(persona.id);
+            close();
+        });
+        actions.appendChild(deleteBtn);
+    }
+
+    if (isChatPrompt && settings.systemPrompt) {
+        const resetBtn = createElement('button', { className: 'persona-btn', type: 'button' }, 'Use persona instead');
+        resetBtn.addEventListener('click', () => {
+            updateChatSettings({ systemPrompt: null });
+            close();
+        });
+        actions.appendChild(resetBtn);
+    }
+
+    const cancelBtn = createElement('button', { className: 'persona-btn', type: 'button' }, 'Cancel');
+    cancelBtn.addEventListener('click', close);
+
+    const saveBtn = createElement('button', { className: 'persona-btn persona-btn-primary', type: 'button' }, 'Save');
+    saveBtn.addEventListener('click', () => {
+        try {
+            if (isChatPrompt) {
+                const prompt = promptInput.value.trim();
+                if (!prompt) throw new Error('System prompt is required');
+                updateChatSettings({ systemPrompt: prompt });
+            } else if (persona) {
+                updatePersona(persona.id, { name: nameInput.value, prompt: promptInput.value });
+            } else {
+                const created = createPersona({ name: nameInput.value, prompt: promptInput.value });
+                updateChatSettings({ personaId: created.id, systemPrompt: null });
+            }
+            setUserName(userNameInput.value);
+            close();
+        } catch (error) {
+            errorEl.textContent = error.message;
+        }
+    });
+
+    actions.appendChild(cancelBtn);
+    actions.appendChild(saveBtn);
+    panel.appendChild(actions);
+
+    closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+    document.addEventListener('keydown', handleEscape);
+
+    modal.appendChild(panel);
+    document.body.appendChild(modal);
+    (nameInput || promptInput).focus();
+};
+
+/**
+ * Get current dropdown state
+ * @returns {boolean}
+ */
+export const isDropdownOpen = () => isOpen;
+
+export default { init, isDropdownOpen, updateDisplay };
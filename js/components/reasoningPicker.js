@@ -0,0 +1,180 @@
+/**
+ * Reasoning Picker Component
+ * Per-chat reasoning effort for thinking models, next to the persona picker
+ */
+
+import { $, createElement, removeClass, toggleClass } from '../utils/dom.js';
+import eventBus, { Events } from '../utils/events.js';
+import config from '../config.js';
+import { getChatSettings, updateChatSettings } from '../services/chat.js';
+import { getModel, supportsReasoning } from '../services/models.js';
+
+// Labels for the effort levels in config.reasoning.efforts
+const EFFORT_LABELS = {
+    minimal: { label: 'Minimal', description: 'Barely thinks; fastest' },
+    low: { label: 'Low', description: 'Thinks briefly before answering' },
+    medium: { label: 'Medium', description: 'Balanced speed and depth' },
+    high: { label: 'High', description: 'Thinks longest; best for hard problems' }
+};
+
+// DOM Elements
+let reasoningSelector;
+let reasoningDropdown;
+let reasoningList;
+let isOpen = false;
+
+/**
+ * Initialize reasoning picker component
+ */
+export const init = () => {
+    reasoningSelector = $('.reasoning-selector');
+
+    if (!reasoningSelector) return;
+
+    createDropdown();
+    setupEventListeners();
+    updateDisplay();
+
+    // Shown only for models that accept a reasoning effort
+    const refresh = () => {
+        updateDisplay();
+        updateDropdownList();
+    };
+    eventBus.on(Events.CHAT_SETTINGS_CHANGED, refresh);
+    eventBus.on(Events.CHAT_LOADED, refresh);
+    eventBus.on(Events.CHAT_CLEARED, refresh);
+    eventBus.on(Events.MODEL_CHANGED, refresh);
+    eventBus.on(Events.MODELS_LOADED, refresh);
+};
+
+/**
+ * Create dropdown element
+ */
+const createDropdown = () => {
+    reasoningDropdown = createElement('div', { className: 'model-dropdown reasoning-dropdown' });
+    reasoningDropdown.style.display = 'none';
+
+    reasoningList = createElement('div', { className: 'model-dropdown-list' });
+    reasoningDropdown.appendChild(reasoningList);
+
+    reasoningSelector.parentElement.appendChild(reasoningDropdown);
+
+    updateDropdownList();
+};
+
+/**
+ * Update dropdown list with the effort levels
+ */
+const updateDropdownList = () => {
+    if (!reasoningList) return;
+
+    const { reasoningEffort } = getChatSettings();
+    const options = [
+        { value: null, label: 'Default', description: 'Let the model decide' },
+        ...config.reasoning.efforts.map(effort => ({ value: effort, ...EFFORT_LABELS[effort] }))
+    ];
+
+    reasoningList.innerHTML = '';
+    reasoningList.appendChild(createElement('div', { className: 'model-dropdown-header' }, 'Reasoning effort'));
+
+    options.forEach(option => {
+        const item = createElement('div', {
+            className: `model-dropdown-item ${option.value === reasoningEffort ? 'active' : ''}`
+        });
+        item.appendChild(createElement('span', { className: 'model-name' }, option.label || option.value));
+        if (option.description) {
+            item.appendChild(createElement('span', { className: 'model-desc' }, option.description));
+        }
+        item.addEventListener('click', () => handleEffortSelect(option.value));
+        reasoningList.appendChild(item);
+    });
+};
+
+/**
+ * Handle effort selection
+ * @param {string|null} effort
+ */
+const handleEffortSelect = (effort) => {
+    updateChatSettings({ reasoningEffort: effort });
+    closeDropdown();
+};
+
+/**
+ * Update display with the current chat's effort
+ * Hidden when the selected model can't reason.
+ */
+export const updateDisplay = () => {
+    if (!reasoningSelector) return;
+
+    const visible = supportsReasoning(getModel());
+    reasoningSelector.style.display = visible ? '' : 'none';
+    if (!visible) closeDropdown();
+
+    const { reasoningEffort } = getChatSettings();
+    const nameSpan = reasoningSelector.querySelector('.reasoning-name-text');
+    if (nameSpan) {
+        nameSpan.textContent = reasoningEffort
+            ? `Thinking: ${EFFORT_LABELS[reasoningEffort]?.label || reasoningEffort}`
+            : 'Thinking';
+    }
+};
+
+/**
+ * Setup event listeners
+ */
+const setupEventListeners = () => {
+    reasoningSelector.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleDropdown();
+    });
+
+    // The other selectors stop click propagation, so close when they open
+    $('.model-selector')?.addEventListener('click', closeDropdown);
+    $('.persona-selector')?.addEventListener('click', closeDropdown);
+    $('.compare-selector')?.addEventListener('click', closeDropdown);
+
+    // Close on outside click
+    document.addEventListener('click', (e) => {
+        if (isOpen && !reasoningDropdown.contains(e.target)) {
+            closeDropdown();
+        }
+    });
+
+    // Close on escape
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isOpen) {
+            closeDropdown();
+        }
+    });
+};
+
+/**
+ * Toggle dropdown visibility
+ */
+const toggleDropdown = () => {
+    isOpen = !isOpen;
+    reasoningDropdown.style.display = isOpen ? 'flex' : 'none';
+    toggleClass(reasoningSelector, 'active', isOpen);
+
+    if (isOpen) {
+        updateDropdownList();
+    }
+};
+
+/**
+ * Close dropdown
+ */
+const closeDropdown = () => {
+    if (!reasoningDropdown) return;
+    isOpen = false;
+    reasoningDropdown.style.display = 'none';
+    removeClass(reasoningSelector, 'active');
+};
+
+/**
+ * Check if dropdown is open
+ * @returns {boolean}
+ */
+export const isDropdownOpen = () => isOpen;
+
+export default { init, isDropdownOpen, updateDisplay };
@@ -5,9 +5,11 @@
 
 import { $, addClass, removeClass, toggleClass, createElement } from '../utils/dom.js';
 import eventBus, { Events } from '../utils/events.js';
-import { sendUserMessage, getIsLoading, cancelCurrentRequest } from '../services/chat.js';
+import config from '../config.js';
+import { sendUserMessage, getIsLoading, cancelCurrentRequest, getChatSettings } from '../services/chat.js';
 import { generate as generateImage, getIsGenerating } from '../services/imageGen.js';
-import { STOP_PATH, SEND_PATH, CLOSE_PATH, GLOBE_PATH, DOCUMENT_PATH } from '../utils/icons.js';
+import { getModel, setModel, getModelDisplayName, getUnsupportedInputs, findCompatibleModel } from '../services/models.js';
+import { STOP_PATH, SEND_PATH, CLOSE_PATH, GLOBE_PATH, DOCUMENT_PATH, RESEARCH_PATH } from '../utils/icons.js';
 import * as voiceInput from '../services/voiceInput.js';
 import {
     FILE_TYPES,
@@ -24,7 +26,9 @@ let attachBtn;
 let imageUploadBtn;
 let sendStopBtn;
 let webSearchBtn;
+let researchBtn;
 let attachmentPreview;
+let attachmentWarning;
 
 // Attached images (base64 data URLs)
 let attachedImages = [];
@@ -38,10 +42,15 @@ let currentView = 'chat';
 // Web search enabled state
 let webSearchEnabled = false;
 
+// Deep research enabled state (implies web search; the two toggles are exclusive)
+let researchEnabled = false;
+
 // Placeholder texts
 const PLACEHOLDERS = {
     chat: 'Ask anything...',
     chatWeb: 'Search the web...',
+    chatResearch: 'What should I research in depth?',
+    chatCompare: 'Ask several models at once...',
     images: 'Describe an image to generate...'
 };
 
@@ -58,8 +67,9 @@ export const init = () => {
     // Create attachment preview area
     createAttachmentPreview();
 
-    // Create web search toggle button
+    // Create web search and deep research toggle buttons
     createWebSearchButton();
+    createResearchButton();
 
     // Create send/stop button
     createSendStopButton();
@@ -77,6 +87,11 @@ export const init = () => {
         clearAttachments();
         if (searchInput) searchInput.focus();
     });
+    eventBus.on(Events.CHAT_SETTINGS_CHANGED, updatePlaceholder);
+    eventBus.on(Events.CHAT_LOADED, updatePlaceholder);
+    eventBus.on(Events.CHAT_CLEARED, updatePlaceholder);
+    eventBus.on(Events.MODEL_CHANGED, updateAttachmentWarning);
+    eventBus.on(Events.MODELS_LOADED, updateAttachmentWarning);
 };
 
 /**
@@ -110,13 +125,80 @@ const createAttachmentPreview = () => {
     attachmentPreview = createElement('div', { className: 'attachment-preview' });
     attachmentPreview.style.display = 'none';
 
+    // Warning shown when the selected model can't read the attachments
+    attachmentWarning = createElement('div', { className: 'attachment-warning' });
+    attachmentWarning.style.display = 'none';
+
     // Insert before search controls
     const searchControls = $('.search-controls');
     if (searchControls) {
+        searchBox.insertBefore(attachmentWarning, searchControls);
         searchBox.insertBefore(attachmentPreview, searchControls);
     }
 };
 
+/**
+ * Get attachment kinds the selected model can't read
+ * @returns {Array<string>} 'image' and/or 'pdf'
+ */
+const getUnsupportedAttachments = () => {
+    return getUnsupportedInputs(getModel(), { images: attachedImages, pdfs: attachedPDFs });
+};
+
+/**
+ * Show or hide the unsupported attachment warning
+ * Offers to switch to a compatible model or to remove the attachments the model can't read.
+ */
+const updateAttachmentWarning = () => {
+    if (!attachmentWarning) return;
+
+    const unsupported = getUnsupportedAttachments();
+
+    // Mark the attachments that won't be readable
+    attachmentPreview.querySelectorAll('.attachment-item').forEach(item => {
+        toggleClass(item, 'unsupported', unsupported.includes(item.dataset.type));
+    });
+
+    attachmentWarning.innerHTML = '';
+    removeClass(attachmentWarning, 'attention');
+
+    if (unsupported.length === 0) {
+        attachmentWarning.style.display = 'none';
+        return;
+    }
+
+    const kinds = unsupported.map(kind => kind === 'pdf' ? 'PDFs' : 'images').join(' or ');
+    const text = createElement('span', { className: 'attachment-warning-text' },
+        `${getModelDisplayName(getModel())} can't read ${kinds}.`);
+    attachmentWarning.appendChild(text);
+
+    const compatible = findCompatibleModel(unsupported);
+    if (compatible) {
+        const switchBtn = createElement('button', { className: 'attachment-warning-btn' }, `Switch to ${compatible.name}`);
+        switchBtn.addEventListener('click', () => setModel(compatible.id));
+        attachmentWarning.appendChild(switchBtn);
+    }
+
+    const stripBtn = createElement('button', { className: 'attachment-warning-btn' }, `Remove ${kinds}`);
+    stripBtn.addEventListener('click', () => removeAttachmentsOfKind(unsupported));
+    attachmentWarning.appendChild(stripBtn);
+
+    attachmentWarning.style.display = 'flex';
+};
+
+/**
+ * Remove every attachment of the given kinds
+ * @param {Array<string>} kinds - 'image' and/or 'pdf'
+ */
+const removeAttachmentsOfKind = (kinds) => {
+    const images = kinds.includes('image') ? [] : [...attachedImages];
+    const pdfs = kinds.includes('pdf') ? [] : [...attachedPDFs];
+
+    clearAttachments();
+    images.forEach(img => addImageToPreview(img));
+    pdfs.forEach(pdf => addPDFToPreview(pdf.data, pdf.filename));
+};
+
 /**
  * Create the send/stop toggle button
  */
@@ -156,6 +238,21 @@ const createWebSearchButton = () => {
     }
 };
 
+/**
+ * Create the deep research toggle button
+ */
+const createResearchButton = () => {
+    if (!webSearchBtn) return;
+
+    researchBtn = createElement('button', {
+        className: 'icon-btn research-btn',
+        title: 'Enable deep research'
+    });
+    researchBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${RESEARCH_PATH}</svg>`;
+
+    webSearchBtn.after(researchBtn);
+};
+
 /**
  * Setup event listeners
  */
@@ -190,6 +287,10 @@ const setupEventListeners = () => {
     if (webSearchBtn) {
         webSearchBtn.addEventListener('click', handleWebSearchToggle);
     }
+
+    if (researchBtn) {
+        researchBtn.addEventListener('click', handleResearchToggle);
+    }
 };
 
 /**
@@ -213,6 +314,7 @@ const handleSendStopClick = () => {
  */
 const handleWebSearchToggle = () => {
     webSearchEnabled = !webSearchEnabled;
+    if (webSearchEnabled && researchEnabled) setResearchEnabled(false);
 
     // Update button appearance
     if (webSearchEnabled) {
@@ -230,6 +332,27 @@ const handleWebSearchToggle = () => {
     eventBus.emit(Events.WEB_SEARCH_TOGGLE, { enabled: webSearchEnabled });
 };
 
+/**
+ * Turn deep research on or off
+ * @param {boolean} enabled
+ */
+const setResearchEnabled = (enabled) => {
+    researchEnabled = enabled;
+    toggleClass(researchBtn, 'active', enabled);
+    researchBtn.title = enabled ? 'Disable deep research' : 'Enable deep research';
+    updatePlaceholder();
+    eventBus.emit(Events.RESEARCH_TOGGLE, { enabled });
+};
+
+/**
+ * Handle deep research toggle button click
+ */
+const handleResearchToggle = () => {
+    // Research searches the web itself, so plain web search goes off
+    if (!researchEnabled && webSearchEnabled) handleWebSearchToggle();
+    setResearchEnabled(!researchEnabled);
+};
+
 /**
  * Handle keydown event
  * @param {KeyboardEvent} e
@@ -267,14 +390,27 @@ const updatePlaceholder = () => {
     if (searchInput && !getIsLoading() && !getIsGenerating()) {
         if (currentView === 'images') {
             searchInput.placeholder = PLACEHOLDERS.images;
+        } else if (researchEnabled) {
+            searchInput.placeholder = PLACEHOLDERS.chatResearch;
         } else if (webSearchEnabled) {
             searchInput.placeholder = PLACEHOLDERS.chatWeb;
+        } else if (getCompareModels().length > 0) {
+            searchInput.placeholder = PLACEHOLDERS.chatCompare;
         } else {
             searchInput.placeholder = PLACEHOLDERS.chat;
         }
     }
 };
 
+/**
+ * Get the models the current chat compares, if compare mode is on
+ * @returns {Array<string>} Model IDs, empty when compare mode is off
+ */
+const getCompareModels = () => {
+    const { compareModels } = getChatSettings();
+    return compareModels.length >= config.compare.minModels ? compareModels : [];
+};
+
 /**
  * Update controls visibility based on current view
  */
@@ -291,14 +427,10 @@ const updateControlsForView = () => {
         }
     }
 
-    // Hide web search button in image generation view
-    if (webSearchBtn) {
-        if (currentView === 'images') {
-            webSearchBtn.style.display = 'none';
-        } else {
-            webSearchBtn.style.display = '';
-        }
-    }
+    // Hide web search and research buttons in image generation view
+    [webSearchBtn, researchBtn].forEach(btn => {
+        if (btn) btn.style.display = currentView === 'images' ? 'none' : '';
+    });
 };
 
 /**
@@ -330,18 +462,46 @@ const submitChatMessage = async (content) => {
         return;
     }
 
+    // Research works from the question alone
+    if (researchEnabled && (attachedImages.length > 0 || attachedPDFs.length > 0 || !content)) {
+        showError(content
+            ? 'Deep research works on text questions. Remove the attachments or turn off deep research.'
+            : 'Type a question to research.');
+        return;
+    }
+
+    const compareModels = getCompareModels();
+    if (researchEnabled && compareModels.length > 0) {
+        showError('Deep research can\'t run in compare mode. Turn off one of them.');
+        return;
+    }
+
+    // Don't send attachments the model can't read; point at the warning instead
+    if (getUnsupportedAttachments().length > 0) {
+        updateAttachmentWarning();
+        addClass(attachmentWarning, 'attention');
+        return;
+    }
+
     // Store values before clearing
     const messageText = content;
     const images = [...attachedImages];
     const pdfs = [...attachedPDFs];
     const useWebSearch = webSearchEnabled;
+    const useResearch = researchEnabled;
 
     // Clear input and attachments
     searchInput.value = '';
     clearAttachments();
 
     try {
-        await sendUserMessage(messageText, { images, pdfs, webSearchEnabled: useWebSearch });
+        await sendUserMessage(messageText, {
+            images,
+            pdfs,
+            webSearchEnabled: useWebSearch,
+            researchEnabled: useResearch,
+            compareModels
+        });
     } catch (error) {
         console.error('Failed to send message:', error);
         // Restore input on error
@@ -389,7 +549,9 @@ const handleLoadingStart = () => {
     if (searchInput) {
         searchInput.disabled = true;
         // Use context-appropriate placeholder
-        searchInput.placeholder = currentView === 'images' ? 'Generating image...' : 'Thinking...';
+        searchInput.placeholder = currentView === 'images'
+            ? 'Generating image...'
+            : researchEnabled ? 'Researching...' : 'Thinking...';
     }
     addClass(searchBox, 'loading');
 
@@ -554,6 +716,7 @@ const addImageToPreview = (base64) => {
     imageWrapper.appendChild(removeBtn);
     attachmentPreview.appendChild(imageWrapper);
     attachmentPreview.style.display = 'flex';
+    updateAttachmentWarning();
 };
 
 /**
@@ -587,6 +750,7 @@ const addPDFToPreview = (base64, filename) => {
     pdfWrapper.appendChild(removeBtn);
     attachmentPreview.appendChild(pdfWrapper);
     attachmentPreview.style.display = 'flex';
+    updateAttachmentWarning();
 };
 
 /**
@@ -615,6 +779,8 @@ const removeAttachment = (wrapper) => {
     if (attachedImages.length === 0 && attachedPDFs.length === 0) {
         attachmentPreview.style.display = 'none';
     }
+
+    updateAttachmentWarning();
 };
 
 /**
@@ -627,6 +793,7 @@ const clearAttachments = () => {
         attachmentPreview.innerHTML = '';
         attachmentPreview.style.display = 'none';
     }
+    updateAttachmentWarning();
 };
 
 /**
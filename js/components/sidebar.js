@@ -3,11 +3,48 @@
  * Handles sidebar interactions and chat history display
  */
 
-import { $, $$, createElement, addClass, removeClass, toggleClass } from '../utils/dom.js';
+import { $, $$, createElement, addClass, removeClass, toggleClass, downloadFile } from '../utils/dom.js';
 import eventBus, { Events } from '../utils/events.js';
-import { getChatList, loadChat, deleteChat } from '../services/storage.js';
-import { clearHistory, loadChatHistory, getCurrentChatId } from '../services/chat.js';
-import { createChatIcon, TRASH_PATH, IMAGE_PATH } from '../utils/icons.js';
+import config from '../config.js';
+import {
+    getChatList,
+    loadChat,
+    renameChat,
+    deleteChat,
+    restoreFromTrash,
+    getStorageUsage,
+    getChatGroup,
+    sortChatsByOrder,
+    updateChatOrganization,
+    moveChat,
+    normalizeTags,
+    getFolders,
+    createFolder,
+    updateFolder,
+    deleteFolder
+} from '../services/storage.js';
+import { formatFileSize } from '../utils/fileHandler.js';
+import { clearHistory, loadChatHistory, getCurrentChatId, focusMessage } from '../services/chat.js';
+import { exportChats, exportAllChats, importArchive, EXPORT_FORMATS } from '../services/chatArchive.js';
+import { getTreeUsage, formatCost, formatTokens } from '../services/usage.js';
+import { isChatLockedElsewhere } from '../services/sync.js';
+import {
+    createChatIcon,
+    TRASH_PATH,
+    IMAGE_PATH,
+    DOWNLOAD_PATH,
+    UPLOAD_PATH,
+    CHART_PATH,
+    SEARCH_PATH,
+    PIN_PATH,
+    FOLDER_PATH,
+    FOLDER_PLUS_PATH,
+    ARCHIVE_PATH,
+    MORE_PATH,
+    EDIT_PATH,
+    CLOSE_PATH,
+    CHEVRON_RIGHT_PATH
+} from '../utils/icons.js';
 
 // DOM Elements
 let sidebar;
@@ -17,10 +54,24 @@ let collapseBtn;
 let menuBtn;
 let backdrop;
 let imageGenNavItem;
+let usageNavItem;
+let historyNavItem;
+let trashNavItem;
+let storageUsageEl;
+let budgetUsageEl;
+let historyToolbar;
+let exportMenu;
+let chatMenu;
+let importInput;
 
 // Current view state
 let currentView = 'chat';
 
+// Chat list state
+let tagFilter = null;
+let showArchived = false;
+let draggedChatId = null;
+
 // Mobile breakpoint
 const MOBILE_BREAKPOINT = 768;
 
@@ -44,8 +95,11 @@ export const init = () => {
     // Create backdrop for mobile overlay
     createBackdrop();
 
-    // Create Image Generation nav item
+    // Create Image Generation, Usage, Trash and Search chats nav items
     createImageGenNavItem();
+    createUsageNavItem();
+    createTrashNavItem();
+    createHistoryNavItem();
 
     // Create chat history container if it doesn't exist
     chatHistoryContainer = $('.chat-history');
@@ -58,11 +112,28 @@ export const init = () => {
         }
     }
 
+    // Create export/import toolbar, shared export menu and chat menu
+    createHistoryToolbar();
+    createExportMenu();
+    createChatMenu();
+
+    // Create storage usage report and spending budget meter
+    createStorageUsage();
+    createBudgetUsage();
+
     setupEventListeners();
     renderChatHistory();
+    getStorageUsage().then(renderStorageUsage);
 
     // Subscribe to events
     eventBus.on(Events.CHAT_SAVED, renderChatHistory);
+    eventBus.on(Events.FOLDERS_CHANGED, renderChatHistory);
+    eventBus.on(Events.TRASH_CHANGED, renderChatHistory);
+    eventBus.on(Events.CHAT_LOCKS_CHANGED, renderChatHistory);
+    eventBus.on(Events.STORAGE_UPDATED, renderStorageUsage);
+    eventBus.on(Events.STORAGE_ERROR, ({ report }) => renderStorageUsage(report));
+    eventBus.on(Events.BUDGET_UPDATED, renderBudgetUsage);
+    eventBus.on(Events.CHAT_OPEN, ({ chatId, messageId, terms }) => handleChatSelect(chatId, { messageId, terms }));
     eventBus.on(Events.CHAT_CLEARED, () => {
         $$('.chat-history-item').forEach(item => removeClass(item, 'active'));
     });
@@ -155,6 +226,453 @@ const createImageGenNavItem = () => {
     });
 };
 
+/**
+ * Create Usage nav item (after Create Image)
+ */
+const createUsageNavItem = () => {
+    if (!imageGenNavItem || $('.nav-item-usage')) return;
+
+    usageNavItem = createElement('a', {
+        href: '#',
+        className: 'nav-item nav-item-usage'
+    });
+    usageNavItem.innerHTML = `
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${CHART_PATH}</svg>
+        <span>Usage</span>
+    `;
+    imageGenNavItem.insertAdjacentElement('afterend', usageNavItem);
+
+    usageNavItem.addEventListener('click', (e) => {
+        e.preventDefault();
+        switchView('usage');
+
+        if (isMobile()) {
+            closeMobileSidebar();
+        }
+    });
+};
+
+/**
+ * Create Trash nav item (after Usage)
+ */
+const createTrashNavItem = () => {
+    if (!usageNavItem || $('.nav-item-trash')) return;
+
+    trashNavItem = createElement('a', {
+        href: '#',
+        className: 'nav-item nav-item-trash'
+    });
+    trashNavItem.innerHTML = `
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${TRASH_PATH}</svg>
+        <span>Trash</span>
+    `;
+    usageNavItem.insertAdjacentElement('afterend', trashNavItem);
+
+    trashNavItem.addEventListener('click', (e) => {
+        e.preventDefault();
+        switchView('trash');
+
+        if (isMobile()) {
+            closeMobileSidebar();
+        }
+    });
+};
+
+/**
+ * Create Search chats nav item (before Create Image)
+ */
+const createHistoryNavItem = () => {
+    if (!imageGenNavItem || $('.nav-item-history')) return;
+
+    historyNavItem = createElement('a', {
+        href: '#',
+        className: 'nav-item nav-item-history'
+    });
+    historyNavItem.innerHTML = `
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${SEARCH_PATH}</svg>
+        <span>Search chats</span>
+    `;
+    imageGenNavItem.insertAdjacentElement('beforebegin', historyNavItem);
+
+    historyNavItem.addEventListener('click', (e) => {
+        e.preventDefault();
+        switchView('history');
+
+        if (isMobile()) {
+            closeMobileSidebar();
+        }
+    });
+};
+
+/**
+ * Create export/import toolbar above the chat history
+ */
+const createHistoryToolbar = () => {
+    historyToolbar = $('.chat-history-toolbar');
+    if (historyToolbar || !chatHistoryContainer) return;
+
+    historyToolbar = createElement('div', { className: 'chat-history-toolbar' });
+
+    const exportAllBtn = createElement('button', {
+        className: 'chat-history-tool chat-export-all',
+        title: 'Export all chats'
+    });
+    exportAllBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${DOWNLOAD_PATH}</svg><span>Export all</span>`;
+    exportAllBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openExportMenu(exportAllBtn, null);
+    });
+
+    const importBtn = createElement('button', {
+        className: 'chat-history-tool',
+        title: 'Import chats from a JSON archive'
+    });
+    importBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${UPLOAD_PATH}</svg><span>Import</span>`;
+
+    importInput = createElement('input', {
+        type: 'file',
+        accept: '.json,application/json',
+        className: 'chat-import-input'
+    });
+    importInput.style.display = 'none';
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', handleImportFile);
+
+    const newFolderBtn = createElement('button', {
+        className: 'chat-history-tool',
+        title: 'Create a folder'
+    });
+    newFolderBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${FOLDER_PLUS_PATH}</svg><span>Folder</span>`;
+    newFolderBtn.addEventListener('click', startNewFolder);
+
+    historyToolbar.appendChild(exportAllBtn);
+    historyToolbar.appendChild(importBtn);
+    historyToolbar.appendChild(newFolderBtn);
+    historyToolbar.appendChild(importInput);
+
+    chatHistoryContainer.parentNode.insertBefore(historyToolbar, chatHistoryContainer);
+};
+
+/**
+ * Create the export format menu shared by all export buttons
+ */
+const createExportMenu = () => {
+    exportMenu = createElement('div', { className: 'chat-export-menu' });
+
+    Object.entries(EXPORT_FORMATS).forEach(([format, info]) => {
+        const option = createElement('button', {
+            className: 'chat-export-option',
+            dataset: { format }
+        }, info.label);
+        option.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const chatId = exportMenu.dataset.chatId || null;
+            closeExportMenu();
+            handleExport(chatId, format);
+        });
+        exportMenu.appendChild(option);
+    });
+
+    document.body.appendChild(exportMenu);
+
+    document.addEventListener('click', (e) => {
+        if (!exportMenu.contains(e.target)) {
+            closeExportMenu();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeExportMenu();
+    });
+};
+
+/**
+ * Open the export format menu next to a button
+ * @param {HTMLElement} anchor - Button that opened the menu
+ * @param {string|null} chatId - Chat to export, or null for all chats
+ */
+const openExportMenu = (anchor, chatId) => {
+    if (!exportMenu) return;
+    closeChatMenu();
+
+    if (exportMenu.classList.contains('visible') && exportMenu.dataset.chatId === (chatId || '')) {
+        closeExportMenu();
+        return;
+    }
+
+    exportMenu.dataset.chatId = chatId || '';
+
+    const rect = anchor.getBoundingClientRect();
+    exportMenu.style.top = `${rect.bottom + 4}px`;
+    exportMenu.style.left = `${rect.left}px`;
+    addClass(exportMenu, 'visible');
+};
+
+/**
+ * Close the export format menu
+ */
+const closeExportMenu = () => {
+    if (exportMenu) removeClass(exportMenu, 'visible');
+};
+
+/**
+ * Export one chat, or all chats, and download the file
+ * @param {string|null} chatId - Chat ID, or null for all chats
+ * @param {string} format - Export format key
+ */
+const handleExport = async (chatId, format) => {
+    try {
+        const file = chatId
+            ? await exportChats([chatId], format)
+            : await exportAllChats(format);
+        downloadFile(file.filename, file.content, file.mimeType);
+    } catch (error) {
+        console.error('Export failed:', error);
+        eventBus.emit(Events.NOTIFY, { message: `Export failed: ${error.message}`, type: 'error' });
+    }
+};
+
+/**
+ * Import chats from the selected archive file
+ * @param {Event} e - Change event from the file input
+ */
+const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const result = importArchive(await file.text());
+
+        if (result.errors.length > 0) {
+            console.warn('Skipped chats during import:', result.errors);
+        }
+
+        const imported = `Imported ${result.imported} chat${result.imported === 1 ? '' : 's'}`;
+        const skipped = result.skipped > 0 ? `, skipped ${result.skipped} invalid` : '';
+        eventBus.emit(Events.NOTIFY, {
+            message: imported + skipped,
+            type: result.imported > 0 ? 'success' : 'warning'
+        });
+    } catch (error) {
+        console.error('Import failed:', error);
+        eventBus.emit(Events.NOTIFY, { message: `Import failed: ${error.message}`, type: 'error' });
+    }
+};
+
+/**
+ * Apply organization changes to a chat, reporting failures
+ * @param {string} chatId - Chat ID
+ * @param {Object} changes - See updateChatOrganization()
+ */
+const organizeChat = (chatId, changes) => {
+    try {
+        updateChatOrganization(chatId, changes);
+    } catch (error) {
+        eventBus.emit(Events.NOTIFY, { message: error.message, type: 'error' });
+    }
+};
+
+/**
+ * Create the chat menu (pin, archive, folder and tags) shared by all chats
+ */
+const createChatMenu = () => {
+    chatMenu = createElement('div', { className: 'chat-item-menu' });
+    document.body.appendChild(chatMenu);
+
+    document.addEventListener('click', (e) => {
+        if (!chatMenu.contains(e.target)) {
+            closeChatMenu();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeChatMenu();
+    });
+};
+
+/**
+ * Create a chat menu option
+ * @param {string} label
+ * @param {Function} onSelect
+ * @param {boolean} active - Mark as the current choice
+ * @returns {HTMLElement}
+ */
+const createChatMenuOption = (label, onSelect, active = false) => {
+    const option = createElement('button', { className: `chat-menu-option${active ? ' active' : ''}` }, label);
+    option.addEventListener('click', (e) => {
+        e.stopPropagation();
+        closeChatMenu();
+        onSelect();
+    });
+    return option;
+};
+
+/**
+ * Open the chat menu next to a chat's menu button
+ * @param {HTMLElement} anchor - Button that opened the menu
+ * @param {Object} chat - Chat record
+ */
+const openChatMenu = (anchor, chat) => {
+    if (!chatMenu) return;
+    closeExportMenu();
+
+    if (chatMenu.classList.contains('visible') && chatMenu.dataset.chatId === chat.id) {
+        closeChatMenu();
+        return;
+    }
+
+    chatMenu.innerHTML = '';
+    chatMenu.dataset.chatId = chat.id;
+
+    chatMenu.appendChild(createChatMenuOption('Rename',
+        () => startChatRename(anchor.closest('.chat-history-item'), chat)));
+    chatMenu.appendChild(createChatMenuOption(chat.pinned ? 'Unpin' : 'Pin to top',
+        () => organizeChat(chat.id, { pinned: !chat.pinned })));
+    chatMenu.appendChild(createChatMenuOption(chat.archived ? 'Unarchive' : 'Archive',
+        () => organizeChat(chat.id, { archived: !chat.archived })));
+
+    // Folders
+    chatMenu.appendChild(createElement('div', { className: 'chat-menu-label' }, 'Folder'));
+    chatMenu.appendChild(createChatMenuOption('No folder',
+        () => organizeChat(chat.id, { folderId: null }), !chat.folderId));
+    getFolders().forEach(folder => {
+        chatMenu.appendChild(createChatMenuOption(folder.name,
+            () => organizeChat(chat.id, { folderId: folder.id }), chat.folderId === folder.id));
+    });
+
+    // Tags, comma-separated; Enter saves
+    chatMenu.appendChild(createElement('div', { className: 'chat-menu-label' }, 'Tags'));
+    const tagsInput = createElement('input', {
+        type: 'text',
+        className: 'chat-menu-tags',
+        placeholder: 'e.g. work, ideas',
+        'aria-label': 'Tags, separated by commas'
+    });
+    tagsInput.value = (chat.tags || []).join(', ');
+    tagsInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        closeChatMenu();
+        organizeChat(chat.id, { tags: normalizeTags(tagsInput.value.split(',')) });
+    });
+    chatMenu.appendChild(tagsInput);
+
+    const rect = anchor.getBoundingClientRect();
+    chatMenu.style.top = `${rect.bottom + 4}px`;
+    chatMenu.style.left = `${rect.left}px`;
+    addClass(chatMenu, 'visible');
+};
+
+/**
+ * Close the chat menu
+ */
+const closeChatMenu = () => {
+    if (chatMenu) removeClass(chatMenu, 'visible');
+};
+
+/**
+ * Create storage usage report above the sign-in section
+ */
+const createStorageUsage = () => {
+    storageUsageEl = $('.storage-usage');
+    if (storageUsageEl) return;
+
+    storageUsageEl = createElement('div', { className: 'storage-usage' });
+    const signInSection = $('.sign-in-section');
+    if (signInSection) {
+        sidebar.insertBefore(storageUsageEl, signInSection);
+    }
+};
+
+/**
+ * Render storage usage report
+ * @param {Object} report - Report from getStorageUsage()
+ */
+const renderStorageUsage = (report) => {
+    if (!storageUsageEl || !report) return;
+
+    storageUsageEl.innerHTML = '';
+
+    const counts = `${report.chats} chat${report.chats === 1 ? '' : 's'}, ${report.images} image${report.images === 1 ? '' : 's'}` +
+        (report.trash ? `, ${report.trash} in trash` : '');
+
+    if (report.usage === null || !report.quota) {
+        storageUsageEl.appendChild(createElement('span', { className: 'storage-usage-text' }, counts));
+        return;
+    }
+
+    const percent = Math.min((report.usage / report.quota) * 100, 100);
+
+    const bar = createElement('div', { className: 'storage-usage-bar' });
+    const fill = createElement('div', { className: 'storage-usage-fill' });
+    fill.style.width = `${percent}%`;
+    toggleClass(fill, 'warning', percent >= 80);
+    bar.appendChild(fill);
+
+    const text = createElement('span', { className: 'storage-usage-text' },
+        `${formatFileSize(report.usage)} of ${formatFileSize(report.quota)} used · ${counts}`);
+
+    storageUsageEl.title = `${percent.toFixed(1)}% of browser storage used`;
+    storageUsageEl.appendChild(bar);
+    storageUsageEl.appendChild(text);
+};
+
+/**
+ * Create spending budget meter above the storage usage report
+ */
+const createBudgetUsage = () => {
+    budgetUsageEl = $('.budget-usage');
+    if (budgetUsageEl) return;
+
+    budgetUsageEl = createElement('div', { className: 'budget-usage' });
+    if (storageUsageEl?.parentElement) {
+        storageUsageEl.parentElement.insertBefore(budgetUsageEl, storageUsageEl);
+    }
+};
+
+/**
+ * Format a budget amount in USD
+ * @param {number} usd
+ * @returns {string}
+ */
+const formatBudget = (usd) => `$${usd.toFixed(2)}`;
+
+/**
+ * Render spending budget meter
+ * Shows the capped period with the least left; hidden when the proxy has no caps.
+ * @param {Object} status - Status from /api/usage ({ enabled, day, month })
+ */
+const renderBudgetUsage = (status) => {
+    if (!budgetUsageEl) return;
+
+    budgetUsageEl.innerHTML = '';
+    if (!status?.enabled) return;
+
+    const periods = [
+        { label: 'today', resets: 'at midnight UTC', ...status.day },
+        { label: 'this month', resets: 'on the 1st (UTC)', ...status.month }
+    ].filter(period => period.limit !== null);
+    const period = periods.reduce((tightest, next) => next.remaining < tightest.remaining ? next : tightest);
+
+    const percent = Math.min((period.spent / period.limit) * 100, 100);
+
+    const bar = createElement('div', { className: 'storage-usage-bar' });
+    const fill = createElement('div', { className: 'storage-usage-fill' });
+    fill.style.width = `${percent}%`;
+    toggleClass(fill, 'warning', percent >= 80);
+    bar.appendChild(fill);
+
+    const shared = period.scope === 'total' ? ' (shared)' : '';
+    const text = createElement('span', { className: 'storage-usage-text' },
+        `${formatBudget(period.remaining)} of ${formatBudget(period.limit)} left ${period.label}${shared}`);
+
+    budgetUsageEl.title = periods
+        .map(({ label, spent, limit, resets, scope }) =>
+            `${formatBudget(spent)} of ${formatBudget(limit)} spent ${label}${scope === 'total' ? ' across all users' : ''}, resets ${resets}`)
+        .join('\n');
+    budgetUsageEl.appendChild(bar);
+    budgetUsageEl.appendChild(text);
+};
+
 /**
  * Setup event listeners
  */
@@ -249,8 +767,8 @@ const handleNewChat = () => {
 };
 
 /**
- * Switch between views (chat/images)
- * @param {string} view - 'chat' or 'images'
+ * Switch between views (chat/images/usage/history)
+ * @param {string} view - 'chat', 'images', 'usage' or 'history'
  */
 export const switchView = (view) => {
     if (currentView === view) return;
@@ -258,16 +776,16 @@ export const switchView = (view) => {
     currentView = view;
 
     // Update active states in sidebar
-    if (view === 'images') {
+    if (imageGenNavItem) toggleClass(imageGenNavItem, 'active', view === 'images');
+    if (usageNavItem) toggleClass(usageNavItem, 'active', view === 'usage');
+    if (historyNavItem) toggleClass(historyNavItem, 'active', view === 'history');
+    if (trashNavItem) toggleClass(trashNavItem, 'active', view === 'trash');
+    if (view !== 'chat') {
         removeClass(newChatBtn, 'active');
-        if (imageGenNavItem) addClass(imageGenNavItem, 'active');
         $$('.chat-history-item').forEach(item => removeClass(item, 'active'));
-    } else {
-        if (imageGenNavItem) removeClass(imageGenNavItem, 'active');
+    } else if (!$('.chat-history-item.active')) {
         // Re-add active to New Chat only if no chat is selected
-        if (!$('.chat-history-item.active')) {
-            addClass(newChatBtn, 'active');
-        }
+        addClass(newChatBtn, 'active');
     }
 
     // Show/hide containers
@@ -277,7 +795,21 @@ export const switchView = (view) => {
     const mainContent = $('.main-content');
     const searchContainer = $('.search-container');
 
-    if (view === 'images') {
+    // The usage dashboard, chat search and trash have no input
+    const isPanel = view === 'usage' || view === 'history' || view === 'trash';
+    if (searchContainer) searchContainer.style.display = isPanel ? 'none' : '';
+    if (mainContent) {
+        toggleClass(mainContent, 'usage-view', view === 'usage');
+        toggleClass(mainContent, 'history-view', view === 'history');
+        toggleClass(mainContent, 'trash-view', view === 'trash');
+    }
+
+    if (isPanel) {
+        if (messageContainer) messageContainer.style.display = 'none';
+        if (brandTitle) brandTitle.style.display = 'none';
+        if (imageGallery) imageGallery.style.display = 'none';
+        if (mainContent) removeClass(mainContent, 'image-view');
+    } else if (view === 'images') {
         if (messageContainer) messageContainer.style.display = 'none';
         if (brandTitle) brandTitle.style.display = 'none';
         if (imageGallery) imageGallery.style.display = 'block';
@@ -381,59 +913,493 @@ const expandSidebar = () => {
     eventBus.emit(Events.SIDEBAR_TOGGLE, { collapsed: false });
 };
 
+/**
+ * Check whether a chat has a tag (ignoring case)
+ * @param {Object} chat - Chat record
+ * @param {string} tag
+ * @returns {boolean}
+ */
+const hasTag = (chat, tag) => (chat.tags || []).some(chatTag => chatTag.toLowerCase() === tag.toLowerCase());
+
 /**
  * Render chat history list
+ * Pinned chats first, then folders, then the most recent chats without a folder,
+ * and the archived chats behind a toggle.
  */
 const renderChatHistory = () => {
     if (!chatHistoryContainer) return;
 
     const chats = getChatList();
+    const folders = getFolders();
     chatHistoryContainer.innerHTML = '';
+    if (historyToolbar) {
+        toggleClass(historyToolbar, 'has-chats', chats.length > 0);
+    }
+
+    if (chats.length === 0 && folders.length === 0) return;
+
+    // Drop the tag filter once no chat has the tag
+    if (tagFilter && !chats.some(chat => hasTag(chat, tagFilter))) {
+        tagFilter = null;
+    }
+    if (tagFilter) {
+        chatHistoryContainer.appendChild(createTagFilter());
+    }
+
+    const groups = new Map();
+    sortChatsByOrder(tagFilter ? chats.filter(chat => hasTag(chat, tagFilter)) : chats).forEach(chat => {
+        const group = getChatGroup(chat);
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(chat);
+    });
+
+    const pinnedChats = groups.get('pinned') || [];
+    if (pinnedChats.length > 0) {
+        chatHistoryContainer.appendChild(createSectionHeader('Pinned', { pinned: true, archived: false }));
+        pinnedChats.forEach(chat => chatHistoryContainer.appendChild(createChatItem(chat)));
+    }
 
-    if (chats.length === 0) return;
+    folders.forEach(folder => {
+        const folderChats = groups.get(folder.id) || [];
+        if (tagFilter && folderChats.length === 0) return;
+        chatHistoryContainer.appendChild(createFolderSection(folder, folderChats));
+    });
 
-    // Only show recent chats (last 10)
-    const recentChats = chats.slice(0, 10);
+    // Only show recent chats; the rest are found in the Search chats view
+    const otherChats = groups.get('') || [];
+    const recentChats = tagFilter ? otherChats : otherChats.slice(0, config.chatSearch.recentChats);
+    if (otherChats.length > 0 && (pinnedChats.length > 0 || folders.length > 0)) {
+        chatHistoryContainer.appendChild(createSectionHeader('Chats', { folderId: null, pinned: false, archived: false }));
+    }
+    recentChats.forEach(chat => chatHistoryContainer.appendChild(createChatItem(chat)));
 
-    recentChats.forEach(chat => {
-        const item = createElement('a', {
+    if (otherChats.length > recentChats.length) {
+        const allChatsLink = createElement('a', {
             href: '#',
-            className: 'nav-item chat-history-item',
-            dataset: { chatId: chat.id }
+            className: 'chat-history-more'
+        }, `All chats (${chats.length})`);
+        allChatsLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            switchView('history');
+            if (isMobile()) {
+                closeMobileSidebar();
+            }
         });
+        chatHistoryContainer.appendChild(allChatsLink);
+    }
+
+    const archivedChats = groups.get('archived') || [];
+    if (archivedChats.length > 0) {
+        chatHistoryContainer.appendChild(createArchivedToggle(archivedChats.length));
+        if (showArchived) {
+            archivedChats.forEach(chat => chatHistoryContainer.appendChild(createChatItem(chat)));
+        }
+    }
+};
+
+/**
+ * Create the notice of the active tag filter, with a button to clear it
+ * @returns {HTMLElement}
+ */
+const createTagFilter = () => {
+    const clearBtn = createElement('button', { className: 'chat-tag-filter-clear', title: 'Show all chats' });
+    clearBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${CLOSE_PATH}</svg>`;
+    clearBtn.addEventListener('click', () => {
+        tagFilter = null;
+        renderChatHistory();
+    });
+
+    return createElement('div', { className: 'chat-tag-filter' }, [
+        createElement('span', {}, `Tagged #${tagFilter}`),
+        clearBtn
+    ]);
+};
+
+/**
+ * Create a section label that chats can be dropped on
+ * @param {string} label
+ * @param {Object} changes - Organization changes applied to a dropped chat
+ * @returns {HTMLElement}
+ */
+const createSectionHeader = (label, changes) => {
+    const header = createElement('div', { className: 'chat-history-section' }, label);
+    makeDropTarget(header, changes);
+    return header;
+};
 
-        // Chat icon
-        const iconSpan = createElement('span', { className: 'chat-history-icon' });
+/**
+ * Create the Archived toggle
+ * @param {number} count - Archived chats
+ * @returns {HTMLElement}
+ */
+const createArchivedToggle = (count) => {
+    const toggle = createElement('button', {
+        className: `chat-history-section chat-archived-toggle${showArchived ? ' expanded' : ''}`,
+        title: showArchived ? 'Hide archived chats' : 'Show archived chats'
+    });
+    toggle.innerHTML = `
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${ARCHIVE_PATH}</svg>
+        <span>Archived (${count})</span>
+    `;
+    toggle.addEventListener('click', () => {
+        showArchived = !showArchived;
+        renderChatHistory();
+    });
+    makeDropTarget(toggle, { archived: true });
+    return toggle;
+};
+
+/**
+ * Create a folder with its chats
+ * @param {Object} folder - Folder from getFolders()
+ * @param {Array} chats - The folder's chats, sorted
+ * @returns {HTMLElement}
+ */
+const createFolderSection = (folder, chats) => {
+    const section = createElement('div', {
+        className: `chat-folder${folder.collapsed ? ' collapsed' : ''}`,
+        dataset: { folderId: folder.id }
+    });
+
+    const header = createElement('a', { href: '#', className: 'nav-item chat-folder-header' });
+    header.innerHTML = `
+        <svg class="chat-folder-chevron" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${CHEVRON_RIGHT_PATH}</svg>
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${FOLDER_PATH}</svg>
+    `;
+    const nameSpan = createElement('span', { className: 'chat-folder-name' }, folder.name);
+    header.appendChild(nameSpan);
+    header.appendChild(createElement('span', { className: 'chat-folder-count' }, String(chats.length)));
+
+    const renameBtn = createElement('button', { className: 'chat-folder-btn', title: 'Rename folder' });
+    renameBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${EDIT_PATH}</svg>`;
+    renameBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const input = createNameInput(folder.name, (name) => updateFolder(folder.id, { name }));
+        nameSpan.replaceWith(input);
+        input.focus();
+        input.select();
+    });
+
+    const deleteBtn = createElement('button', { className: 'chat-folder-btn', title: 'Delete folder (its chats are kept)' });
+    deleteBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${TRASH_PATH}</svg>`;
+    deleteBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!confirm(`Delete the folder "${folder.name}"? Its chats are kept.`)) return;
+        deleteFolder(folder.id);
+    });
+
+    header.appendChild(renameBtn);
+    header.appendChild(deleteBtn);
+    header.addEventListener('click', (e) => {
+        e.preventDefault();
+        updateFolder(folder.id, { collapsed: !folder.collapsed });
+    });
+    makeDropTarget(header, { folderId: folder.id, pinned: false, archived: false });
+
+    section.appendChild(header);
+    if (!folder.collapsed) {
+        const list = createElement('div', { className: 'chat-folder-chats' });
+        chats.forEach(chat => list.appendChild(createChatItem(chat)));
+        section.appendChild(list);
+    }
+    return section;
+};
+
+/**
+ * Create an inline name input: Enter saves, Escape or leaving it cancels
+ * @param {string} value - Initial name
+ * @param {Function} onSubmit - Called with the name; may throw to report a bad name
+ * @param {Object} options - { placeholder, maxLength }
+ * @returns {HTMLInputElement}
+ */
+const createNameInput = (value, onSubmit, { placeholder = 'Folder name', maxLength = config.organization.maxFolderNameLength } = {}) => {
+    const input = createElement('input', {
+        type: 'text',
+        className: 'chat-name-input',
+        maxlength: maxLength,
+        placeholder
+    });
+    input.value = value;
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        if (save) {
+            try {
+                onSubmit(input.value);
+            } catch (error) {
+                eventBus.emit(Events.NOTIFY, { message: error.message, type: 'error' });
+            }
+        }
+        renderChatHistory();
+    };
+
+    input.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+    });
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(false));
+    return input;
+};
+
+/**
+ * Show a name input for a new folder at the top of the chat list
+ */
+const startNewFolder = () => {
+    if (!chatHistoryContainer || $('.chat-folder-new', chatHistoryContainer)) return;
+
+    const input = createNameInput('', (name) => createFolder(name));
+    const row = createElement('div', { className: 'nav-item chat-folder-new' });
+    row.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${FOLDER_PATH}</svg>`;
+    row.appendChild(input);
+
+    chatHistoryContainer.insertBefore(row, chatHistoryContainer.firstChild);
+    input.focus();
+};
+
+/**
+ * Replace a chat's title with an input to rename it
+ * @param {HTMLElement} item - Chat item
+ * @param {Object} chat - Chat record
+ */
+const startChatRename = (item, chat) => {
+    const titleSpan = item && $('.chat-history-title', item);
+    if (!titleSpan) return;
+
+    const input = createNameInput(chat.title, (title) => renameChat(chat.id, title), {
+        placeholder: 'Title (empty for automatic)',
+        maxLength: config.titles.maxLength
+    });
+    item.draggable = false;
+    addClass(item, 'renaming');
+    titleSpan.replaceWith(input);
+    input.focus();
+    input.select();
+};
+
+/**
+ * Create a chat's item in the history list
+ * @param {Object} chat - Chat record
+ * @returns {HTMLElement}
+ */
+const createChatItem = (chat) => {
+    const isActive = currentView === 'chat' && chat.id === getCurrentChatId();
+    const item = createElement('a', {
+        href: '#',
+        className: `nav-item chat-history-item${isActive ? ' active' : ''}`,
+        dataset: { chatId: chat.id }
+    });
+
+    // Chat icon (a pin for pinned chats)
+    const iconSpan = createElement('span', { className: 'chat-history-icon' });
+    if (chat.pinned && !chat.archived) {
+        iconSpan.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${PIN_PATH}</svg>`;
+    } else {
         iconSpan.appendChild(createChatIcon());
+    }
 
-        // Chat title
-        const titleSpan = createElement('span', { className: 'chat-history-title' }, chat.title);
+    // Chat title
+    const titleSpan = createElement('span', { className: 'chat-history-title' }, chat.title);
+    titleSpan.addEventListener('dblclick', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        startChatRename(item, chat);
+    });
+    const tagsSpan = createChatTags(chat);
+    const usageSpan = createChatUsage(chat.tree);
 
-        // Delete button
-        const deleteBtn = createElement('button', {
-            className: 'chat-delete-btn',
-            title: 'Delete chat'
-        });
-        deleteBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${TRASH_PATH}</svg>`;
-        deleteBtn.addEventListener('click', (e) => {
+    // Menu button (rename, pin, archive, folder, tags)
+    const menuBtn = createElement('button', {
+        className: 'chat-menu-btn',
+        title: 'Organize chat'
+    });
+    menuBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${MORE_PATH}</svg>`;
+    menuBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        openChatMenu(menuBtn, chat);
+    });
+
+    // Export button
+    const exportBtn = createElement('button', {
+        className: 'chat-export-btn',
+        title: 'Export chat'
+    });
+    exportBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${DOWNLOAD_PATH}</svg>`;
+    exportBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        openExportMenu(exportBtn, chat.id);
+    });
+
+    // Delete button
+    const deleteBtn = createElement('button', {
+        className: 'chat-delete-btn',
+        title: 'Delete chat'
+    });
+    deleteBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${TRASH_PATH}</svg>`;
+    deleteBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handleDeleteClick(deleteBtn, chat.id);
+    });
+
+    item.appendChild(iconSpan);
+    item.appendChild(titleSpan);
+    if (isChatLockedElsewhere(chat.id)) {
+        item.appendChild(createElement('span', { className: 'chat-history-answering', title: 'Answering in another tab' }));
+    }
+    if (tagsSpan) item.appendChild(tagsSpan);
+    if (usageSpan) item.appendChild(usageSpan);
+    item.appendChild(menuBtn);
+    item.appendChild(exportBtn);
+    item.appendChild(deleteBtn);
+
+    item.addEventListener('click', (e) => {
+        e.preventDefault();
+        handleChatSelect(chat.id);
+    });
+
+    setupChatDrag(item, chat);
+    return item;
+};
+
+/**
+ * Create the tags shown after a chat's title; clicking one filters the list by it
+ * @param {Object} chat - Chat record
+ * @returns {HTMLElement|null} Null if the chat has no tags
+ */
+const createChatTags = (chat) => {
+    const tags = chat.tags || [];
+    if (tags.length === 0) return null;
+
+    const container = createElement('span', { className: 'chat-history-tags', title: tags.map(tag => `#${tag}`).join(' ') });
+    tags.slice(0, config.organization.sidebarTags).forEach(tag => {
+        const tagEl = createElement('span', { className: 'chat-tag' }, `#${tag}`);
+        tagEl.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            handleDeleteClick(deleteBtn, chat.id);
+            tagFilter = tag;
+            renderChatHistory();
         });
+        container.appendChild(tagEl);
+    });
+    return container;
+};
 
-        item.appendChild(iconSpan);
-        item.appendChild(titleSpan);
-        item.appendChild(deleteBtn);
+/**
+ * Remove every drop indicator from the chat list
+ */
+const clearDropIndicators = () => {
+    $$('.drop-before, .drop-after, .drop-into', chatHistoryContainer).forEach(el => {
+        removeClass(el, 'drop-before');
+        removeClass(el, 'drop-after');
+        removeClass(el, 'drop-into');
+    });
+};
 
-        item.addEventListener('click', (e) => {
-            e.preventDefault();
-            handleChatSelect(chat.id);
-        });
+/**
+ * Make a chat item draggable, and a place to drop other chats above or below it
+ * @param {HTMLElement} item - Chat item
+ * @param {Object} chat - Chat record
+ */
+const setupChatDrag = (item, chat) => {
+    item.draggable = true;
+
+    // Whether the pointer is over the lower half of the item
+    const isAfter = (e) => {
+        const rect = item.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+    };
+
+    item.addEventListener('dragstart', (e) => {
+        draggedChatId = chat.id;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', chat.id);
+        addClass(item, 'dragging');
+        closeChatMenu();
+        closeExportMenu();
+    });
+    item.addEventListener('dragend', () => {
+        draggedChatId = null;
+        removeClass(item, 'dragging');
+        clearDropIndicators();
+    });
+    item.addEventListener('dragover', (e) => {
+        if (!draggedChatId || draggedChatId === chat.id) return;
+        e.preventDefault();
+        const after = isAfter(e);
+        toggleClass(item, 'drop-before', !after);
+        toggleClass(item, 'drop-after', after);
+    });
+    item.addEventListener('dragleave', () => {
+        removeClass(item, 'drop-before');
+        removeClass(item, 'drop-after');
+    });
+    item.addEventListener('drop', (e) => {
+        if (!draggedChatId || draggedChatId === chat.id) return;
+        e.preventDefault();
+        const chatId = draggedChatId;
+        clearDropIndicators();
+        moveChat(chatId, chat.id, isAfter(e));
+    });
+};
 
-        chatHistoryContainer.appendChild(item);
+/**
+ * Let chats be dropped on a section header or folder
+ * @param {HTMLElement} el - Drop target
+ * @param {Object} changes - Organization changes applied to a dropped chat
+ */
+const makeDropTarget = (el, changes) => {
+    el.addEventListener('dragover', (e) => {
+        if (!draggedChatId) return;
+        e.preventDefault();
+        addClass(el, 'drop-into');
+    });
+    el.addEventListener('dragleave', () => removeClass(el, 'drop-into'));
+    el.addEventListener('drop', (e) => {
+        if (!draggedChatId) return;
+        e.preventDefault();
+        const chatId = draggedChatId;
+        clearDropIndicators();
+        organizeChat(chatId, changes);
     });
 };
 
+/**
+ * Create the usage total shown next to a chat's title
+ * Shows the cost, or the token count when none of the answers has a price.
+ * @param {Object} tree - The chat's message tree
+ * @returns {HTMLElement|null} Null if no answer recorded usage
+ */
+const createChatUsage = (tree) => {
+    const usage = getTreeUsage(tree);
+    if (usage.answers === 0) return null;
+
+    const tokens = usage.promptTokens + usage.completionTokens;
+    const priced = usage.unpriced < usage.answers;
+    const details = [
+        `${usage.answers} answer${usage.answers === 1 ? '' : 's'}`,
+        `${tokens.toLocaleString()} tokens`,
+        priced && `$${usage.cost.toFixed(4)}`
+    ].filter(Boolean).join(' · ');
+
+    return createElement('span', { className: 'chat-history-usage', title: details },
+        priced ? formatCost(usage.cost) : `${formatTokens(tokens)} tok`);
+};
+
 // Track which delete button is in confirm state
 let pendingDeleteBtn = null;
 let pendingDeleteTimeout = null;
@@ -501,8 +1467,8 @@ const handleDeleteChat = (chatId) => {
         pendingDeleteTimeout = null;
     }
 
-    // Delete from storage
-    deleteChat(chatId);
+    // Move to the trash
+    const trashIds = deleteChat(chatId);
 
     // If this was the current chat, clear it
     const currentId = getCurrentChatId();
@@ -512,19 +1478,29 @@ const handleDeleteChat = (chatId) => {
 
     // Re-render the chat history
     renderChatHistory();
+
+    eventBus.emit(Events.NOTIFY, {
+        message: 'Chat moved to trash',
+        duration: config.trash.undoDuration,
+        action: { label: 'Undo', onClick: () => restoreFromTrash(trashIds) }
+    });
 };
 
 /**
- * Handle chat selection from history
+ * Handle chat selection from history (or from a search result)
  * @param {string} chatId - Chat ID
+ * @param {Object} options - { messageId: message to scroll to, terms: search terms to highlight in it }
  */
-const handleChatSelect = (chatId) => {
-    const chat = loadChat(chatId);
+const handleChatSelect = async (chatId, { messageId = null, terms = [] } = {}) => {
+    const chat = await loadChat(chatId);
     if (chat) {
         // Switch to chat view first
         switchView('chat');
 
-        loadChatHistory(chatId, chat.messages);
+        loadChatHistory(chatId, chat.messages, chat.tree, chat.settings);
+        if (messageId) {
+            focusMessage(messageId, terms);
+        }
 
         // Update active state
         $$('.chat-history-item').forEach(item => {
@@ -0,0 +1,153 @@
+/**
+ * Trash View Component
+ * Deleted chats and images, with restore and permanent deletion until they expire
+ */
+
+import { $, createElement, empty } from '../utils/dom.js';
+import eventBus, { Events } from '../utils/events.js';
+import { getTrashItems, getTrashExpiry, restoreFromTrash, purgeFromTrash, emptyTrash } from '../services/storage.js';
+import { TRASH_PATH } from '../utils/icons.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// DOM Elements
+let mainContent;
+let trashContainer;
+let summaryEl;
+let actionsEl;
+let listEl;
+
+// View state
+let isVisible = false;
+
+/**
+ * Initialize trash view component
+ */
+export const init = () => {
+    mainContent = $('.main-content');
+
+    trashContainer = $('.trash-panel');
+    if (!trashContainer) {
+        trashContainer = createElement('div', { className: 'trash-panel' });
+        trashContainer.style.display = 'none';
+        mainContent.appendChild(trashContainer);
+    }
+
+    createHeader();
+
+    eventBus.on(Events.VIEW_CHANGED, ({ view }) => {
+        isVisible = view === 'trash';
+        trashContainer.style.display = isVisible ? 'block' : 'none';
+        if (isVisible) render();
+    });
+
+    eventBus.on(Events.TRASH_CHANGED, () => {
+        if (isVisible) render();
+    });
+};
+
+/**
+ * Create the title and the Restore all / Empty trash buttons
+ */
+const createHeader = () => {
+    const header = createElement('div', { className: 'trash-header' });
+    header.appendChild(createElement('h2', { className: 'trash-title' }, 'Trash'));
+
+    const restoreAllBtn = createElement('button', { className: 'trash-action' }, 'Restore all');
+    restoreAllBtn.addEventListener('click', () => {
+        restoreFromTrash(getTrashItems().map(entry => entry.id));
+    });
+
+    const emptyBtn = createElement('button', { className: 'trash-action trash-action-danger' }, 'Empty trash');
+    emptyBtn.addEventListener('click', () => {
+        const count = getTrashItems().length;
+        if (confirm(`Permanently delete ${count} item${count === 1 ? '' : 's'}? This can't be undone.`)) {
+            emptyTrash();
+        }
+    });
+
+    actionsEl = createElement('div', { className: 'trash-actions' }, [restoreAllBtn, emptyBtn]);
+    header.appendChild(actionsEl);
+
+    summaryEl = createElement('div', { className: 'trash-summary' });
+    listEl = createElement('div', { className: 'trash-list' });
+
+    trashContainer.appendChild(header);
+    trashContainer.appendChild(summaryEl);
+    trashContainer.appendChild(listEl);
+};
+
+/**
+ * Describe how long until an item is deleted for good
+ * @param {Object} entry - Trash item
+ * @returns {string}
+ */
+const formatTimeLeft = (entry) => {
+    const days = Math.ceil((getTrashExpiry(entry) - Date.now()) / DAY_MS);
+    if (days <= 1) return 'Deleted for good within a day';
+    return `Deleted for good in ${days} days`;
+};
+
+/**
+ * Create one trashed chat or image
+ * @param {Object} entry - Trash item from getTrashItems()
+ * @returns {HTMLElement}
+ */
+const createEntry = (entry) => {
+    const isChat = entry.kind === 'chat';
+    const item = createElement('article', { className: `trash-item trash-item-${entry.kind}` });
+
+    if (!isChat) {
+        item.appendChild(createElement('img', {
+            className: 'trash-item-thumb',
+            src: entry.item.url,
+            alt: entry.item.prompt || 'Generated image',
+            loading: 'lazy'
+        }));
+    }
+
+    const deletedOn = new Date(entry.deletedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    item.appendChild(createElement('div', { className: 'trash-item-info' }, [
+        createElement('span', { className: 'trash-item-kind' }, isChat ? 'Chat' : 'Image'),
+        createElement('span', { className: 'trash-item-title' }, (isChat ? entry.item.title : entry.item.prompt) || 'Untitled'),
+        createElement('span', { className: 'trash-item-meta' }, `Deleted ${deletedOn} · ${formatTimeLeft(entry)}`)
+    ]));
+
+    const restoreBtn = createElement('button', { className: 'trash-action' }, 'Restore');
+    restoreBtn.addEventListener('click', () => restoreFromTrash([entry.id]));
+
+    const purgeBtn = createElement('button', { className: 'trash-action trash-action-danger' }, 'Delete forever');
+    purgeBtn.addEventListener('click', () => purgeFromTrash([entry.id]));
+
+    item.appendChild(createElement('div', { className: 'trash-item-actions' }, [restoreBtn, purgeBtn]));
+
+    return item;
+};
+
+/**
+ * Render the trashed items
+ */
+export const render = () => {
+    if (!trashContainer) return;
+
+    const items = getTrashItems();
+    empty(listEl);
+    actionsEl.style.display = items.length > 0 ? '' : 'none';
+
+    if (items.length === 0) {
+        summaryEl.textContent = '';
+        const emptyState = createElement('div', { className: 'trash-empty' });
+        emptyState.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">${TRASH_PATH}</svg>
+            <h3>Trash is empty</h3>
+            <p>Deleted chats and images stay here for a while, so you can restore them.</p>
+        `;
+        listEl.appendChild(emptyState);
+        return;
+    }
+
+    summaryEl.textContent = `${items.length} item${items.length === 1 ? '' : 's'}`;
+    items.forEach(entry => listEl.appendChild(createEntry(entry)));
+};
+
+export default { init, render };
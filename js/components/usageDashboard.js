@@ -0,0 +1,225 @@
+/**
+ * Usage Dashboard Component
+ * Token usage and cost of the saved chats' answers, by day and by model, with CSV export
+ */
+
+import { $, createElement, empty, downloadFile } from '../utils/dom.js';
+import eventBus, { Events } from '../utils/events.js';
+import { getUsageReport, usageReportToCSV, formatCost, formatTokens } from '../services/usage.js';
+import { CHART_PATH, DOWNLOAD_PATH } from '../utils/icons.js';
+
+// Time ranges offered by the range picker (days; null is all time)
+const RANGES = [
+    { days: 7, label: 'Last 7 days' },
+    { days: 30, label: 'Last 30 days' },
+    { days: 90, label: 'Last 90 days' },
+    { days: null, label: 'All time' }
+];
+
+// DOM Elements
+let mainContent;
+let dashboardContainer;
+
+// Dashboard state
+let isVisible = false;
+let rangeDays = 30;
+
+/**
+ * Initialize usage dashboard component
+ */
+export const init = () => {
+    mainContent = $('.main-content');
+
+    dashboardContainer = $('.usage-dashboard');
+    if (!dashboardContainer) {
+        dashboardContainer = createElement('div', { className: 'usage-dashboard' });
+        dashboardContainer.style.display = 'none';
+        mainContent.appendChild(dashboardContainer);
+    }
+
+    eventBus.on(Events.VIEW_CHANGED, handleViewChanged);
+
+    // Keep the numbers current while the dashboard is open
+    eventBus.on(Events.CHAT_SAVED, () => {
+        if (isVisible) render();
+    });
+};
+
+/**
+ * Handle view changed event
+ * @param {Object} data
+ */
+const handleViewChanged = ({ view }) => {
+    isVisible = view === 'usage';
+    dashboardContainer.style.display = isVisible ? 'block' : 'none';
+    if (isVisible) render();
+};
+
+/**
+ * Format token totals as "in / out"
+ * @param {Object} totals
+ * @returns {string}
+ */
+const formatInOut = (totals) => `${formatTokens(totals.promptTokens)} / ${formatTokens(totals.completionTokens)}`;
+
+/**
+ * Format a day key for display
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+const formatDay = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Create a summary card
+ * @param {string} label
+ * @param {string} value
+ * @param {string} detail - Smaller text under the value
+ * @returns {HTMLElement}
+ */
+const createCard = (label, value, detail = '') => {
+    const card = createElement('div', { className: 'usage-card' });
+    card.appendChild(createElement('div', { className: 'usage-card-label' }, label));
+    card.appendChild(createElement('div', { className: 'usage-card-value' }, value));
+    if (detail) {
+        card.appendChild(createElement('div', { className: 'usage-card-detail' }, detail));
+    }
+    return card;
+};
+
+/**
+ * Create a breakdown table with a bar showing each row's share
+ * @param {string} title
+ * @param {string} firstColumn - Heading of the row label column
+ * @param {Array<{label: string, totals: Object}>} rows
+ * @returns {HTMLElement}
+ */
+const createBreakdown = (title, firstColumn, rows) => {
+    const section = createElement('section', { className: 'usage-section' });
+    section.appendChild(createElement('h3', { className: 'usage-section-title' }, title));
+
+    // Bars compare cost, or tokens when nothing has a price
+    const byCost = rows.some(row => row.totals.cost > 0);
+    const measure = (totals) => byCost ? totals.cost : totals.promptTokens + totals.completionTokens;
+    const max = Math.max(...rows.map(row => measure(row.totals)), 0);
+
+    const table = createElement('table', { className: 'usage-table' });
+    const head = createElement('tr');
+    [firstColumn, 'Answers', 'Tokens in / out', 'Reasoning', 'Cached', 'Cost'].forEach(heading => {
+        head.appendChild(createElement('th', {}, heading));
+    });
+    table.appendChild(createElement('thead', {}, [head]));
+
+    const body = createElement('tbody');
+    rows.forEach(({ label, totals }) => {
+        const bar = createElement('div', { className: 'usage-bar' });
+        const fill = createElement('div', { className: 'usage-bar-fill' });
+        fill.style.width = `${max > 0 ? (measure(totals) / max) * 100 : 0}%`;
+        bar.appendChild(fill);
+
+        const labelCell = createElement('td', { className: 'usage-row-label' }, [
+            createElement('span', {}, label),
+            bar
+        ]);
+        const cost = totals.answers > totals.unpriced ? formatCost(totals.cost) : '—';
+
+        const row = createElement('tr', {}, [
+            labelCell,
+            createElement('td', {}, String(totals.answers)),
+            createElement('td', {}, formatInOut(totals)),
+            createElement('td', {}, formatTokens(totals.reasoningTokens)),
+            createElement('td', {}, formatTokens(totals.cachedTokens)),
+            createElement('td', {}, cost)
+        ]);
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    section.appendChild(createElement('div', { className: 'usage-table-scroll' }, [table]));
+    return section;
+};
+
+/**
+ * Create the header with the range picker and export button
+ * @param {Object} report - Report from getUsageReport()
+ * @returns {HTMLElement}
+ */
+const createHeader = (report) => {
+    const header = createElement('div', { className: 'usage-header' });
+    header.appendChild(createElement('h2', { className: 'usage-title' }, 'Usage'));
+
+    const controls = createElement('div', { className: 'usage-controls' });
+
+    const rangeSelect = createElement('select', { className: 'usage-range' });
+    RANGES.forEach(range => {
+        const option = createElement('option', { value: range.days ?? '' }, range.label);
+        option.selected = range.days === rangeDays;
+        rangeSelect.appendChild(option);
+    });
+    rangeSelect.addEventListener('change', () => {
+        rangeDays = rangeSelect.value ? Number(rangeSelect.value) : null;
+        render();
+    });
+
+    const exportBtn = createElement('button', { className: 'usage-export-btn', title: 'Download as CSV' });
+    exportBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${DOWNLOAD_PATH}</svg><span>Export CSV</span>`;
+    exportBtn.disabled = report.rows.length === 0;
+    exportBtn.addEventListener('click', () => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`lampira-usage-${date}.csv`, usageReportToCSV(report), 'text/csv');
+    });
+
+    controls.appendChild(rangeSelect);
+    controls.appendChild(exportBtn);
+    header.appendChild(controls);
+    return header;
+};
+
+/**
+ * Render the dashboard for the selected range
+ */
+export const render = () => {
+    if (!dashboardContainer) return;
+
+    const report = getUsageReport({ days: rangeDays });
+    const { totals } = report;
+
+    empty(dashboardContainer);
+    dashboardContainer.appendChild(createHeader(report));
+
+    if (totals.answers === 0) {
+        const emptyState = createElement('div', { className: 'usage-empty' });
+        emptyState.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">${CHART_PATH}</svg>
+            <h3>No usage yet</h3>
+            <p>Token counts and costs of your saved chats' answers will show up here.</p>
+        `;
+        dashboardContainer.appendChild(emptyState);
+        return;
+    }
+
+    // Summary
+    const cards = createElement('div', { className: 'usage-cards' });
+    cards.appendChild(createCard('Cost', totals.unpriced < totals.answers ? formatCost(totals.cost) : '—',
+        totals.unpriced > 0 ? `${totals.unpriced} answer${totals.unpriced === 1 ? '' : 's'} without a price` : ''));
+    cards.appendChild(createCard('Tokens in / out', formatInOut(totals),
+        `${(totals.promptTokens + totals.completionTokens).toLocaleString()} total`));
+    cards.appendChild(createCard('Reasoning tokens', formatTokens(totals.reasoningTokens)));
+    cards.appendChild(createCard('Cached tokens', formatTokens(totals.cachedTokens),
+        totals.promptTokens > 0 ? `${Math.round((totals.cachedTokens / totals.promptTokens) * 100)}% of input` : ''));
+    cards.appendChild(createCard('Answers', totals.answers.toLocaleString()));
+    dashboardContainer.appendChild(cards);
+
+    // Breakdowns
+    dashboardContainer.appendChild(createBreakdown('By day', 'Day',
+        report.daily.map(day => ({ label: formatDay(day.date), totals: day }))));
+    dashboardContainer.appendChild(createBreakdown('By model', 'Model',
+        report.models.map(model => ({ label: model.name, totals: model }))));
+
+    dashboardContainer.appendChild(createElement('p', { className: 'usage-note' },
+        'Counts the answers in your saved chats, including earlier versions. Costs are as reported by OpenRouter, or estimated from the model\'s price. Deleted chats are no longer counted.'));
+};
+
+export default { init, render };
@@ -0,0 +1,248 @@
+/**
+ * Web Search Options Component
+ * Popover next to the globe toggle for the current chat's engine, result count,
+ * context size, recency window and domain filters
+ */
+
+import { $, createElement, removeClass, toggleClass } from '../utils/dom.js';
+import eventBus, { Events } from '../utils/events.js';
+import config from '../config.js';
+import { getChatSettings, updateChatSettings } from '../services/chat.js';
+import {
+    ENGINES,
+    CONTEXT_SIZES,
+    RECENCIES,
+    ENGINE_LABELS,
+    RECENCY_LABELS,
+    normalizeWebSearchOptions,
+    isCustomized,
+    hasSearchFilters
+} from '../services/webSearch.js';
+import { SLIDERS_PATH } from '../utils/icons.js';
+
+// DOM Elements
+let optionsBtn;
+let popover;
+let fields = {};
+let isOpen = false;
+
+// The button is shown while web search or deep research is on, in the chat view
+let webSearchOn = false;
+let researchOn = false;
+let currentView = 'chat';
+
+/**
+ * Initialize web search options component (after the search box has created the globe button)
+ */
+export const init = () => {
+    const webSearchBtn = $('.web-search-btn');
+    if (!webSearchBtn) return;
+
+    optionsBtn = createElement('button', {
+        className: 'icon-btn web-search-options-btn',
+        title: 'Web search options'
+    });
+    optionsBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${SLIDERS_PATH}</svg>`;
+    optionsBtn.style.display = 'none';
+    webSearchBtn.after(optionsBtn);
+
+    createPopover(webSearchBtn.parentElement);
+    setupEventListeners();
+    updateDisplay();
+
+    eventBus.on(Events.CHAT_SETTINGS_CHANGED, updateDisplay);
+    eventBus.on(Events.CHAT_LOADED, updateDisplay);
+    eventBus.on(Events.CHAT_CLEARED, updateDisplay);
+    eventBus.on(Events.WEB_SEARCH_TOGGLE, ({ enabled }) => {
+        webSearchOn = enabled;
+        updateVisibility();
+    });
+    eventBus.on(Events.RESEARCH_TOGGLE, ({ enabled }) => {
+        researchOn = enabled;
+        updateVisibility();
+    });
+    eventBus.on(Events.VIEW_CHANGED, ({ view }) => {
+        currentView = view;
+        updateVisibility();
+    });
+};
+
+/**
+ * Create a labelled select
+ * @param {string} label
+ * @param {Array<{value: string, label: string}>} options
+ * @returns {{row: HTMLElement, input: HTMLSelectElement}}
+ */
+const createSelect = (label, options) => {
+    const input = createElement('select', { className: 'persona-input' });
+    options.forEach(option => {
+        input.appendChild(createElement('option', { value: option.value }, option.label));
+    });
+    return { row: createElement('label', { className: 'persona-label' }, [label, input]), input };
+};
+
+/**
+ * Create a labelled text or number input
+ * @param {string} label
+ * @param {Object} attrs - Input attributes
+ * @returns {{row: HTMLElement, input: HTMLInputElement}}
+ */
+const createInput = (label, attrs) => {
+    const input = createElement('input', { className: 'persona-input', ...attrs });
+    return { row: createElement('label', { className: 'persona-label' }, [label, input]), input };
+};
+
+/**
+ * Create the popover with its form
+ * @param {HTMLElement} parent - Element the popover is positioned in
+ */
+const createPopover = (parent) => {
+    popover = createElement('div', { className: 'model-dropdown web-search-popover' });
+    popover.style.display = 'none';
+
+    popover.appendChild(createElement('div', { className: 'model-dropdown-header' }, 'Web search options for this chat'));
+
+    const form = createElement('div', { className: 'web-search-form' });
+
+    const engine = createSelect('Engine', [
+        { value: '', label: 'Auto' },
+        ...ENGINES.map(value => ({ value, label: ENGINE_LABELS[value] }))
+    ]);
+    const maxResults = createInput('Results', { type: 'number', min: '1', max: '25', step: '1' });
+    const contextSize = createSelect('Context size', [
+        { value: '', label: 'Provider default' },
+        ...CONTEXT_SIZES.map(value => ({ value, label: value.charAt(0).toUpperCase() + value.slice(1) }))
+    ]);
+    const recency = createSelect('Published', [
+        { value: '', label: 'Any time' },
+        ...RECENCIES.map(value => ({ value, label: RECENCY_LABELS[value] }))
+    ]);
+    const includeDomains = createInput('Only these sites', { type: 'text', placeholder: 'e.g. nature.com, arxiv.org' });
+    const excludeDomains = createInput('Exclude sites', { type: 'text', placeholder: 'e.g. pinterest.com' });
+
+    fields = {
+        engine: engine.input,
+        maxResults: maxResults.input,
+        contextSize: contextSize.input,
+        recency: recency.input,
+        includeDomains: includeDomains.input,
+        excludeDomains: excludeDomains.input
+    };
+
+    const grid = createElement('div', { className: 'web-search-form-grid' });
+    [engine, maxResults, contextSize, recency].forEach(({ row }) => grid.appendChild(row));
+    form.appendChild(grid);
+    form.appendChild(includeDomains.row);
+    form.appendChild(excludeDomains.row);
+    form.appendChild(createElement('div', { className: 'persona-hint' },
+        `Up to ${config.webSearch.maxDomains} sites per list. Recency and site filters are applied by Exa search, so setting one switches the engine to Exa; sources from other sites are dropped.`));
+
+    Object.values(fields).forEach(input => input.addEventListener('change', handleChange));
+    popover.appendChild(form);
+
+    const resetBtn = createElement('button', { className: 'persona-dropdown-action', type: 'button' }, 'Reset to defaults');
+    resetBtn.addEventListener('click', () => updateChatSettings({ webSearchOptions: null }));
+    popover.appendChild(resetBtn);
+
+    parent.style.position = 'relative';
+    parent.appendChild(popover);
+};
+
+/**
+ * Save the form as the chat's web search options
+ */
+const handleChange = () => {
+    const options = normalizeWebSearchOptions({
+        engine: fields.engine.value || null,
+        maxResults: parseInt(fields.maxResults.value, 10),
+        searchContextSize: fields.contextSize.value || null,
+        recency: fields.recency.value || null,
+        includeDomains: fields.includeDomains.value,
+        excludeDomains: fields.excludeDomains.value
+    });
+
+    // Keep the defaults implicit so config changes reach chats that never customized
+    updateChatSettings({ webSearchOptions: isCustomized(options) ? options : null });
+};
+
+/**
+ * Fill the form from the current chat's options
+ */
+const updateDisplay = () => {
+    if (!optionsBtn) return;
+
+    const options = getChatSettings().webSearchOptions;
+    fields.engine.value = options.engine || '';
+    // Filters need Exa
+    fields.engine.disabled = hasSearchFilters(options);
+    fields.maxResults.value = String(options.maxResults);
+    fields.contextSize.value = options.searchContextSize || '';
+    fields.recency.value = options.recency || '';
+    fields.includeDomains.value = options.includeDomains.join(', ');
+    fields.excludeDomains.value = options.excludeDomains.join(', ');
+
+    const customized = isCustomized(options);
+    toggleClass(optionsBtn, 'customized', customized);
+    optionsBtn.title = customized ? 'Web search options (customized for this chat)' : 'Web search options';
+};
+
+/**
+ * Show the button only where web search applies
+ */
+const updateVisibility = () => {
+    const visible = (webSearchOn || researchOn) && currentView !== 'images';
+    optionsBtn.style.display = visible ? '' : 'none';
+    if (!visible) closePopover();
+};
+
+/**
+ * Setup event listeners
+ */
+const setupEventListeners = () => {
+    optionsBtn.addEventListener('click', togglePopover);
+
+    // Close on outside click
+    document.addEventListener('click', (e) => {
+        if (isOpen && !popover.contains(e.target) && !optionsBtn.contains(e.target)) {
+            closePopover();
+        }
+    });
+
+    // Close on escape
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isOpen) {
+            closePopover();
+        }
+    });
+};
+
+/**
+ * Toggle popover visibility
+ */
+const togglePopover = () => {
+    isOpen = !isOpen;
+    popover.style.display = isOpen ? 'flex' : 'none';
+    toggleClass(optionsBtn, 'active', isOpen);
+
+    if (isOpen) {
+        updateDisplay();
+    }
+};
+
+/**
+ * Close popover
+ */
+const closePopover = () => {
+    if (!popover) return;
+    isOpen = false;
+    popover.style.display = 'none';
+    removeClass(optionsBtn, 'active');
+};
+
+/**
+ * Check if popover is open
+ * @returns {boolean}
+ */
+export const isPopoverOpen = () => isOpen;
+
+export default { init, isPopoverOpen };
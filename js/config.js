@@ -16,25 +16,40 @@ const config = {
     // Default model configuration
     defaultModel: 'x-ai/grok-4.1-fast',
 
-    // Available models (can be fetched from API)
+    // Fallback models, used until the catalog from /api/models has loaded
     models: [
         {
             id: 'x-ai/grok-4.1-fast',
             name: 'Grok 4.1 Fast',
             description: 'X.AI fastest model',
-            contextLength: 131072
+            contextLength: 131072,
+            maxOutputTokens: 16384,
+            inputModalities: ['text', 'image'],
+            supportedParameters: ['tools', 'tool_choice', 'reasoning']
         }
     ],
 
+    // Model catalog settings
+    modelCatalog: {
+        cacheTtl: 24 * 60 * 60 * 1000 // Refetch /api/models after a day
+    },
+
     // Web search configuration
+    // These are the defaults; the options popover next to the globe changes them per chat
     webSearch: {
         enabled: false, // Default to chat mode (no web search)
-        engine: 'native', // 'native', 'exa', or undefined for auto
-        maxResults: 10,
-        searchContextSize: 'high' // 'low', 'medium', 'high'
+        engine: 'native', // 'native', 'exa', or null for auto
+        maxResults: 10, // 1-25
+        searchContextSize: 'high', // 'low', 'medium', 'high'
+        recency: null, // 'day', 'week', 'month', 'year', or null for any time
+        includeDomains: [], // Only use these sites
+        excludeDomains: [], // Never use these sites
+        maxDomains: 10 // Per list
     },
 
     // Chat settings
+    // System prompts are templates: {{date}}, {{time}}, {{locale}}, {{timezone}}, {{userName}}
+    // and {{model}} are filled in when a message is sent (see services/personas.js)
     chat: {
         maxHistoryLength: 50,
         // System prompt for regular chat mode (no web search)
@@ -47,7 +62,7 @@ GUIDELINES:
 4. If you're unsure about something, say so
 5. Be conversational but professional
 
-Current date: ${new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}`,
+Current date: {{date}}`,
         // System prompt for web search mode
         systemPromptWeb: `You are Lampira, an AI-powered research engine. Your purpose is to provide accurate, well-researched answers using real-time web search results.
 
@@ -62,13 +77,149 @@ GUIDELINES:
 8. Be concise but comprehensive
 9. DO NOT include a separate "Sources" section at the end of your response - sources are automatically displayed separately in the UI
 
-Current date: ${new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}`,
-        streamingEnabled: true
+Current date: {{date}}`,
+        // Appended to custom persona prompts in web search mode
+        webSearchInstructions: `WEB SEARCH:
+- Use the web search results provided to answer, and synthesize information from multiple sources
+- CITE sources inline within your text using markdown links: [Source Title](url)
+- If sources conflict or are insufficient, say so
+- DO NOT include a separate "Sources" section at the end of your response - sources are displayed separately in the UI`,
+        streamingEnabled: true,
+        streamIdleTimeout: 45000, // A stream that sends nothing for this long is retried (ms, 0 to wait forever)
+        // Answers cut off by max_tokens (finish_reason "length"); enabled is the default of the user's setting
+        autoContinue: {
+            enabled: false,
+            maxRounds: 3 // Automatic continuations per answer
+        }
+    },
+
+    // Tool calling (see services/tools.js)
+    // Sent to models whose catalog entry lists "tools" as a supported parameter
+    tools: {
+        enabled: true,
+        maxRounds: 5, // Tool call rounds per answer before the model must reply in text
+        maxResultChars: 8000 // Longer tool results are truncated
+    },
+
+    // Model fallback: a request that fails with a provider error (an upstream 429 or 5xx, or a stream
+    // that ends in an error) is retried, then sent to the next model in the chain (see services/chat.js)
+    fallback: {
+        enabled: true,
+        attemptsPerModel: 2, // Tries per model before moving down the chain
+        retryDelay: 1000, // ms before a retry, multiplied by the attempt number
+        chains: {
+            'x-ai/grok-4.1-fast': ['google/gemini-2.5-flash', 'openai/gpt-4o-mini'],
+            'x-ai/grok-code-fast-1': ['deepseek/deepseek-chat', 'openai/gpt-4o-mini'],
+            'openai/gpt-4o': ['anthropic/claude-sonnet-4', 'google/gemini-2.5-pro'],
+            'anthropic/claude-sonnet-4': ['openai/gpt-4o', 'google/gemini-2.5-pro'],
+            'google/gemini-2.5-pro': ['anthropic/claude-sonnet-4', 'openai/gpt-4o']
+        },
+        defaultChain: ['x-ai/grok-4.1-fast', 'openai/gpt-4o-mini'] // For models without a chain of their own
+    },
+
+    // Compare mode: one prompt answered by several models side by side
+    compare: {
+        minModels: 2,
+        maxModels: 4
+    },
+
+    // Spending budgets enforced by the API proxy (see services/budget.js)
+    budget: {
+        pollInterval: 60 * 1000, // Refetch /api/usage while the tab is visible
+        refreshDelay: 1000 // Wait after an answer or image before refetching
+    },
+
+    // Deep research (see services/research.js)
+    research: {
+        maxSteps: 4, // Steps in the research plan
+        queriesPerStep: 2, // Web searches per step (run in parallel)
+        findingsMaxTokens: 1200, // Notes written per search
+        maxFindingsChars: 4000, // Notes per search passed to the report
+        reportMaxTokens: 8192 // Length of the final report (capped at the model's max_tokens limit)
+    },
+
+    // Reasoning (thinking) models
+    // The effort is set per chat and sent to models that list "reasoning" as a supported parameter
+    reasoning: {
+        efforts: ['low', 'medium', 'high'] // Choices in the effort picker; unset uses the model's default
+    },
+
+    // Personas (named system prompts)
+    // The built-in persona uses the chat/web prompts above; users add their own in the persona manager
+    personas: {
+        defaultId: 'lampira',
+        maxPromptLength: 8000
+    },
+
+    // Context window management
+    // Older turns that don't fit the model's context window are folded into a summary
+    context: {
+        defaultContextLength: 32768, // Used when the catalog doesn't list a model's context length
+        safetyMargin: 1024, // Tokens kept free to absorb estimation error
+        imageTokens: 1500, // Estimated cost per attached image
+        pdfTokensPerKb: 50, // Estimated cost per KB of attached PDF
+        minPdfTokens: 500,
+        summaryModel: 'x-ai/grok-code-fast-1', // Fast, cheap model that writes the summaries
+        summaryMaxTokens: 800,
+        summaryInputChars: 24000, // Transcript size per summarization request
+        summaryExcerptChars: 3000 // Longer messages are cut before summarizing
+    },
+
+    // Chat history and full-text search (see services/chatSearch.js)
+    chatSearch: {
+        recentChats: 10, // Chats listed in the sidebar; the rest are in the Search chats view
+        maxResults: 50, // Chats shown per search
+        hitsPerChat: 3, // Matching messages shown under each chat
+        snippetLength: 160, // Characters of text around the matches
+        minTermLength: 2, // Shorter words aren't indexed
+        maxPrefixTerms: 50, // Words the last query word may be the start of
+        searchDelay: 150 // ms to wait after typing before searching
+    },
+
+    // Chat titles
+    // After the first exchange a cheap model names the chat; renamed chats keep their title
+    titles: {
+        generate: true,
+        model: 'x-ai/grok-code-fast-1',
+        maxTokens: 200,
+        excerptChars: 1500, // Longer messages are cut before titling
+        maxLength: 80 // Longest title, generated or typed
+    },
+
+    // Chat organization: folders, tags, pinning and archive
+    organization: {
+        maxTags: 10, // Tags per chat
+        maxTagLength: 30,
+        maxFolderNameLength: 40,
+        sidebarTags: 2 // Tags shown next to a chat's title in the sidebar
+    },
+
+    // Trash: deleted chats and images can be restored for a while
+    trash: {
+        retentionDays: 30, // Older items are deleted for good on startup
+        undoDuration: 8000 // How long the Undo notification stays (ms)
+    },
+
+    // Cross-tab sync: open tabs share saved chats, images and settings
+    sync: {
+        enabled: true,
+        channel: 'lampira-sync', // BroadcastChannel name
+        lockHeartbeat: 5000, // A tab answering in a chat re-announces it this often (ms)
+        lockTimeout: 15000 // Announcements older than this are ignored (the tab was closed or crashed)
     },
 
     // Storage keys
+    // Chats and images live in IndexedDB; the localStorage keys for them are only read for migration
     storage: {
+        database: 'Lampira',
+        writeDelay: 500, // ms to batch working-chat writes while streaming
         currentModel: 'Lampira_current_model',
+        sessionId: 'Lampira_session_id', // sessionStorage, sent for per-session rate limits
+        workingChatTab: 'Lampira_working_chat_tab', // sessionStorage, finds this tab's working chat after a reload
+        modelCatalog: 'Lampira_model_catalog',
+        favoriteModels: 'Lampira_favorite_models',
+        personas: 'Lampira_personas',
+        currentPersona: 'Lampira_current_persona',
         chatHistory: 'Lampira_chat_history',
         settings: 'Lampira_settings',
         chats: 'Lampira_saved_chats',
@@ -0,0 +1,91 @@
+/**
+ * Budget Service
+ * Polls /api/usage for the spending caps the proxy enforces, and refreshes after each paid request
+ */
+
+import config from '../config.js';
+import eventBus, { Events } from '../utils/events.js';
+import { getBudget as fetchBudget } from '../api/budget.js';
+
+// Last status from /api/usage (null until loaded, or when the endpoint isn't deployed)
+let status = null;
+
+let pollTimer = null;
+let refreshTimer = null;
+let unavailable = false;
+
+/**
+ * Initialize the service: load the budget, then keep it current
+ */
+export const init = () => {
+    refreshBudget();
+    schedulePoll();
+
+    // Spend changes after every answer and image; wait a moment so bursts (compare mode) refresh once
+    const refreshSoon = () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(refreshBudget, config.budget.refreshDelay);
+    };
+    eventBus.on(Events.AI_COMPLETE, refreshSoon);
+    eventBus.on(Events.AI_ERROR, refreshSoon);
+    eventBus.on(Events.AI_INTERRUPTED, refreshSoon);
+    eventBus.on(Events.IMAGE_GEN_COMPLETE, refreshSoon);
+    eventBus.on(Events.IMAGE_GEN_ERROR, refreshSoon);
+
+    // Don't poll from background tabs
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            clearTimeout(pollTimer);
+        } else {
+            refreshBudget();
+            schedulePoll();
+        }
+    });
+};
+
+/**
+ * Poll every config.budget.pollInterval
+ */
+const schedulePoll = () => {
+    clearTimeout(pollTimer);
+    if (unavailable) return;
+    pollTimer = setTimeout(async () => {
+        await refreshBudget();
+        schedulePoll();
+    }, config.budget.pollInterval);
+};
+
+/**
+ * Fetch the latest status and emit BUDGET_UPDATED
+ * @returns {Promise<Object|null>} The status, or null if it couldn't be loaded
+ */
+export const refreshBudget = async () => {
+    if (unavailable) return null;
+
+    try {
+        status = await fetchBudget();
+        eventBus.emit(Events.BUDGET_UPDATED, status);
+    } catch (error) {
+        // Static hosting or an older deployment without the endpoint: stop asking
+        if (error.status === 404) {
+            unavailable = true;
+            clearTimeout(pollTimer);
+        }
+    }
+    return status;
+};
+
+/**
+ * Get the last loaded status
+ * @returns {Object|null} { enabled, day, month }, periods as { scope, spent, limit, remaining, resetAt }
+ */
+export const getBudgetStatus = () => status;
+
+/**
+ * Check if an API error is a rejection for a reached spending cap
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isBudgetError = (error) => error?.status === 402 && error.data?.type === 'budget_exceeded';
+
+export default { init, refreshBudget, getBudgetStatus, isBudgetError };
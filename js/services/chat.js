@@ -5,24 +5,141 @@
 
 import config from '../config.js';
 import eventBus, { Events } from '../utils/events.js';
-import { saveCurrentChat, loadCurrentChat, clearCurrentChat, saveChat } from './storage.js';
-import { getModel } from './models.js';
+import { saveCurrentChat, loadCurrentChat, loadCurrentChatSettings, clearCurrentChat, saveChat, loadChat, getChatList, getSetting, setSetting } from './storage.js';
+import { isChatLockedElsewhere, setAnsweringChat } from './sync.js';
+import { getModel, getModelInfo, getModelDisplayName, getUnsupportedInputs, supportsTools, supportsReasoning } from './models.js';
 import { sendMessage, sendMessageStream, formatMessages, getModelParams } from '../api/openrouter.js';
+import { withRetry, isTransientError } from '../api/base.js';
+import { buildContext } from './context.js';
+import { resolveSystemPrompt, getDefaultPersonaId, setDefaultPersona } from './personas.js';
+import { getToolDefinitions, getTool, executeToolCall } from './tools.js';
+import { runDeepResearch, buildReportMessages } from './research.js';
+import { normalizeWebSearchOptions, filterSourcesByDomain } from './webSearch.js';
+import { normalizeUsage, addUsage } from './usage.js';
+import { requestChatTitle } from './chatTitles.js';
+import {
+    createTree,
+    normalizeTree,
+    addNode,
+    removeNode,
+    getActivePath,
+    setCurrentLeaf,
+    getLatestLeafId,
+    switchToSibling,
+    mergeTrees,
+    getBranchInfo as getTreeBranchInfo
+} from '../utils/messageTree.js';
 
-// Current conversation history
-let history = loadCurrentChat() || [];
+// Conversation tree (every branch) and the branch currently shown
+let tree = createTree();
+let history = [];
 
 // Current chat ID (null for new/unsaved chat)
 let currentChatId = null;
 
+// Per-chat settings, saved with the chat ({ personaId, systemPrompt, reasoningEffort, webSearchOptions, compareModels })
+let chatSettings = {};
+
 // Loading state
 let isLoading = false;
 
 // Current abort controller for stream cancellation
 let currentAbortController = null;
 
+// Abort controllers of the answers streaming in compare mode, by message ID
+const compareControllers = new Map();
+
+// Whether another tab saved the open chat while this tab was answering in it
+let pendingRemoteMerge = false;
+
 /**
- * Get conversation history
+ * Restore the working chat from storage
+ * Call after initStorage() and before components render
+ * @returns {Promise<void>}
+ */
+export const init = async () => {
+    tree = await loadCurrentChat();
+    chatSettings = loadCurrentChatSettings();
+    history = getActivePath(tree);
+
+    // Changes other tabs made to the open chat (see services/sync.js)
+    eventBus.on(Events.CHAT_SAVED, ({ id, remote }) => {
+        if (!remote || id !== currentChatId) return;
+        if (isLoading) {
+            pendingRemoteMerge = true;
+        } else {
+            mergeRemoteChat();
+        }
+    });
+    eventBus.on(Events.LOADING_END, () => {
+        if (pendingRemoteMerge && !isLoading) mergeRemoteChat();
+    });
+    eventBus.on(Events.TRASH_CHANGED, ({ remote }) => {
+        if (!remote || !currentChatId || getChatList().some(chat => chat.id === currentChatId)) return;
+        // Keep it on screen; saving again makes it a new chat
+        currentChatId = null;
+        eventBus.emit(Events.NOTIFY, { message: 'This chat was deleted in another tab. Continue it to save it as a new chat.' });
+    });
+    eventBus.on(Events.CHAT_LOCKS_CHANGED, () => {
+        if (isLoading && currentChatId && isChatLockedElsewhere(currentChatId)) {
+            cancelCurrentRequest();
+            eventBus.emit(Events.NOTIFY, { message: 'Another tab started answering in this chat at the same time, so this answer was stopped.', type: 'warning' });
+        }
+    });
+};
+
+/**
+ * Bring the open chat up to date with what another tab saved
+ * Messages from both tabs are kept. The branch shown moves only if the other tab continued it.
+ * @returns {Promise<void>}
+ */
+const mergeRemoteChat = async () => {
+    pendingRemoteMerge = false;
+    const chatId = currentChatId;
+    const chat = await loadChat(chatId);
+    if (!chat || chatId !== currentChatId) return;
+    if (isLoading) {
+        pendingRemoteMerge = true;
+        return;
+    }
+
+    const leafId = tree.currentLeafId;
+    const merged = mergeTrees(tree, chat.tree);
+    if (leafId && !getActivePath(merged).some(message => message.id === leafId)) {
+        setCurrentLeaf(merged, leafId);
+    }
+    tree = merged;
+
+    const settingsChanged = JSON.stringify(chat.settings || {}) !== JSON.stringify(chatSettings);
+    chatSettings = { ...chat.settings };
+
+    syncHistory();
+    eventBus.emit(Events.CHAT_UPDATED, { history });
+    if (settingsChanged) {
+        eventBus.emit(Events.CHAT_SETTINGS_CHANGED, getChatSettings());
+    }
+};
+
+/**
+ * Make sure no other tab is answering in the open chat
+ * @throws {Error} If one is
+ */
+const assertChatAvailable = () => {
+    if (currentChatId && isChatLockedElsewhere(currentChatId)) {
+        throw new Error('This chat is answering in another tab. Wait for it to finish, or continue there.');
+    }
+};
+
+/**
+ * Recompute the visible history from the tree and persist the working chat
+ */
+const syncHistory = () => {
+    history = getActivePath(tree);
+    saveCurrentChat(tree, chatSettings);
+};
+
+/**
+ * Get conversation history (the active branch)
  * @returns {Array}
  */
 export const getHistory = () => [...history];
@@ -33,12 +150,54 @@ export const getHistory = () => [...history];
  */
 export const getCurrentChatId = () => currentChatId;
 
+/**
+ * Get the current chat's settings
+ * The persona falls back to the default for new chats; a null reasoning effort
+ * leaves it to the model. Web search options are filled in from config.webSearch.
+ * Compare mode is on when compareModels lists at least config.compare.minModels models.
+ * @returns {Object} { personaId, systemPrompt, reasoningEffort, webSearchOptions, compareModels }
+ */
+export const getChatSettings = () => ({
+    personaId: getDefaultPersonaId(),
+    systemPrompt: null,
+    reasoningEffort: null,
+    compareModels: [],
+    ...chatSettings,
+    webSearchOptions: normalizeWebSearchOptions(chatSettings.webSearchOptions)
+});
+
+/**
+ * Update the current chat's settings
+ * Picking a persona also makes it the default for new chats.
+ * @param {Object} changes - Settings to change ({ personaId, systemPrompt, reasoningEffort, webSearchOptions, compareModels })
+ */
+export const updateChatSettings = (changes) => {
+    chatSettings = { ...chatSettings, ...changes };
+
+    if (changes.personaId) {
+        setDefaultPersona(changes.personaId);
+    }
+
+    saveCurrentChat(tree, chatSettings);
+    if (currentChatId) {
+        saveCurrentChatToStorage();
+    }
+    eventBus.emit(Events.CHAT_SETTINGS_CHANGED, getChatSettings());
+};
+
 /**
  * Check if currently loading
  * @returns {boolean}
  */
 export const getIsLoading = () => isLoading;
 
+/**
+ * Get branch position of a message among its alternate versions
+ * @param {string} messageId - Message ID
+ * @returns {{index: number, total: number}} Zero-based index and version count
+ */
+export const getBranchInfo = (messageId) => getTreeBranchInfo(tree, messageId);
+
 /**
  * Cancel current streaming request
  * @returns {boolean} Whether cancellation was triggered
@@ -52,34 +211,44 @@ export const cancelCurrentRequest = () => {
         }
         currentAbortController = null;
         isLoading = false;
+        setAnsweringChat(null);
         eventBus.emit(Events.LOADING_END);
         return true;
     }
     return false;
 };
 
+/**
+ * Generate a message ID
+ * @returns {string}
+ */
+const generateMessageId = () => Date.now().toString(36) + Math.random().toString(36).substr(2);
+
 /**
  * Add a message to history
+ * The message is appended under the current leaf of the conversation tree
  * @param {string} role - Message role (user/assistant)
  * @param {string} content - Message content
  * @param {Array} sources - Optional sources/citations
  * @param {Array} images - Optional images (base64 data URLs)
  * @param {Array} pdfs - Optional PDFs (objects with data and filename)
+ * @param {Object} extra - Optional extra fields stored on the message (e.g. webSearchEnabled)
  * @returns {Object} The added message
  */
-export const addMessage = (role, content, sources = [], images = [], pdfs = []) => {
+export const addMessage = (role, content, sources = [], images = [], pdfs = [], extra = {}) => {
     const message = {
-        id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+        id: generateMessageId(),
         role,
         content,
         sources,
         images: images || [],
         pdfs: pdfs || [],
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        ...extra
     };
 
-    history.push(message);
-    saveCurrentChat(history);
+    addNode(tree, message);
+    syncHistory();
     eventBus.emit(Events.CHAT_UPDATED, { history, message });
 
     return message;
@@ -97,7 +266,7 @@ export const updateLastAssistantMessage = (content, sources = null) => {
         if (sources !== null) {
             lastMsg.sources = sources;
         }
-        saveCurrentChat(history);
+        saveCurrentChat(tree, chatSettings);
     }
 };
 
@@ -105,8 +274,10 @@ export const updateLastAssistantMessage = (content, sources = null) => {
  * Clear conversation history
  */
 export const clearHistory = () => {
+    tree = createTree();
     history = [];
     currentChatId = null;
+    chatSettings = {};
     clearCurrentChat();
     eventBus.emit(Events.CHAT_CLEARED);
 };
@@ -114,115 +285,417 @@ export const clearHistory = () => {
 /**
  * Load a saved chat
  * @param {string} chatId - Chat ID
- * @param {Array} messages - Messages array
+ * @param {Array} messages - Messages array (used when no tree is available)
+ * @param {Object} chatTree - Optional full message tree
+ * @param {Object} settings - Optional per-chat settings
  */
-export const loadChatHistory = (chatId, messages) => {
-    history = messages;
+export const loadChatHistory = (chatId, messages, chatTree = null, settings = {}) => {
+    tree = normalizeTree(chatTree || messages);
     currentChatId = chatId;
-    saveCurrentChat(history);
+    chatSettings = { ...settings };
+    syncHistory();
     eventBus.emit(Events.CHAT_LOADED, { chatId, history });
 };
 
 /**
  * Save current chat
+ * The first save with an answer also asks for a generated title (in the background).
  * @param {string} title - Optional title
  * @returns {string} Chat ID
  */
 export const saveCurrentChatToStorage = (title = null) => {
-    currentChatId = saveChat(currentChatId, history, title);
+    currentChatId = saveChat(currentChatId, tree, title, chatSettings);
+    // A new chat gets its ID on the first save, partway through its first answer
+    if (isLoading) setAnsweringChat(currentChatId);
+    requestChatTitle(currentChatId, getActivePath(tree));
     return currentChatId;
 };
 
+/**
+ * Make sure a model can read a message's attachments
+ * @param {Array} images - Image data URLs
+ * @param {Array} pdfs - PDF attachments
+ * @param {string} model - Model ID (defaults to the selected model)
+ * @throws {Error} If the model can't read some of them
+ */
+const assertInputsSupported = (images, pdfs, model = getModel()) => {
+    const unsupported = getUnsupportedInputs(model, { images, pdfs });
+    if (unsupported.length > 0) {
+        throw new Error(`${getModelDisplayName(model)} can't read ${unsupported.map(kind => `${kind}s`).join(' or ')}. Switch to a compatible model or remove the attachments.`);
+    }
+};
+
 /**
  * Send a message and get AI response
  * @param {string} content - User message content
- * @param {Object} options - Additional options (images array, pdfs array, stream boolean, webSearchEnabled boolean)
- * @returns {Promise<Object>}
+ * @param {Object} options - Additional options (images array, pdfs array, stream boolean, webSearchEnabled boolean,
+ *                           researchEnabled boolean for deep research, webSearchOptions to override the chat's,
+ *                           compareModels array to ask several models at once)
+ * @returns {Promise<Object|Array>} The assistant message (an array of them in compare mode)
  */
 export const sendUserMessage = async (content, options = {}) => {
     if (isLoading) {
         throw new Error('Already processing a message');
     }
+    assertChatAvailable();
 
     const images = options.images || [];
     const pdfs = options.pdfs || [];
-    const webSearchEnabled = options.webSearchEnabled || false;
+    const researchEnabled = options.researchEnabled || false;
+    const webSearchEnabled = options.webSearchEnabled || researchEnabled;
 
     if (!content.trim() && images.length === 0 && pdfs.length === 0) {
         throw new Error('Message cannot be empty');
     }
+    if (researchEnabled && !content.trim()) {
+        throw new Error('Deep research needs a question');
+    }
+
+    const compareModels = (options.compareModels || []).slice(0, config.compare.maxModels);
+    const compareEnabled = compareModels.length >= config.compare.minModels;
+    if (compareEnabled && researchEnabled) {
+        throw new Error('Deep research can\'t run in compare mode');
+    }
+
+    if (compareEnabled) {
+        compareModels.forEach(model => assertInputsSupported(images, pdfs, model));
+    } else {
+        assertInputsSupported(images, pdfs);
+    }
+
+    // Replying to an undecided comparison continues from the answer shown first
+    resolvePendingCompare();
+
+    // Add user message with images and PDFs; the search options used are kept for regenerating
+    const extra = researchEnabled ? { webSearchEnabled, researchEnabled } : { webSearchEnabled };
+    if (webSearchEnabled) {
+        extra.webSearchOptions = normalizeWebSearchOptions(options.webSearchOptions || getChatSettings().webSearchOptions);
+    }
+    if (compareEnabled) {
+        extra.compareModels = compareModels;
+        extra.compareWinnerId = null;
+    }
+    const userMessage = addMessage('user', content, [], images, pdfs, extra);
+    eventBus.emit(Events.MESSAGE_SEND, userMessage);
+
+    if (compareEnabled) {
+        return requestCompareResponses(userMessage, { webSearchEnabled, webSearchOptions: extra.webSearchOptions });
+    }
+    if (researchEnabled) {
+        return requestResearchResponse(content, extra.webSearchOptions);
+    }
+    return requestAssistantResponse(content, {
+        webSearchEnabled,
+        webSearchOptions: extra.webSearchOptions,
+        stream: options.stream
+    });
+};
+
+/**
+ * Request an assistant response for the current branch
+ * The response is added as a child of the current leaf (normally the latest user message)
+ * @param {string} userQuestion - The user message being answered (used for follow-up suggestions)
+ * @param {Object} options - Options (stream boolean, webSearchEnabled boolean, webSearchOptions,
+ *                           continueMessage: the answer at the end of the branch to extend instead of adding one)
+ * @returns {Promise<Object>}
+ */
+const requestAssistantResponse = async (userQuestion, options = {}) => {
+    const continued = options.continueMessage || null;
+    const webSearchEnabled = options.webSearchEnabled || false;
+    const webSearchOptions = webSearchEnabled ? normalizeWebSearchOptions(options.webSearchOptions) : null;
 
     isLoading = true;
+    setAnsweringChat(currentChatId);
     eventBus.emit(Events.LOADING_START);
 
     // Create new abort controller for this request
-    currentAbortController = new AbortController();
+    const abortController = new AbortController();
+    currentAbortController = abortController;
 
     try {
-        // Add user message with images and PDFs
-        const userMessage = addMessage('user', content, [], images, pdfs);
-        eventBus.emit(Events.MESSAGE_SEND, userMessage);
-
-        // Select system prompt based on web search mode
-        const systemPrompt = webSearchEnabled
-            ? config.chat.systemPromptWeb
-            : config.chat.systemPromptChat;
-
-        // Prepare messages for API (with image support)
-        const messages = formatMessages(history, systemPrompt);
-        const model = getModel();
+        const model = continued?.model || getModel();
+
+        // The chat's persona (or its own prompt), with template variables filled in now
+        const systemPrompt = resolveSystemPrompt({ ...getChatSettings(), webSearchEnabled, model });
+
         const modelParams = getModelParams(model);
+        const supportsImages = getModelInfo(model)?.supportsVision !== false;
 
-        // Check if streaming is enabled
-        const useStreaming = options.stream !== false && config.chat.streamingEnabled;
+        // Fit the branch into the context window; older turns are summarized
+        const context = await buildContext(continued ? history.slice(0, -1) : history, {
+            model,
+            systemPrompt,
+            maxTokens: modelParams.max_tokens,
+            supportsImages
+        });
+
+        // Cancelled while the summary was being written
+        if (abortController.signal.aborted) {
+            return null;
+        }
+
+        // Prepare messages for API; earlier images are left out if the model can't read them
+        const messages = formatMessages(context.history, context.systemPrompt, { supportsImages });
+
+        // The answer being continued is sent back as the start of the reply, for the model to pick up from
+        if (continued) {
+            messages.push({ role: 'assistant', content: continued.content });
+        }
+
+        // Record what the model saw so the message list can mark compressed context
+        const extra = { model };
+        if (webSearchOptions) {
+            extra.webSearchOptions = webSearchOptions;
+        }
+        if (context.omittedCount > 0) {
+            extra.context = {
+                keptCount: context.keptCount,
+                omittedCount: context.omittedCount,
+                summarized: context.summarized
+            };
+        }
+
+        // Tools the model may call; the last allowed round forces a text answer.
+        // Options are built per model, since a fallback model may support less.
+        const { reasoningEffort } = getChatSettings();
+        const getRequestOptions = (requestModel, round) => {
+            const requestOptions = { ...getModelParams(requestModel), webSearchEnabled, webSearchOptions };
+            if (reasoningEffort && supportsReasoning(requestModel)) {
+                requestOptions.reasoning = { effort: reasoningEffort };
+            }
+            const tools = config.tools.enabled && supportsTools(requestModel) ? getToolDefinitions() : [];
+            if (tools.length > 0) {
+                requestOptions.tools = tools;
+                if (round >= config.tools.maxRounds) requestOptions.tool_choice = 'none';
+            }
+            return requestOptions;
+        };
+
+        // Model that answered the last round; a fallback keeps answering once it took over
+        let answeringModel = model;
+
+        // Check if streaming is enabled (continuing always streams into the existing message)
+        const useStreaming = continued || (options.stream !== false && config.chat.streamingEnabled);
 
         if (useStreaming) {
-            // Add placeholder for assistant message
-            const assistantMessage = addMessage('assistant', '', []);
-
-            await sendMessageStream(messages, model, {
-                onChunk: (chunk, fullContent) => {
-                    updateLastAssistantMessage(fullContent);
-                    eventBus.emit(Events.AI_STREAMING, { chunk, fullContent, message: assistantMessage });
-                },
-                onComplete: (fullContent, usage, annotations) => {
-                    updateLastAssistantMessage(fullContent, annotations || []);
-                    assistantMessage.sources = annotations || [];
-                    eventBus.emit(Events.AI_COMPLETE, { content: fullContent, message: assistantMessage, usage, sources: annotations || [] });
-
-                    // Auto-save chat
+            // Add placeholder for assistant message, or extend the one being continued
+            const assistantMessage = continued || addMessage('assistant', '', [], [], [], extra);
+            delete assistantMessage.interrupted;
+            delete assistantMessage.finishReason;
+
+            // Text from earlier tool call rounds (or of the answer being continued) stays in front of the final answer
+            let previousContent = continued?.content || '';
+            let previousReasoning = continued?.reasoning || '';
+
+            // Token usage and cost, summed over the rounds
+            let usage = continued?.usage || null;
+
+            // Time spent thinking, summed over the rounds (shown as "Thought for 12s")
+            let reasoningStartedAt = null;
+            const endReasoning = () => {
+                if (reasoningStartedAt === null) return;
+                assistantMessage.reasoningDuration = (assistantMessage.reasoningDuration || 0) + Date.now() - reasoningStartedAt;
+                reasoningStartedAt = null;
+            };
+
+            // Answers cut off by max_tokens are continued automatically when the setting is on
+            const autoContinue = getAutoContinue();
+            let continuations = 0;
+
+            // A continuation picks up mid-sentence, so its text is appended as is
+            let appendRaw = !!continued;
+            const join = (previous, next) => appendRaw ? previous + next : joinContent(previous, next);
+
+            // The assistant's text since the last tool results, sent back as the start of the reply to continue it
+            let prefill = continued ? messages[messages.length - 1] : null;
+
+            for (let round = 0; ; round++) {
+                let completion = null;
+                const roundSources = assistantMessage.sources;
+
+                // Longest answer a failed attempt got out, kept if every attempt fails
+                let partial = null;
+
+                /**
+                 * Stream this round from one model
+                 * A failed attempt's partial text, reasoning and sources are dropped before the next one.
+                 * @param {string} candidate - Model to ask
+                 */
+                const streamRound = async (candidate) => {
+                    try {
+                        await sendMessageStream(messages, candidate, {
+                            onReasoning: (chunk, fullReasoning) => {
+                                if (reasoningStartedAt === null) reasoningStartedAt = Date.now();
+                                assistantMessage.reasoning = joinContent(previousReasoning, fullReasoning);
+                                eventBus.emit(Events.AI_REASONING, { chunk, reasoning: assistantMessage.reasoning, message: assistantMessage });
+                            },
+                            onChunk: (chunk, fullContent) => {
+                                endReasoning();
+                                const content = join(previousContent, fullContent);
+                                updateLastAssistantMessage(content);
+                                eventBus.emit(Events.AI_STREAMING, { chunk, fullContent: content, message: assistantMessage });
+                            },
+                            onComplete: (fullContent, usage, annotations, { toolCalls = [], finishReason = null, reasoning = '' } = {}) => {
+                                completion = { content: fullContent, usage, annotations: annotations || [], toolCalls, finishReason, reasoning };
+                            },
+                            onProcessing: () => {
+                                // Emit processing event for UI feedback
+                                eventBus.emit(Events.AI_PROCESSING, { message: assistantMessage });
+                            },
+                            onAnnotations: (annotations) => {
+                                // Update sources as they come in
+                                const sources = offsetCitationSpans(filterSources(annotations, webSearchOptions), previousContent);
+                                updateLastAssistantMessage(assistantMessage.content, sources);
+                                assistantMessage.sources = sources;
+                                eventBus.emit(Events.AI_SOURCES_UPDATED, { message: assistantMessage, sources });
+                            }
+                        }, getRequestOptions(candidate, round - continuations), abortController);
+                    } catch (error) {
+                        if (assistantMessage.content.length > (partial?.content.length ?? previousContent.length)) {
+                            partial = {
+                                content: assistantMessage.content,
+                                reasoning: assistantMessage.reasoning,
+                                sources: assistantMessage.sources,
+                                model: candidate
+                            };
+                        }
+                        reasoningStartedAt = null;
+                        if (previousReasoning) {
+                            assistantMessage.reasoning = previousReasoning;
+                        } else {
+                            delete assistantMessage.reasoning;
+                        }
+                        updateLastAssistantMessage(previousContent, roundSources);
+                        throw error;
+                    }
+                };
+
+                try {
+                    const chain = getFallbackChain(answeringModel, messages);
+                    answeringModel = (await requestWithFallback(assistantMessage, chain, streamRound, abortController.signal)).model;
+                } catch (error) {
+                    if (!partial && !previousContent) {
+                        // Remove empty assistant message once every model has failed
+                        removeNode(tree, assistantMessage.id);
+                        syncHistory();
+                        eventBus.emit(Events.AI_ERROR, error);
+                        break;
+                    }
+
+                    // Keep what was streamed, marked so it can be continued
+                    if (partial) {
+                        updateLastAssistantMessage(partial.content, partial.sources);
+                        if (partial.reasoning) assistantMessage.reasoning = partial.reasoning;
+                        assistantMessage.model = partial.model;
+                    }
+                    assistantMessage.interrupted = {
+                        error: error.message || 'Connection lost',
+                        status: error.status ?? 0,
+                        timestamp: Date.now()
+                    };
                     saveCurrentChatToStorage();
+                    eventBus.emit(Events.AI_INTERRUPTED, { message: assistantMessage, error });
+                    break;
+                }
+
+                if (!completion) break;
+                assistantMessage.model = answeringModel;
+                if (completion.finishReason) {
+                    assistantMessage.finishReason = completion.finishReason;
+                } else {
+                    delete assistantMessage.finishReason;
+                }
+
+                endReasoning();
+                previousReasoning = joinContent(previousReasoning, completion.reasoning);
+                usage = addUsage(usage, normalizeUsage(answeringModel, completion.usage));
+                if (usage) {
+                    assistantMessage.usage = usage;
+                }
+
+                // The model asked for tools: run them and send the results back
+                if (completion.toolCalls.length > 0 && round - continuations < config.tools.maxRounds && !abortController.signal.aborted) {
+                    previousContent = join(previousContent, completion.content);
+                    appendRaw = false;
+                    prefill = null;
+                    await runToolCalls(assistantMessage, messages, completion, round - continuations);
+                    if (!abortController.signal.aborted) continue;
+                }
 
-                    // Generate follow-up suggestions only in web search mode
-                    if (webSearchEnabled) {
-                        generateFollowUpSuggestions(fullContent, assistantMessage, content);
+                // Cut off by max_tokens: ask for the rest, with the answer so far as the start of the reply
+                if (completion.finishReason === 'length' && autoContinue.enabled && continuations < autoContinue.maxRounds && !abortController.signal.aborted) {
+                    continuations++;
+                    previousContent = join(previousContent, completion.content);
+                    if (prefill && messages[messages.length - 1] === prefill) {
+                        prefill.content += completion.content;
+                    } else {
+                        prefill = { role: 'assistant', content: completion.content };
+                        messages.push(prefill);
                     }
-                },
-                onError: (error) => {
-                    // Remove empty assistant message on error
-                    history = history.filter(m => m.id !== assistantMessage.id);
-                    saveCurrentChat(history);
-                    eventBus.emit(Events.AI_ERROR, error);
-                },
-                onProcessing: () => {
-                    // Emit processing event for UI feedback
-                    eventBus.emit(Events.AI_PROCESSING, { message: assistantMessage });
-                },
-                onAnnotations: (annotations) => {
-                    // Update sources as they come in
-                    updateLastAssistantMessage(assistantMessage.content, annotations);
-                    assistantMessage.sources = annotations;
-                    eventBus.emit(Events.AI_SOURCES_UPDATED, { message: assistantMessage, sources: annotations });
+                    appendRaw = true;
+                    continue;
                 }
-            }, { ...modelParams, webSearchEnabled }, currentAbortController);
+
+                const fullContent = join(previousContent, completion.content);
+                const sources = completion.annotations.length > 0
+                    ? offsetCitationSpans(filterSources(completion.annotations, webSearchOptions), previousContent)
+                    : assistantMessage.sources || [];
+                updateLastAssistantMessage(fullContent, sources);
+                assistantMessage.sources = sources;
+                eventBus.emit(Events.AI_COMPLETE, { content: fullContent, message: assistantMessage, usage: completion.usage, sources });
+
+                // Auto-save chat
+                saveCurrentChatToStorage();
+
+                // Generate follow-up suggestions only in web search mode
+                if (webSearchEnabled) {
+                    generateFollowUpSuggestions(fullContent, assistantMessage, userQuestion);
+                }
+                break;
+            }
 
             return assistantMessage;
         } else {
-            // Non-streaming request
-            const response = await sendMessage(messages, model, { ...modelParams, webSearchEnabled });
-            const aiContent = response.choices?.[0]?.message?.content || 'No response received';
+            // Non-streaming request, looping while the model calls tools
+            const toolMessage = { toolCalls: [] };
+            let previousContent = '';
+            let reasoning = '';
+            let usage = null;
+            let reply;
+            let finishReason = null;
+
+            for (let round = 0; ; round++) {
+                const chain = getFallbackChain(answeringModel, messages);
+                const answer = await requestWithFallback(extra, chain, (candidate) => sendMessage(messages, candidate, getRequestOptions(candidate, round)));
+                const response = answer.result;
+                answeringModel = answer.model;
+                usage = addUsage(usage, normalizeUsage(answeringModel, response.usage));
+                reply = response.choices?.[0]?.message || {};
+                finishReason = response.choices?.[0]?.finish_reason || null;
+                reasoning = joinContent(reasoning, typeof reply.reasoning === 'string' ? reply.reasoning : '');
 
-            const assistantMessage = addMessage('assistant', aiContent);
+                if (!Array.isArray(reply.tool_calls) || reply.tool_calls.length === 0 || round >= config.tools.maxRounds) break;
+
+                previousContent = joinContent(previousContent, reply.content || '');
+                await runToolCalls(toolMessage, messages, { content: reply.content || '', toolCalls: reply.tool_calls }, round);
+            }
+
+            const aiContent = joinContent(previousContent, reply.content || '') || 'No response received';
+            extra.model = answeringModel;
+            if (toolMessage.toolCalls.length > 0) {
+                extra.toolCalls = toolMessage.toolCalls;
+            }
+            if (reasoning) {
+                extra.reasoning = reasoning;
+            }
+            if (usage) {
+                extra.usage = usage;
+            }
+            if (finishReason) {
+                extra.finishReason = finishReason;
+            }
+
+            const assistantMessage = addMessage('assistant', aiContent, [], [], [], extra);
             eventBus.emit(Events.AI_COMPLETE, { content: aiContent, message: assistantMessage });
             eventBus.emit(Events.MESSAGE_RECEIVED, assistantMessage);
 
@@ -235,57 +708,692 @@ export const sendUserMessage = async (content, options = {}) => {
         eventBus.emit(Events.AI_ERROR, error);
         throw error;
     } finally {
-        isLoading = false;
-        currentAbortController = null;
-        eventBus.emit(Events.LOADING_END);
+        if (currentAbortController === abortController) {
+            isLoading = false;
+            currentAbortController = null;
+            setAnsweringChat(null);
+            eventBus.emit(Events.LOADING_END);
+        }
     }
 };
 
 /**
- * Regenerate the last AI response
+ * Get the max_tokens for a research report
+ * Stays within the model's cap from /api/models (the server rejects larger values);
+ * models without a known cap get their usual max_tokens.
+ * @param {string} model - Model ID
+ * @returns {number}
+ */
+const getReportMaxTokens = (model) => {
+    const cap = getModelInfo(model)?.maxOutputTokens || getModelParams(model).max_tokens;
+    return Math.min(config.research.reportMaxTokens, cap);
+};
+
+/**
+ * Answer with a deep research report
+ * Plans the research, runs the searches (see services/research.js) and streams the report.
+ * Progress is stored on the message as `research` and reported with AI_RESEARCH_PROGRESS.
+ * Cancelling keeps the sources found so far.
+ * @param {string} question - The user's question
+ * @param {Object} webSearchOptions - Options for the research searches (see services/webSearch.js)
+ * @returns {Promise<Object>} The assistant message
+ */
+const requestResearchResponse = async (question, webSearchOptions) => {
+    isLoading = true;
+    setAnsweringChat(currentChatId);
+    eventBus.emit(Events.LOADING_START);
+
+    const abortController = new AbortController();
+    currentAbortController = abortController;
+
+    const model = getModel();
+    const research = { status: 'planning', steps: [], startedAt: Date.now() };
+    const sources = [];
+    const options = normalizeWebSearchOptions(webSearchOptions);
+    const assistantMessage = addMessage('assistant', '', [], [], [], { model, research, webSearchOptions: options });
+
+    // Planning, searches and report all count towards the answer's usage
+    const addRequestUsage = (usage) => {
+        const normalized = addUsage(assistantMessage.usage, normalizeUsage(model, usage));
+        if (normalized) assistantMessage.usage = normalized;
+    };
+
+    const update = () => {
+        if (sources.length !== assistantMessage.sources.length) {
+            assistantMessage.sources = [...sources];
+            eventBus.emit(Events.AI_SOURCES_UPDATED, { message: assistantMessage, sources: assistantMessage.sources });
+        }
+        saveCurrentChat(tree, chatSettings);
+        eventBus.emit(Events.AI_RESEARCH_PROGRESS, { message: assistantMessage, research });
+    };
+
+    // Finish the message with a note instead of a report
+    const finishEarly = (status, note) => {
+        research.status = status;
+        research.finishedAt = Date.now();
+        assistantMessage.content = note;
+        update();
+        eventBus.emit(Events.AI_COMPLETE, { content: note, message: assistantMessage, sources: assistantMessage.sources });
+        saveCurrentChatToStorage();
+        return assistantMessage;
+    };
+
+    try {
+        let findings;
+        try {
+            findings = await runDeepResearch(question, {
+                model,
+                history: history.slice(0, -2),
+                signal: abortController.signal,
+                webSearchOptions: options,
+                research,
+                sources,
+                onUpdate: update,
+                onUsage: addRequestUsage
+            });
+        } catch (error) {
+            if (abortController.signal.aborted) {
+                const done = research.steps.filter(step => step.status === 'done').length;
+                return finishEarly('cancelled', `*Research cancelled after ${done} of ${research.steps.length || '?'} steps.*`);
+            }
+            throw error;
+        }
+
+        // Write the report
+        research.status = 'writing';
+        update();
+
+        const systemPrompt = resolveSystemPrompt({ ...getChatSettings(), webSearchEnabled: true, model });
+        const messages = buildReportMessages(question, findings, sources, systemPrompt);
+        let completion = null;
+        let failure = null;
+
+        await sendMessageStream(messages, model, {
+            onChunk: (chunk, fullContent) => {
+                updateLastAssistantMessage(fullContent);
+                eventBus.emit(Events.AI_STREAMING, { chunk, fullContent, message: assistantMessage });
+            },
+            onComplete: (fullContent, usage) => {
+                completion = { content: fullContent, usage };
+            },
+            onError: (error) => {
+                failure = error;
+            },
+            onProcessing: () => {
+                eventBus.emit(Events.AI_PROCESSING, { message: assistantMessage });
+            }
+        }, { ...getModelParams(model), max_tokens: getReportMaxTokens(model) }, abortController);
+
+        if (failure) {
+            eventBus.emit(Events.AI_ERROR, failure);
+            return finishEarly('error', `*The report could not be written: ${failure.message}*`);
+        }
+
+        const content = completion?.content || '';
+        if (!content && abortController.signal.aborted) {
+            return finishEarly('cancelled', '*Research cancelled before the report was written.*');
+        }
+
+        addRequestUsage(completion?.usage);
+        research.status = abortController.signal.aborted ? 'cancelled' : 'done';
+        research.finishedAt = Date.now();
+        updateLastAssistantMessage(content);
+        update();
+        eventBus.emit(Events.AI_COMPLETE, { content, message: assistantMessage, usage: completion?.usage, sources: assistantMessage.sources });
+        saveCurrentChatToStorage();
+
+        if (!abortController.signal.aborted) {
+            generateFollowUpSuggestions(content, assistantMessage, question);
+        }
+        return assistantMessage;
+    } catch (error) {
+        eventBus.emit(Events.AI_ERROR, error);
+        return finishEarly('error', `*Research failed: ${error.message}*`);
+    } finally {
+        if (currentAbortController === abortController) {
+            isLoading = false;
+            currentAbortController = null;
+            setAnsweringChat(null);
+            eventBus.emit(Events.LOADING_END);
+        }
+    }
+};
+
+/**
+ * Answer a message with several models at once (compare mode)
+ * Each answer is a sibling assistant message under the user message, streamed in parallel with
+ * its own abort controller; stopping the request stops them all. The user then keeps one with
+ * pickCompareWinner(). Every model gets the same context, sized for the smallest context window.
+ * @param {Object} userMessage - User message with compareModels
+ * @param {Object} options - { webSearchEnabled, webSearchOptions }
+ * @returns {Promise<Array>} The answers
+ */
+const requestCompareResponses = async (userMessage, options = {}) => {
+    const webSearchEnabled = options.webSearchEnabled || false;
+    const webSearchOptions = webSearchEnabled ? normalizeWebSearchOptions(options.webSearchOptions) : null;
+    const models = userMessage.compareModels;
+
+    isLoading = true;
+    setAnsweringChat(currentChatId);
+    eventBus.emit(Events.LOADING_START);
+
+    const abortController = new AbortController();
+    currentAbortController = abortController;
+
+    try {
+        const contextLength = (model) => getModelInfo(model)?.contextLength || Infinity;
+        const contextModel = [...models].sort((a, b) => contextLength(a) - contextLength(b))[0];
+        const supportsImages = models.every(model => getModelInfo(model)?.supportsVision !== false);
+
+        const systemPrompt = resolveSystemPrompt({ ...getChatSettings(), webSearchEnabled, model: contextModel });
+        const context = await buildContext(history, {
+            model: contextModel,
+            systemPrompt,
+            maxTokens: Math.max(...models.map(model => getModelParams(model).max_tokens)),
+            supportsImages
+        });
+
+        if (abortController.signal.aborted) {
+            return [];
+        }
+
+        const messages = formatMessages(context.history, context.systemPrompt, { supportsImages });
+
+        // One answer per model, all children of the user message
+        const answers = models.map(model => {
+            setCurrentLeaf(tree, userMessage.id);
+            return addNode(tree, {
+                id: generateMessageId(),
+                role: 'assistant',
+                content: '',
+                sources: [],
+                images: [],
+                pdfs: [],
+                timestamp: Date.now(),
+                model,
+                compare: { status: 'streaming' },
+                ...(webSearchOptions ? { webSearchOptions } : {})
+            });
+        });
+        setCurrentLeaf(tree, answers[0].id);
+        syncHistory();
+        eventBus.emit(Events.CHAT_UPDATED, { history, message: answers[0] });
+
+        await Promise.all(answers.map(answer => streamCompareAnswer(answer, messages, abortController.signal, {
+            webSearchEnabled,
+            webSearchOptions
+        })));
+
+        saveCurrentChatToStorage();
+        return answers;
+    } catch (error) {
+        eventBus.emit(Events.AI_ERROR, error);
+        throw error;
+    } finally {
+        if (currentAbortController === abortController) {
+            isLoading = false;
+            currentAbortController = null;
+            setAnsweringChat(null);
+            eventBus.emit(Events.LOADING_END);
+        }
+    }
+};
+
+/**
+ * Stream one model's answer in compare mode
+ * Records time to first token, total time, token usage and cost on `message.compare`/`message.usage`.
+ * Errors end up on the answer (the other models keep going).
+ * @param {Object} message - Assistant message for this model
+ * @param {Array} messages - API messages
+ * @param {AbortSignal} parentSignal - Aborted when the whole comparison is stopped
+ * @param {Object} options - { webSearchEnabled, webSearchOptions }
+ */
+const streamCompareAnswer = async (message, messages, parentSignal, { webSearchEnabled, webSearchOptions }) => {
+    const controller = new AbortController();
+    const abortWithParent = () => controller.abort();
+    parentSignal.addEventListener('abort', abortWithParent);
+    compareControllers.set(message.id, controller);
+
+    const requestOptions = { ...getModelParams(message.model), webSearchEnabled, webSearchOptions };
+    const { reasoningEffort } = getChatSettings();
+    if (reasoningEffort && supportsReasoning(message.model)) {
+        requestOptions.reasoning = { effort: reasoningEffort };
+    }
+
+    const startedAt = Date.now();
+    let completion = null;
+    let failure = null;
+
+    await sendMessageStream(messages, message.model, {
+        onReasoning: (chunk, fullReasoning) => {
+            message.reasoning = fullReasoning;
+            eventBus.emit(Events.AI_REASONING, { chunk, reasoning: fullReasoning, message });
+        },
+        onChunk: (chunk, fullContent) => {
+            if (message.compare.firstTokenMs === undefined) {
+                message.compare.firstTokenMs = Date.now() - startedAt;
+            }
+            message.content = fullContent;
+            eventBus.emit(Events.AI_STREAMING, { chunk, fullContent, message });
+        },
+        onComplete: (fullContent, usage, annotations) => {
+            completion = { content: fullContent, usage, annotations: annotations || [] };
+        },
+        onError: (error) => {
+            failure = error;
+        },
+        onProcessing: () => {
+            eventBus.emit(Events.AI_PROCESSING, { message });
+        },
+        onAnnotations: (annotations) => {
+            message.sources = filterSources(annotations, webSearchOptions);
+            eventBus.emit(Events.AI_SOURCES_UPDATED, { message, sources: message.sources });
+        }
+    }, requestOptions, controller);
+
+    parentSignal.removeEventListener('abort', abortWithParent);
+    compareControllers.delete(message.id);
+
+    message.compare.durationMs = Date.now() - startedAt;
+    if (failure) {
+        message.compare.status = 'error';
+        message.content = joinContent(message.content, `*${getModelDisplayName(message.model)} failed: ${failure.message}*`);
+    } else {
+        message.compare.status = controller.signal.aborted ? 'cancelled' : 'done';
+        message.content = completion?.content || (controller.signal.aborted ? '*Stopped before answering.*' : 'No response received');
+        if (completion?.annotations.length > 0) {
+            message.sources = filterSources(completion.annotations, webSearchOptions);
+        }
+        const usage = normalizeUsage(message.model, completion?.usage);
+        if (usage) {
+            message.usage = usage;
+        }
+    }
+
+    saveCurrentChat(tree, chatSettings);
+    eventBus.emit(Events.AI_COMPLETE, { content: message.content, message, usage: completion?.usage, sources: message.sources });
+};
+
+/**
+ * Stop one model's answer in compare mode (the others keep streaming)
+ * @param {string} messageId - Answer message ID
+ * @returns {boolean} Whether the answer was still streaming
+ */
+export const cancelCompareAnswer = (messageId) => {
+    const controller = compareControllers.get(messageId);
+    if (!controller) return false;
+    controller.abort();
+    return true;
+};
+
+/**
+ * Get the comparison an answer belongs to
+ * @param {string} messageId - Assistant message ID
+ * @returns {{answers: Array, winnerId: string|null, pending: boolean}|null} Null if the answer isn't from compare mode
+ */
+export const getCompareGroup = (messageId) => {
+    const message = tree.nodes[messageId];
+    const userMessage = message?.compare && message.parentId ? tree.nodes[message.parentId] : null;
+    if (!userMessage?.compareModels) return null;
+
+    const answers = userMessage.childIds.map(id => tree.nodes[id]).filter(node => node?.compare);
+    const winnerId = userMessage.compareWinnerId || null;
+    return { answers, winnerId, pending: !winnerId };
+};
+
+/**
+ * Keep one answer of a comparison and continue the conversation from it
+ * The other answers stay in the tree as alternate versions.
+ * @param {string} messageId - The winning answer's ID
+ * @returns {boolean} Whether the winner was set
+ */
+export const pickCompareWinner = (messageId) => {
+    if (isLoading) return false;
+
+    const message = tree.nodes[messageId];
+    const userMessage = message?.compare && message.parentId ? tree.nodes[message.parentId] : null;
+    if (!userMessage?.compareModels) return false;
+
+    userMessage.compareWinnerId = messageId;
+    setCurrentLeaf(tree, getLatestLeafId(tree, messageId));
+    syncHistory();
+    if (currentChatId) {
+        saveCurrentChatToStorage();
+    }
+    eventBus.emit(Events.CHAT_BRANCH_CHANGED, { history, messageId });
+    return true;
+};
+
+/**
+ * Settle a comparison still waiting for a winner with the answer currently shown
+ */
+const resolvePendingCompare = () => {
+    const last = history[history.length - 1];
+    const group = last ? getCompareGroup(last.id) : null;
+    if (group?.pending) {
+        tree.nodes[last.parentId].compareWinnerId = last.id;
+    }
+};
+
+/**
+ * Get the models to try for a request: the model itself, then its fallback chain
+ * Fallbacks missing from the catalog, or unable to read the attachments being sent, are skipped.
+ * @param {string} model - Model the request is for
+ * @param {Array} messages - Formatted messages about to be sent
+ * @returns {Array<string>}
+ */
+const getFallbackChain = (model, messages) => {
+    if (!config.fallback.enabled) return [model];
+
+    const parts = messages.flatMap(message => Array.isArray(message.content) ? message.content : []);
+    const inputs = {
+        images: parts.filter(part => part.type === 'image_url'),
+        pdfs: parts.filter(part => part.type === 'file')
+    };
+
+    const fallbacks = (config.fallback.chains[model] || config.fallback.defaultChain)
+        .filter(id => id !== model && getModelInfo(id) && getUnsupportedInputs(id, inputs).length === 0);
+    return [model, ...new Set(fallbacks)];
+};
+
+/**
+ * Run a request, retrying it and then moving down the model's fallback chain while it fails
+ * with a provider error. Each failed attempt is logged on the record as `attempts`
+ * ({ model, status, error, timestamp }) and reported with AI_FALLBACK.
+ * @param {Object} record - Message (or the fields of one still to be added) the attempts are logged on
+ * @param {Array<string>} chain - Models to try, from getFallbackChain()
+ * @param {Function} request - async (model) => result; throws APIError on failure
+ * @param {AbortSignal} signal - Stops retrying once aborted
+ * @returns {Promise<{result: *, model: string}>} The result and the model that produced it
+ */
+const requestWithFallback = async (record, chain, request, signal = null) => {
+    const shouldRetry = (error) => isTransientError(error) && !signal?.aborted;
+    let lastError;
+
+    for (const model of chain) {
+        try {
+            const result = await withRetry(async () => {
+                try {
+                    return await request(model);
+                } catch (error) {
+                    if (!signal?.aborted) {
+                        record.attempts = [...(record.attempts || []), {
+                            model,
+                            status: error.status ?? 0,
+                            error: error.message || 'Request failed',
+                            timestamp: Date.now()
+                        }];
+                        eventBus.emit(Events.AI_FALLBACK, { message: record, attempt: record.attempts.at(-1), error });
+                    }
+                    throw error;
+                }
+            }, config.fallback.attemptsPerModel, config.fallback.retryDelay, shouldRetry);
+            return { result, model };
+        } catch (error) {
+            lastError = error;
+            if (!shouldRetry(error)) throw error;
+        }
+    }
+
+    throw lastError;
+};
+
+/**
+ * Drop sources the domain filters rule out
+ * @param {Array} sources - Sources from the annotations
+ * @param {Object|null} webSearchOptions - Normalized options, or null without web search
+ * @returns {Array}
+ */
+const filterSources = (sources, webSearchOptions) => {
+    return webSearchOptions ? filterSourcesByDomain(sources, webSearchOptions) : sources;
+};
+
+/**
+ * Join answer text from successive tool call rounds
+ * @param {string} previous - Text so far
+ * @param {string} next - Text from the latest round
+ * @returns {string}
+ */
+const joinContent = (previous, next) => {
+    if (!previous) return next;
+    if (!next) return previous;
+    return `${previous}\n\n${next}`;
+};
+
+/**
+ * Shift citation offsets past text from earlier tool call rounds
+ * Annotation offsets refer to the latest round's text, which follows that text in the message.
+ * @param {Array} sources - Sources with citation spans
+ * @param {string} previousContent - Text in front of the latest round's
+ * @returns {Array}
+ */
+const offsetCitationSpans = (sources, previousContent) => {
+    const offset = previousContent ? joinContent(previousContent, 'x').length - 1 : 0;
+    if (offset === 0) return sources;
+
+    const shift = (index) => (Number.isInteger(index) ? index + offset : index);
+    return sources.map(source => ({
+        ...source,
+        startIndex: shift(source.startIndex),
+        endIndex: shift(source.endIndex),
+        spans: (source.spans || []).map(span => ({
+            startIndex: span.startIndex + offset,
+            endIndex: span.endIndex + offset
+        }))
+    }));
+};
+
+/**
+ * Run the tools the model asked for and append the results to the request messages
+ * Each call is recorded on the message (`toolCalls`) for the tool cards.
+ * @param {Object} message - Assistant message the calls belong to
+ * @param {Array} messages - API messages for the follow-up request (mutated)
+ * @param {Object} completion - { content, toolCalls } from the model
+ * @param {number} round - Tool call round (0-based)
+ */
+const runToolCalls = async (message, messages, { content, toolCalls }, round) => {
+    // Tool results are matched to calls by ID, so make sure every call has one
+    toolCalls.forEach((call, i) => {
+        if (!call.id) call.id = `call_${round}_${i}`;
+    });
+    messages.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+
+    for (const call of toolCalls) {
+        const record = {
+            id: call.id,
+            name: call.function.name,
+            label: getTool(call.function.name)?.label || call.function.name,
+            arguments: call.function.arguments,
+            status: 'running',
+            result: null,
+            round
+        };
+        message.toolCalls = [...(message.toolCalls || []), record];
+        eventBus.emit(Events.AI_TOOL_CALL, { message, toolCall: record });
+
+        const { content: result, error } = await executeToolCall(call.function.name, call.function.arguments);
+        record.result = result;
+        record.status = error ? 'error' : 'done';
+        messages.push({ role: 'tool', tool_call_id: call.id, content: result });
+        eventBus.emit(Events.AI_TOOL_CALL, { message, toolCall: record });
+    }
+
+    saveCurrentChat(tree, chatSettings);
+};
+
+/**
+ * Regenerate an AI response
+ * The new answer becomes a sibling version of the old one, which stays in the tree
+ * @param {string} messageId - Assistant message ID to regenerate
  * @returns {Promise<Object>}
  */
-export const regenerateLastResponse = async () => {
-    // Find and remove the last assistant message
-    const lastAssistantIndex = history.findLastIndex(m => m.role === 'assistant');
-    if (lastAssistantIndex === -1) {
+export const regenerateResponse = async (messageId) => {
+    if (isLoading) {
+        throw new Error('Already processing a message');
+    }
+    assertChatAvailable();
+
+    const message = tree.nodes[messageId];
+    if (!message || message.role !== 'assistant') {
         throw new Error('No assistant message to regenerate');
     }
 
-    // Get the user message before it
-    const userMessage = history.slice(0, lastAssistantIndex).findLast(m => m.role === 'user');
-    if (!userMessage) {
+    // Get the user message it answers
+    const userMessage = message.parentId ? tree.nodes[message.parentId] : null;
+    if (!userMessage || userMessage.role !== 'user') {
         throw new Error('No user message found');
     }
 
-    // Remove messages after and including the last assistant message
-    history = history.slice(0, lastAssistantIndex);
-    saveCurrentChat(history);
+    // Branch off from the user message
+    setCurrentLeaf(tree, userMessage.id);
+    syncHistory();
     eventBus.emit(Events.CHAT_UPDATED, { history });
 
-    // Resend
-    return sendUserMessage(userMessage.content);
+    if (userMessage.researchEnabled) {
+        return requestResearchResponse(userMessage.content, userMessage.webSearchOptions);
+    }
+    return requestAssistantResponse(userMessage.content, {
+        webSearchEnabled: userMessage.webSearchEnabled,
+        webSearchOptions: userMessage.webSearchOptions
+    });
+};
+
+/**
+ * Get the auto-continue setting
+ * @returns {{enabled: boolean, maxRounds: number}} Whether answers cut off by max_tokens are continued
+ *          automatically, and how many times per answer at most
+ */
+export const getAutoContinue = () => ({
+    enabled: getSetting('autoContinue', config.chat.autoContinue.enabled) === true,
+    maxRounds: config.chat.autoContinue.maxRounds
+});
+
+/**
+ * Turn auto-continue on or off
+ * @param {boolean} enabled
+ */
+export const setAutoContinue = (enabled) => {
+    setSetting('autoContinue', !!enabled);
+};
+
+/**
+ * Continue an answer that was cut off (by a dropped stream, or by max_tokens)
+ * The answer is sent back as the start of the assistant's reply so the model resumes where it
+ * stopped, and what it writes is appended to the same message. Only the answer at the end of the
+ * branch shown can be continued; continuing doesn't search the web again.
+ * @param {string} messageId - Assistant message ID
+ * @returns {Promise<Object>} The continued message
+ */
+export const continueResponse = async (messageId) => {
+    if (isLoading) {
+        throw new Error('Already processing a message');
+    }
+    assertChatAvailable();
+
+    const message = tree.nodes[messageId];
+    if (!message || message.role !== 'assistant' || !message.content || message.compare || message.research) {
+        throw new Error('This answer can\'t be continued');
+    }
+    if (history[history.length - 1]?.id !== messageId) {
+        throw new Error('Only the latest answer can be continued');
+    }
+
+    const userMessage = message.parentId ? tree.nodes[message.parentId] : null;
+    return requestAssistantResponse(userMessage?.content || '', { continueMessage: message });
+};
+
+/**
+ * Regenerate the last AI response
+ * @returns {Promise<Object>}
+ */
+export const regenerateLastResponse = async () => {
+    const lastAssistant = history.findLast(m => m.role === 'assistant');
+    if (!lastAssistant) {
+        throw new Error('No assistant message to regenerate');
+    }
+
+    return regenerateResponse(lastAssistant.id);
 };
 
 /**
  * Edit a previous user message and regenerate
+ * The edited message becomes a sibling version of the original, which stays in the tree
  * @param {string} messageId - Message ID to edit
  * @param {string} newContent - New content
  * @returns {Promise<Object>}
  */
 export const editAndResend = async (messageId, newContent) => {
-    const messageIndex = history.findIndex(m => m.id === messageId);
-    if (messageIndex === -1) {
+    if (isLoading) {
+        throw new Error('Already processing a message');
+    }
+    assertChatAvailable();
+
+    const message = tree.nodes[messageId];
+    if (!message || message.role !== 'user') {
         throw new Error('Message not found');
     }
 
-    // Remove this message and all after it
-    history = history.slice(0, messageIndex);
-    saveCurrentChat(history);
+    const images = message.images || [];
+    const pdfs = message.pdfs || [];
+    if (!newContent.trim() && images.length === 0 && pdfs.length === 0) {
+        throw new Error('Message cannot be empty');
+    }
+
+    assertInputsSupported(images, pdfs);
+
+    // Branch off from the message before the edited one
+    setCurrentLeaf(tree, message.parentId);
+    syncHistory();
     eventBus.emit(Events.CHAT_UPDATED, { history });
 
     // Send new message
-    return sendUserMessage(newContent);
+    return sendUserMessage(newContent, {
+        images,
+        pdfs,
+        webSearchEnabled: message.webSearchEnabled,
+        researchEnabled: message.researchEnabled,
+        webSearchOptions: message.webSearchOptions,
+        compareModels: message.compareModels
+    });
+};
+
+/**
+ * Switch to the previous or next version of a message
+ * @param {string} messageId - Message ID currently shown
+ * @param {number} direction - -1 for previous version, 1 for next version
+ * @returns {boolean} Whether the branch changed
+ */
+export const switchBranch = (messageId, direction) => {
+    if (isLoading) return false;
+
+    const targetId = switchToSibling(tree, messageId, direction);
+    if (!targetId) return false;
+
+    syncHistory();
+    if (currentChatId) {
+        saveCurrentChatToStorage();
+    }
+    eventBus.emit(Events.CHAT_BRANCH_CHANGED, { history, messageId: targetId });
+
+    return true;
+};
+
+/**
+ * Show a message of the loaded chat, switching to the branch it's on if needed
+ * @param {string} messageId - Message ID
+ * @param {Array<string>} terms - Search terms to highlight in it
+ * @returns {boolean} False if the chat has no such message
+ */
+export const focusMessage = (messageId, terms = []) => {
+    if (!tree.nodes[messageId]) return false;
+
+    if (!history.some(message => message.id === messageId) && !isLoading) {
+        setCurrentLeaf(tree, getLatestLeafId(tree, messageId));
+        syncHistory();
+        eventBus.emit(Events.CHAT_BRANCH_CHANGED, { history, messageId });
+    }
+    eventBus.emit(Events.MESSAGE_FOCUS, { messageId, terms });
+    return true;
 };
 
 /**
@@ -405,15 +1513,28 @@ const extractFollowUpSuggestionsFallback = (content) => {
 };
 
 export default {
+    init,
     getHistory,
     getCurrentChatId,
     getIsLoading,
+    getChatSettings,
+    updateChatSettings,
+    getBranchInfo,
     cancelCurrentRequest,
     addMessage,
     clearHistory,
     loadChatHistory,
     saveCurrentChatToStorage,
     sendUserMessage,
+    regenerateResponse,
     regenerateLastResponse,
-    editAndResend
+    continueResponse,
+    getAutoContinue,
+    setAutoContinue,
+    editAndResend,
+    switchBranch,
+    focusMessage,
+    getCompareGroup,
+    pickCompareWinner,
+    cancelCompareAnswer
 };
@@ -0,0 +1,673 @@
+/**
+ * Chat Archive Service
+ * Exports conversations as JSON archives, Markdown transcripts and standalone HTML,
+ * and imports JSON archives back into storage
+ */
+
+import config from '../config.js';
+import {
+    getChatList,
+    loadChat,
+    saveChat,
+    renameChat,
+    setGeneratedTitle,
+    setChatDates,
+    getFolders,
+    findFolderByName,
+    createFolder,
+    updateChatOrganization
+} from './storage.js';
+import { getActivePath, createTree, treeFromMessages } from '../utils/messageTree.js';
+import { parseMarkdown } from '../utils/markdown.js';
+import { normalizeWebSearchOptions } from './webSearch.js';
+
+// Archive identification
+export const ARCHIVE_FORMAT = 'lampira-chat-archive';
+export const ARCHIVE_VERSION = 1;
+
+// Export formats
+export const EXPORT_FORMATS = {
+    json: { label: 'JSON archive', extension: 'json', mimeType: 'application/json' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    html: { label: 'HTML page', extension: 'html', mimeType: 'text/html' }
+};
+
+// Message fields kept on import (everything else is dropped)
+const MESSAGE_FIELDS = ['role', 'content', 'sources', 'images', 'pdfs', 'timestamp', 'webSearchEnabled', 'researchEnabled', 'model'];
+
+const VALID_ROLES = ['user', 'assistant', 'system'];
+
+/**
+ * Generate a unique ID
+ * @returns {string}
+ */
+const generateId = () => {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+};
+
+/**
+ * Escape HTML special characters (works without a DOM)
+ * @param {string} str
+ * @returns {string}
+ */
+const escapeHtml = (str = '') => {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * Check a URL is a plain web link that parses as one
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isWebUrl = (url) => {
+    if (typeof url !== 'string') return false;
+    try {
+        const { protocol } = new URL(url);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Turn a title into a safe file name
+ * @param {string} title
+ * @returns {string}
+ */
+const toFileName = (title) => {
+    const slug = (title || 'chat')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+    return slug || 'chat';
+};
+
+/**
+ * Format a timestamp for transcripts
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const formatDate = (timestamp) => {
+    return new Date(timestamp || Date.now()).toLocaleString('en-US', {
+        year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+};
+
+/**
+ * Get the display label for a message author
+ * @param {Object} message
+ * @returns {string}
+ */
+const getAuthorLabel = (message) => {
+    if (message.role === 'user') return 'You';
+    return message.model ? `Lampira (${message.model})` : 'Lampira';
+};
+
+/**
+ * Load chats with attachments restored
+ * @param {Array<string>} chatIds - Chat IDs to load
+ * @returns {Promise<Array>}
+ */
+const loadChats = async (chatIds) => {
+    const chats = [];
+    for (const id of chatIds) {
+        const chat = await loadChat(id);
+        if (chat) chats.push(chat);
+    }
+    return chats;
+};
+
+// ============ Export ============
+
+/**
+ * Build a versioned JSON archive (all branches, sources and attachments)
+ * @param {Array} chats - Loaded chats
+ * @returns {string}
+ */
+export const chatsToJSON = (chats) => {
+    const folderNames = new Map(getFolders().map(folder => [folder.id, folder.name]));
+    const archive = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        chats: chats.map(chat => ({
+            id: chat.id,
+            title: chat.title,
+            titleSource: chat.titleSource || 'auto',
+            createdAt: chat.createdAt,
+            updatedAt: chat.updatedAt,
+            settings: chat.settings || {},
+            folder: folderNames.get(chat.folderId) || null,
+            tags: chat.tags || [],
+            pinned: chat.pinned === true,
+            archived: chat.archived === true,
+            tree: chat.tree
+        }))
+    };
+    return JSON.stringify(archive, null, 2);
+};
+
+/**
+ * Build a Markdown transcript of the active branch of each chat
+ * @param {Array} chats - Loaded chats
+ * @returns {string}
+ */
+export const chatsToMarkdown = (chats) => {
+    return chats.map(chat => {
+        const lines = [`# ${chat.title}`, '', `*Exported from Lampira AI — ${formatDate(chat.updatedAt)}*`, ''];
+
+        getActivePath(chat.tree).forEach(message => {
+            lines.push(`## ${getAuthorLabel(message)}`, '');
+
+            if (message.webSearchEnabled) {
+                lines.push('*Web search enabled*', '');
+            }
+
+            if (message.content) {
+                lines.push(message.content, '');
+            }
+
+            const attachments = [
+                ...(message.images || []).map((_, i) => `Image ${i + 1}`),
+                ...(message.pdfs || []).map(pdf => pdf.filename)
+            ];
+            if (attachments.length > 0) {
+                lines.push(`Attachments: ${attachments.join(', ')}`, '');
+            }
+
+            if (message.sources?.length > 0) {
+                lines.push('**Sources**', '');
+                message.sources.forEach((source, i) => {
+                    const label = source.title || source.url;
+                    lines.push(isWebUrl(source.url) ? `${i + 1}. [${label}](${source.url})` : `${i + 1}. ${label}`);
+                });
+                lines.push('');
+            }
+        });
+
+        return lines.join('\n').trim();
+    }).join('\n\n---\n\n') + '\n';
+};
+
+/**
+ * Build a standalone HTML page of the active branch of each chat
+ * @param {Array} chats - Loaded chats
+ * @returns {string}
+ */
+export const chatsToHTML = (chats) => {
+    const sections = chats.map(chat => {
+        const messages = getActivePath(chat.tree).map(message => {
+            const images = (message.images || [])
+                .map(url => `<img class="attachment-image" src="${escapeHtml(url)}" alt="Attached image">`)
+                .join('');
+            const pdfs = (message.pdfs || [])
+                .map(pdf => `<span class="attachment-pdf">${escapeHtml(pdf.filename)}</span>`)
+                .join('');
+            const sources = message.sources?.length > 0
+                ? `<ol class="sources">${message.sources.map(source => `<li><a href="${escapeHtml(isWebUrl(source.url) ? source.url : '#')}" target="_blank" rel="noopener noreferrer">${escapeHtml(source.title || source.url)}</a></li>`).join('')}</ol>`
+                : '';
+
+            return `<div class="message message-${message.role}">
+<div class="role">${escapeHtml(getAuthorLabel(message))}</div>
+${images || pdfs ? `<div class="attachments">${images}${pdfs}</div>` : ''}
+<div class="content">${parseMarkdown(message.content, message.sources || [])}</div>
+${sources}
+</div>`;
+        }).join('\n');
+
+        return `<section class="chat">
+<h1>${escapeHtml(chat.title)}</h1>
+<p class="meta">Exported from Lampira AI — ${escapeHtml(formatDate(chat.updatedAt))}</p>
+${messages}
+</section>`;
+    }).join('\n<hr>\n');
+
+    const title = chats.length === 1 ? chats[0].title : `${chats.length} chats`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} — Lampira AI</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #44403c; line-height: 1.6; }
+h1 { color: #111111; font-size: 24px; margin-bottom: 4px; }
+.meta { color: #78716c; font-size: 13px; margin-top: 0; }
+.message { margin: 24px 0; }
+.message-user .content { background: #f5f5f4; padding: 12px 16px; border-radius: 16px; }
+.role { font-size: 13px; font-weight: 600; color: #111111; margin-bottom: 4px; }
+.attachments { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px; }
+.attachment-image { max-width: 200px; max-height: 200px; border-radius: 8px; border: 1px solid #e7e5e4; }
+.attachment-pdf { padding: 6px 10px; background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; font-size: 12px; color: #991b1b; }
+pre { background: #0d1117; color: #e6edf3; padding: 16px; border-radius: 8px; overflow-x: auto; }
+code { font-family: 'Fira Code', monospace; font-size: 13px; }
+a { color: #2563eb; }
+.sources { font-size: 13px; border-top: 1px solid #e5e5e5; padding-top: 12px; }
+.citation { font-size: 0.7em; font-weight: 600; color: #57534e; }
+.citation::before { content: '['; }
+.citation::after { content: ']'; }
+hr { border: none; border-top: 1px solid #e7e5e4; margin: 40px 0; }
+</style>
+</head>
+<body>
+${sections}
+</body>
+</html>
+`;
+};
+
+/**
+ * Export chats in a given format
+ * @param {Array<string>} chatIds - Chat IDs to export
+ * @param {string} format - 'json', 'markdown' or 'html'
+ * @returns {Promise<{filename: string, content: string, mimeType: string}>}
+ */
+export const exportChats = async (chatIds, format = 'json') => {
+    const formatInfo = EXPORT_FORMATS[format];
+    if (!formatInfo) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const chats = await loadChats(chatIds);
+    if (chats.length === 0) {
+        throw new Error('No chats to export');
+    }
+
+    const builders = { json: chatsToJSON, markdown: chatsToMarkdown, html: chatsToHTML };
+    const baseName = chats.length === 1
+        ? `lampira-${toFileName(chats[0].title)}`
+        : `lampira-chats-${new Date().toISOString().slice(0, 10)}`;
+
+    return {
+        filename: `${baseName}.${formatInfo.extension}`,
+        content: builders[format](chats),
+        mimeType: formatInfo.mimeType
+    };
+};
+
+/**
+ * Export every saved chat
+ * @param {string} format - 'json', 'markdown' or 'html'
+ * @returns {Promise<{filename: string, content: string, mimeType: string}>}
+ */
+export const exportAllChats = (format = 'json') => {
+    return exportChats(getChatList().map(chat => chat.id), format);
+};
+
+// ============ Import ============
+
+/**
+ * Validate and clean a single message from an archive
+ * @param {Object} node - Message from the archive
+ * @returns {Object} Message with only known fields
+ * @throws {Error} If the message is malformed
+ */
+const sanitizeMessage = (node) => {
+    if (!node || typeof node !== 'object') {
+        throw new Error('message is not an object');
+    }
+    if (!VALID_ROLES.includes(node.role)) {
+        throw new Error(`invalid role "${node.role}"`);
+    }
+    if (typeof node.content !== 'string') {
+        throw new Error('message content must be a string');
+    }
+
+    const message = {};
+    MESSAGE_FIELDS.forEach(field => {
+        if (node[field] !== undefined) message[field] = node[field];
+    });
+
+    // Only allow attachment data that renders safely
+    message.images = (Array.isArray(node.images) ? node.images : [])
+        .filter(url => typeof url === 'string' && (url.startsWith('data:image/') || isWebUrl(url)));
+    message.pdfs = (Array.isArray(node.pdfs) ? node.pdfs : [])
+        .filter(pdf => pdf && typeof pdf.data === 'string' && pdf.data.startsWith('data:application/pdf'))
+        .map(pdf => ({ data: pdf.data, filename: String(pdf.filename || 'document.pdf') }));
+    message.sources = (Array.isArray(node.sources) ? node.sources : [])
+        .filter(source => source && isWebUrl(source.url))
+        .map(source => {
+            const clean = {
+                url: source.url,
+                title: String(source.title || source.url),
+                startIndex: source.startIndex,
+                endIndex: source.endIndex
+            };
+            if (Array.isArray(source.spans)) {
+                clean.spans = source.spans
+                    .filter(span => Number.isInteger(span?.startIndex) && Number.isInteger(span?.endIndex))
+                    .map(span => ({ startIndex: span.startIndex, endIndex: span.endIndex }));
+            }
+            if (typeof source.snippet === 'string') clean.snippet = source.snippet;
+            return clean;
+        });
+    message.timestamp = Number(node.timestamp) || Date.now();
+
+    // Tool call cards
+    if (Array.isArray(node.toolCalls)) {
+        message.toolCalls = node.toolCalls
+            .filter(call => call && typeof call.name === 'string')
+            .map(call => ({
+                id: String(call.id || ''),
+                name: call.name,
+                label: String(call.label || call.name),
+                arguments: String(call.arguments ?? ''),
+                status: ['done', 'error'].includes(call.status) ? call.status : 'error',
+                result: call.result === null || call.result === undefined ? null : String(call.result),
+                round: Number(call.round) || 0
+            }));
+    }
+
+    // Streamed reasoning of thinking models
+    if (typeof node.reasoning === 'string' && node.reasoning) {
+        message.reasoning = node.reasoning;
+        if (Number.isFinite(node.reasoningDuration)) {
+            message.reasoningDuration = Math.max(node.reasoningDuration, 0);
+        }
+    }
+
+    // Web search options the answer was searched with
+    if (node.webSearchOptions && typeof node.webSearchOptions === 'object') {
+        message.webSearchOptions = normalizeWebSearchOptions(node.webSearchOptions);
+    }
+
+    // Deep research timeline (see services/research.js)
+    if (node.research && Array.isArray(node.research.steps)) {
+        const isStatus = (status) => ['pending', 'running', 'done', 'error'].includes(status);
+        message.research = {
+            status: ['done', 'cancelled', 'error'].includes(node.research.status) ? node.research.status : 'error',
+            steps: node.research.steps
+                .filter(step => step && typeof step.title === 'string' && Array.isArray(step.queries))
+                .map(step => ({
+                    title: step.title,
+                    status: isStatus(step.status) ? step.status : 'error',
+                    queries: step.queries
+                        .filter(query => typeof query?.text === 'string')
+                        .map(query => ({
+                            text: query.text,
+                            status: isStatus(query.status) ? query.status : 'error',
+                            sourceCount: Number(query.sourceCount) || 0
+                        })),
+                    sourceIndexes: (Array.isArray(step.sourceIndexes) ? step.sourceIndexes : [])
+                        .filter(index => Number.isInteger(index) && index >= 0 && index < message.sources.length),
+                    newSourceCount: Number(step.newSourceCount) || 0
+                }))
+        };
+        if (Number.isFinite(node.research.startedAt)) message.research.startedAt = node.research.startedAt;
+        if (Number.isFinite(node.research.finishedAt)) message.research.finishedAt = node.research.finishedAt;
+    }
+
+    // Compare mode: the models asked (on the question) and each answer's timings
+    if (Array.isArray(node.compareModels)) {
+        message.compareModels = node.compareModels
+            .filter(model => typeof model === 'string')
+            .slice(0, config.compare.maxModels);
+        message.compareWinnerId = typeof node.compareWinnerId === 'string' ? node.compareWinnerId : null;
+    }
+    if (node.compare && typeof node.compare === 'object') {
+        message.compare = {
+            status: ['done', 'cancelled', 'error'].includes(node.compare.status) ? node.compare.status : 'cancelled'
+        };
+        if (Number.isFinite(node.compare.firstTokenMs)) message.compare.firstTokenMs = node.compare.firstTokenMs;
+        if (Number.isFinite(node.compare.durationMs)) message.compare.durationMs = node.compare.durationMs;
+    }
+
+    // Failed attempts before the answer (see requestWithFallback() in services/chat.js)
+    if (Array.isArray(node.attempts)) {
+        message.attempts = node.attempts
+            .filter(attempt => attempt && typeof attempt.model === 'string')
+            .map(attempt => ({
+                model: attempt.model,
+                status: Number(attempt.status) || 0,
+                error: String(attempt.error || 'Request failed'),
+                timestamp: Number(attempt.timestamp) || message.timestamp
+            }));
+    }
+
+    // Why the model stopped ('stop', 'length', 'tool_calls', ...); 'length' answers can be continued
+    if (typeof node.finishReason === 'string' && node.finishReason) {
+        message.finishReason = node.finishReason.slice(0, 40);
+    }
+
+    // An answer cut off mid-stream, which can be continued (see continueResponse() in services/chat.js)
+    if (node.interrupted && typeof node.interrupted === 'object') {
+        message.interrupted = {
+            error: String(node.interrupted.error || 'Connection lost'),
+            status: Number(node.interrupted.status) || 0,
+            timestamp: Number(node.interrupted.timestamp) || message.timestamp
+        };
+    }
+
+    // Token usage and cost of an answer (see services/usage.js)
+    if (node.usage && typeof node.usage === 'object') {
+        message.usage = {
+            promptTokens: Number(node.usage.promptTokens) || 0,
+            completionTokens: Number(node.usage.completionTokens) || 0,
+            reasoningTokens: Number(node.usage.reasoningTokens) || 0,
+            cachedTokens: Number(node.usage.cachedTokens) || 0,
+            cost: Number.isFinite(node.usage.cost) ? node.usage.cost : null
+        };
+    }
+
+    // Context window bookkeeping (see services/context.js)
+    if (typeof node.contextSummary?.text === 'string') {
+        message.contextSummary = {
+            text: node.contextSummary.text,
+            messageCount: Number(node.contextSummary.messageCount) || 0
+        };
+    }
+    if (node.context && Number.isInteger(node.context.keptCount) && Number.isInteger(node.context.omittedCount)) {
+        message.context = {
+            keptCount: node.context.keptCount,
+            omittedCount: node.context.omittedCount,
+            summarized: Boolean(node.context.summarized)
+        };
+    }
+
+    return message;
+};
+
+/**
+ * Keep the per-chat settings we know how to use
+ * @param {Object} settings - Archived chat settings
+ * @returns {Object}
+ */
+const sanitizeChatSettings = (settings) => {
+    const clean = {};
+    if (!settings || typeof settings !== 'object') return clean;
+
+    if (typeof settings.personaId === 'string') clean.personaId = settings.personaId;
+    if (typeof settings.systemPrompt === 'string' && settings.systemPrompt.trim()) {
+        clean.systemPrompt = settings.systemPrompt;
+    }
+    if (config.reasoning.efforts.includes(settings.reasoningEffort)) {
+        clean.reasoningEffort = settings.reasoningEffort;
+    }
+    if (settings.webSearchOptions && typeof settings.webSearchOptions === 'object') {
+        clean.webSearchOptions = normalizeWebSearchOptions(settings.webSearchOptions);
+    }
+    if (Array.isArray(settings.compareModels)) {
+        clean.compareModels = settings.compareModels
+            .filter(model => typeof model === 'string')
+            .slice(0, config.compare.maxModels);
+    }
+    return clean;
+};
+
+/**
+ * Read an archived timestamp
+ * @param {*} value - Timestamp (ms) from the archive
+ * @returns {number|undefined} The timestamp, or undefined when it isn't a usable one
+ */
+const toTimestamp = (value) => (Number.isFinite(value) && value > 0 ? value : undefined);
+
+/**
+ * Restore an archived chat's folder (by name, created if missing), tags, pinned and archived state
+ * @param {string} chatId - Imported chat
+ * @param {Object} chat - Archived chat
+ */
+const restoreOrganization = (chatId, chat) => {
+    const changes = {
+        tags: Array.isArray(chat.tags) ? chat.tags : [],
+        pinned: chat.pinned === true,
+        archived: chat.archived === true
+    };
+
+    if (typeof chat.folder === 'string' && chat.folder.trim()) {
+        changes.folderId = (findFolderByName(chat.folder) || createFolder(chat.folder)).id;
+    }
+
+    updateChatOrganization(chatId, changes);
+};
+
+/**
+ * Rebuild an archived tree with fresh message IDs
+ * Fresh IDs keep imported messages (and their attachments) from colliding with existing ones.
+ * @param {Object|Array} archivedTree - Tree, or flat message array from older exports
+ * @returns {Object} Message tree
+ */
+const rebuildTree = (archivedTree) => {
+    // Flat histories become a single branch
+    const source = Array.isArray(archivedTree)
+        ? treeFromMessages(archivedTree.map((m, i) => ({ ...m, id: String(m?.id || i), childIds: [] })))
+        : archivedTree;
+
+    if (!source || typeof source.nodes !== 'object' || !Array.isArray(source.rootIds)) {
+        throw new Error('missing message tree');
+    }
+
+    const tree = createTree();
+    const idMap = new Map();
+    const visited = new Set();
+
+    const copyNode = (oldId, newParentId) => {
+        if (visited.has(oldId)) {
+            throw new Error('message tree contains a cycle');
+        }
+        visited.add(oldId);
+
+        const node = source.nodes[oldId];
+        if (!node) {
+            throw new Error(`missing message ${oldId}`);
+        }
+
+        const message = sanitizeMessage(node);
+        message.id = generateId();
+        message.parentId = newParentId;
+        message.childIds = [];
+        tree.nodes[message.id] = message;
+        idMap.set(oldId, message.id);
+
+        (Array.isArray(node.childIds) ? node.childIds : []).forEach(childId => {
+            message.childIds.push(copyNode(childId, message.id));
+        });
+
+        return message.id;
+    };
+
+    source.rootIds.forEach(rootId => {
+        tree.rootIds.push(copyNode(rootId, null));
+    });
+
+    tree.currentLeafId = idMap.get(source.currentLeafId) || null;
+
+    // Compare winners point at answers by ID
+    Object.values(tree.nodes)
+        .filter(message => message.compareWinnerId)
+        .forEach(message => {
+            message.compareWinnerId = idMap.get(message.compareWinnerId) || null;
+        });
+    return tree;
+};
+
+/**
+ * Parse and validate a JSON archive
+ * @param {string} text - Archive file content
+ * @returns {Object} Parsed archive
+ * @throws {Error} If the file is not a supported archive
+ */
+export const parseArchive = (text) => {
+    let archive;
+    try {
+        archive = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+        throw new Error('The file is not a Lampira chat archive');
+    }
+    if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+        throw new Error(`Unsupported archive version: ${archive.version}`);
+    }
+    if (!Array.isArray(archive.chats)) {
+        throw new Error('The archive contains no chats');
+    }
+
+    return archive;
+};
+
+/**
+ * Import a JSON archive into storage
+ * Chats keep their ID unless it is already taken; invalid chats are skipped.
+ * @param {string} text - Archive file content
+ * @returns {{imported: number, skipped: number, errors: Array<string>}}
+ * @throws {Error} If the file is not a supported archive
+ */
+export const importArchive = (text) => {
+    const archive = parseArchive(text);
+    const existingIds = new Set(getChatList().map(chat => chat.id));
+    const result = { imported: 0, skipped: 0, errors: [] };
+
+    archive.chats.forEach((chat, index) => {
+        const label = chat?.title || `chat ${index + 1}`;
+        try {
+            const tree = rebuildTree(chat.tree || chat.messages);
+            if (Object.keys(tree.nodes).length === 0) {
+                throw new Error('chat has no messages');
+            }
+
+            const id = typeof chat.id === 'string' && !existingIds.has(chat.id) ? chat.id : null;
+            const title = typeof chat.title === 'string' && chat.title.trim() ? chat.title.trim() : null;
+            const savedId = saveChat(id, tree, title, sanitizeChatSettings(chat.settings));
+
+            // Keep renamed and generated titles from being replaced by the automatic one
+            if (title && chat.titleSource === 'manual') {
+                renameChat(savedId, title);
+            } else if (title && chat.titleSource === 'generated') {
+                setGeneratedTitle(savedId, title);
+            }
+            restoreOrganization(savedId, chat);
+
+            // Keep the chat where it was in the history rather than listing it as new
+            setChatDates(savedId, { createdAt: toTimestamp(chat.createdAt), updatedAt: toTimestamp(chat.updatedAt) });
+            existingIds.add(savedId);
+            result.imported++;
+        } catch (error) {
+            result.skipped++;
+            result.errors.push(`${label}: ${error.message}`);
+        }
+    });
+
+    return result;
+};
+
+export default {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    EXPORT_FORMATS,
+    chatsToJSON,
+    chatsToMarkdown,
+    chatsToHTML,
+    exportChats,
+    exportAllChats,
+    parseArchive,
+    importArchive
+};
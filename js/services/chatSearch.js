@@ -0,0 +1,396 @@
+/**
+ * Chat Search Service
+ * Full-text search over the saved chats: an inverted index of message content, chat titles and
+ * source titles, ranked with BM25, with filters by date, model and mode, and highlighted snippets
+ *
+ * The index lives in memory and is built on the first search. Saved chats are replaced (not
+ * mutated) on every save, so each search re-indexes only the chats whose record changed and
+ * drops the ones that were deleted.
+ */
+
+import config from '../config.js';
+import { getChatList } from './storage.js';
+import { getModelDisplayName } from './models.js';
+
+// Words: letters (with their combining marks) and digits
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Score multiplier per field: a title match says more than a word deep in an answer
+const FIELD_BOOST = {
+    title: 3,
+    message: 1,
+    sources: 1.5
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Words the last query term is a prefix of count for less than the word itself
+const PREFIX_WEIGHT = 0.7;
+
+// term -> Map(documentId -> number of occurrences)
+const postings = new Map();
+
+// documentId -> { id, chatId, messageId, field, role, text, length, timestamp, models, modes }
+const documents = new Map();
+
+// chatId -> { record, documentIds } (record is the saved chat object that was indexed)
+const indexedChats = new Map();
+
+// Sum of the indexed documents' lengths, for the average BM25 needs
+let totalLength = 0;
+
+/**
+ * Normalize a word for the index: lowercase, without accents
+ * @param {string} word
+ * @returns {string}
+ */
+const normalizeTerm = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Split text into words with their positions
+ * @param {string} text
+ * @returns {Array<{term: string, start: number, end: number}>} Offsets into the original text
+ */
+const tokenize = (text) => Array.from(String(text || '').matchAll(TOKEN_PATTERN), match => ({
+    term: normalizeTerm(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+})).filter(token => token.term.length >= config.chatSearch.minTermLength);
+
+/**
+ * Split a search query into distinct terms
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+export const getQueryTerms = (query) => [...new Set(tokenize(query).map(token => token.term))];
+
+/**
+ * Check whether an answer used the web (web search, or deep research)
+ * @param {Object} node - Message
+ * @returns {boolean}
+ */
+const isWebAnswer = (node) => !!(node.webSearchOptions || node.research || node.sources?.length > 0);
+
+/**
+ * Get the models and modes of answers, for the filters
+ * @param {Array<Object>} answers - Assistant messages
+ * @returns {{models: Array<string>, modes: Array<string>}} modes are 'web' and/or 'chat'
+ */
+const describeAnswers = (answers) => ({
+    models: [...new Set(answers.map(answer => answer.model).filter(Boolean))],
+    modes: [...new Set(answers.map(answer => isWebAnswer(answer) ? 'web' : 'chat'))]
+});
+
+/**
+ * Turn a saved chat into searchable documents: its title, every message (in every branch)
+ * and the source titles of every answer
+ * A question is filtered by the models and modes of its answers; the title by the whole chat's.
+ * @param {Object} chat - Saved chat record
+ * @returns {Array<Object>} Documents without id and length
+ */
+const getChatDocuments = (chat) => {
+    const nodes = Object.values(chat.tree?.nodes || {});
+    const answers = nodes.filter(node => node.role === 'assistant');
+    const docs = [{
+        chatId: chat.id,
+        messageId: null,
+        field: 'title',
+        role: null,
+        text: chat.title || '',
+        timestamp: chat.updatedAt,
+        ...describeAnswers(answers)
+    }];
+
+    nodes.forEach(node => {
+        const timestamp = node.timestamp || chat.updatedAt;
+        const described = node.role === 'assistant'
+            ? describeAnswers([node])
+            : describeAnswers((node.childIds || []).map(id => chat.tree.nodes[id]).filter(Boolean));
+
+        if (node.content) {
+            docs.push({ chatId: chat.id, messageId: node.id, field: 'message', role: node.role, text: node.content, timestamp, ...described });
+        }
+
+        const sourceTitles = (node.sources || []).map(source => source.title).filter(Boolean);
+        if (sourceTitles.length > 0) {
+            docs.push({ chatId: chat.id, messageId: node.id, field: 'sources', role: node.role, text: sourceTitles.join(' · '), timestamp, ...described });
+        }
+    });
+
+    return docs;
+};
+
+/**
+ * Remove a chat's documents from the index
+ * @param {string} chatId
+ */
+const removeChat = (chatId) => {
+    const indexed = indexedChats.get(chatId);
+    if (!indexed) return;
+
+    indexed.documentIds.forEach(id => {
+        const doc = documents.get(id);
+        totalLength -= doc.length;
+        new Set(tokenize(doc.text).map(token => token.term)).forEach(term => {
+            const list = postings.get(term);
+            list?.delete(id);
+            if (list?.size === 0) postings.delete(term);
+        });
+        documents.delete(id);
+    });
+    indexedChats.delete(chatId);
+};
+
+/**
+ * Add a chat's documents to the index
+ * @param {Object} chat - Saved chat record
+ */
+const addChat = (chat) => {
+    const documentIds = getChatDocuments(chat).map((doc, i) => {
+        const id = `${chat.id}:${i}`;
+        const tokens = tokenize(doc.text);
+        documents.set(id, { ...doc, id, length: tokens.length });
+        totalLength += tokens.length;
+
+        tokens.forEach(({ term }) => {
+            if (!postings.has(term)) postings.set(term, new Map());
+            const list = postings.get(term);
+            list.set(id, (list.get(id) || 0) + 1);
+        });
+        return id;
+    });
+
+    indexedChats.set(chat.id, { record: chat, documentIds });
+};
+
+/**
+ * Bring the index up to date with the saved chats
+ */
+const syncIndex = () => {
+    const chats = getChatList();
+    const current = new Set(chats.map(chat => chat.id));
+
+    indexedChats.forEach((_, chatId) => {
+        if (!current.has(chatId)) removeChat(chatId);
+    });
+    chats.forEach(chat => {
+        if (indexedChats.get(chat.id)?.record === chat) return;
+        removeChat(chat.id);
+        addChat(chat);
+    });
+};
+
+/**
+ * Check a document against the filters
+ * @param {Object} doc - Indexed document
+ * @param {Object} filters - { from, to, model, mode }
+ * @returns {boolean}
+ */
+const matchesFilters = (doc, { from = null, to = null, model = null, mode = null }) => {
+    if (from !== null && doc.timestamp < from) return false;
+    if (to !== null && doc.timestamp > to) return false;
+    if (model && !doc.models.includes(model)) return false;
+    if (mode && !doc.modes.includes(mode)) return false;
+    return true;
+};
+
+/**
+ * Expand the query terms to the index terms they match
+ * Every term matches itself; the last one also matches longer words it starts, so results
+ * show up while the last word is still being typed.
+ * @param {Array<string>} terms - Query terms
+ * @returns {Array<Array<{term: string, weight: number}>>} One list per query term
+ */
+const expandTerms = (terms) => terms.map((term, i) => {
+    const expanded = postings.has(term) ? [{ term, weight: 1 }] : [];
+    if (i !== terms.length - 1) return expanded;
+
+    for (const candidate of postings.keys()) {
+        if (expanded.length > config.chatSearch.maxPrefixTerms) break;
+        if (candidate !== term && candidate.startsWith(term)) {
+            expanded.push({ term: candidate, weight: PREFIX_WEIGHT });
+        }
+    }
+    return expanded;
+});
+
+/**
+ * Find the words of a text that match search terms
+ * @param {string} text
+ * @param {Array<string>|Set<string>} terms - Normalized terms (see getQueryTerms())
+ * @returns {Array<{start: number, end: number}>} Offsets into the text
+ */
+export const findTermMatches = (text, terms) => {
+    const termSet = terms instanceof Set ? terms : new Set(terms);
+    return tokenize(text)
+        .filter(token => termSet.has(token.term))
+        .map(({ start, end }) => ({ start, end }));
+};
+
+/**
+ * Cut a snippet around the densest cluster of matches
+ * @param {string} text
+ * @param {Set<string>} terms - Index terms that matched
+ * @returns {Array<{text: string, match: boolean}>} Segments; matched words have match: true
+ */
+const getSnippet = (text, terms) => {
+    const length = config.chatSearch.snippetLength;
+    const tokens = tokenize(text);
+    const matches = tokens.filter(token => terms.has(token.term)).slice(0, 200);
+
+    // Start just before the match that has the most distinct terms within reach
+    let start = 0;
+    let best = -1;
+    matches.forEach((match, i) => {
+        const reach = new Set();
+        for (let j = i; j < matches.length && matches[j].end - match.start <= length; j++) {
+            reach.add(matches[j].term);
+        }
+        if (reach.size > best) {
+            best = reach.size;
+            start = match.start;
+        }
+    });
+    start = Math.max(start - Math.round(length / 4), 0);
+    if (start > 0) {
+        // Begin at a word
+        const nextWord = tokens.find(token => token.start >= start);
+        start = nextWord ? nextWord.start : start;
+    }
+    const end = Math.min(start + length, text.length);
+
+    const segments = [];
+    let position = start;
+    matches
+        .filter(match => match.start >= start && match.end <= end)
+        .forEach(match => {
+            if (match.start > position) segments.push({ text: text.slice(position, match.start), match: false });
+            segments.push({ text: text.slice(match.start, match.end), match: true });
+            position = match.end;
+        });
+    if (position < end) segments.push({ text: text.slice(position, end), match: false });
+
+    // Collapse whitespace and line breaks
+    segments.forEach(segment => {
+        segment.text = segment.text.replace(/\s+/g, ' ');
+    });
+    if (start > 0) segments.unshift({ text: '…', match: false });
+    if (end < text.length) segments.push({ text: '…', match: false });
+    return segments;
+};
+
+/**
+ * Search the saved chats
+ * Without a query, lists the chats that pass the filters, most recent first.
+ * @param {string} query - Words to look for
+ * @param {Object} filters
+ * @param {number|null} filters.from - Earliest message time (ms)
+ * @param {number|null} filters.to - Latest message time (ms)
+ * @param {string|null} filters.model - Only answers by this model (and their questions)
+ * @param {string|null} filters.mode - 'web' or 'chat'
+ * @param {Object} options - { limit: maximum number of chats }
+ * @returns {{results: Array, total: number, terms: Array<string>}} Results are chats
+ *          ({ chatId, title, updatedAt, score, hits }), hits the best matching documents
+ *          ({ messageId, field, role, timestamp, snippet }); terms are the index terms that matched
+ */
+export const searchChats = (query, filters = {}, { limit = config.chatSearch.maxResults } = {}) => {
+    syncIndex();
+
+    const queryTerms = getQueryTerms(query);
+    if (queryTerms.length === 0) {
+        const chats = getChatList().filter(chat =>
+            indexedChats.get(chat.id).documentIds.some(id => matchesFilters(documents.get(id), filters)));
+        return {
+            results: chats.slice(0, limit).map(chat => ({ chatId: chat.id, title: chat.title, updatedAt: chat.updatedAt, score: 0, hits: [] })),
+            total: chats.length,
+            terms: []
+        };
+    }
+
+    const expanded = expandTerms(queryTerms);
+    const matchedTerms = new Set(expanded.flat().map(({ term }) => term));
+    const averageLength = documents.size > 0 ? totalLength / documents.size : 1;
+
+    // BM25 per document; each query term counts once, through its best matching word
+    const scores = new Map();
+    expanded.forEach((candidates, termIndex) => {
+        candidates.forEach(({ term, weight }) => {
+            const list = postings.get(term);
+            const idf = Math.log(1 + (documents.size - list.size + 0.5) / (list.size + 0.5));
+
+            list.forEach((frequency, id) => {
+                const doc = documents.get(id);
+                if (!matchesFilters(doc, filters)) return;
+
+                const normalized = (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * (doc.length / averageLength)));
+                const score = idf * normalized * weight * FIELD_BOOST[doc.field];
+
+                if (!scores.has(id)) scores.set(id, { doc, perTerm: new Map() });
+                const entry = scores.get(id);
+                entry.perTerm.set(termIndex, Math.max(entry.perTerm.get(termIndex) || 0, score));
+            });
+        });
+    });
+
+    // Documents with every term rank above those with some; the exact phrase ranks higher still
+    const phrase = queryTerms.length > 1 ? queryTerms.join(' ') : null;
+    const byChat = new Map();
+    scores.forEach(({ doc, perTerm }) => {
+        const coverage = perTerm.size / queryTerms.length;
+        let score = [...perTerm.values()].reduce((sum, value) => sum + value, 0) * coverage * coverage;
+        if (phrase && tokenize(doc.text).map(token => token.term).join(' ').includes(phrase)) {
+            score *= 1.5;
+        }
+
+        if (!byChat.has(doc.chatId)) byChat.set(doc.chatId, []);
+        byChat.get(doc.chatId).push({ doc, score });
+    });
+
+    // A chat ranks by its best match, plus a little for every other one
+    const results = [...byChat.entries()].map(([chatId, hits]) => {
+        hits.sort((a, b) => b.score - a.score);
+        const chat = indexedChats.get(chatId).record;
+        return {
+            chatId,
+            title: chat.title,
+            updatedAt: chat.updatedAt,
+            score: hits[0].score + 0.25 * hits.slice(1).reduce((sum, hit) => sum + hit.score, 0),
+            hits: hits.slice(0, config.chatSearch.hitsPerChat).map(({ doc, score }) => ({
+                messageId: doc.messageId,
+                field: doc.field,
+                role: doc.role,
+                timestamp: doc.timestamp,
+                score,
+                snippet: getSnippet(doc.text, matchedTerms)
+            }))
+        };
+    });
+    results.sort((a, b) => b.score - a.score || b.updatedAt - a.updatedAt);
+
+    return { results: results.slice(0, limit), total: results.length, terms: [...matchedTerms] };
+};
+
+/**
+ * Get the models that answered in the saved chats, for the model filter
+ * @returns {Array<{id: string, name: string}>} Sorted by name
+ */
+export const getSearchModels = () => {
+    syncIndex();
+
+    const models = new Set();
+    documents.forEach(doc => {
+        if (doc.field === 'title') doc.models.forEach(model => models.add(model));
+    });
+    return [...models]
+        .map(id => ({ id, name: getModelDisplayName(id) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export default {
+    getQueryTerms,
+    findTermMatches,
+    searchChats,
+    getSearchModels
+};
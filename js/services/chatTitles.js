@@ -0,0 +1,98 @@
+/**
+ * Chat Titles Service
+ * Names saved chats with a short descriptive title written by a cheap model
+ * after the first exchange, instead of the start of the first message
+ */
+
+import config from '../config.js';
+import { sendMessage } from '../api/openrouter.js';
+import { getChatList, setGeneratedTitle } from './storage.js';
+
+// Quotes and Markdown emphasis around a title
+const WRAPPING_MARKS = /^["'“”‘’*_`]+|["'“”‘’*_`]+$/g;
+
+// Chats whose title was requested this session (a failed request may be retried on the next save)
+const requestedChats = new Set();
+
+/**
+ * Cut a message for the title prompt
+ * @param {string} text
+ * @returns {string}
+ */
+const toExcerpt = (text) => {
+    const limit = config.titles.excerptChars;
+    return text.length > limit ? text.substring(0, limit) + '...' : text;
+};
+
+/**
+ * Turn the model's reply into a title: first line, without a label, quotes, markup or final period
+ * @param {string} text - Model reply
+ * @returns {string} Empty if nothing usable is left
+ */
+export const cleanGeneratedTitle = (text) => {
+    const line = String(text || '').split('\n').map(part => part.trim()).find(Boolean) || '';
+    return line
+        .replace(/^#+\s*/, '')
+        .replace(WRAPPING_MARKS, '')
+        .replace(/^title\s*:\s*/i, '')
+        .replace(WRAPPING_MARKS, '')
+        .replace(/\.$/, '')
+        .trim();
+};
+
+/**
+ * Ask the title model for a title
+ * @param {string} question - First user message
+ * @param {string} answer - First answer
+ * @returns {Promise<string>}
+ * @throws {Error} If the model returns nothing usable
+ */
+export const generateTitle = async (question, answer) => {
+    const prompt = `Write a short, specific title for this conversation, like the title of a note: 3 to 6 words, in the language of the conversation, naming the topic rather than the request ("Python decorator basics", not "Help with code").
+
+User: ${toExcerpt(question)}
+
+Assistant: ${toExcerpt(answer)}
+
+Return ONLY the title, with no quotes or final period.`;
+
+    const response = await sendMessage([{ role: 'user', content: prompt }], config.titles.model, {
+        max_tokens: config.titles.maxTokens,
+        temperature: 0.3
+    });
+
+    const title = cleanGeneratedTitle(response.choices?.[0]?.message?.content);
+    if (!title) {
+        throw new Error('Title model returned no title');
+    }
+    return title;
+};
+
+/**
+ * Title a saved chat once it has its first answer
+ * Does nothing for chats that were renamed or already titled; failures are only logged.
+ * @param {string} chatId - Saved chat ID
+ * @param {Array} messages - The chat's active branch
+ * @returns {Promise<boolean>} Whether a title was set
+ */
+export const requestChatTitle = async (chatId, messages) => {
+    if (!config.titles.generate || !chatId || requestedChats.has(chatId)) return false;
+
+    const chat = getChatList().find(item => item.id === chatId);
+    if (!chat || (chat.titleSource && chat.titleSource !== 'auto')) return false;
+
+    const question = messages.find(message => message.role === 'user' && message.content);
+    const answer = messages.find(message => message.role === 'assistant' && message.content);
+    if (!question || !answer) return false;
+
+    requestedChats.add(chatId);
+    try {
+        return setGeneratedTitle(chatId, await generateTitle(question.content, answer.content));
+    } catch (error) {
+        console.warn('Failed to generate a chat title:', error);
+        requestedChats.delete(chatId);
+        return false;
+    }
+};
+
+export default { cleanGeneratedTitle, generateTitle, requestChatTitle };
@@ -0,0 +1,196 @@
+/**
+ * Context Service
+ * Fits a conversation into the selected model's context window:
+ * recent turns are sent verbatim, older turns are folded into a rolling summary
+ */
+
+import config from '../config.js';
+import { getModelInfo } from './models.js';
+import { sendMessage } from '../api/openrouter.js';
+import { estimateTextTokens, estimateMessageTokens } from '../utils/tokens.js';
+
+/**
+ * Describe a message's attachments in words (summaries are text-only)
+ * @param {Object} message - Chat message
+ * @returns {string}
+ */
+const describeAttachments = (message) => {
+    const parts = [];
+    const imageCount = message.images?.length || 0;
+    if (imageCount > 0) {
+        parts.push(`${imageCount} image${imageCount === 1 ? '' : 's'}`);
+    }
+    (message.pdfs || []).forEach(pdf => parts.push(pdf.filename || 'a PDF'));
+
+    return parts.length > 0 ? ` [attached: ${parts.join(', ')}]` : '';
+};
+
+/**
+ * Format a message as a transcript line for the summarizer
+ * @param {Object} message - Chat message
+ * @returns {string}
+ */
+const toTranscriptLine = (message) => {
+    const speaker = message.role === 'user' ? 'User' : 'Assistant';
+    const limit = config.context.summaryExcerptChars;
+    const text = message.content.length > limit
+        ? message.content.substring(0, limit) + '...'
+        : message.content;
+
+    return `${speaker}:${describeAttachments(message)} ${text}`;
+};
+
+/**
+ * Ask the summary model to fold a batch of messages into the running summary
+ * @param {string|null} previousSummary - Summary of everything before the batch
+ * @param {Array} messages - Messages to add
+ * @returns {Promise<string>} Updated summary
+ */
+const requestSummary = async (previousSummary, messages) => {
+    const transcript = messages.map(toTranscriptLine).join('\n\n');
+
+    const prompt = `You are maintaining a running summary of a conversation between a user and an AI assistant. The summary replaces the older messages, so the assistant will only know what you keep.
+
+${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}New messages:
+${transcript}
+
+Write an updated summary that merges the new messages into the summary so far. Keep facts, names, numbers, decisions, code identifiers, the user's goals and preferences, and any open questions. Mention attachments by name. Be concise and write in plain prose or short bullet points. Return ONLY the summary.`;
+
+    const response = await sendMessage([{ role: 'user', content: prompt }], config.context.summaryModel, {
+        max_tokens: config.context.summaryMaxTokens,
+        temperature: 0.3
+    });
+
+    const summary = response.choices?.[0]?.message?.content?.trim();
+    if (!summary) {
+        throw new Error('Summary model returned no content');
+    }
+    return summary;
+};
+
+/**
+ * Summarize the messages that no longer fit
+ * Summaries are cached on the last message they cover (`contextSummary`), so each request
+ * only folds in the turns that dropped out since the previous one. A message's ancestors
+ * never change, so a cached summary stays valid on every branch below it.
+ * @param {Array} messages - Oldest messages of the active branch, in order
+ * @returns {Promise<string>}
+ */
+const summarizeMessages = async (messages) => {
+    let summary = null;
+    let from = 0;
+
+    // Resume from the newest cached summary
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].contextSummary?.text) {
+            summary = messages[i].contextSummary.text;
+            from = i + 1;
+            break;
+        }
+    }
+
+    // Fold the rest in batches small enough for the summary model
+    while (from < messages.length) {
+        let end = from;
+        let chars = 0;
+        while (end < messages.length) {
+            const length = toTranscriptLine(messages[end]).length;
+            if (end > from && chars + length > config.context.summaryInputChars) break;
+            chars += length;
+            end++;
+        }
+
+        summary = await requestSummary(summary, messages.slice(from, end));
+        messages[end - 1].contextSummary = { text: summary, messageCount: end };
+        from = end;
+    }
+
+    return summary;
+};
+
+/**
+ * Add the conversation summary to the system prompt
+ * @param {string} systemPrompt - Base system prompt
+ * @param {string|null} summary - Summary of the omitted messages
+ * @returns {string}
+ */
+const withSummary = (systemPrompt, summary) => {
+    if (!summary) return systemPrompt;
+
+    const note = `EARLIER CONVERSATION (summarized, the original messages are no longer shown):\n${summary}`;
+    return systemPrompt ? `${systemPrompt}\n\n${note}` : note;
+};
+
+/**
+ * Get the number of prompt tokens available for conversation history
+ * @param {string} modelId - Model ID
+ * @param {string} systemPrompt - System prompt
+ * @param {number} maxTokens - Tokens reserved for the response
+ * @returns {number}
+ */
+export const getHistoryBudget = (modelId, systemPrompt = '', maxTokens = 0) => {
+    const contextLength = getModelInfo(modelId)?.contextLength || config.context.defaultContextLength;
+
+    return contextLength
+        - maxTokens
+        - estimateTextTokens(systemPrompt)
+        - config.context.summaryMaxTokens
+        - config.context.safetyMargin;
+};
+
+/**
+ * Choose what the model will see for a request
+ * Keeps the newest messages that fit the budget (at most config.chat.maxHistoryLength, starting
+ * on a user turn) and summarizes the rest. If summarizing fails the older messages are dropped.
+ * @param {Array} history - Active branch, oldest first; the last message is always kept
+ * @param {Object} options
+ * @param {string} options.model - Model ID
+ * @param {string} options.systemPrompt - System prompt
+ * @param {number} options.maxTokens - Tokens reserved for the response
+ * @param {boolean} options.supportsImages - Whether images are sent to the model
+ * @returns {Promise<Object>} { history, systemPrompt, keptCount, omittedCount, summarized }
+ */
+export const buildContext = async (history, { model, systemPrompt = '', maxTokens = 0, supportsImages = true } = {}) => {
+    const budget = getHistoryBudget(model, systemPrompt, maxTokens);
+
+    let start = history.length;
+    let used = 0;
+    while (start > 0) {
+        const cost = estimateMessageTokens(history[start - 1], { supportsImages });
+        const keptCount = history.length - start;
+        if (keptCount > 0 && (used + cost > budget || keptCount >= config.chat.maxHistoryLength)) break;
+        used += cost;
+        start--;
+    }
+
+    // Don't open on an assistant reply whose question was cut off
+    while (start > 0 && start < history.length - 1 && history[start].role !== 'user') {
+        start++;
+    }
+
+    const kept = history.slice(start);
+    const result = {
+        history: kept,
+        systemPrompt,
+        keptCount: kept.length,
+        omittedCount: start,
+        summarized: false
+    };
+
+    if (start === 0) return result;
+
+    try {
+        const summary = await summarizeMessages(history.slice(0, start));
+        result.systemPrompt = withSummary(systemPrompt, summary);
+        result.summarized = true;
+    } catch (error) {
+        console.warn('Failed to summarize earlier messages, leaving them out:', error);
+    }
+
+    return result;
+};
+
+export default {
+    getHistoryBudget,
+    buildContext
+};
@@ -0,0 +1,221 @@
+/**
+ * IndexedDB Wrapper
+ * Promise-based access to the app database and its schema upgrades
+ */
+
+import config from '../config.js';
+
+// Bump when object stores or indexes change, and add a case to upgradeSchema()
+export const DB_VERSION = 2;
+
+// Object store names
+export const STORES = {
+    CHATS: 'chats',
+    ATTACHMENTS: 'attachments',
+    IMAGES: 'images',
+    META: 'meta',
+    TRASH: 'trash'
+};
+
+// Shared connection (opened once)
+let dbPromise = null;
+
+/**
+ * Check if IndexedDB is available in this browser
+ * @returns {boolean}
+ */
+export const isSupported = () => typeof window !== 'undefined' && 'indexedDB' in window;
+
+/**
+ * Create or upgrade object stores
+ * Each case upgrades from the previous version, so cases intentionally fall through.
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version the database is upgrading from (0 if new)
+ */
+const upgradeSchema = (db, oldVersion) => {
+    switch (oldVersion) {
+        case 0: {
+            const chats = db.createObjectStore(STORES.CHATS, { keyPath: 'id' });
+            chats.createIndex('updatedAt', 'updatedAt');
+
+            db.createObjectStore(STORES.ATTACHMENTS, { keyPath: 'id' });
+
+            const images = db.createObjectStore(STORES.IMAGES, { keyPath: 'id' });
+            images.createIndex('timestamp', 'timestamp');
+
+            db.createObjectStore(STORES.META, { keyPath: 'key' });
+        }
+        // falls through
+        case 1: {
+            // Deleted chats and images, kept for a while so they can be restored
+            const trash = db.createObjectStore(STORES.TRASH, { keyPath: 'id' });
+            trash.createIndex('deletedAt', 'deletedAt');
+        }
+        // falls through
+        default:
+            break;
+    }
+};
+
+/**
+ * Open the database (memoized)
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!isSupported()) {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+
+        const request = window.indexedDB.open(config.storage.database, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            upgradeSchema(request.result, event.oldVersion);
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer version in another tab take over
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+    });
+
+    // Allow a retry after a failed open
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+};
+
+/**
+ * Run a transaction and resolve when it commits
+ * @param {string|string[]} storeNames - Store(s) used by the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the transaction; may return an IDBRequest whose result is resolved
+ * @returns {Promise<*>}
+ */
+export const runTransaction = async (storeNames, mode, callback) => {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        let result;
+
+        const request = callback(tx);
+        if (request && 'onsuccess' in request) {
+            request.onsuccess = () => {
+                result = request.result;
+            };
+        }
+
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+};
+
+/**
+ * Get a record by key
+ * @param {string} storeName - Store name
+ * @param {string} key - Record key
+ * @returns {Promise<Object|undefined>}
+ */
+export const getRecord = (storeName, key) => {
+    return runTransaction(storeName, 'readonly', tx => tx.objectStore(storeName).get(key));
+};
+
+/**
+ * Get all records in a store
+ * @param {string} storeName - Store name
+ * @returns {Promise<Array>}
+ */
+export const getAllRecords = (storeName) => {
+    return runTransaction(storeName, 'readonly', tx => tx.objectStore(storeName).getAll());
+};
+
+/**
+ * Get all keys in a store
+ * @param {string} storeName - Store name
+ * @returns {Promise<Array>}
+ */
+export const getAllKeys = (storeName) => {
+    return runTransaction(storeName, 'readonly', tx => tx.objectStore(storeName).getAllKeys());
+};
+
+/**
+ * Insert or replace records in a single transaction
+ * @param {string} storeName - Store name
+ * @param {Array} records - Records to write
+ * @returns {Promise<void>}
+ */
+export const putRecords = (storeName, records) => {
+    return runTransaction(storeName, 'readwrite', tx => {
+        const store = tx.objectStore(storeName);
+        records.forEach(record => store.put(record));
+    });
+};
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Store name
+ * @param {Object} record - Record to write
+ * @returns {Promise<void>}
+ */
+export const putRecord = (storeName, record) => putRecords(storeName, [record]);
+
+/**
+ * Delete records by key in a single transaction
+ * @param {string} storeName - Store name
+ * @param {Array<string>} keys - Record keys
+ * @returns {Promise<void>}
+ */
+export const deleteRecords = (storeName, keys) => {
+    return runTransaction(storeName, 'readwrite', tx => {
+        const store = tx.objectStore(storeName);
+        keys.forEach(key => store.delete(key));
+    });
+};
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Store name
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+export const deleteRecord = (storeName, key) => deleteRecords(storeName, [key]);
+
+/**
+ * Remove every record from a store
+ * @param {string} storeName - Store name
+ * @returns {Promise<void>}
+ */
+export const clearStore = (storeName) => {
+    return runTransaction(storeName, 'readwrite', tx => tx.objectStore(storeName).clear());
+};
+
+export default {
+    DB_VERSION,
+    STORES,
+    isSupported,
+    openDatabase,
+    runTransaction,
+    getRecord,
+    getAllRecords,
+    getAllKeys,
+    putRecords,
+    putRecord,
+    deleteRecords,
+    deleteRecord,
+    clearStore
+};
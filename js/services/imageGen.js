@@ -1,11 +1,11 @@
 /**
  * Image Generation Service
- * Manages image generation state and persistence
+ * Manages image generation state (persisted through the storage service)
  */
 
-import config from '../config.js';
 import eventBus, { Events } from '../utils/events.js';
 import { generateImage as apiGenerateImage } from '../api/fal.js';
+import { getImageList, saveImageRecord, deleteImageRecord, clearImageRecords } from './storage.js';
 
 // In-memory image cache
 let images = [];
@@ -14,36 +14,23 @@ let images = [];
 let isGenerating = false;
 
 /**
- * Load images from localStorage
- * @returns {Array}
+ * Initialize the service from storage
+ * Call after initStorage()
  */
-const loadImages = () => {
-    try {
-        const stored = localStorage.getItem(config.storage.generatedImages);
-        return stored ? JSON.parse(stored) : [];
-    } catch (error) {
-        console.error('Failed to load images from storage:', error);
-        return [];
-    }
-};
+export const init = () => {
+    images = getImageList();
 
-/**
- * Save images to localStorage
- * @param {Array} imageList
- */
-const saveImages = (imageList) => {
-    try {
-        localStorage.setItem(config.storage.generatedImages, JSON.stringify(imageList));
-    } catch (error) {
-        console.error('Failed to save images to storage:', error);
-    }
-};
+    // Pick up images restored from the trash
+    eventBus.on(Events.TRASH_CHANGED, ({ restored }) => {
+        if (restored.some(entry => entry.kind === 'image')) {
+            images = getImageList();
+        }
+    });
 
-/**
- * Initialize the service
- */
-export const init = () => {
-    images = loadImages();
+    // Pick up images another tab generated, deleted or restored
+    eventBus.on(Events.IMAGES_CHANGED, () => {
+        images = getImageList();
+    });
 };
 
 /**
@@ -74,32 +61,32 @@ export const addImage = (imageObj) => {
     };
 
     images.unshift(image); // Add to beginning (newest first)
-    saveImages(images);
+    saveImageRecord(image);
 
     return image;
 };
 
 /**
- * Delete an image from the gallery
+ * Move an image from the gallery to the trash
  * @param {string} imageId - Image ID to delete
- * @returns {boolean} Success
+ * @returns {Array<string>} Trash item IDs (empty if the image wasn't found)
  */
 export const deleteImage = (imageId) => {
     const index = images.findIndex(img => img.id === imageId);
     if (index !== -1) {
         images.splice(index, 1);
-        saveImages(images);
-        return true;
+        return deleteImageRecord(imageId);
     }
-    return false;
+    return [];
 };
 
 /**
- * Clear all images
+ * Move all images to the trash
+ * @returns {Array<string>} Trash item IDs
  */
 export const clearImages = () => {
     images = [];
-    saveImages(images);
+    return clearImageRecords();
 };
 
 /**
@@ -156,9 +143,6 @@ export const generate = async (prompt) => {
     }
 };
 
-// Initialize on module load
-init();
-
 export default {
     init,
     getImages,
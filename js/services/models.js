@@ -5,14 +5,71 @@
 
 import config from '../config.js';
 import eventBus, { Events } from '../utils/events.js';
-import { saveCurrentModel, loadCurrentModel } from './storage.js';
+import {
+    saveCurrentModel,
+    loadCurrentModel,
+    saveModelCatalog,
+    loadModelCatalog,
+    saveFavoriteModels,
+    loadFavoriteModels
+} from './storage.js';
 import { getModels as fetchModels } from '../api/openrouter.js';
 
-// Cached models list
-let cachedModels = [...config.models];
+/**
+ * Parse an OpenRouter price string (USD per token)
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+const parsePrice = (value) => {
+    const price = Number(value);
+    return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+/**
+ * Normalize an OpenRouter model (or a config entry) into our model shape
+ * @param {Object} raw - Model from /api/models or config.models
+ * @returns {Object} { id, name, provider, description, contextLength, pricing, inputModalities,
+ *                     supportedParameters, supportsVision, supportsPdf, supportsWebSearch }
+ */
+export const normalizeModel = (raw) => {
+    const provider = raw.id.split('/')[0] || 'other';
+    const inputModalities = raw.inputModalities || raw.architecture?.input_modalities || ['text'];
+    const supportedParameters = raw.supportedParameters || raw.supported_parameters || [];
+
+    // OpenRouter names are prefixed with the provider ("xAI: Grok 4.1 Fast")
+    const name = (raw.name || raw.id.split('/').pop()).replace(/^[^:]+:\s*/, '');
+
+    const pricing = raw.pricing
+        ? {
+            prompt: parsePrice(raw.pricing.prompt),
+            completion: parsePrice(raw.pricing.completion)
+        }
+        : null;
+
+    return {
+        id: raw.id,
+        name,
+        provider,
+        description: raw.description || '',
+        contextLength: raw.contextLength || raw.context_length || null,
+        maxOutputTokens: raw.maxOutputTokens || raw.max_output_tokens || null,
+        pricing,
+        inputModalities,
+        supportedParameters,
+        supportsVision: inputModalities.includes('image'),
+        supportsPdf: inputModalities.includes('file'),
+        supportsWebSearch: raw.supportsWebSearch ?? supportedParameters.includes('web_search_options')
+    };
+};
+
+// Cached models list (normalized)
+let cachedModels = config.models.map(model => normalizeModel(model));
+
+// Current selected model (restored from the last session)
+let currentModel = loadCurrentModel() || config.defaultModel;
 
-// Current selected model - always use default since we only have one model
-let currentModel = config.defaultModel;
+// Favorite model IDs
+let favoriteModels = loadFavoriteModels();
 
 /**
  * Get current selected model
@@ -40,14 +97,57 @@ export const setModel = (modelId) => {
 export const getAvailableModels = () => cachedModels;
 
 /**
- * Refresh models list from API
- * @returns {Promise<Array>}
+ * Replace the cached list and make sure the current model is still in it
+ * @param {Array} models - Normalized models
+ * @param {boolean} authoritative - Whether the list came from the server (so missing models are really gone)
  */
-export const refreshModels = async () => {
-    // Only use models from config - don't fetch from API
-    // This ensures we only show the configured model(s)
-    cachedModels = [...config.models];
+const setCachedModels = (models, authoritative) => {
+    cachedModels = models;
+
+    if (authoritative && !models.some(m => m.id === currentModel)) {
+        const fallback = models.find(m => m.id === config.defaultModel) || models[0];
+        if (fallback) setModel(fallback.id);
+    }
+
     eventBus.emit(Events.MODELS_LOADED, cachedModels);
+};
+
+/**
+ * Refresh models list
+ * Shows the cached catalog right away, then fetches /api/models if the cache is missing or stale.
+ * Falls back to the cache, then to config.models, if the request fails.
+ * @param {Object} options
+ * @param {boolean} options.force - Fetch even if the cache is fresh
+ * @returns {Promise<Array>}
+ */
+export const refreshModels = async ({ force = false } = {}) => {
+    const cached = loadModelCatalog();
+    if (cached?.models.length > 0) {
+        setCachedModels(cached.models, false);
+
+        const isFresh = Date.now() - cached.fetchedAt < config.modelCatalog.cacheTtl;
+        if (isFresh && !force) return cachedModels;
+    }
+
+    try {
+        const models = (await fetchModels())
+            .filter(model => model?.id)
+            .map(model => normalizeModel(model))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        if (models.length === 0) {
+            throw new Error('Model catalog is empty');
+        }
+
+        saveModelCatalog(models);
+        setCachedModels(models, true);
+    } catch (error) {
+        console.warn('Failed to load model catalog, using fallback:', error);
+        if (!cached) {
+            setCachedModels(config.models.map(model => normalizeModel(model)), false);
+        }
+    }
+
     return cachedModels;
 };
 
@@ -86,7 +186,7 @@ export const getModelsByProvider = () => {
     const grouped = {};
 
     cachedModels.forEach(model => {
-        const provider = model.id.split('/')[0] || 'other';
+        const provider = model.provider || 'other';
         if (!grouped[provider]) {
             grouped[provider] = [];
         }
@@ -97,7 +197,7 @@ export const getModelsByProvider = () => {
 };
 
 /**
- * Search models by name or ID
+ * Search models by name, ID or provider
  * @param {string} query - Search query
  * @returns {Array}
  */
@@ -105,18 +205,136 @@ export const searchModels = (query) => {
     const lowerQuery = query.toLowerCase();
     return cachedModels.filter(model =>
         model.id.toLowerCase().includes(lowerQuery) ||
-        model.name.toLowerCase().includes(lowerQuery)
+        model.name.toLowerCase().includes(lowerQuery) ||
+        model.provider.toLowerCase().includes(lowerQuery)
     );
 };
 
+/**
+ * Check if a model accepts an attachment kind
+ * PDFs work with every model: OpenRouter parses them to text when the model has no native file input.
+ * @param {Object} model - Normalized model
+ * @param {string} kind - 'image' or 'pdf'
+ * @returns {boolean}
+ */
+const supportsInput = (model, kind) => {
+    if (kind === 'image') return model.supportsVision;
+    return true;
+};
+
+/**
+ * Get the attachment kinds a model can't read
+ * Unknown models are assumed capable and left to the server to reject.
+ * @param {string} modelId - Model ID
+ * @param {Object} attachments - { images, pdfs }
+ * @returns {Array<string>} Unsupported kinds ('image', 'pdf')
+ */
+export const getUnsupportedInputs = (modelId, { images = [], pdfs = [] } = {}) => {
+    const model = getModelInfo(modelId);
+    if (!model) return [];
+
+    const kinds = [];
+    if (images.length > 0) kinds.push('image');
+    if (pdfs.length > 0) kinds.push('pdf');
+
+    return kinds.filter(kind => !supportsInput(model, kind));
+};
+
+/**
+ * Find a model that accepts the given attachment kinds
+ * Prefers favorites, then the default model, then the first match.
+ * @param {Array<string>} kinds - Attachment kinds ('image', 'pdf')
+ * @returns {Object|null} Normalized model
+ */
+export const findCompatibleModel = (kinds) => {
+    const compatible = cachedModels.filter(model => kinds.every(kind => supportsInput(model, kind)));
+
+    return compatible.find(model => isFavoriteModel(model.id))
+        || compatible.find(model => model.id === config.defaultModel)
+        || compatible[0]
+        || null;
+};
+
+/**
+ * Check if a model can call tools
+ * @param {string} modelId - Model ID
+ * @returns {boolean}
+ */
+export const supportsTools = (modelId) => {
+    return getModelInfo(modelId)?.supportedParameters.includes('tools') || false;
+};
+
+/**
+ * Check if a model can think before answering (and accepts a reasoning effort)
+ * @param {string} modelId - Model ID
+ * @returns {boolean}
+ */
+export const supportsReasoning = (modelId) => {
+    return getModelInfo(modelId)?.supportedParameters.includes('reasoning') || false;
+};
+
+/**
+ * Get the cost of a completion in USD
+ * Uses the cost OpenRouter reports; otherwise estimates it from the catalog prices.
+ * @param {string} modelId - Model ID
+ * @param {Object} usage - Usage from the API (prompt_tokens, completion_tokens, cost)
+ * @returns {number|null} Cost, or null if unknown
+ */
+export const getUsageCost = (modelId, usage) => {
+    if (!usage) return null;
+    if (Number.isFinite(usage.cost)) return usage.cost;
+
+    const pricing = getModelInfo(modelId)?.pricing;
+    if (!pricing || pricing.prompt === null || pricing.completion === null) return null;
+    return (usage.prompt_tokens || 0) * pricing.prompt + (usage.completion_tokens || 0) * pricing.completion;
+};
+
+/**
+ * Get favorite model IDs
+ * @returns {Array<string>}
+ */
+export const getFavoriteModels = () => favoriteModels;
+
+/**
+ * Check if a model is a favorite
+ * @param {string} modelId - Model ID
+ * @returns {boolean}
+ */
+export const isFavoriteModel = (modelId) => favoriteModels.includes(modelId);
+
+/**
+ * Add or remove a model from favorites
+ * @param {string} modelId - Model ID
+ * @returns {boolean} Whether the model is now a favorite
+ */
+export const toggleFavoriteModel = (modelId) => {
+    const isFavorite = isFavoriteModel(modelId);
+    favoriteModels = isFavorite
+        ? favoriteModels.filter(id => id !== modelId)
+        : [...favoriteModels, modelId];
+
+    saveFavoriteModels(favoriteModels);
+    eventBus.emit(Events.MODEL_FAVORITES_CHANGED, { modelId, isFavorite: !isFavorite, favorites: favoriteModels });
+    return !isFavorite;
+};
+
 export default {
     getModel,
     setModel,
     getAvailableModels,
     refreshModels,
+    normalizeModel,
     getModelInfo,
     getCurrentModelInfo,
     getModelDisplayName,
     getModelsByProvider,
-    searchModels
+    searchModels,
+    getUnsupportedInputs,
+    findCompatibleModel,
+    supportsTools,
+    supportsReasoning,
+    getUsageCost,
+    getFavoriteModels,
+    isFavoriteModel,
+    toggleFavoriteModel
 };
@@ -0,0 +1,269 @@
+/**
+ * Personas Service
+ * Named system prompts, template variables, and the persona new chats start with
+ */
+
+import config from '../config.js';
+import eventBus, { Events } from '../utils/events.js';
+import {
+    savePersonas,
+    loadPersonas,
+    saveCurrentPersona,
+    loadCurrentPersona,
+    getSetting,
+    setSetting
+} from './storage.js';
+import { getModelDisplayName } from './models.js';
+
+const MAX_NAME_LENGTH = 60;
+
+// Shipped persona; its prompt comes from config.chat and depends on the mode
+const BUILT_IN_PERSONAS = [
+    {
+        id: config.personas.defaultId,
+        name: 'Lampira',
+        description: 'Helpful assistant and research engine',
+        builtIn: true
+    }
+];
+
+// Variables available in system prompts as {{name}}
+export const TEMPLATE_VARIABLES = [
+    { name: 'date', description: 'Today\'s date' },
+    { name: 'time', description: 'Current time' },
+    { name: 'locale', description: 'Browser language, e.g. en-US' },
+    { name: 'timezone', description: 'Time zone, e.g. Europe/Berlin' },
+    { name: 'userName', description: 'Your name, if set' },
+    { name: 'model', description: 'Name of the selected model' }
+];
+
+// User-created personas
+let customPersonas = loadPersonas();
+
+// Persona new chats start with
+let defaultPersonaId = loadCurrentPersona();
+
+/**
+ * Generate a unique ID
+ * @returns {string}
+ */
+const generateId = () => Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+/**
+ * Get all personas, built-in first
+ * @returns {Array}
+ */
+export const getPersonas = () => [...BUILT_IN_PERSONAS, ...customPersonas];
+
+/**
+ * Get a persona by ID
+ * @param {string} personaId - Persona ID
+ * @returns {Object|null}
+ */
+export const getPersona = (personaId) => {
+    return getPersonas().find(persona => persona.id === personaId) || null;
+};
+
+/**
+ * Get the persona new chats start with
+ * Falls back to the built-in persona if the saved one was deleted.
+ * @returns {string}
+ */
+export const getDefaultPersonaId = () => {
+    return getPersona(defaultPersonaId) ? defaultPersonaId : config.personas.defaultId;
+};
+
+/**
+ * Set the persona new chats start with
+ * @param {string} personaId - Persona ID
+ */
+export const setDefaultPersona = (personaId) => {
+    if (!getPersona(personaId)) return;
+    defaultPersonaId = personaId;
+    saveCurrentPersona(personaId);
+};
+
+/**
+ * Check a persona's name and prompt
+ * @param {Object} fields - { name, prompt }
+ * @returns {{name: string, prompt: string}} Trimmed fields
+ * @throws {Error} If a field is missing or too long
+ */
+const validatePersona = ({ name, prompt }) => {
+    const cleanName = String(name || '').trim();
+    const cleanPrompt = String(prompt || '').trim();
+
+    if (!cleanName) {
+        throw new Error('Persona name is required');
+    }
+    if (cleanName.length > MAX_NAME_LENGTH) {
+        throw new Error(`Persona name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (!cleanPrompt) {
+        throw new Error('System prompt is required');
+    }
+    if (cleanPrompt.length > config.personas.maxPromptLength) {
+        throw new Error(`System prompt must be at most ${config.personas.maxPromptLength} characters`);
+    }
+
+    return { name: cleanName, prompt: cleanPrompt };
+};
+
+/**
+ * Persist custom personas and notify listeners
+ */
+const commitPersonas = () => {
+    savePersonas(customPersonas);
+    eventBus.emit(Events.PERSONAS_CHANGED, getPersonas());
+};
+
+/**
+ * Create a persona
+ * @param {Object} fields - { name, prompt }
+ * @returns {Object} The new persona
+ * @throws {Error} If the fields are invalid
+ */
+export const createPersona = (fields) => {
+    const { name, prompt } = validatePersona(fields);
+    const persona = {
+        id: generateId(),
+        name,
+        prompt,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+    };
+
+    customPersonas = [...customPersonas, persona];
+    commitPersonas();
+    return persona;
+};
+
+/**
+ * Update a custom persona
+ * @param {string} personaId - Persona ID
+ * @param {Object} fields - { name, prompt }
+ * @returns {Object} The updated persona
+ * @throws {Error} If the persona is built-in or missing, or the fields are invalid
+ */
+export const updatePersona = (personaId, fields) => {
+    const existing = customPersonas.find(persona => persona.id === personaId);
+    if (!existing) {
+        throw new Error(getPersona(personaId) ? 'Built-in personas can\'t be edited' : 'Persona not found');
+    }
+
+    const persona = { ...existing, ...validatePersona(fields), updatedAt: Date.now() };
+    customPersonas = customPersonas.map(p => (p.id === personaId ? persona : p));
+    commitPersonas();
+    return persona;
+};
+
+/**
+ * Delete a custom persona
+ * Chats that used it fall back to the default persona.
+ * @param {string} personaId - Persona ID
+ * @returns {boolean} Whether a persona was deleted
+ */
+export const deletePersona = (personaId) => {
+    if (!customPersonas.some(persona => persona.id === personaId)) return false;
+
+    customPersonas = customPersonas.filter(persona => persona.id !== personaId);
+    if (defaultPersonaId === personaId) {
+        setDefaultPersona(config.personas.defaultId);
+    }
+    commitPersonas();
+    return true;
+};
+
+/**
+ * Get the user's name (for {{userName}})
+ * @returns {string}
+ */
+export const getUserName = () => getSetting('userName', '');
+
+/**
+ * Set the user's name (for {{userName}})
+ * @param {string} name - User name
+ */
+export const setUserName = (name) => {
+    setSetting('userName', String(name || '').trim());
+};
+
+/**
+ * Get the current values of the template variables
+ * @param {string} modelId - Selected model ID
+ * @returns {Object} Values keyed by variable name
+ */
+export const getTemplateValues = (modelId = null) => {
+    const now = new Date();
+    const locale = navigator.language || 'en-US';
+
+    return {
+        date: now.toLocaleDateString(locale, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+        time: now.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' }),
+        locale,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+        userName: getUserName(),
+        model: modelId ? getModelDisplayName(modelId) : ''
+    };
+};
+
+/**
+ * Fill in {{variable}} placeholders
+ * Unknown variables are left as they are.
+ * @param {string} template - Prompt template
+ * @param {Object} values - Values keyed by variable name
+ * @returns {string}
+ */
+export const renderPromptTemplate = (template, values) => {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+        Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+    ));
+};
+
+/**
+ * Build the system prompt for a request
+ * A per-chat prompt wins over the chat's persona; custom prompts get the web search
+ * instructions appended in web mode.
+ * @param {Object} options
+ * @param {string} options.personaId - The chat's persona (default persona if unset)
+ * @param {string} options.systemPrompt - The chat's own prompt, if any
+ * @param {boolean} options.webSearchEnabled - Whether web search is on
+ * @param {string} options.model - Selected model ID
+ * @returns {string}
+ */
+export const resolveSystemPrompt = ({ personaId = null, systemPrompt = null, webSearchEnabled = false, model = null } = {}) => {
+    const persona = getPersona(personaId) || getPersona(getDefaultPersonaId());
+
+    let template;
+    if (systemPrompt && systemPrompt.trim()) {
+        template = systemPrompt;
+    } else if (persona.builtIn) {
+        return renderPromptTemplate(
+            webSearchEnabled ? config.chat.systemPromptWeb : config.chat.systemPromptChat,
+            getTemplateValues(model)
+        );
+    } else {
+        template = persona.prompt;
+    }
+
+    const prompt = webSearchEnabled
+        ? `${template}\n\n${config.chat.webSearchInstructions}`
+        : template;
+    return renderPromptTemplate(prompt, getTemplateValues(model));
+};
+
+export default {
+    TEMPLATE_VARIABLES,
+    getPersonas,
+    getPersona,
+    getDefaultPersonaId,
+    setDefaultPersona,
+    createPersona,
+    updatePersona,
+    deletePersona,
+    getUserName,
+    setUserName,
+    getTemplateValues,
+    renderPromptTemplate,
+    resolveSystemPrompt
+};
@@ -0,0 +1,291 @@
+/**
+ * Research Service
+ * Deep research: the model drafts a plan, each step's sub-queries run through the web plugin,
+ * sources are deduped across steps, and the findings feed a long cited report
+ */
+
+import config from '../config.js';
+import { sendMessage } from '../api/openrouter.js';
+import { filterSourcesByDomain } from './webSearch.js';
+
+// Query parameters that only track where a link was shared
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref|ref_src)$/i;
+
+/**
+ * Normalize a URL so the same page found by different queries counts once
+ * @param {string} url
+ * @returns {string}
+ */
+export const normalizeSourceUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        Array.from(parsed.searchParams.keys())
+            .filter(key => TRACKING_PARAMS.test(key))
+            .forEach(key => parsed.searchParams.delete(key));
+        return parsed.toString().replace(/\/(?=$|\?)/, '');
+    } catch {
+        return url;
+    }
+};
+
+/**
+ * Check that a citation URL is a web page
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isWebUrl = (url) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Throw if the research was cancelled
+ * @param {AbortSignal} signal
+ */
+const throwIfAborted = (signal) => {
+    if (signal?.aborted) {
+        throw new DOMException('Research cancelled', 'AbortError');
+    }
+};
+
+/**
+ * Describe the last few turns so follow-up questions keep their meaning
+ * @param {Array} history - Earlier messages of the branch
+ * @returns {string}
+ */
+const describeConversation = (history) => {
+    const turns = history
+        .filter(message => message.content)
+        .slice(-4)
+        .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content.slice(0, 500)}`);
+    return turns.length > 0 ? `Conversation so far:\n${turns.join('\n')}\n\n` : '';
+};
+
+/**
+ * Pull the first JSON object out of a model reply (which may wrap it in prose or a code fence)
+ * @param {string} text
+ * @returns {Object|null}
+ */
+const parseJsonObject = (text) => {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Have the model draft a research plan
+ * Falls back to a single step searching the question itself if the plan can't be parsed.
+ * @param {string} question - Research question
+ * @param {Object} options - { model, history, signal, onUsage (called with the request's usage) }
+ * @returns {Promise<Array<{title: string, queries: Array<string>}>>}
+ */
+export const planResearch = async (question, { model, history = [], signal = null, onUsage = () => {} }) => {
+    const { maxSteps, queriesPerStep } = config.research;
+
+    const prompt = `${describeConversation(history)}Plan web research to answer this question thoroughly:
+
+${question}
+
+Break it into ${Math.max(maxSteps - 1, 2)}-${maxSteps} steps, each covering a different aspect. For each step write 1-${queriesPerStep} specific web search queries.
+
+Return ONLY JSON in this form:
+{"steps": [{"title": "Short step title", "queries": ["search query", "another query"]}]}`;
+
+    const response = await sendMessage([{ role: 'user', content: prompt }], model, {
+        max_tokens: 800,
+        temperature: 0.3,
+        signal
+    });
+    onUsage(response.usage);
+
+    const plan = parseJsonObject(response.choices?.[0]?.message?.content || '');
+    const steps = (Array.isArray(plan?.steps) ? plan.steps : [])
+        .map(step => ({
+            title: String(step?.title || '').trim().slice(0, 120),
+            queries: (Array.isArray(step?.queries) ? step.queries : [])
+                .map(query => String(query || '').trim().slice(0, 200))
+                .filter(Boolean)
+                .slice(0, queriesPerStep)
+        }))
+        .filter(step => step.title && step.queries.length > 0)
+        .slice(0, maxSteps);
+
+    return steps.length > 0 ? steps : [{ title: 'Search the web', queries: [question.slice(0, 200)] }];
+};
+
+/**
+ * Run one sub-query through the web plugin
+ * @param {string} query - Search query
+ * @param {string} question - The overall research question, for focus
+ * @param {Object} options - { model, signal, webSearchOptions, onUsage }
+ * @returns {Promise<{findings: string, citations: Array<{url: string, title: string}>}>}
+ */
+const searchQuery = async (query, question, { model, signal, webSearchOptions, onUsage = () => {} }) => {
+    const prompt = `You are gathering material for research on: ${question}
+
+Search the web for: ${query}
+
+Report the key facts, figures, dates and differing viewpoints you find, citing each source as a markdown link. Be concise and factual; don't write an introduction or conclusion.`;
+
+    const response = await sendMessage([{ role: 'user', content: prompt }], model, {
+        max_tokens: config.research.findingsMaxTokens,
+        temperature: 0.3,
+        webSearchEnabled: true,
+        webSearchOptions,
+        signal
+    });
+    onUsage(response.usage);
+
+    const reply = response.choices?.[0]?.message || {};
+    const citations = (Array.isArray(reply.annotations) ? reply.annotations : [])
+        .filter(annotation => annotation.type === 'url_citation' && isWebUrl(annotation.url_citation?.url))
+        .map(annotation => ({
+            url: annotation.url_citation.url,
+            title: annotation.url_citation.title || '',
+            snippet: typeof annotation.url_citation.content === 'string'
+                ? annotation.url_citation.content.trim().slice(0, 300)
+                : ''
+        }));
+
+    return {
+        findings: (reply.content || '').slice(0, config.research.maxFindingsChars),
+        citations: webSearchOptions ? filterSourcesByDomain(citations, webSearchOptions) : citations
+    };
+};
+
+/**
+ * Run a deep research session
+ * Progress is written to `research` (the record shown in the timeline) and reported
+ * through onUpdate after every change. Queries within a step run in parallel.
+ * @param {string} question - Research question
+ * @param {Object} options
+ * @param {string} options.model - Model ID
+ * @param {Array} options.history - Earlier messages of the branch
+ * @param {AbortSignal} options.signal - Cancels the research
+ * @param {Object} options.webSearchOptions - Engine, result count and filters for the searches
+ * @param {Object} options.research - Progress record ({ status, steps }), mutated
+ * @param {Array} options.sources - Sources found so far, appended to (deduped by URL)
+ * @param {Function} options.onUpdate - Called after each progress change
+ * @param {Function} options.onUsage - Called with the usage of each planning and search request
+ * @returns {Promise<Array<{step: string, query: string, findings: string}>>} Findings per query
+ * @throws {DOMException} AbortError if cancelled
+ */
+export const runDeepResearch = async (question, { model, history = [], signal = null, webSearchOptions = null, research, sources, onUpdate = () => {}, onUsage = () => {} }) => {
+    const sourceIndexes = new Map(sources.map((source, index) => [normalizeSourceUrl(source.url), index]));
+    const findings = [];
+
+    // Plan
+    research.status = 'planning';
+    onUpdate();
+    const plan = await planResearch(question, { model, history, signal, onUsage });
+    throwIfAborted(signal);
+
+    research.steps = plan.map(step => ({
+        title: step.title,
+        status: 'pending',
+        queries: step.queries.map(text => ({ text, status: 'pending', sourceCount: 0 })),
+        sourceIndexes: [],
+        newSourceCount: 0
+    }));
+    research.status = 'searching';
+    onUpdate();
+
+    // Search, one step at a time
+    for (const step of research.steps) {
+        throwIfAborted(signal);
+        step.status = 'running';
+        step.queries.forEach(query => { query.status = 'running'; });
+        onUpdate();
+
+        await Promise.all(step.queries.map(async (query) => {
+            try {
+                const result = await searchQuery(query.text, question, { model, signal, webSearchOptions, onUsage });
+
+                result.citations.forEach(citation => {
+                    const key = normalizeSourceUrl(citation.url);
+                    if (!sourceIndexes.has(key)) {
+                        sourceIndexes.set(key, sources.length);
+                        sources.push({
+                            url: citation.url,
+                            title: citation.title || new URL(citation.url).hostname,
+                            ...(citation.snippet ? { snippet: citation.snippet } : {})
+                        });
+                        step.newSourceCount++;
+                    }
+                    const index = sourceIndexes.get(key);
+                    if (!step.sourceIndexes.includes(index)) step.sourceIndexes.push(index);
+                });
+
+                query.sourceCount = result.citations.length;
+                query.status = 'done';
+                findings.push({ step: step.title, query: query.text, findings: result.findings });
+            } catch (error) {
+                if (signal?.aborted) return;
+                console.warn(`Research query "${query.text}" failed:`, error);
+                query.status = 'error';
+            }
+            onUpdate();
+        }));
+
+        throwIfAborted(signal);
+        step.status = step.queries.some(query => query.status === 'done') ? 'done' : 'error';
+        onUpdate();
+    }
+
+    if (findings.length === 0) {
+        throw new Error('None of the research searches returned results');
+    }
+
+    return findings;
+};
+
+/**
+ * Build the request for the final report
+ * Sources are numbered in the order shown under the answer, so [n] links line up with the cards.
+ * @param {string} question - Research question
+ * @param {Array} findings - Findings per query (from runDeepResearch)
+ * @param {Array} sources - Deduped sources
+ * @param {string} systemPrompt - The chat's system prompt
+ * @returns {Array} API messages
+ */
+export const buildReportMessages = (question, findings, sources, systemPrompt) => {
+    const sourceList = sources
+        .map((source, index) => `[${index + 1}] ${source.title} - ${source.url}`)
+        .join('\n');
+
+    const notes = findings
+        .map(({ step, query, findings: text }) => `### ${step}\nQuery: ${query}\n\n${text || '(no findings)'}`)
+        .join('\n\n');
+
+    const instructions = `Write a thorough research report that answers the question, using only the research notes below.
+
+- Start with a short summary of the answer, then organize the report into sections with headings
+- Compare sources where they disagree, and say what remains uncertain
+- Cite sources inline as markdown links using their number and exact URL from the source list, e.g. [3](https://example.com/page)
+- Don't add a separate list of sources at the end`;
+
+    return [
+        { role: 'system', content: `${systemPrompt}\n\n${instructions}` },
+        {
+            role: 'user',
+            content: `Question: ${question}\n\nSources:\n${sourceList || '(none)'}\n\nResearch notes:\n\n${notes}`
+        }
+    ];
+};
+
+export default {
+    normalizeSourceUrl,
+    planResearch,
+    runDeepResearch,
+    buildReportMessages
+};
@@ -1,10 +1,76 @@
 /**
  * Storage Service
- * Handles localStorage operations for chats and settings
+ * Persists chats, attachments and generated images in IndexedDB,
+ * and small settings in localStorage.
+ *
+ * Chat and image records are cached in memory after initStorage() so reads stay
+ * synchronous; writes go to IndexedDB in the background, one at a time, in order.
+ * Attachments (base64 images/PDFs) are stored as separate Blob records and
+ * referenced from messages by ID, then turned back into data URLs on load.
+ *
+ * Chat records also carry their organization: folderId, tags, pinned, archived
+ * and a manual sort `order`. The folder list itself is a meta record.
+ * `titleSource` says where a chat's title came from: 'auto' (the start of the first
+ * message, updated on every save), 'generated' (by services/chatTitles.js) or 'manual'.
+ *
+ * Deleting or clearing chats and images moves them to the trash store, from which
+ * they can be restored until they expire (config.trash.retentionDays).
+ *
+ * Several tabs share the database. Each chat record says which tab saved it last
+ * (`savedBy`); saving over another tab's version merges the two message trees instead
+ * of replacing it. services/sync.js tells the other tabs what changed, and they re-read
+ * it with the refresh functions below.
  */
 
 import config from '../config.js';
 import eventBus, { Events } from '../utils/events.js';
+import { normalizeTree, getActivePath, mergeTrees } from '../utils/messageTree.js';
+import { dataUrlToBlob, fileToBase64, formatFileSize } from '../utils/fileHandler.js';
+import {
+    STORES,
+    openDatabase,
+    runTransaction,
+    getRecord,
+    getAllRecords,
+    getAllKeys,
+    putRecord,
+    deleteRecord,
+    deleteRecords
+} from './db.js';
+
+// Working (unsaved) chats are kept per tab in the meta store, under this prefix and the tab's ID
+const CURRENT_CHAT_PREFIX = 'currentChat:';
+
+// Key of the single working chat kept before tabs had their own
+const LEGACY_CURRENT_CHAT_KEY = 'currentChat';
+
+// Key of the data migration version in the meta store
+const DATA_VERSION_KEY = 'dataVersion';
+
+// Key of the folder list in the meta store
+const FOLDERS_KEY = 'folders';
+
+// In-memory caches (filled by initStorage)
+const chatCache = new Map();
+let imageCache = [];
+let folderCache = [];
+let trashCache = [];
+let currentChatRecord = null;
+
+// Attachment IDs already written (or queued) to the attachments store
+const knownAttachmentIds = new Set();
+
+// Whether IndexedDB opened successfully
+let databaseReady = false;
+
+// Serial write queue so writes land in the order they were made
+let writeQueue = Promise.resolve();
+let pendingWrites = 0;
+
+// Debounced working-chat write
+let pendingCurrentTree = null;
+let pendingCurrentSettings = {};
+let currentChatTimer = null;
 
 /**
  * Generate a unique ID
@@ -14,6 +80,19 @@ const generateId = () => {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 };
 
+// ID of this tab, recorded on the chats it saves
+const tabId = generateId();
+
+// Key of this tab's working chat in the meta store
+const currentChatKey = `${CURRENT_CHAT_PREFIX}${tabId}`;
+
+/**
+ * Check whether a meta record is a tab's working chat
+ * @param {Object} record - Meta store record
+ * @returns {boolean}
+ */
+const isWorkingChatRecord = (record) => typeof record?.key === 'string' && record.key.startsWith(CURRENT_CHAT_PREFIX);
+
 /**
  * Get item from localStorage with JSON parsing
  * @param {string} key - Storage key
@@ -39,7 +118,7 @@ const setItem = (key, value) => {
     try {
         localStorage.setItem(key, JSON.stringify(value));
     } catch (error) {
-        console.error(`Error writing to storage (${key}):`, error);
+        reportStorageError(error, key);
     }
 };
 
@@ -55,76 +134,829 @@ const removeItem = (key) => {
     }
 };
 
+// ============ Usage & Errors ============
+
+/**
+ * Get storage usage report
+ * @returns {Promise<{usage: number|null, quota: number|null, chats: number, images: number, trash: number, attachments: number}>}
+ */
+export const getStorageUsage = async () => {
+    let usage = null;
+    let quota = null;
+
+    try {
+        if (navigator.storage?.estimate) {
+            ({ usage, quota } = await navigator.storage.estimate());
+        }
+    } catch (error) {
+        console.warn('Could not estimate storage usage:', error);
+    }
+
+    return {
+        usage,
+        quota,
+        chats: chatCache.size,
+        images: imageCache.length,
+        trash: trashCache.length,
+        attachments: knownAttachmentIds.size
+    };
+};
+
+/**
+ * Report a failed write so the UI can show it
+ * @param {Error} error - The error thrown by the write
+ * @param {string} target - What was being written
+ */
+const reportStorageError = async (error, target) => {
+    console.error(`Error writing to storage (${target}):`, error);
+
+    const isQuotaError = error?.name === 'QuotaExceededError';
+    const report = await getStorageUsage();
+    const usageText = report.usage !== null && report.quota
+        ? ` (${formatFileSize(report.usage)} of ${formatFileSize(report.quota)} used)`
+        : '';
+
+    eventBus.emit(Events.STORAGE_ERROR, {
+        error,
+        isQuotaError,
+        report,
+        message: isQuotaError
+            ? `Storage is full${usageText}. Delete old chats or images to free up space.`
+            : `Could not save your data: ${error?.message || 'unknown error'}`
+    });
+};
+
+/**
+ * Queue a database write behind any earlier writes
+ * @param {string} target - Description used in error reports
+ * @param {Function} task - Async function performing the write
+ * @returns {Promise<void>}
+ */
+const enqueueWrite = (target, task) => {
+    if (!databaseReady) return Promise.resolve();
+
+    pendingWrites++;
+    writeQueue = writeQueue
+        .then(task)
+        .catch(error => reportStorageError(error, target))
+        .finally(async () => {
+            pendingWrites--;
+            if (pendingWrites === 0) {
+                eventBus.emit(Events.STORAGE_UPDATED, await getStorageUsage());
+            }
+        });
+
+    return writeQueue;
+};
+
+// ============ Attachments ============
+
+/**
+ * Build an attachment ID for a message attachment
+ * @param {string} messageId - Message ID
+ * @param {string} kind - 'image' or 'pdf'
+ * @param {number} index - Position in the message's attachment list
+ * @returns {string}
+ */
+const getAttachmentId = (messageId, kind, index) => `${messageId}-${kind}-${index}`;
+
+/**
+ * Build an attachment record from a data URL
+ * @param {string} id - Attachment ID
+ * @param {string} kind - 'image' or 'pdf'
+ * @param {string} [filename] - PDF file name
+ * @param {string} dataUrl - Attachment data
+ * @returns {Object}
+ * @throws {Error} If the data URL is malformed
+ */
+const createAttachmentRecord = (id, kind, filename, dataUrl) => {
+    const blob = dataUrlToBlob(dataUrl);
+    return { id, kind, filename, mimeType: blob.type, size: blob.size, blob };
+};
+
+/**
+ * Replace inline attachment data in a tree with attachment references
+ * Attachments this tab already wrote are listed as `known`: another tab may have
+ * deleted them since, so the write re-creates any that are missing.
+ * @param {Object} tree - Message tree with data URLs
+ * @returns {{tree: Object, attachments: Array, known: Array}} Storable tree, new attachment
+ *          records, and the already-written attachments ({ id, kind, filename, dataUrl })
+ */
+const extractAttachments = (tree) => {
+    const nodes = {};
+    const attachments = [];
+    const known = [];
+
+    const toReference = (messageId, kind, index, dataUrl, filename) => {
+        // Remote URLs (and already-extracted references) are kept as they are
+        if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
+            return typeof dataUrl === 'string' ? { url: dataUrl } : dataUrl;
+        }
+
+        const attachmentId = getAttachmentId(messageId, kind, index);
+        if (knownAttachmentIds.has(attachmentId)) {
+            known.push({ id: attachmentId, kind, filename, dataUrl });
+            return { attachmentId };
+        }
+
+        try {
+            attachments.push(createAttachmentRecord(attachmentId, kind, filename, dataUrl));
+        } catch (error) {
+            // Keep data we can't decode inline rather than lose the message
+            console.warn(`Keeping attachment ${attachmentId} inline:`, error);
+            return { data: dataUrl };
+        }
+        return { attachmentId };
+    };
+
+    Object.values(tree.nodes).forEach(node => {
+        nodes[node.id] = {
+            ...node,
+            images: (node.images || []).map((image, i) => toReference(node.id, 'image', i, image)),
+            pdfs: (node.pdfs || []).map((pdf, i) => ({
+                filename: pdf.filename,
+                ...toReference(node.id, 'pdf', i, pdf.data, pdf.filename)
+            }))
+        };
+    });
+
+    return { tree: { ...tree, nodes }, attachments, known };
+};
+
+/**
+ * Resolve an attachment reference back to a data URL
+ * @param {Object|string} ref - Attachment reference, remote URL, or legacy inline data URL
+ * @returns {Promise<string|null>}
+ */
+const resolveAttachment = async (ref) => {
+    if (!ref) return null;
+    if (typeof ref === 'string') return ref;
+    if (ref.data) return ref.data;
+    if (ref.url) return ref.url;
+
+    try {
+        const record = await getRecord(STORES.ATTACHMENTS, ref.attachmentId);
+        return record ? await fileToBase64(record.blob) : null;
+    } catch (error) {
+        console.error(`Error reading attachment (${ref.attachmentId}):`, error);
+        return null;
+    }
+};
+
+/**
+ * Turn a stored tree back into one with inline data URLs
+ * @param {Object} storedTree - Tree with attachment references
+ * @returns {Promise<Object>}
+ */
+const hydrateTree = async (storedTree) => {
+    const tree = normalizeTree(storedTree);
+    const nodes = {};
+
+    for (const node of Object.values(tree.nodes)) {
+        const images = [];
+        for (const ref of node.images || []) {
+            const dataUrl = await resolveAttachment(ref);
+            if (dataUrl) images.push(dataUrl);
+        }
+
+        const pdfs = [];
+        for (const ref of node.pdfs || []) {
+            const data = await resolveAttachment(ref);
+            if (data) pdfs.push({ data, filename: ref.filename });
+        }
+
+        nodes[node.id] = { ...node, childIds: [...(node.childIds || [])], images, pdfs };
+    }
+
+    return { ...tree, rootIds: [...tree.rootIds], nodes };
+};
+
+/**
+ * Collect attachment IDs referenced by a stored tree
+ * @param {Object} storedTree - Tree with attachment references
+ * @param {Set<string>} ids - Set to add IDs to
+ */
+const collectAttachmentIds = (storedTree, ids) => {
+    if (!storedTree?.nodes) return;
+    Object.values(storedTree.nodes).forEach(node => {
+        [...(node.images || []), ...(node.pdfs || [])].forEach(ref => {
+            if (ref?.attachmentId) ids.add(ref.attachmentId);
+        });
+    });
+};
+
+/**
+ * Write attachment records and a record referencing them in one transaction
+ * @param {string} storeName - Store of the referencing record
+ * @param {Object} record - Chat or meta record
+ * @param {Array} attachments - New attachment records
+ * @param {Array} [known] - Attachments written before, re-created if another tab deleted them
+ * @returns {Promise<void>}
+ */
+const writeWithAttachments = async (storeName, record, attachments, known = []) => {
+    try {
+        await runTransaction([storeName, STORES.ATTACHMENTS], 'readwrite', tx => {
+            const attachmentStore = tx.objectStore(STORES.ATTACHMENTS);
+            attachments.forEach(attachment => attachmentStore.put(attachment));
+            known.forEach(({ id, kind, filename, dataUrl }) => {
+                attachmentStore.count(id).onsuccess = (e) => {
+                    if (e.target.result === 0) {
+                        attachmentStore.put(createAttachmentRecord(id, kind, filename, dataUrl));
+                    }
+                };
+            });
+            tx.objectStore(storeName).put(record);
+        });
+    } catch (error) {
+        // Let the next save retry these attachments
+        attachments.forEach(attachment => knownAttachmentIds.delete(attachment.id));
+        throw error;
+    }
+};
+
+/**
+ * Delete attachments no longer referenced by any chat, trashed chat or any tab's working chat
+ * References are read from the database, not the caches, since other tabs may have written
+ * chats this tab hasn't heard about. Keys are read first: an attachment is written together
+ * with the record that references it, so that record is read too.
+ * @returns {Promise<void>}
+ */
+const removeUnusedAttachments = () => enqueueWrite('attachments', async () => {
+    const keys = await getAllKeys(STORES.ATTACHMENTS);
+    const [chats, trash, meta] = await Promise.all([
+        getAllRecords(STORES.CHATS),
+        getAllRecords(STORES.TRASH),
+        getAllRecords(STORES.META)
+    ]);
+
+    const referenced = new Set();
+    chats.forEach(chat => collectAttachmentIds(chat.tree, referenced));
+    trash.forEach(entry => entry.kind === 'chat' && collectAttachmentIds(entry.item.tree, referenced));
+    meta.filter(isWorkingChatRecord).forEach(record => collectAttachmentIds(record.tree, referenced));
+
+    const unused = keys.filter(key => !referenced.has(key));
+    if (unused.length === 0) return;
+
+    await deleteRecords(STORES.ATTACHMENTS, unused);
+    unused.forEach(key => knownAttachmentIds.delete(key));
+});
+
+// ============ Migrations ============
+
+/**
+ * Import chats, the working chat and generated images saved by the localStorage version
+ * @returns {Promise<void>}
+ */
+const importLocalStorageData = async () => {
+    const legacyChats = getItem(config.storage.chats, {});
+    const legacyCurrent = getItem(config.storage.chatHistory, null);
+    const legacyImages = getItem(config.storage.generatedImages, []);
+
+    const chatRecords = [];
+    const attachments = [];
+
+    Object.values(legacyChats).forEach(chat => {
+        const extracted = extractAttachments(normalizeTree(chat.tree || chat.messages));
+        attachments.push(...extracted.attachments);
+        extracted.attachments.forEach(a => knownAttachmentIds.add(a.id));
+        chatRecords.push({
+            id: chat.id,
+            title: chat.title || 'New Chat',
+            tree: extracted.tree,
+            createdAt: chat.createdAt || Date.now(),
+            updatedAt: chat.updatedAt || Date.now()
+        });
+    });
+
+    let currentRecord = null;
+    if (legacyCurrent) {
+        const extracted = extractAttachments(normalizeTree(legacyCurrent));
+        attachments.push(...extracted.attachments);
+        extracted.attachments.forEach(a => knownAttachmentIds.add(a.id));
+        currentRecord = { key: LEGACY_CURRENT_CHAT_KEY, tree: extracted.tree };
+    }
+
+    await runTransaction([STORES.CHATS, STORES.ATTACHMENTS, STORES.IMAGES, STORES.META], 'readwrite', tx => {
+        const attachmentStore = tx.objectStore(STORES.ATTACHMENTS);
+        attachments.forEach(attachment => attachmentStore.put(attachment));
+
+        const chatStore = tx.objectStore(STORES.CHATS);
+        chatRecords.forEach(record => chatStore.put(record));
+
+        const imageStore = tx.objectStore(STORES.IMAGES);
+        (Array.isArray(legacyImages) ? legacyImages : []).forEach(image => imageStore.put(image));
+
+        if (currentRecord) {
+            tx.objectStore(STORES.META).put(currentRecord);
+        }
+    });
+
+    // Free the localStorage quota only once everything is safely in IndexedDB
+    removeItem(config.storage.chats);
+    removeItem(config.storage.chatHistory);
+    removeItem(config.storage.generatedImages);
+};
+
+/**
+ * Give every saved chat the organization fields and create the empty folder list
+ * @returns {Promise<void>}
+ */
+const addChatOrganization = async () => {
+    const [chats, foldersRecord] = await Promise.all([
+        getAllRecords(STORES.CHATS),
+        getRecord(STORES.META, FOLDERS_KEY)
+    ]);
+
+    await runTransaction([STORES.CHATS, STORES.META], 'readwrite', tx => {
+        const chatStore = tx.objectStore(STORES.CHATS);
+        chats.forEach(chat => chatStore.put({ ...chat, ...getOrganization(chat) }));
+
+        if (!foldersRecord) {
+            tx.objectStore(STORES.META).put({ key: FOLDERS_KEY, folders: [] });
+        }
+    });
+};
+
+/**
+ * Move the single working chat to a per-tab key; the first tab to open picks it up
+ * @returns {Promise<void>}
+ */
+const splitWorkingChat = async () => {
+    const record = await getRecord(STORES.META, LEGACY_CURRENT_CHAT_KEY);
+    if (!record) return;
+
+    await runTransaction(STORES.META, 'readwrite', tx => {
+        const metaStore = tx.objectStore(STORES.META);
+        metaStore.put({ ...record, key: `${CURRENT_CHAT_PREFIX}legacy`, tabId: null, updatedAt: 0 });
+        metaStore.delete(LEGACY_CURRENT_CHAT_KEY);
+    });
+};
+
+// Data migrations, applied in order; each runs once and must be safe to re-run
+const MIGRATIONS = [
+    { version: 1, description: 'Import localStorage chats and images', migrate: importLocalStorageData },
+    { version: 2, description: 'Add folders, tags, pinning, archive and order to chats', migrate: addChatOrganization },
+    { version: 3, description: 'Keep a working chat per tab', migrate: splitWorkingChat }
+];
+
+/**
+ * Apply data migrations newer than the stored data version
+ * @returns {Promise<void>}
+ */
+const runMigrations = async () => {
+    const versionRecord = await getRecord(STORES.META, DATA_VERSION_KEY);
+    let version = versionRecord?.value || 0;
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= version) continue;
+
+        await migration.migrate();
+        await putRecord(STORES.META, { key: DATA_VERSION_KEY, value: migration.version });
+        version = migration.version;
+    }
+};
+
+/**
+ * Open the database, run migrations and fill the in-memory caches
+ * Must be awaited before any chat or image is read.
+ * @returns {Promise<boolean>} Whether persistent storage is available
+ */
+export const initStorage = async () => {
+    try {
+        await openDatabase();
+        await runMigrations();
+
+        const [chats, images, currentRecord, attachmentKeys, foldersRecord, trash] = await Promise.all([
+            getAllRecords(STORES.CHATS),
+            getAllRecords(STORES.IMAGES),
+            adoptWorkingChat(),
+            getAllKeys(STORES.ATTACHMENTS),
+            getRecord(STORES.META, FOLDERS_KEY),
+            getAllRecords(STORES.TRASH)
+        ]);
+
+        chatCache.clear();
+        chats.forEach(chat => chatCache.set(chat.id, chat));
+        imageCache = images.sort((a, b) => b.timestamp - a.timestamp);
+        folderCache = Array.isArray(foldersRecord?.folders) ? foldersRecord.folders : [];
+        trashCache = trash.sort((a, b) => b.deletedAt - a.deletedAt);
+        currentChatRecord = currentRecord || null;
+        attachmentKeys.forEach(key => knownAttachmentIds.add(key));
+
+        databaseReady = true;
+        purgeExpiredTrash();
+    } catch (error) {
+        // Keep working from memory for this session
+        databaseReady = false;
+        reportStorageError(error, 'database');
+    }
+
+    return databaseReady;
+};
+
 // ============ Chat Storage ============
 
+/**
+ * Build a chat's automatic title from the start of its first user message
+ * @param {Array} messages - Active branch
+ * @returns {string}
+ */
+const getDefaultTitle = (messages) => {
+    const firstUserMsg = messages.find(m => m.role === 'user');
+    return firstUserMsg
+        ? firstUserMsg.content.slice(0, 50) + (firstUserMsg.content.length > 50 ? '...' : '')
+        : 'New Chat';
+};
+
+/**
+ * Collapse whitespace in a title and cut it to the maximum length
+ * @param {string} title
+ * @returns {string}
+ */
+const cleanTitle = (title) => String(title || '').replace(/\s+/g, ' ').trim().slice(0, config.titles.maxLength);
+
+/**
+ * Replace a chat record without counting it as activity, and tell the UI
+ * @param {Object} record - Updated chat record
+ * @returns {Object} The record
+ */
+const putChatRecord = (record) => {
+    chatCache.set(record.id, record);
+    enqueueWrite(`chat ${record.id}`, () => putRecord(STORES.CHATS, record));
+    eventBus.emit(Events.CHAT_SAVED, { id: record.id, chat: record });
+    return record;
+};
+
 /**
  * Save a chat conversation
+ * The full message tree is persisted so alternate branches survive reloads
  * @param {string} id - Chat ID (optional, will generate if not provided)
- * @param {Array} messages - Array of messages
+ * @param {Object} tree - Message tree (see utils/messageTree.js)
  * @param {string} title - Chat title (optional)
+ * @param {Object} settings - Per-chat settings such as personaId and systemPrompt (optional, kept if omitted)
  * @returns {string} Chat ID
  */
-export const saveChat = (id = null, messages, title = null) => {
+export const saveChat = (id = null, tree, title = null, settings = null) => {
     const chatId = id || generateId();
-    const chats = getItem(config.storage.chats, {});
+    const existing = chatCache.get(chatId);
+    const messages = getActivePath(tree);
+    const titleSource = existing?.titleSource || 'auto';
 
-    // Generate title from first user message if not provided
+    // Generated and renamed titles are kept; automatic ones follow the first user message
     if (!title && messages.length > 0) {
-        const firstUserMsg = messages.find(m => m.role === 'user');
-        title = firstUserMsg
-            ? firstUserMsg.content.slice(0, 50) + (firstUserMsg.content.length > 50 ? '...' : '')
-            : 'New Chat';
+        title = titleSource === 'auto' ? getDefaultTitle(messages) : existing.title;
     }
 
-    chats[chatId] = {
+    const { tree: storedTree, attachments, known } = extractAttachments(tree);
+    attachments.forEach(attachment => knownAttachmentIds.add(attachment.id));
+
+    // Messages another tab added since are kept
+    const changedElsewhere = existing?.savedBy && existing.savedBy !== tabId;
+
+    // A saved change moves the chat to the top of its group
+    const now = Date.now();
+    const record = {
         id: chatId,
         title: title || 'New Chat',
-        messages,
-        createdAt: chats[chatId]?.createdAt || Date.now(),
-        updatedAt: Date.now()
+        titleSource,
+        tree: changedElsewhere ? mergeTrees(normalizeTree(existing.tree), storedTree) : storedTree,
+        savedBy: tabId,
+        settings: settings || existing?.settings || {},
+        ...getOrganization(existing),
+        order: now,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
     };
 
-    setItem(config.storage.chats, chats);
-    eventBus.emit(Events.CHAT_SAVED, { id: chatId, chat: chats[chatId] });
+    chatCache.set(chatId, record);
+    enqueueWrite(`chat ${chatId}`, () => writeWithAttachments(STORES.CHATS, record, attachments, known));
+    eventBus.emit(Events.CHAT_SAVED, { id: chatId, chat: record });
 
     return chatId;
 };
 
 /**
- * Load a chat by ID
+ * Rename a chat; the new title is never replaced automatically
+ * An empty title goes back to the automatic one.
  * @param {string} id - Chat ID
- * @returns {Object|null}
+ * @param {string} title - New title
+ * @returns {Object|null} The updated record, or null if the chat doesn't exist
+ */
+export const renameChat = (id, title) => {
+    const existing = chatCache.get(id);
+    if (!existing) return null;
+
+    const clean = cleanTitle(title);
+    return putChatRecord(clean
+        ? { ...existing, title: clean, titleSource: 'manual' }
+        : { ...existing, title: getDefaultTitle(getActivePath(existing.tree)), titleSource: 'auto' });
+};
+
+/**
+ * Set a generated title, unless the chat was renamed meanwhile
+ * @param {string} id - Chat ID
+ * @param {string} title - Generated title
+ * @returns {boolean} Whether the title was set
+ */
+export const setGeneratedTitle = (id, title) => {
+    const existing = chatCache.get(id);
+    const clean = cleanTitle(title);
+    if (!existing || existing.titleSource === 'manual' || !clean) return false;
+
+    putChatRecord({ ...existing, title: clean, titleSource: 'generated' });
+    return true;
+};
+
+/**
+ * Set when a chat was created and last changed, e.g. for an imported chat
+ * The chat's sort order follows its new updatedAt.
+ * @param {string} id - Chat ID
+ * @param {Object} dates - { createdAt, updatedAt } timestamps (ms); missing ones are kept
+ * @returns {Object|null} The updated record, or null if the chat doesn't exist
  */
-export const loadChat = (id) => {
-    const chats = getItem(config.storage.chats, {});
-    return chats[id] || null;
+export const setChatDates = (id, { createdAt, updatedAt }) => {
+    const existing = chatCache.get(id);
+    if (!existing) return null;
+
+    const record = { ...existing };
+    if (Number.isFinite(updatedAt)) {
+        record.updatedAt = updatedAt;
+        record.order = updatedAt;
+    }
+    if (Number.isFinite(createdAt)) {
+        record.createdAt = createdAt;
+    }
+    return putChatRecord(record);
 };
 
 /**
- * Delete a chat by ID
+ * Load a chat by ID, with attachments restored as data URLs
  * @param {string} id - Chat ID
+ * @returns {Promise<Object|null>} Chat with `tree` and the active branch as `messages`
+ */
+export const loadChat = async (id) => {
+    const chat = chatCache.get(id);
+    if (!chat) return null;
+
+    // Attachments of a just-saved chat may still be queued for writing
+    await writeQueue;
+
+    const tree = await hydrateTree(chat.tree);
+    return { ...chat, tree, messages: getActivePath(tree) };
+};
+
+/**
+ * Move a chat to the trash
+ * @param {string} id - Chat ID
+ * @returns {Array<string>} Trash item IDs, for restoreFromTrash()
  */
 export const deleteChat = (id) => {
-    const chats = getItem(config.storage.chats, {});
-    delete chats[id];
-    setItem(config.storage.chats, chats);
+    const chat = chatCache.get(id);
+    if (!chat) return [];
+
+    chatCache.delete(id);
+    return moveToTrash('chat', [chat]);
 };
 
 /**
  * Get list of all saved chats
+ * Records keep attachment references only; use loadChat() for the full data
  * @returns {Array}
  */
 export const getChatList = () => {
-    const chats = getItem(config.storage.chats, {});
-    return Object.values(chats)
+    return Array.from(chatCache.values())
         .sort((a, b) => b.updatedAt - a.updatedAt);
 };
 
 /**
- * Clear all saved chats
+ * Move all saved chats to the trash
+ * @returns {Array<string>} Trash item IDs, for restoreFromTrash()
  */
 export const clearAllChats = () => {
-    removeItem(config.storage.chats);
+    const chats = Array.from(chatCache.values());
+    chatCache.clear();
+    return moveToTrash('chat', chats);
+};
+
+// ============ Chat Organization ============
+
+/**
+ * Clean up a list of tags: trimmed, without a leading #, no duplicates (ignoring case)
+ * @param {Array<string>} tags
+ * @returns {Array<string>}
+ */
+export const normalizeTags = (tags) => {
+    const { maxTags, maxTagLength } = config.organization;
+    const seen = new Set();
+    const normalized = [];
+
+    (Array.isArray(tags) ? tags : []).forEach(tag => {
+        if (typeof tag !== 'string') return;
+        const clean = tag.replace(/^#+/, '').replace(/\s+/g, ' ').trim().slice(0, maxTagLength);
+        const key = clean.toLowerCase();
+        if (!clean || seen.has(key) || normalized.length >= maxTags) return;
+        seen.add(key);
+        normalized.push(clean);
+    });
+
+    return normalized;
+};
+
+/**
+ * Read a chat record's organization fields, with defaults for missing ones
+ * @param {Object|null} chat - Chat record
+ * @returns {{folderId: string|null, tags: Array<string>, pinned: boolean, archived: boolean, order: number}}
+ */
+const getOrganization = (chat) => ({
+    folderId: typeof chat?.folderId === 'string' ? chat.folderId : null,
+    tags: normalizeTags(chat?.tags),
+    pinned: chat?.pinned === true,
+    archived: chat?.archived === true,
+    order: Number.isFinite(chat?.order) ? chat.order : (chat?.updatedAt || Date.now())
+});
+
+/**
+ * Get the sidebar group a chat is listed in
+ * Archived chats are listed together, pinned chats above the folders, the rest in their folder.
+ * @param {Object} chat - Chat record
+ * @returns {string} 'archived', 'pinned', a folder ID, or '' for chats without a folder
+ */
+export const getChatGroup = (chat) => {
+    if (chat.archived) return 'archived';
+    if (chat.pinned) return 'pinned';
+    return chat.folderId || '';
+};
+
+/**
+ * Sort chats for the sidebar: manual order, then most recently saved
+ * @param {Array} chats - Chat records
+ * @returns {Array} New sorted array
+ */
+export const sortChatsByOrder = (chats) => [...chats].sort((a, b) =>
+    (b.order ?? b.updatedAt) - (a.order ?? a.updatedAt) || b.updatedAt - a.updatedAt);
+
+/**
+ * Change a chat's folder, tags, pinned or archived state, or sort order
+ * Unlike saveChat(), this doesn't count as activity: updatedAt is kept.
+ * @param {string} id - Chat ID
+ * @param {Object} changes - Any of { folderId, tags, pinned, archived, order }
+ * @returns {Object|null} The updated record, or null if the chat doesn't exist
+ * @throws {Error} If the folder doesn't exist
+ */
+export const updateChatOrganization = (id, changes) => {
+    const existing = chatCache.get(id);
+    if (!existing) return null;
+
+    if (changes.folderId && !folderCache.some(folder => folder.id === changes.folderId)) {
+        throw new Error('That folder no longer exists');
+    }
+
+    return putChatRecord({ ...existing, ...getOrganization({ ...getOrganization(existing), ...changes }) });
+};
+
+/**
+ * Move a chat next to another one, into the other chat's group (see getChatGroup)
+ * @param {string} id - Chat to move
+ * @param {string} targetId - Chat to place it next to
+ * @param {boolean} after - Place it below the target instead of above
+ * @returns {Object|null} The updated record
+ */
+export const moveChat = (id, targetId, after = false) => {
+    const target = chatCache.get(targetId);
+    if (!target || id === targetId) return null;
+
+    const group = getChatGroup(target);
+    const siblings = sortChatsByOrder(getChatList().filter(chat => chat.id !== id && getChatGroup(chat) === group));
+    const index = siblings.findIndex(chat => chat.id === targetId);
+    const neighbor = siblings[after ? index + 1 : index - 1];
+    const targetOrder = getOrganization(target).order;
+
+    // Halfway to the neighbor, or one past the target at either end of the group
+    const order = neighbor
+        ? (targetOrder + getOrganization(neighbor).order) / 2
+        : targetOrder + (after ? -1 : 1);
+
+    const changes = { order, archived: target.archived === true };
+    if (group !== 'archived') {
+        changes.pinned = target.pinned === true;
+        if (group !== 'pinned') changes.folderId = target.folderId || null;
+    }
+
+    return updateChatOrganization(id, changes);
+};
+
+/**
+ * Get every tag used by a chat, with how many chats use it
+ * @returns {Array<{tag: string, count: number}>} Most used first
+ */
+export const getTagCounts = () => {
+    const counts = new Map();
+    chatCache.forEach(chat => {
+        getOrganization(chat).tags.forEach(tag => {
+            const key = tag.toLowerCase();
+            const entry = counts.get(key) || { tag, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+// ============ Folder Storage ============
+
+/**
+ * Write the folder list and tell the UI
+ */
+const saveFolders = () => {
+    const record = { key: FOLDERS_KEY, folders: folderCache };
+    enqueueWrite('folders', () => putRecord(STORES.META, record));
+    eventBus.emit(Events.FOLDERS_CHANGED, { folders: getFolders() });
+};
+
+/**
+ * Collapse whitespace in a folder name and cut it to the maximum length
+ * @param {string} name
+ * @returns {string}
+ */
+const cleanFolderName = (name) => String(name || '').replace(/\s+/g, ' ').trim().slice(0, config.organization.maxFolderNameLength);
+
+/**
+ * Check a folder name
+ * @param {string} name - Proposed name
+ * @param {string|null} exceptId - Folder being renamed
+ * @returns {string} Cleaned name
+ * @throws {Error} If the name is empty or taken
+ */
+const validateFolderName = (name, exceptId = null) => {
+    const clean = cleanFolderName(name);
+    if (!clean) {
+        throw new Error('Folder name is empty');
+    }
+    if (folderCache.some(folder => folder.id !== exceptId && folder.name.toLowerCase() === clean.toLowerCase())) {
+        throw new Error(`A folder named "${clean}" already exists`);
+    }
+    return clean;
+};
+
+/**
+ * Get all folders, sorted by name
+ * @returns {Array<{id: string, name: string, collapsed: boolean, createdAt: number}>}
+ */
+export const getFolders = () => [...folderCache].sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Find a folder by name (ignoring case)
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export const findFolderByName = (name) => {
+    const key = cleanFolderName(name).toLowerCase();
+    return folderCache.find(folder => folder.name.toLowerCase() === key) || null;
+};
+
+/**
+ * Create a folder
+ * @param {string} name - Folder name
+ * @returns {Object} The new folder
+ * @throws {Error} If the name is empty or taken
+ */
+export const createFolder = (name) => {
+    const folder = { id: generateId(), name: validateFolderName(name), collapsed: false, createdAt: Date.now() };
+    folderCache = [...folderCache, folder];
+    saveFolders();
+    return folder;
+};
+
+/**
+ * Rename a folder, or collapse/expand it in the sidebar
+ * @param {string} id - Folder ID
+ * @param {Object} changes - Any of { name, collapsed }
+ * @returns {Object|null} The updated folder
+ * @throws {Error} If the new name is empty or taken
+ */
+export const updateFolder = (id, changes) => {
+    const existing = folderCache.find(folder => folder.id === id);
+    if (!existing) return null;
+
+    const folder = { ...existing };
+    if (changes.name !== undefined) folder.name = validateFolderName(changes.name, id);
+    if (changes.collapsed !== undefined) folder.collapsed = changes.collapsed === true;
+
+    folderCache = folderCache.map(item => item.id === id ? folder : item);
+    saveFolders();
+    return folder;
+};
+
+/**
+ * Delete a folder; its chats stay, without a folder
+ * @param {string} id - Folder ID
+ */
+export const deleteFolder = (id) => {
+    folderCache = folderCache.filter(folder => folder.id !== id);
+    getChatList()
+        .filter(chat => chat.folderId === id)
+        .forEach(chat => updateChatOrganization(chat.id, { folderId: null }));
+    saveFolders();
 };
 
 // ============ Settings Storage ============
@@ -175,28 +1007,364 @@ export const setSetting = (key, value) => {
 // ============ Current Chat State ============
 
 /**
- * Save current chat history (temporary/working chat)
- * @param {Array} messages - Messages array
+ * Get the Web Locks API, where the browser has it
+ * @returns {LockManager|null}
  */
-export const saveCurrentChat = (messages) => {
-    setItem(config.storage.chatHistory, messages);
+const getLockManager = () => (typeof navigator !== 'undefined' && navigator.locks) || null;
+
+/**
+ * Take over a working chat no open tab owns: this tab's own from before a reload,
+ * else the newest one a closed tab left behind
+ * Each tab holds a Web Lock named after its ID while it's open, so a record is left over
+ * when no lock has its tab's name. Without Web Locks only the record from before a reload is taken.
+ * @returns {Promise<Object|null>} This tab's working chat record
+ */
+const adoptWorkingChat = async () => {
+    const locks = getLockManager();
+    const lockPrefix = `${config.storage.database}-tab-`;
+    locks?.request(`${lockPrefix}${tabId}`, () => new Promise(() => {}));
+
+    let previousTabId = null;
+    try {
+        previousTabId = sessionStorage.getItem(config.storage.workingChatTab);
+        sessionStorage.setItem(config.storage.workingChatTab, tabId);
+    } catch {
+        // No sessionStorage: only left-over chats can be taken
+    }
+
+    const adopt = async () => {
+        const records = (await getAllRecords(STORES.META)).filter(isWorkingChatRecord);
+
+        let candidates = records.filter(record => record.tabId === previousTabId);
+        if (locks) {
+            const { held } = await locks.query();
+            const openTabs = new Set(held.map(lock => lock.name));
+            candidates = records.filter(record => record.tabId !== tabId && !openTabs.has(`${lockPrefix}${record.tabId}`));
+        }
+
+        const record = candidates.find(candidate => candidate.tabId === previousTabId) ||
+            candidates.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))[0];
+        if (!record) return null;
+
+        const adopted = { ...record, key: currentChatKey, tabId };
+        await runTransaction(STORES.META, 'readwrite', tx => {
+            const metaStore = tx.objectStore(STORES.META);
+            metaStore.put(adopted);
+            metaStore.delete(record.key);
+        });
+        return adopted;
+    };
+
+    // One tab at a time, so two tabs opening together don't take the same chat
+    return locks ? locks.request(`${config.storage.database}-working-chat`, adopt) : adopt();
 };
 
 /**
- * Load current chat history
- * @returns {Array}
+ * Write the pending working chat to the database
+ */
+const flushCurrentChat = () => {
+    if (currentChatTimer) {
+        clearTimeout(currentChatTimer);
+        currentChatTimer = null;
+    }
+    if (!pendingCurrentTree) return;
+
+    const { tree: storedTree, attachments, known } = extractAttachments(pendingCurrentTree);
+    attachments.forEach(attachment => knownAttachmentIds.add(attachment.id));
+    pendingCurrentTree = null;
+
+    const record = { key: currentChatKey, tabId, tree: storedTree, settings: pendingCurrentSettings, updatedAt: Date.now() };
+    currentChatRecord = record;
+    enqueueWrite('current chat', () => writeWithAttachments(STORES.META, record, attachments, known));
+};
+
+/**
+ * Save current chat (temporary/working chat)
+ * Writes are batched, since this runs on every streamed chunk
+ * @param {Object} tree - Message tree
+ * @param {Object} settings - Per-chat settings (optional)
+ */
+export const saveCurrentChat = (tree, settings = {}) => {
+    pendingCurrentTree = tree;
+    pendingCurrentSettings = settings;
+    if (!currentChatTimer) {
+        currentChatTimer = setTimeout(flushCurrentChat, config.storage.writeDelay);
+    }
+};
+
+/**
+ * Load current chat
+ * @returns {Promise<Object>} Message tree with attachments restored
+ */
+export const loadCurrentChat = async () => {
+    return hydrateTree(currentChatRecord?.tree || null);
+};
+
+/**
+ * Load the working chat's per-chat settings
+ * @returns {Object}
  */
-export const loadCurrentChat = () => {
-    return getItem(config.storage.chatHistory, []);
+export const loadCurrentChatSettings = () => {
+    return { ...currentChatRecord?.settings };
 };
 
 /**
  * Clear current chat history
  */
 export const clearCurrentChat = () => {
-    removeItem(config.storage.chatHistory);
+    if (currentChatTimer) {
+        clearTimeout(currentChatTimer);
+        currentChatTimer = null;
+    }
+    pendingCurrentTree = null;
+    currentChatRecord = null;
+    enqueueWrite('current chat', () => deleteRecord(STORES.META, currentChatKey));
+    removeUnusedAttachments();
+};
+
+// ============ Generated Image Storage ============
+
+/**
+ * Get all generated images, newest first
+ * @returns {Array}
+ */
+export const getImageList = () => [...imageCache];
+
+/**
+ * Save a generated image record
+ * @param {Object} image - Image object
+ */
+export const saveImageRecord = (image) => {
+    imageCache = [image, ...imageCache.filter(img => img.id !== image.id)];
+    enqueueWrite(`image ${image.id}`, () => putRecord(STORES.IMAGES, image));
 };
 
+/**
+ * Move a generated image record to the trash
+ * @param {string} id - Image ID
+ * @returns {Array<string>} Trash item IDs, for restoreFromTrash()
+ */
+export const deleteImageRecord = (id) => {
+    const image = imageCache.find(img => img.id === id);
+    if (!image) return [];
+
+    imageCache = imageCache.filter(img => img.id !== id);
+    return moveToTrash('image', [image]);
+};
+
+/**
+ * Move all generated image records to the trash
+ * @returns {Array<string>} Trash item IDs, for restoreFromTrash()
+ */
+export const clearImageRecords = () => {
+    const images = imageCache;
+    imageCache = [];
+    return moveToTrash('image', images);
+};
+
+// ============ Trash ============
+
+/**
+ * Tell the UI the trash changed
+ * @param {Array} restored - Trash items that were just restored
+ */
+const emitTrashChanged = (restored = []) => {
+    eventBus.emit(Events.TRASH_CHANGED, { items: getTrashItems(), restored });
+};
+
+/**
+ * Move chat or image records (already dropped from their cache) into the trash
+ * @param {string} kind - 'chat' or 'image'
+ * @param {Array} records - Chat or image records
+ * @returns {Array<string>} Trash item IDs
+ */
+const moveToTrash = (kind, records) => {
+    if (records.length === 0) return [];
+
+    const deletedAt = Date.now();
+    const entries = records.map(item => ({ id: generateId(), kind, item, deletedAt }));
+    const storeName = kind === 'chat' ? STORES.CHATS : STORES.IMAGES;
+
+    trashCache = [...entries, ...trashCache];
+    enqueueWrite('trash', () => runTransaction([storeName, STORES.TRASH], 'readwrite', tx => {
+        const source = tx.objectStore(storeName);
+        const trash = tx.objectStore(STORES.TRASH);
+        entries.forEach(entry => {
+            source.delete(entry.item.id);
+            trash.put(entry);
+        });
+    }));
+    emitTrashChanged();
+
+    return entries.map(entry => entry.id);
+};
+
+/**
+ * Get the trashed chats and images, most recently deleted first
+ * @returns {Array<{id: string, kind: string, item: Object, deletedAt: number}>} `item` is the chat or image record
+ */
+export const getTrashItems = () => [...trashCache];
+
+/**
+ * Get when a trash item is deleted for good
+ * @param {Object} entry - Trash item
+ * @returns {number} Timestamp
+ */
+export const getTrashExpiry = (entry) => entry.deletedAt + config.trash.retentionDays * 24 * 60 * 60 * 1000;
+
+/**
+ * Put trashed chats and images back
+ * Chats whose folder was deleted meanwhile come back without a folder.
+ * @param {Array<string>} ids - Trash item IDs
+ * @returns {number} How many were restored
+ */
+export const restoreFromTrash = (ids) => {
+    const wanted = new Set(ids);
+    const entries = trashCache.filter(entry => wanted.has(entry.id));
+    if (entries.length === 0) return 0;
+
+    trashCache = trashCache.filter(entry => !wanted.has(entry.id));
+
+    const chats = [];
+    const images = [];
+    entries.forEach(entry => {
+        if (entry.kind === 'chat') {
+            const folderId = folderCache.some(folder => folder.id === entry.item.folderId) ? entry.item.folderId : null;
+            chats.push({ ...entry.item, folderId });
+        } else {
+            images.push(entry.item);
+        }
+    });
+
+    chats.forEach(chat => chatCache.set(chat.id, chat));
+    if (images.length > 0) {
+        const restoredIds = new Set(images.map(image => image.id));
+        imageCache = [...images, ...imageCache.filter(img => !restoredIds.has(img.id))]
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    enqueueWrite('trash', () => runTransaction([STORES.CHATS, STORES.IMAGES, STORES.TRASH], 'readwrite', tx => {
+        const chatStore = tx.objectStore(STORES.CHATS);
+        const imageStore = tx.objectStore(STORES.IMAGES);
+        const trash = tx.objectStore(STORES.TRASH);
+        chats.forEach(chat => chatStore.put(chat));
+        images.forEach(image => imageStore.put(image));
+        entries.forEach(entry => trash.delete(entry.id));
+    }));
+
+    chats.forEach(chat => eventBus.emit(Events.CHAT_SAVED, { id: chat.id, chat }));
+    emitTrashChanged(entries);
+
+    return entries.length;
+};
+
+/**
+ * Delete trashed chats and images for good, with attachments no longer used
+ * @param {Array<string>} ids - Trash item IDs
+ */
+export const purgeFromTrash = (ids) => {
+    const wanted = new Set(ids);
+    const purged = trashCache.filter(entry => wanted.has(entry.id)).map(entry => entry.id);
+    if (purged.length === 0) return;
+
+    trashCache = trashCache.filter(entry => !wanted.has(entry.id));
+    enqueueWrite('trash', () => deleteRecords(STORES.TRASH, purged));
+    removeUnusedAttachments();
+    emitTrashChanged();
+};
+
+/**
+ * Delete everything in the trash for good
+ */
+export const emptyTrash = () => {
+    purgeFromTrash(trashCache.map(entry => entry.id));
+};
+
+/**
+ * Delete trash items past the retention period
+ */
+const purgeExpiredTrash = () => {
+    const now = Date.now();
+    purgeFromTrash(trashCache.filter(entry => getTrashExpiry(entry) <= now).map(entry => entry.id));
+};
+
+// ============ Cross-tab Sync ============
+
+/**
+ * Get this tab's ID
+ * @returns {string}
+ */
+export const getTabId = () => tabId;
+
+/**
+ * Wait until every write queued so far has landed
+ * @returns {Promise<void>}
+ */
+export const waitForWrites = () => writeQueue;
+
+/**
+ * Re-read chats another tab saved
+ * @param {Array<string>} ids - Chat IDs
+ * @returns {Promise<Array>} The chats that exist (the others are dropped from the cache)
+ */
+export const refreshChats = async (ids) => {
+    if (!databaseReady) return [];
+    await writeQueue;
+
+    const records = await Promise.all(ids.map(id => getRecord(STORES.CHATS, id)));
+    const chats = [];
+    records.forEach((record, i) => {
+        if (record) {
+            chatCache.set(record.id, record);
+            collectAttachmentIds(record.tree, knownAttachmentIds);
+            chats.push(record);
+        } else {
+            chatCache.delete(ids[i]);
+        }
+    });
+    return chats;
+};
+
+/**
+ * Re-read the folder list after another tab changed it
+ * @returns {Promise<void>}
+ */
+export const refreshFolders = async () => {
+    if (!databaseReady) return;
+    await writeQueue;
+
+    const record = await getRecord(STORES.META, FOLDERS_KEY);
+    folderCache = Array.isArray(record?.folders) ? record.folders : [];
+};
+
+/**
+ * Re-read the trash after another tab changed it, dropping trashed chats from the cache
+ * @returns {Promise<void>}
+ */
+export const refreshTrash = async () => {
+    if (!databaseReady) return;
+    await writeQueue;
+
+    trashCache = (await getAllRecords(STORES.TRASH)).sort((a, b) => b.deletedAt - a.deletedAt);
+    trashCache.forEach(entry => entry.kind === 'chat' && chatCache.delete(entry.item.id));
+};
+
+/**
+ * Re-read generated images after another tab added, deleted or restored some
+ * @returns {Promise<void>}
+ */
+export const refreshImages = async () => {
+    if (!databaseReady) return;
+    await writeQueue;
+
+    imageCache = (await getAllRecords(STORES.IMAGES)).sort((a, b) => b.timestamp - a.timestamp);
+};
+
+// Write any batched working-chat changes before the page goes away
+if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', flushCurrentChat);
+}
+
 // ============ Model Storage ============
 
 /**
@@ -215,19 +1383,127 @@ export const loadCurrentModel = () => {
     return getItem(config.storage.currentModel, config.defaultModel);
 };
 
+/**
+ * Save the fetched model catalog
+ * @param {Array} models - Normalized models
+ */
+export const saveModelCatalog = (models) => {
+    setItem(config.storage.modelCatalog, { fetchedAt: Date.now(), models });
+};
+
+/**
+ * Load the cached model catalog
+ * @returns {{fetchedAt: number, models: Array}|null}
+ */
+export const loadModelCatalog = () => {
+    const catalog = getItem(config.storage.modelCatalog);
+    return catalog && Array.isArray(catalog.models) ? catalog : null;
+};
+
+/**
+ * Save favorite model IDs
+ * @param {Array<string>} modelIds - Model IDs
+ */
+export const saveFavoriteModels = (modelIds) => {
+    setItem(config.storage.favoriteModels, modelIds);
+};
+
+/**
+ * Load favorite model IDs
+ * @returns {Array<string>}
+ */
+export const loadFavoriteModels = () => {
+    return getItem(config.storage.favoriteModels, []);
+};
+
+// ============ Persona Storage ============
+
+/**
+ * Save user-created personas
+ * @param {Array} personas - Personas ({ id, name, prompt, createdAt, updatedAt })
+ */
+export const savePersonas = (personas) => {
+    setItem(config.storage.personas, personas);
+};
+
+/**
+ * Load user-created personas
+ * @returns {Array}
+ */
+export const loadPersonas = () => {
+    const personas = getItem(config.storage.personas, []);
+    return Array.isArray(personas) ? personas : [];
+};
+
+/**
+ * Save the persona new chats start with
+ * @param {string} personaId - Persona ID
+ */
+export const saveCurrentPersona = (personaId) => {
+    setItem(config.storage.currentPersona, personaId);
+};
+
+/**
+ * Load the persona new chats start with
+ * @returns {string}
+ */
+export const loadCurrentPersona = () => {
+    return getItem(config.storage.currentPersona, config.personas.defaultId);
+};
+
 export default {
+    initStorage,
+    getStorageUsage,
     saveChat,
     loadChat,
+    renameChat,
+    setGeneratedTitle,
+    setChatDates,
     deleteChat,
     getChatList,
     clearAllChats,
+    normalizeTags,
+    getChatGroup,
+    sortChatsByOrder,
+    updateChatOrganization,
+    moveChat,
+    getTagCounts,
+    getFolders,
+    findFolderByName,
+    createFolder,
+    updateFolder,
+    deleteFolder,
     saveSettings,
     loadSettings,
     getSetting,
     setSetting,
     saveCurrentChat,
     loadCurrentChat,
+    loadCurrentChatSettings,
     clearCurrentChat,
+    getImageList,
+    saveImageRecord,
+    deleteImageRecord,
+    clearImageRecords,
+    getTrashItems,
+    getTrashExpiry,
+    restoreFromTrash,
+    purgeFromTrash,
+    emptyTrash,
+    getTabId,
+    waitForWrites,
+    refreshChats,
+    refreshFolders,
+    refreshTrash,
+    refreshImages,
     saveCurrentModel,
-    loadCurrentModel
+    loadCurrentModel,
+    saveModelCatalog,
+    loadModelCatalog,
+    saveFavoriteModels,
+    loadFavoriteModels,
+    savePersonas,
+    loadPersonas,
+    saveCurrentPersona,
+    loadCurrentPersona
 };
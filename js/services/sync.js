@@ -0,0 +1,252 @@
+/**
+ * Sync Service
+ * Keeps open tabs in step over a BroadcastChannel: saved chats, folders, the trash,
+ * generated images and settings. Tabs only announce what changed (once it's written);
+ * the others re-read it from the shared database.
+ *
+ * A tab answering in a chat also holds a lock on it, re-announced every
+ * config.sync.lockHeartbeat ms, so other tabs don't answer in the same chat meanwhile.
+ * If two tabs claim a chat at the same moment, the earlier claim wins.
+ */
+
+import config from '../config.js';
+import eventBus, { Events } from '../utils/events.js';
+import {
+    getTabId,
+    waitForWrites,
+    refreshChats,
+    refreshFolders,
+    refreshTrash,
+    refreshImages,
+    getTrashItems,
+    getFolders,
+    loadSettings
+} from './storage.js';
+
+let channel = null;
+
+// Set while this tab re-emits another tab's changes, so they aren't sent back
+let applyingRemote = false;
+
+// Saved chats waiting to be announced
+const changedChatIds = new Set();
+let announceScheduled = false;
+
+// The chat this tab is answering in, and when it claimed it
+let ownLock = null;
+
+// Chats other tabs are answering in: chatId -> { tabId, claimedAt, seenAt }
+const remoteLocks = new Map();
+
+/**
+ * Start syncing with other tabs
+ * Call after initStorage(); does nothing if BroadcastChannel isn't supported.
+ */
+export const initSync = () => {
+    if (!config.sync.enabled || typeof BroadcastChannel === 'undefined' || channel) return;
+
+    channel = new BroadcastChannel(config.sync.channel);
+    channel.addEventListener('message', (e) => handleMessage(e.data));
+
+    // Announce this tab's changes
+    eventBus.on(Events.CHAT_SAVED, ({ id }) => {
+        if (applyingRemote) return;
+        changedChatIds.add(id);
+        scheduleChatAnnouncement();
+    });
+    eventBus.on(Events.FOLDERS_CHANGED, () => announce({ type: 'folders' }));
+    eventBus.on(Events.TRASH_CHANGED, () => announce({ type: 'trash' }));
+    eventBus.on(Events.IMAGE_GEN_COMPLETE, () => announce({ type: 'images' }));
+    eventBus.on(Events.SETTINGS_CHANGED, () => announce({ type: 'settings' }));
+
+    setInterval(() => {
+        if (ownLock) post({ type: 'lock', ...ownLock });
+        dropStaleLocks();
+    }, config.sync.lockHeartbeat);
+
+    window.addEventListener('pagehide', () => {
+        if (ownLock) post({ type: 'unlock', chatId: ownLock.chatId });
+    });
+
+    // Ask the other tabs which chats they're answering in
+    post({ type: 'hello' });
+};
+
+/**
+ * Send a message to the other tabs
+ * @param {Object} message
+ */
+const post = (message) => {
+    if (!channel) return;
+    try {
+        channel.postMessage({ ...message, tabId: getTabId() });
+    } catch (error) {
+        console.warn('Failed to reach other tabs:', error);
+    }
+};
+
+/**
+ * Announce a change once this tab's writes have landed
+ * @param {Object} message
+ */
+const announce = (message) => {
+    if (applyingRemote || !channel) return;
+    waitForWrites().then(() => post(message));
+};
+
+/**
+ * Announce the chats saved during this turn in one message
+ */
+const scheduleChatAnnouncement = () => {
+    if (announceScheduled) return;
+    announceScheduled = true;
+
+    queueMicrotask(() => {
+        announceScheduled = false;
+        const ids = [...changedChatIds];
+        changedChatIds.clear();
+        announce({ type: 'chats', ids });
+    });
+};
+
+/**
+ * Emit events for another tab's changes without announcing them again
+ * @param {Function} emit - Emits the events
+ */
+const emitRemote = (emit) => {
+    applyingRemote = true;
+    try {
+        emit();
+    } finally {
+        applyingRemote = false;
+    }
+};
+
+/**
+ * Handle a message from another tab
+ * @param {Object} message
+ * @returns {Promise<void>}
+ */
+const handleMessage = async (message) => {
+    if (!message || message.tabId === getTabId()) return;
+
+    try {
+        switch (message.type) {
+            case 'chats': {
+                const chats = await refreshChats(message.ids);
+                emitRemote(() => chats.forEach(chat => {
+                    eventBus.emit(Events.CHAT_SAVED, { id: chat.id, chat, remote: true });
+                }));
+                break;
+            }
+            case 'folders':
+                await refreshFolders();
+                emitRemote(() => eventBus.emit(Events.FOLDERS_CHANGED, { folders: getFolders() }));
+                break;
+            case 'trash':
+                // Deleting and restoring images goes through the trash
+                await refreshTrash();
+                await refreshImages();
+                emitRemote(() => {
+                    eventBus.emit(Events.TRASH_CHANGED, { items: getTrashItems(), restored: [], remote: true });
+                    eventBus.emit(Events.IMAGES_CHANGED);
+                });
+                break;
+            case 'images':
+                await refreshImages();
+                emitRemote(() => eventBus.emit(Events.IMAGES_CHANGED));
+                break;
+            case 'settings':
+                emitRemote(() => eventBus.emit(Events.SETTINGS_CHANGED, loadSettings()));
+                break;
+            case 'hello':
+                if (ownLock) post({ type: 'lock', ...ownLock });
+                break;
+            case 'lock': {
+                // Of two other tabs claiming the same chat, the earlier claim is kept
+                const current = remoteLocks.get(message.chatId);
+                if (current && current.tabId !== message.tabId && current.claimedAt <= message.claimedAt &&
+                    Date.now() - current.seenAt <= config.sync.lockTimeout) break;
+
+                remoteLocks.set(message.chatId, { tabId: message.tabId, claimedAt: message.claimedAt, seenAt: Date.now() });
+                // Heartbeats of a known lock change nothing
+                if (current?.tabId !== message.tabId) emitLocksChanged();
+                break;
+            }
+            case 'unlock':
+                if (remoteLocks.get(message.chatId)?.tabId === message.tabId) {
+                    remoteLocks.delete(message.chatId);
+                    emitLocksChanged();
+                }
+                break;
+        }
+    } catch (error) {
+        console.warn(`Failed to apply a change from another tab (${message.type}):`, error);
+    }
+};
+
+/**
+ * Forget locks whose tab stopped announcing them
+ */
+const dropStaleLocks = () => {
+    const now = Date.now();
+    let changed = false;
+    remoteLocks.forEach((lock, chatId) => {
+        if (now - lock.seenAt > config.sync.lockTimeout) {
+            remoteLocks.delete(chatId);
+            changed = true;
+        }
+    });
+    if (changed) emitLocksChanged();
+};
+
+/**
+ * Tell the UI which chats are being answered in other tabs
+ */
+const emitLocksChanged = () => {
+    eventBus.emit(Events.CHAT_LOCKS_CHANGED, { chatIds: getLockedChatIds() });
+};
+
+/**
+ * Check whether another tab is answering in a chat
+ * When this tab claimed the same chat too, the earlier claim wins (ties go to the lower tab ID).
+ * @param {string} chatId - Saved chat ID
+ * @returns {boolean}
+ */
+export const isChatLockedElsewhere = (chatId) => {
+    const lock = remoteLocks.get(chatId);
+    if (!lock || Date.now() - lock.seenAt > config.sync.lockTimeout) return false;
+    if (ownLock?.chatId !== chatId) return true;
+
+    return lock.claimedAt < ownLock.claimedAt ||
+        (lock.claimedAt === ownLock.claimedAt && lock.tabId < getTabId());
+};
+
+/**
+ * Get the chats other tabs are answering in
+ * @returns {Array<string>} Chat IDs
+ */
+export const getLockedChatIds = () => [...remoteLocks.keys()].filter(isChatLockedElsewhere);
+
+/**
+ * Claim a chat while this tab answers in it, or release the claim
+ * @param {string|null} chatId - Saved chat ID, or null when the answer is done
+ */
+export const setAnsweringChat = (chatId) => {
+    if (ownLock?.chatId === chatId) return;
+
+    if (ownLock) {
+        post({ type: 'unlock', chatId: ownLock.chatId });
+    }
+    ownLock = chatId ? { chatId, claimedAt: Date.now() } : null;
+    if (ownLock) {
+        post({ type: 'lock', ...ownLock });
+    }
+};
+
+export default {
+    initSync,
+    isChatLockedElsewhere,
+    getLockedChatIds,
+    setAnsweringChat
+};
@@ -0,0 +1,187 @@
+/**
+ * Tools Service
+ * Client-side tool registry for model function calling, with a few built-in tools
+ */
+
+import config from '../config.js';
+import { searchChats, getQueryTerms } from './chatSearch.js';
+import { evaluateExpression } from '../utils/mathExpression.js';
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Registered tools by name
+const registry = new Map();
+
+/**
+ * Register a tool the model may call
+ * @param {Object} tool
+ * @param {string} tool.name - Function name (letters, digits, _ and -)
+ * @param {string} tool.label - Display name for tool cards
+ * @param {string} tool.description - What the tool does, for the model
+ * @param {Object} tool.parameters - JSON schema of the arguments
+ * @param {Function} tool.execute - async (args) => result (string or JSON-serializable)
+ * @throws {Error} If the name is invalid or execute is missing
+ */
+export const registerTool = (tool) => {
+    if (!TOOL_NAME_PATTERN.test(tool?.name || '')) {
+        throw new Error(`Invalid tool name "${tool?.name}"`);
+    }
+    if (typeof tool.execute !== 'function') {
+        throw new Error(`Tool "${tool.name}" has no execute function`);
+    }
+
+    registry.set(tool.name, {
+        label: tool.name,
+        description: '',
+        parameters: { type: 'object', properties: {} },
+        ...tool
+    });
+};
+
+/**
+ * Remove a tool
+ * @param {string} name - Tool name
+ * @returns {boolean} Whether the tool existed
+ */
+export const unregisterTool = (name) => registry.delete(name);
+
+/**
+ * Get a registered tool
+ * @param {string} name - Tool name
+ * @returns {Object|null}
+ */
+export const getTool = (name) => registry.get(name) || null;
+
+/**
+ * Get all registered tools
+ * @returns {Array}
+ */
+export const getTools = () => Array.from(registry.values());
+
+/**
+ * Get tool definitions in the OpenAI `tools` request format
+ * @returns {Array}
+ */
+export const getToolDefinitions = () => {
+    return getTools().map(tool => ({
+        type: 'function',
+        function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+        }
+    }));
+};
+
+/**
+ * Run a tool call from the model
+ * Failures are returned (not thrown) so the model can see what went wrong.
+ * @param {string} name - Tool name
+ * @param {string} argumentsJson - Arguments as a JSON string
+ * @returns {Promise<{content: string, error: boolean}>}
+ */
+export const executeToolCall = async (name, argumentsJson) => {
+    const tool = registry.get(name);
+    if (!tool) {
+        return { content: `Error: unknown tool "${name}"`, error: true };
+    }
+
+    let args;
+    try {
+        args = argumentsJson && argumentsJson.trim() ? JSON.parse(argumentsJson) : {};
+    } catch {
+        return { content: 'Error: arguments are not valid JSON', error: true };
+    }
+
+    try {
+        const result = await tool.execute(args);
+        const content = typeof result === 'string' ? result : JSON.stringify(result);
+        const limit = config.tools.maxResultChars;
+        return {
+            content: content.length > limit ? content.slice(0, limit) + '... [truncated]' : content,
+            error: false
+        };
+    } catch (error) {
+        console.warn(`Tool "${name}" failed:`, error);
+        return { content: `Error: ${error.message}`, error: true };
+    }
+};
+
+// ============ Built-in Tools ============
+
+registerTool({
+    name: 'calculator',
+    label: 'Calculator',
+    description: 'Evaluate a math expression exactly. Supports + - * / % ^, parentheses, pi, e, and sqrt, cbrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, log (base 10), ln, exp, min, max, pow. Use it instead of doing arithmetic in your head.',
+    parameters: {
+        type: 'object',
+        properties: {
+            expression: { type: 'string', description: 'Expression to evaluate, e.g. "(1200 * 0.07) / 12"' }
+        },
+        required: ['expression']
+    },
+    execute: ({ expression }) => ({ expression, result: evaluateExpression(expression) })
+});
+
+registerTool({
+    name: 'get_current_time',
+    label: 'Current time',
+    description: 'Get the current date and time, in the user\'s time zone or a given IANA time zone.',
+    parameters: {
+        type: 'object',
+        properties: {
+            timezone: { type: 'string', description: 'IANA time zone such as "America/New_York" (defaults to the user\'s)' }
+        }
+    },
+    execute: ({ timezone } = {}) => {
+        const now = new Date();
+        const timeZone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        let local;
+        try {
+            local = now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' });
+        } catch {
+            throw new Error(`Unknown time zone "${timezone}"`);
+        }
+
+        return { iso: now.toISOString(), timezone: timeZone, local };
+    }
+});
+
+registerTool({
+    name: 'search_saved_chats',
+    label: 'Search saved chats',
+    description: 'Search the user\'s saved conversations by keywords. Returns matching chats with a snippet of the best matching message. Use it when the user refers to something discussed in an earlier chat.',
+    parameters: {
+        type: 'object',
+        properties: {
+            query: { type: 'string', description: 'Keywords to search for' },
+            limit: { type: 'integer', description: 'Maximum number of chats to return (1-10, default 5)' }
+        },
+        required: ['query']
+    },
+    execute: ({ query, limit = 5 }) => {
+        if (getQueryTerms(String(query || '')).length === 0) throw new Error('Query is empty');
+        const maxResults = Math.min(Math.max(Number(limit) || 5, 1), 10);
+
+        const matches = searchChats(String(query), {}, { limit: maxResults }).results.map(result => {
+            const hit = result.hits.find(candidate => candidate.field === 'message') || result.hits[0];
+            return {
+                chatId: result.chatId,
+                title: result.title,
+                updatedAt: new Date(result.updatedAt).toISOString(),
+                snippet: hit ? `${hit.role || hit.field}: ${hit.snippet.map(segment => segment.text).join('')}` : ''
+            };
+        });
+        return matches.length > 0 ? { matches } : { matches, note: 'No saved chats match this query' };
+    }
+});
+
+export default {
+    registerTool,
+    unregisterTool,
+    getTool,
+    getTools,
+    getToolDefinitions,
+    executeToolCall
+};
@@ -0,0 +1,207 @@
+/**
+ * Usage Service
+ * Token usage and cost of the model's answers: normalized from OpenRouter's `usage`, stored on
+ * each assistant message, and summed per chat, per day and per model from the saved chats
+ */
+
+import { getChatList } from './storage.js';
+import { getUsageCost, getModelDisplayName } from './models.js';
+
+/**
+ * Normalize OpenRouter usage for storing on a message
+ * @param {string} modelId - Model that answered (prices usage without a reported cost)
+ * @param {Object|null} usage - Raw usage (prompt_tokens, completion_tokens, *_details, cost)
+ * @returns {Object|null} { promptTokens, completionTokens, reasoningTokens, cachedTokens, cost }, cost null if unknown
+ */
+export const normalizeUsage = (modelId, usage) => {
+    if (!usage || typeof usage !== 'object') return null;
+
+    return {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        reasoningTokens: usage.completion_tokens_details?.reasoning_tokens || 0,
+        cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+        cost: getUsageCost(modelId, usage)
+    };
+};
+
+/**
+ * Add two normalized usages (for answers that took several requests)
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {Object|null} The sum; cost is null only if neither has one
+ */
+export const addUsage = (a, b) => {
+    if (!a || !b) return a || b || null;
+
+    const costs = [a.cost, b.cost].filter(Number.isFinite);
+    return {
+        promptTokens: a.promptTokens + b.promptTokens,
+        completionTokens: a.completionTokens + b.completionTokens,
+        reasoningTokens: (a.reasoningTokens || 0) + (b.reasoningTokens || 0),
+        cachedTokens: (a.cachedTokens || 0) + (b.cachedTokens || 0),
+        cost: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) : null
+    };
+};
+
+/**
+ * Create empty totals
+ * @returns {Object} { answers, promptTokens, completionTokens, reasoningTokens, cachedTokens, cost, unpriced }
+ */
+const createTotals = () => ({
+    answers: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    reasoningTokens: 0,
+    cachedTokens: 0,
+    cost: 0,
+    unpriced: 0 // Answers whose cost is unknown
+});
+
+/**
+ * Add one answer's usage to totals
+ * @param {Object} totals - Totals from createTotals(), mutated
+ * @param {Object} usage - Normalized usage
+ */
+const accumulate = (totals, usage) => {
+    totals.answers++;
+    totals.promptTokens += usage.promptTokens || 0;
+    totals.completionTokens += usage.completionTokens || 0;
+    totals.reasoningTokens += usage.reasoningTokens || 0;
+    totals.cachedTokens += usage.cachedTokens || 0;
+    if (Number.isFinite(usage.cost)) {
+        totals.cost += usage.cost;
+    } else {
+        totals.unpriced++;
+    }
+};
+
+/**
+ * Sum the usage of every answer in a chat, including other versions (they were paid for too)
+ * @param {Object} tree - Message tree
+ * @returns {Object} Totals ({ answers, promptTokens, completionTokens, reasoningTokens, cachedTokens, cost, unpriced })
+ */
+export const getTreeUsage = (tree) => {
+    const totals = createTotals();
+    Object.values(tree?.nodes || {}).forEach(message => {
+        if (message.role === 'assistant' && message.usage) {
+            accumulate(totals, message.usage);
+        }
+    });
+    return totals;
+};
+
+/**
+ * Get the local calendar day of a timestamp
+ * @param {number} timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+const getDayKey = (timestamp) => {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Build a usage report from the saved chats
+ * Deleted chats are no longer counted.
+ * @param {Object} options
+ * @param {number|null} options.days - Only the last N days (including today); null for all time
+ * @returns {{totals: Object, daily: Array, models: Array, rows: Array}} Days newest first, models by cost;
+ *          rows are per day and model, for CSV export
+ */
+export const getUsageReport = ({ days = null } = {}) => {
+    const since = days ? new Date().setHours(0, 0, 0, 0) - (days - 1) * 24 * 60 * 60 * 1000 : 0;
+    const totals = createTotals();
+    const daily = new Map();
+    const models = new Map();
+    const rows = new Map();
+
+    const bucket = (map, key, fields) => {
+        if (!map.has(key)) map.set(key, { ...fields, ...createTotals() });
+        return map.get(key);
+    };
+
+    getChatList().forEach(chat => {
+        Object.values(chat.tree?.nodes || {}).forEach(message => {
+            if (message.role !== 'assistant' || !message.usage || message.timestamp < since) return;
+
+            const date = getDayKey(message.timestamp);
+            const model = message.model || 'unknown';
+            accumulate(totals, message.usage);
+            accumulate(bucket(daily, date, { date }), message.usage);
+            accumulate(bucket(models, model, { model, name: getModelDisplayName(model) }), message.usage);
+            accumulate(bucket(rows, `${date} ${model}`, { date, model }), message.usage);
+        });
+    });
+
+    return {
+        totals,
+        daily: [...daily.values()].sort((a, b) => b.date.localeCompare(a.date)),
+        models: [...models.values()].sort((a, b) => b.cost - a.cost || b.answers - a.answers),
+        rows: [...rows.values()].sort((a, b) => b.date.localeCompare(a.date) || a.model.localeCompare(b.model))
+    };
+};
+
+/**
+ * Quote a CSV field if needed
+ * @param {*} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert a usage report to CSV, one row per day and model
+ * @param {Object} report - Report from getUsageReport()
+ * @returns {string}
+ */
+export const usageReportToCSV = (report) => {
+    const header = ['date', 'model', 'answers', 'prompt_tokens', 'completion_tokens', 'reasoning_tokens', 'cached_tokens', 'cost_usd'];
+    const lines = report.rows.map(row => [
+        row.date,
+        row.model,
+        row.answers,
+        row.promptTokens,
+        row.completionTokens,
+        row.reasoningTokens,
+        row.cachedTokens,
+        row.cost.toFixed(6)
+    ].map(csvField).join(','));
+
+    return [header.join(','), ...lines].join('\n') + '\n';
+};
+
+/**
+ * Format a cost in USD
+ * @param {number|null} cost
+ * @returns {string}
+ */
+export const formatCost = (cost) => {
+    if (!Number.isFinite(cost)) return '';
+    if (cost === 0) return 'Free';
+    return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+};
+
+/**
+ * Format a token count compactly (842, 12.3K, 1.2M)
+ * @param {number} tokens
+ * @returns {string}
+ */
+export const formatTokens = (tokens) => {
+    if (tokens >= 1000000) return `${+(tokens / 1000000).toFixed(1)}M`;
+    if (tokens >= 1000) return `${+(tokens / 1000).toFixed(1)}K`;
+    return String(tokens);
+};
+
+export default {
+    normalizeUsage,
+    addUsage,
+    getTreeUsage,
+    getUsageReport,
+    usageReportToCSV,
+    formatCost,
+    formatTokens
+};
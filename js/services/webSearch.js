@@ -0,0 +1,185 @@
+/**
+ * Web Search Options Service
+ * Per-query web search settings (engine, result count, context size, recency, domain filters):
+ * defaults from config.webSearch, validation, and the labels and filters built from them
+ *
+ * Recency and domain filters are applied by the search engine, and only Exa supports them,
+ * so options with a filter always use Exa.
+ */
+
+import config from '../config.js';
+
+export const ENGINES = ['native', 'exa'];
+export const CONTEXT_SIZES = ['low', 'medium', 'high'];
+export const RECENCIES = ['day', 'week', 'month', 'year'];
+
+const MAX_RESULTS = 25;
+
+// Days covered by each recency window
+const RECENCY_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+
+// Labels for the option values, shared by the popover and the message summary
+export const ENGINE_LABELS = { native: 'Native', exa: 'Exa' };
+export const RECENCY_LABELS = { day: 'Past day', week: 'Past week', month: 'Past month', year: 'Past year' };
+
+/**
+ * Normalize a domain entered by the user ("https://www.Example.com/path" -> "example.com")
+ * @param {string} value
+ * @returns {string} Domain, or '' if it isn't one
+ */
+export const normalizeDomain = (value) => {
+    const domain = String(value || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/?#:].*$/, '')
+        .replace(/^www\./, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : '';
+};
+
+/**
+ * Parse a domain list typed as text (comma, space or newline separated)
+ * @param {string|Array} value
+ * @returns {Array<string>} Unique domains, capped at config.webSearch.maxDomains
+ */
+export const parseDomainList = (value) => {
+    const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    const domains = entries.map(normalizeDomain).filter(Boolean);
+    return [...new Set(domains)].slice(0, config.webSearch.maxDomains);
+};
+
+/**
+ * Get the default options from config.webSearch
+ * @returns {Object} { engine, maxResults, searchContextSize, recency, includeDomains, excludeDomains }
+ */
+export const getDefaultWebSearchOptions = () => normalizeWebSearchOptions({});
+
+/**
+ * Fill in defaults and drop invalid values
+ * @param {Object|null} saved - Partial options (e.g. saved with a chat); null for the defaults
+ * @returns {Object} { engine, maxResults, searchContextSize, recency, includeDomains, excludeDomains }
+ */
+export const normalizeWebSearchOptions = (saved) => {
+    const defaults = config.webSearch;
+    const options = saved || {};
+    const pick = (key, allowed) => {
+        if (options[key] === null) return null;
+        if (allowed.includes(options[key])) return options[key];
+        return allowed.includes(defaults[key]) ? defaults[key] : null;
+    };
+    const maxResults = Number.isInteger(options.maxResults) ? options.maxResults : defaults.maxResults;
+
+    const normalized = {
+        engine: pick('engine', ENGINES),
+        maxResults: Math.min(Math.max(maxResults || 10, 1), MAX_RESULTS),
+        searchContextSize: pick('searchContextSize', CONTEXT_SIZES),
+        recency: pick('recency', RECENCIES),
+        includeDomains: parseDomainList(options.includeDomains ?? defaults.includeDomains),
+        excludeDomains: parseDomainList(options.excludeDomains ?? defaults.excludeDomains)
+    };
+    if (hasSearchFilters(normalized)) {
+        normalized.engine = 'exa';
+    }
+    return normalized;
+};
+
+/**
+ * Check if options set a recency window or a domain filter
+ * @param {Object} options - Normalized options
+ * @returns {boolean}
+ */
+export const hasSearchFilters = (options) => {
+    return Boolean(options.recency) || options.includeDomains.length > 0 || options.excludeDomains.length > 0;
+};
+
+/**
+ * Check if options differ from the defaults
+ * @param {Object} options
+ * @returns {boolean}
+ */
+export const isCustomized = (options) => {
+    return JSON.stringify(normalizeWebSearchOptions(options)) !== JSON.stringify(getDefaultWebSearchOptions());
+};
+
+/**
+ * Build the web plugin's filter parameters (Exa's domain lists and earliest publish date)
+ * @param {Object} options - Normalized options
+ * @param {number} now - Current time, for the recency window
+ * @returns {Object} { include_domains, exclude_domains, start_published_date }, each only when set
+ */
+export const getSearchFilterParams = (options, now = Date.now()) => {
+    const params = {};
+    if (options.includeDomains.length > 0) {
+        params.include_domains = options.includeDomains;
+    }
+    if (options.excludeDomains.length > 0) {
+        params.exclude_domains = options.excludeDomains;
+    }
+    if (options.recency) {
+        params.start_published_date = new Date(now - RECENCY_DAYS[options.recency] * 24 * 60 * 60 * 1000).toISOString();
+    }
+    return params;
+};
+
+/**
+ * Check if a URL belongs to a domain (or one of its subdomains)
+ * @param {string} url
+ * @param {string} domain
+ * @returns {boolean}
+ */
+const matchesDomain = (url, domain) => {
+    try {
+        const hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Drop sources outside the include list or inside the exclude list
+ * A backstop for the engine's own filtering (see getSearchFilterParams).
+ * @param {Array} sources - Sources with url
+ * @param {Object} options - Normalized options
+ * @returns {Array}
+ */
+export const filterSourcesByDomain = (sources, options) => {
+    const { includeDomains, excludeDomains } = options;
+    if (includeDomains.length === 0 && excludeDomains.length === 0) return sources;
+
+    return sources.filter(source =>
+        (includeDomains.length === 0 || includeDomains.some(domain => matchesDomain(source.url, domain)))
+        && !excludeDomains.some(domain => matchesDomain(source.url, domain)));
+};
+
+/**
+ * Summarize options for display under an answer ("Exa · 5 results · Past week · only nature.com")
+ * @param {Object} options - Normalized options
+ * @returns {Array<string>} Parts of the summary
+ */
+export const summarizeWebSearchOptions = (options) => {
+    const { engine, maxResults, searchContextSize, recency, includeDomains, excludeDomains } = options;
+    return [
+        engine ? ENGINE_LABELS[engine] : 'Auto',
+        `${maxResults} ${maxResults === 1 ? 'result' : 'results'}`,
+        searchContextSize && `${searchContextSize} context`,
+        recency && RECENCY_LABELS[recency],
+        includeDomains.length > 0 && `only ${includeDomains.join(', ')}`,
+        excludeDomains.length > 0 && `excluding ${excludeDomains.join(', ')}`
+    ].filter(Boolean);
+};
+
+export default {
+    ENGINES,
+    CONTEXT_SIZES,
+    RECENCIES,
+    normalizeDomain,
+    parseDomainList,
+    getDefaultWebSearchOptions,
+    normalizeWebSearchOptions,
+    isCustomized,
+    hasSearchFilters,
+    getSearchFilterParams,
+    filterSourcesByDomain,
+    summarizeWebSearchOptions
+};
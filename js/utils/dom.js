@@ -149,4 +149,25 @@ export const scrollIntoView = (element, options = { behavior: 'smooth', block: '
     if (element) element.scrollIntoView(options);
 };
 
-export default { $, $$, createElement, show, hide, toggle, addClass, removeClass, toggleClass, hasClass, empty, scrollIntoView };
+/**
+ * Download text content as a file
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type (default: text/plain)
+ */
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export default { $, $$, createElement, show, hide, toggle, addClass, removeClass, toggleClass, hasClass, empty, scrollIntoView, downloadFile };
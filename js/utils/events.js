@@ -98,6 +98,10 @@ export const Events = {
     CHAT_UPDATED: 'chat:updated',
     CHAT_CLEARED: 'chat:cleared',
     CHAT_LOADED: 'chat:loaded',
+    CHAT_BRANCH_CHANGED: 'chat:branch:changed',
+    CHAT_SETTINGS_CHANGED: 'chat:settings:changed',
+    CHAT_OPEN: 'chat:open',
+    MESSAGE_FOCUS: 'message:focus',
 
     // AI events
     AI_STREAMING: 'ai:streaming',
@@ -107,10 +111,19 @@ export const Events = {
     AI_CANCELLED: 'ai:cancelled',
     AI_SOURCES_UPDATED: 'ai:sources:updated',
     AI_SUGGESTIONS: 'ai:suggestions',
+    AI_TOOL_CALL: 'ai:tool:call',
+    AI_REASONING: 'ai:reasoning',
+    AI_RESEARCH_PROGRESS: 'ai:research:progress',
+    AI_FALLBACK: 'ai:fallback',
+    AI_INTERRUPTED: 'ai:interrupted',
 
     // Model events
     MODEL_CHANGED: 'model:changed',
     MODELS_LOADED: 'models:loaded',
+    MODEL_FAVORITES_CHANGED: 'model:favorites:changed',
+
+    // Persona events
+    PERSONAS_CHANGED: 'personas:changed',
 
     // UI events
     SIDEBAR_TOGGLE: 'sidebar:toggle',
@@ -118,10 +131,21 @@ export const Events = {
     LOADING_END: 'loading:end',
     VIEW_CHANGED: 'view:changed',
     WEB_SEARCH_TOGGLE: 'websearch:toggle',
+    RESEARCH_TOGGLE: 'research:toggle',
+    NOTIFY: 'ui:notify',
 
     // Storage events
     CHAT_SAVED: 'chat:saved',
+    FOLDERS_CHANGED: 'folders:changed',
+    TRASH_CHANGED: 'trash:changed',
+    IMAGES_CHANGED: 'images:changed',
+    CHAT_LOCKS_CHANGED: 'chat:locks:changed',
     SETTINGS_CHANGED: 'settings:changed',
+    STORAGE_UPDATED: 'storage:updated',
+    STORAGE_ERROR: 'storage:error',
+
+    // Budget events
+    BUDGET_UPDATED: 'budget:updated',
 
     // Image generation events
     IMAGE_GEN_START: 'image:gen:start',
@@ -20,19 +20,44 @@ export const FILE_TYPES = {
 };
 
 /**
- * Convert a File to base64 data URL
- * @param {File} file - File to convert
+ * Convert a File (or Blob) to base64 data URL
+ * @param {File|Blob} file - File to convert
  * @returns {Promise<string>} Base64 data URL
  */
 export const fileToBase64 = (file) => {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = () => resolve(reader.result);
-        reader.onerror = () => reject(new Error(`Failed to read file: ${file.name}`));
+        reader.onerror = () => reject(new Error(`Failed to read file: ${file.name || 'attachment'}`));
         reader.readAsDataURL(file);
     });
 };
 
+/**
+ * Convert a data URL back to a Blob
+ * Handles base64 data URLs and percent-encoded ones (e.g. inline SVG or text).
+ * @param {string} dataUrl - Data URL
+ * @returns {Blob}
+ * @throws {Error} If the data is malformed
+ */
+export const dataUrlToBlob = (dataUrl) => {
+    const comma = dataUrl.indexOf(',');
+    const header = comma === -1 ? dataUrl : dataUrl.slice(0, comma);
+    const data = comma === -1 ? '' : dataUrl.slice(comma + 1);
+    const mimeType = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+
+    if (!/;base64$/i.test(header)) {
+        return new Blob([decodeURIComponent(data)], { type: mimeType });
+    }
+
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+};
+
 /**
  * Validate file type against allowed MIME types
  * @param {File} file - File to validate
@@ -226,6 +251,7 @@ export const createAcceptString = (...fileTypes) => {
 export default {
     FILE_TYPES,
     fileToBase64,
+    dataUrlToBlob,
     isValidType,
     isValidSize,
     formatFileSize,
@@ -51,6 +51,7 @@ export const LOGO_PATH = '<path d="M12 3v18M3 12h18M5.5 5.5l13 13M18.5 5.5l-13 1
 export const PLUS_PATH = '<path d="M12 5v14M5 12h14"></path>';
 export const CHEVRON_DOWN_PATH = '<polyline points="6 9 12 15 18 9"></polyline>';
 export const CHEVRON_RIGHT_PATH = '<polyline points="9 18 15 12 9 6"></polyline>';
+export const CHEVRON_LEFT_PATH = '<polyline points="15 18 9 12 15 6"></polyline>';
 
 // Sidebar
 export const SIDEBAR_PATH = '<rect x="3" y="3" width="18" height="18" rx="2"></rect><path d="M9 3v18"></path>';
@@ -88,6 +89,12 @@ export const CLOSE_PATH = '<line x1="18" y1="6" x2="6" y2="18"></line><line x1="
 // Stop (square)
 export const STOP_PATH = '<rect x="6" y="6" width="12" height="12" rx="2" fill="currentColor"></rect>';
 
+// Play / continue (triangle)
+export const PLAY_PATH = '<polygon points="6 4 20 12 6 20 6 4"></polygon>';
+
+// Search (magnifier)
+export const SEARCH_PATH = '<circle cx="11" cy="11" r="7"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line>';
+
 // Copy
 export const COPY_PATH = '<rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>';
 
@@ -100,9 +107,44 @@ export const SEND_PATH = '<line x1="22" y1="2" x2="11" y2="13"></line><polygon p
 // Globe / Web Search
 export const GLOBE_PATH = '<circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>';
 
+// Edit
+export const EDIT_PATH = '<path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>';
+
+// Regenerate
+export const REFRESH_PATH = '<polyline points="23 4 23 10 17 10"></polyline><polyline points="1 20 1 14 7 14"></polyline><path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>';
+
 // Trash
 export const TRASH_PATH = '<polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line>';
 
+// Favorite
+export const STAR_PATH = '<polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>';
+
+// Export / Import
+export const DOWNLOAD_PATH = '<path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line>';
+export const UPLOAD_PATH = '<path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="17 8 12 3 7 8"></polyline><line x1="12" y1="3" x2="12" y2="15"></line>';
+
+// Tool call
+export const TOOL_PATH = '<path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"></path>';
+
+// Reasoning (thinking)
+export const BULB_PATH = '<path d="M9 18h6"></path><path d="M10 22h4"></path><path d="M12 2a7 7 0 0 0-4 12.74V17h8v-2.26A7 7 0 0 0 12 2z"></path>';
+
+// Deep research
+export const RESEARCH_PATH = '<circle cx="11" cy="11" r="7"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line><line x1="8" y1="11" x2="14" y2="11"></line><line x1="11" y1="8" x2="11" y2="14"></line>';
+
+// Options / filters
+export const SLIDERS_PATH = '<line x1="4" y1="21" x2="4" y2="14"></line><line x1="4" y1="10" x2="4" y2="3"></line><line x1="12" y1="21" x2="12" y2="12"></line><line x1="12" y1="8" x2="12" y2="3"></line><line x1="20" y1="21" x2="20" y2="16"></line><line x1="20" y1="12" x2="20" y2="3"></line><line x1="1" y1="14" x2="7" y2="14"></line><line x1="9" y1="8" x2="15" y2="8"></line><line x1="17" y1="16" x2="23" y2="16"></line>';
+
+// Chat organization
+export const PIN_PATH = '<line x1="12" y1="17" x2="12" y2="22"></line><path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24z"></path>';
+export const FOLDER_PATH = '<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path>';
+export const FOLDER_PLUS_PATH = '<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path><line x1="12" y1="11" x2="12" y2="17"></line><line x1="9" y1="14" x2="15" y2="14"></line>';
+export const ARCHIVE_PATH = '<polyline points="21 8 21 21 3 21 3 8"></polyline><rect x="1" y="3" width="22" height="5"></rect><line x1="10" y1="12" x2="14" y2="12"></line>';
+export const MORE_PATH = '<circle cx="12" cy="12" r="1"></circle><circle cx="19" cy="12" r="1"></circle><circle cx="5" cy="12" r="1"></circle>';
+
+// Usage dashboard
+export const CHART_PATH = '<line x1="18" y1="20" x2="18" y2="10"></line><line x1="12" y1="20" x2="12" y2="4"></line><line x1="6" y1="20" x2="6" y2="14"></line>';
+
 // ============ Icon Components (SVG Strings) ============
 
 export const icons = {
@@ -113,6 +155,7 @@ export const icons = {
     plus: getSvgString(PLUS_PATH),
     chevronDown: getSvgString(CHEVRON_DOWN_PATH, { width: '12', height: '12' }),
     chevronRight: getSvgString(CHEVRON_RIGHT_PATH),
+    chevronLeft: getSvgString(CHEVRON_LEFT_PATH),
 
     // Sidebar
     sidebar: getSvgString(SIDEBAR_PATH, { width: '16', height: '16' }),
@@ -156,6 +199,11 @@ export const icons = {
     // Copy
     copy: getSvgString(COPY_PATH),
     check: getSvgString(CHECK_PATH),
+    edit: getSvgString(EDIT_PATH),
+    refresh: getSvgString(REFRESH_PATH),
+    star: getSvgString(STAR_PATH),
+    download: getSvgString(DOWNLOAD_PATH),
+    upload: getSvgString(UPLOAD_PATH),
 
     // Send
     send: getSvgString(SEND_PATH)
@@ -106,46 +106,285 @@ const stripInlineSources = (markdown) => {
     return result.trim();
 };
 
+// Markdown links: [text](url)
+const LINK_PATTERN = /\[([^\]]*)\]\(([^)\s]+)\)/g;
+
+/**
+ * Build the superscript marker for a source
+ * @param {number} index - Source index (0-based)
+ * @returns {string}
+ */
+const citationMarker = (index) => `<sup class="citation" data-source-index="${index}">${index + 1}</sup>`;
+
+/**
+ * Check if link text is only a citation label (a number, a domain, or empty)
+ * rather than words that belong to the sentence
+ * @param {string} text - Link text
+ * @returns {boolean}
+ */
+const isCitationLabel = (text) => {
+    const label = text.trim().replace(/^\[|\]$/g, '');
+    return label === '' || label === 'undefined' || label === 'null'
+        || /^\d+$/.test(label)
+        || /^(?:www\.)?[\w-]+(?:\.[\w-]+)+$/i.test(label);
+};
+
+/**
+ * Get the cited spans of a source
+ * Sources saved before spans were collected only have their first span.
+ * @param {Object} source - Source with spans or startIndex/endIndex
+ * @returns {Array<{startIndex: number, endIndex: number}>}
+ */
+const getCitationSpans = (source) => {
+    if (Array.isArray(source.spans)) return source.spans;
+    return Number.isInteger(source.startIndex) && Number.isInteger(source.endIndex)
+        ? [{ startIndex: source.startIndex, endIndex: source.endIndex }]
+        : [];
+};
+
+// Fenced code block opening lines: ``` or ~~~, indented at most 3 spaces
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+// Table delimiter rows: | --- | :---: |
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Inline code spans
+const CODE_SPAN_PATTERN = /(`+)(?!`)[\s\S]*?[^`]\1(?!`)/g;
+
+// Autolinks and bare URLs, which a marker would cut in two
+const URL_PATTERN = /<https?:\/\/[^>\s]*>|https?:\/\/[^\s<)]+/g;
+
+/**
+ * Find the parts of an answer a citation marker must stay out of
+ * @param {string} markdown - Answer text
+ * @returns {{blocks: Array, rows: Array, spans: Array}} Fenced code blocks and tables
+ *          ({ start, end, table }), table rows ({ start, end, delimiter }) and inline
+ *          code spans and URLs ({ start, end, code }); ends are offsets just past the text
+ */
+const findProtectedRanges = (markdown) => {
+    let offset = 0;
+    const lines = markdown.split('\n').map(text => {
+        const line = { text, start: offset, end: offset + text.length };
+        offset = line.end + 1;
+        return line;
+    });
+
+    const blocks = [];
+    const rows = [];
+    let fence = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (fence) {
+            if (fence.close.test(line.text)) {
+                blocks.push({ start: fence.start, end: line.end, table: false });
+                fence = null;
+            }
+            continue;
+        }
+
+        const open = line.text.match(FENCE_PATTERN);
+        if (open) {
+            const char = open[1][0] === '`' ? '`' : '~';
+            fence = { start: line.start, close: new RegExp(`^ {0,3}${char}{${open[1].length},}\\s*$`) };
+            continue;
+        }
+
+        // A table is a header row, a delimiter row, then rows until a line without a pipe
+        const next = lines[i + 1];
+        if (line.text.includes('|') && next?.text.includes('|') && TABLE_DELIMITER_PATTERN.test(next.text)) {
+            let last = i + 1;
+            while (lines[last + 1]?.text.includes('|')) last++;
+
+            for (let j = i; j <= last; j++) {
+                rows.push({ start: lines[j].start, end: lines[j].end, delimiter: j === i + 1 });
+            }
+            blocks.push({ start: line.start, end: lines[last].end, table: true });
+            i = last;
+        }
+    }
+    if (fence) {
+        blocks.push({ start: fence.start, end: markdown.length, table: false });
+    }
+
+    const inCodeBlock = (index) => blocks.some(block => !block.table && block.start <= index && index < block.end);
+    const spans = [
+        ...Array.from(markdown.matchAll(CODE_SPAN_PATTERN), match => ({ start: match.index, end: match.index + match[0].length, code: true })),
+        ...Array.from(markdown.matchAll(URL_PATTERN), match => ({ start: match.index, end: match.index + match[0].length, code: false }))
+    ].filter(span => !inCodeBlock(span.start));
+
+    return { blocks, rows, spans };
+};
+
+/**
+ * Check whether an offset is inside a fenced code block or inline code
+ * @param {number} index - Offset
+ * @param {Object} ranges - From findProtectedRanges()
+ * @returns {boolean}
+ */
+const isInCode = (index, { blocks, spans }) => {
+    return blocks.some(block => !block.table && block.start <= index && index < block.end)
+        || spans.some(span => span.code && span.start <= index && index < span.end);
+};
+
+/**
+ * Move an offset back over whitespace, to the end of the text before it
+ * @param {string} markdown
+ * @param {number} at - Offset
+ * @returns {number}
+ */
+const trimBack = (markdown, at) => {
+    while (at > 0 && /\s/.test(markdown[at - 1])) at--;
+    return at;
+};
+
+/**
+ * Move a citation marker's offset to the nearest place it can't break the markup
+ * Inside inline code or a URL it goes after it; in a table cell, to the end of the cell's
+ * text; in a code block or a table's delimiter row, to the end of the text before the block.
+ * @param {string} markdown - Answer text
+ * @param {number} at - Offset the annotation points to
+ * @param {Object} ranges - From findProtectedRanges()
+ * @returns {number|null} Safe offset, or null when there's no text before the block
+ */
+const toSafeOffset = (markdown, at, { blocks, rows, spans }) => {
+    // Each move lands after or before the range it left, so a few passes always settle
+    for (let pass = 0; pass < 4; pass++) {
+        const span = spans.find(s => s.start < at && at < s.end);
+        if (span) {
+            at = span.end;
+            continue;
+        }
+
+        const row = rows.find(r => r.start <= at && at <= r.end);
+        if (row && !row.delimiter) {
+            // End of the cell's text: before the next pipe at or after the offset (not the row's leading one)
+            const text = markdown.slice(row.start, row.end);
+            const leading = /^\s*\|/.test(text) ? text.indexOf('|') : -1;
+            const pipes = Array.from(text.matchAll(/(?<!\\)\|/g), match => match.index)
+                .filter(index => index > leading);
+            const trailing = /\|\s*$/.test(text) ? pipes[pipes.length - 1] : undefined;
+            const next = pipes.find(index => row.start + index >= at) ?? trailing;
+            const safe = trimBack(markdown, next === undefined ? row.end : row.start + next);
+            if (safe === at) return at;
+            at = safe;
+            continue;
+        }
+
+        const block = blocks.find(b => b.start <= at && at <= b.end);
+        if (block) {
+            at = trimBack(markdown, block.start);
+            if (at === 0) return null;
+            continue;
+        }
+
+        return at;
+    }
+    return at;
+};
+
+/**
+ * Place markers at the spans the url_citation annotations point to
+ * A span on a link to its source replaces the link (keeping meaningful link text);
+ * any other span gets the marker after it, moved past a link it ends inside.
+ * Markers are kept out of code, URLs and table syntax (see toSafeOffset()).
+ * @param {string} markdown - Answer text the offsets refer to
+ * @param {Array} sources - Sources with spans
+ * @returns {string}
+ */
+const insertAnnotatedCitations = (markdown, sources) => {
+    const ranges = findProtectedRanges(markdown);
+    const links = Array.from(markdown.matchAll(LINK_PATTERN), match => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[1],
+        url: match[2]
+    })).filter(link => !isInCode(link.start, ranges));
+
+    const edits = [];
+    sources.forEach((source, index) => {
+        getCitationSpans(source).forEach(({ startIndex, endIndex }) => {
+            // Offsets from a longer (or still streaming) text don't apply
+            if (startIndex < 0 || endIndex < startIndex || endIndex > markdown.length) return;
+
+            const link = links.find(l => l.start < endIndex && endIndex <= l.end)
+                || links.find(l => l.start <= startIndex && startIndex < l.end);
+
+            if (link && link.url === source.url) {
+                const text = isCitationLabel(link.text) ? '' : link.text;
+                edits.push({ start: link.start, end: link.end, index, text });
+            } else {
+                const at = toSafeOffset(markdown, link ? link.end : endIndex, ranges);
+                if (at !== null) edits.push({ start: at, end: at, index, text: '' });
+            }
+        });
+    });
+
+    // Apply from the end so earlier offsets stay valid; skip edits inside a replaced link
+    edits.sort((a, b) => b.start - a.start || b.end - a.end || b.index - a.index);
+
+    let result = markdown;
+    let boundary = Infinity;
+    const applied = new Set();
+    edits.forEach(edit => {
+        const key = `${edit.start}:${edit.end}:${edit.index}`;
+        if (applied.has(key) || edit.end > boundary) return;
+        applied.add(key);
+
+        result = result.slice(0, edit.start) + edit.text + citationMarker(edit.index) + result.slice(edit.end);
+        if (edit.end > edit.start) boundary = edit.start;
+    });
+
+    return result;
+};
+
 /**
- * Remove inline citations completely
- * Sources are displayed in a separate UI component, so we remove inline links entirely
+ * Turn citations into numbered [n] markers
+ * Markers go where the url_citation annotations point; remaining links to a source
+ * become its marker too, and placeholder links ([undefined](url), [3](url)) are removed.
  * @param {string} markdown - Markdown text
- * @param {Array} sources - Array of source objects with url and title
+ * @param {Array} sources - Array of source objects with url, title and spans
  * @returns {string}
  */
 const fixInlineCitations = (markdown, sources = []) => {
     if (!markdown) return '';
 
-    // Build a set of source URLs to identify citation links
-    const sourceUrls = new Set();
-    if (sources && sources.length > 0) {
-        sources.forEach((source) => {
-            if (source.url) {
-                sourceUrls.add(source.url);
-            }
-        });
-    }
+    const sourceIndexes = new Map();
+    (sources || []).forEach((source, index) => {
+        if (source.url && !sourceIndexes.has(source.url)) {
+            sourceIndexes.set(source.url, index);
+        }
+    });
 
-    // Remove citation links entirely - these are displayed in the sources cards
-    // Match [undefined](url), [number](url), or links that point to source URLs
-    let result = markdown.replace(/\[([^\]]*)\]\(([^)]+)\)/g, (match, text, url) => {
-        // If the text is "undefined", empty, null, or just a number - remove it
-        if (text === 'undefined' || text === '' || text === 'null' || /^\d+$/.test(text)) {
-            return '';
+    let result = sourceIndexes.size > 0 ? insertAnnotatedCitations(markdown, sources) : markdown;
+
+    // Links the annotations didn't cover (links shown as code stay as they are)
+    const ranges = findProtectedRanges(result);
+    result = result.replace(LINK_PATTERN, (match, text, url, offset) => {
+        if (isInCode(offset, ranges)) return match;
+        if (sourceIndexes.has(url)) {
+            return (isCitationLabel(text) ? '' : text) + citationMarker(sourceIndexes.get(url));
         }
-        // If the URL is a source URL, remove the link but keep the text (if meaningful)
-        if (sourceUrls.has(url)) {
+        // Placeholder citations with no matching source
+        if (text === 'undefined' || text === '' || text === 'null' || /^\d+$/.test(text)) {
             return '';
         }
         // Keep other links (regular content links, not citations)
         return match;
     });
 
+    // The same source cited twice in a row
+    result = result.replace(/(<sup class="citation" data-source-index="(\d+)">\d+<\/sup>)(?:\s*<sup class="citation" data-source-index="\2">\d+<\/sup>)+/g, '$1');
+
+    // Markers hug the preceding word: "fact <sup>" -> "fact<sup>"
+    result = result.replace(/[ \t]+(<sup class="citation")/g, '$1');
+
     // Also clean up any remaining standalone "undefined" text
     result = result.replace(/\s*\bundefined\b(?:\s*[;,.]?\s*)?(?=\s|$|\n)/gi, ' ');
 
     // Clean up multiple spaces and trailing periods after removed citations
-    result = result.replace(/\s+\./g, '.');
+    result = result.replace(/[ \t]+\./g, '.');
     result = result.replace(/  +/g, ' ');
     result = result.replace(/\.\s*\./g, '.');
 
@@ -166,7 +405,7 @@ export const parseMarkdown = (markdown, sources = []) => {
         markedConfigured = configureMarked();
     }
 
-    // Fix inline citations (replace undefined with source numbers)
+    // Turn citations into numbered markers (see fixInlineCitations)
     let cleanedMarkdown = fixInlineCitations(markdown, sources);
 
     // Strip inline sources section (displayed separately in UI)
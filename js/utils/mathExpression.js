@@ -0,0 +1,182 @@
+/**
+ * Math Expression Evaluator
+ * Small recursive-descent parser for the calculator tool (no eval)
+ *
+ * Supports + - * / % ^, parentheses, unary minus, the constants pi and e,
+ * and the functions sqrt, cbrt, abs, round, floor, ceil, sin, cos, tan,
+ * asin, acos, atan, log (base 10), ln, exp, min, max, pow
+ */
+
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    log: Math.log10,
+    ln: Math.log,
+    exp: Math.exp,
+    min: Math.min,
+    max: Math.max,
+    pow: Math.pow
+};
+
+const MAX_LENGTH = 500;
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression
+ * @returns {Array<{type: string, value: string|number}>}
+ * @throws {Error} On unexpected characters
+ */
+const tokenize = (expression) => {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+
+    let index = 0;
+    while (index < expression.length) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(expression);
+        if (!match) {
+            if (!expression.slice(index).trim()) break;
+            throw new Error(`Unexpected character "${expression.slice(index).trim()[0]}"`);
+        }
+        index = pattern.lastIndex;
+
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+        else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+    }
+
+    return tokens;
+};
+
+/**
+ * Evaluate a math expression
+ * @param {string} expression - e.g. "2 * (3 + 4) ^ 2 / sqrt(16)"
+ * @returns {number}
+ * @throws {Error} If the expression is invalid or the result isn't a finite number
+ */
+export const evaluateExpression = (expression) => {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Expression is empty');
+    }
+    if (expression.length > MAX_LENGTH) {
+        throw new Error(`Expression must be at most ${MAX_LENGTH} characters`);
+    }
+
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) throw new Error(`Expected "${value}"`);
+        position++;
+    };
+
+    // expression := term (('+' | '-') term)*
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[position++].value;
+            const right = parseTerm();
+            value = op === '+' ? value + right : value - right;
+        }
+        return value;
+    };
+
+    // term := unary (('*' | '/' | '%') unary)*
+    const parseTerm = () => {
+        let value = parseUnary();
+        while (isOp('*') || isOp('/') || isOp('%')) {
+            const op = tokens[position++].value;
+            const right = parseUnary();
+            if (op === '*') value *= right;
+            else if (op === '/') value /= right;
+            else value %= right;
+        }
+        return value;
+    };
+
+    // unary := ('-' | '+') unary | power
+    const parseUnary = () => {
+        if (isOp('-')) {
+            position++;
+            return -parseUnary();
+        }
+        if (isOp('+')) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    };
+
+    // power := primary ('^' unary)?   (right-associative)
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (isOp('^')) {
+            position++;
+            return Math.pow(base, parseUnary());
+        }
+        return base;
+    };
+
+    // primary := number | constant | function '(' args ')' | '(' expression ')'
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (token.type === 'number') return token.value;
+
+        if (token.type === 'name') {
+            if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+                return CONSTANTS[token.value];
+            }
+            if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                throw new Error(`Unknown name "${token.value}"`);
+            }
+
+            expect('(');
+            const args = [parseExpression()];
+            while (isOp(',')) {
+                position++;
+                args.push(parseExpression());
+            }
+            expect(')');
+            return FUNCTIONS[token.value](...args);
+        }
+
+        if (token.value === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+
+        throw new Error(`Unexpected "${token.value}"`);
+    };
+
+    const result = parseExpression();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position].value}"`);
+    }
+    if (!Number.isFinite(result)) {
+        throw new Error('Result is not a finite number');
+    }
+
+    return result;
+};
+
+export default { evaluateExpression };
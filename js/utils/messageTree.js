@@ -0,0 +1,257 @@
+/**
+ * Message Tree Utilities
+ * Stores a conversation as a tree so edits and regenerations become sibling branches
+ *
+ * Tree shape:
+ * {
+ *   nodes: { [id]: message },   // message carries parentId and childIds
+ *   rootIds: [id, ...],         // top-level messages (siblings of each other)
+ *   currentLeafId: id | null,   // end of the branch currently shown
+ *   deletedIds: [id, ...]       // removed messages, so merging with an older copy doesn't bring them back
+ * }
+ */
+
+/**
+ * Create an empty message tree
+ * @returns {Object}
+ */
+export const createTree = () => ({
+    nodes: {},
+    rootIds: [],
+    currentLeafId: null,
+    deletedIds: []
+});
+
+/**
+ * Build a tree from a flat message array (each message becomes the child of the previous one)
+ * @param {Array} messages - Flat message history
+ * @returns {Object}
+ */
+export const treeFromMessages = (messages = []) => {
+    const tree = createTree();
+    messages.forEach(message => {
+        addNode(tree, { ...message });
+    });
+    return tree;
+};
+
+/**
+ * Normalize stored chat data into a tree
+ * Accepts legacy flat arrays as well as already-structured trees
+ * @param {Object|Array|null} data - Stored tree or message array
+ * @returns {Object}
+ */
+export const normalizeTree = (data) => {
+    if (Array.isArray(data)) {
+        return treeFromMessages(data);
+    }
+    if (data && data.nodes && Array.isArray(data.rootIds)) {
+        return data;
+    }
+    return createTree();
+};
+
+/**
+ * Get the child ID list a node belongs to
+ * @param {Object} tree - Message tree
+ * @param {string|null} parentId - Parent ID (null for roots)
+ * @returns {Array<string>}
+ */
+const getChildList = (tree, parentId) => {
+    if (!parentId) return tree.rootIds;
+    const parent = tree.nodes[parentId];
+    return parent ? parent.childIds : [];
+};
+
+/**
+ * Append a message under the current leaf and make it the new leaf
+ * @param {Object} tree - Message tree
+ * @param {Object} message - Message to add
+ * @returns {Object} The added message
+ */
+export const addNode = (tree, message) => {
+    const parentId = tree.currentLeafId && tree.nodes[tree.currentLeafId] ? tree.currentLeafId : null;
+
+    message.parentId = parentId;
+    message.childIds = message.childIds || [];
+
+    tree.nodes[message.id] = message;
+    getChildList(tree, parentId).push(message.id);
+    tree.currentLeafId = message.id;
+
+    return message;
+};
+
+/**
+ * Remove a message and all of its descendants
+ * If the current branch ran through it, the leaf moves back to its parent.
+ * The removed IDs are recorded in `deletedIds` for mergeTrees().
+ * @param {Object} tree - Message tree
+ * @param {string} id - Message ID
+ * @returns {boolean} Whether the message existed
+ */
+export const removeNode = (tree, id) => {
+    const node = tree.nodes[id];
+    if (!node) return false;
+
+    const siblings = getChildList(tree, node.parentId);
+    const index = siblings.indexOf(id);
+    if (index !== -1) siblings.splice(index, 1);
+
+    const wasOnPath = getActivePath(tree).some(m => m.id === id);
+
+    const deletedIds = tree.deletedIds || (tree.deletedIds = []);
+    const stack = [id];
+    while (stack.length > 0) {
+        const currentId = stack.pop();
+        const current = tree.nodes[currentId];
+        if (!current) continue;
+        stack.push(...current.childIds);
+        delete tree.nodes[currentId];
+        deletedIds.push(currentId);
+    }
+
+    if (wasOnPath) {
+        tree.currentLeafId = node.parentId;
+    }
+
+    return true;
+};
+
+/**
+ * Get the messages on the current branch, root first
+ * @param {Object} tree - Message tree
+ * @returns {Array}
+ */
+export const getActivePath = (tree) => {
+    const path = [];
+    let node = tree.nodes[tree.currentLeafId];
+    while (node) {
+        path.unshift(node);
+        node = node.parentId ? tree.nodes[node.parentId] : null;
+    }
+    return path;
+};
+
+/**
+ * Move the current leaf to a given message (dropping it from view without deleting anything)
+ * @param {Object} tree - Message tree
+ * @param {string|null} id - Message ID, or null to start a new root branch
+ */
+export const setCurrentLeaf = (tree, id) => {
+    tree.currentLeafId = id && tree.nodes[id] ? id : null;
+};
+
+/**
+ * Follow the most recent child of each node down to a leaf
+ * @param {Object} tree - Message tree
+ * @param {string} id - Starting message ID
+ * @returns {string} Leaf message ID
+ */
+export const getLatestLeafId = (tree, id) => {
+    let node = tree.nodes[id];
+    while (node && node.childIds.length > 0) {
+        node = tree.nodes[node.childIds[node.childIds.length - 1]];
+    }
+    return node ? node.id : id;
+};
+
+/**
+ * Get branch position of a message among its siblings
+ * @param {Object} tree - Message tree
+ * @param {string} id - Message ID
+ * @returns {{index: number, total: number}} Zero-based index and sibling count
+ */
+export const getBranchInfo = (tree, id) => {
+    const node = tree.nodes[id];
+    if (!node) return { index: 0, total: 1 };
+
+    const siblings = getChildList(tree, node.parentId);
+    return {
+        index: Math.max(siblings.indexOf(id), 0),
+        total: Math.max(siblings.length, 1)
+    };
+};
+
+/**
+ * Switch the current branch to a sibling of a message
+ * @param {Object} tree - Message tree
+ * @param {string} id - Message ID whose sibling should be shown
+ * @param {number} offset - -1 for previous version, 1 for next version
+ * @returns {string|null} ID of the sibling switched to, or null if out of range
+ */
+export const switchToSibling = (tree, id, offset) => {
+    const node = tree.nodes[id];
+    if (!node) return null;
+
+    const siblings = getChildList(tree, node.parentId);
+    const targetId = siblings[siblings.indexOf(id) + offset];
+    if (!targetId) return null;
+
+    tree.currentLeafId = getLatestLeafId(tree, targetId);
+    return targetId;
+};
+
+/**
+ * Merge two versions of the same conversation (e.g. saved by different tabs)
+ * Messages from both are kept unless either version deleted them; where both have a message,
+ * `incoming`'s copy is used, with any replies only `base` has added to it.
+ * @param {Object} base - Older or other version
+ * @param {Object} incoming - Version whose messages and current leaf win
+ * @returns {Object} New tree (the inputs aren't changed)
+ */
+export const mergeTrees = (base, incoming) => {
+    const deletedIds = [...new Set([...(incoming.deletedIds || []), ...(base.deletedIds || [])])];
+    const union = (first, second) => [...first, ...second.filter(id => !first.includes(id))];
+    const nodes = {};
+
+    Object.values(base.nodes).forEach(node => {
+        nodes[node.id] = { ...node, childIds: [...node.childIds] };
+    });
+    Object.values(incoming.nodes).forEach(node => {
+        const existing = nodes[node.id];
+        nodes[node.id] = { ...node, childIds: existing ? union(node.childIds, existing.childIds) : [...node.childIds] };
+    });
+
+    // A deleted message's replies went with it, even those the other version added later
+    const removed = [...deletedIds];
+    while (removed.length > 0) {
+        const node = nodes[removed.pop()];
+        if (!node) continue;
+        removed.push(...node.childIds);
+        delete nodes[node.id];
+    }
+    Object.values(nodes).forEach(node => {
+        node.childIds = node.childIds.filter(id => nodes[id]);
+    });
+
+    // Keep the current leaf, or the closest message above it that's left
+    const findLeaf = (tree) => {
+        let node = tree.nodes[tree.currentLeafId];
+        while (node && !nodes[node.id]) {
+            node = tree.nodes[node.parentId];
+        }
+        return node ? node.id : null;
+    };
+
+    return {
+        nodes,
+        rootIds: union(incoming.rootIds, base.rootIds).filter(id => nodes[id]),
+        currentLeafId: findLeaf(incoming) ?? findLeaf(base),
+        deletedIds
+    };
+};
+
+export default {
+    createTree,
+    treeFromMessages,
+    normalizeTree,
+    addNode,
+    removeNode,
+    getActivePath,
+    setCurrentLeaf,
+    getLatestLeafId,
+    getBranchInfo,
+    switchToSibling,
+    mergeTrees
+};
@@ -0,0 +1,81 @@
+/**
+ * Token Estimation Utilities
+ * Rough, tokenizer-free token counts used to budget requests against a model's context window
+ */
+
+import config from '../config.js';
+
+// Average characters per token for English text and code
+const CHARS_PER_TOKEN = 4;
+
+// Fixed overhead per chat message (role, separators)
+const MESSAGE_OVERHEAD = 4;
+
+// The "[N images omitted]" note sent in place of images to models without vision
+const OMITTED_IMAGES_NOTE = 20;
+
+/**
+ * Estimate the tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+export const estimateTextTokens = (text) => {
+    if (!text) return 0;
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Get the decoded size of a base64 data URL
+ * @param {string} dataUrl - Data URL
+ * @returns {number} Size in bytes
+ */
+const getDataUrlSize = (dataUrl) => {
+    if (typeof dataUrl !== 'string') return 0;
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    return Math.floor(base64.length * 3 / 4);
+};
+
+/**
+ * Estimate the tokens an image attachment costs
+ * Providers bill images by resolution tiles, so a flat per-image cost is used.
+ * @returns {number}
+ */
+export const estimateImageTokens = () => config.context.imageTokens;
+
+/**
+ * Estimate the tokens a PDF attachment costs, from its file size
+ * @param {Object} pdf - PDF attachment { data, filename }
+ * @returns {number}
+ */
+export const estimatePdfTokens = (pdf) => {
+    const sizeKb = getDataUrlSize(pdf?.data) / 1024;
+    return Math.max(Math.ceil(sizeKb * config.context.pdfTokensPerKb), config.context.minPdfTokens);
+};
+
+/**
+ * Estimate the tokens a chat message costs, attachments included
+ * @param {Object} message - Chat message { content, images, pdfs }
+ * @param {Object} options - { supportsImages: false when images are replaced by a note }
+ * @returns {number}
+ */
+export const estimateMessageTokens = (message, { supportsImages = true } = {}) => {
+    let tokens = MESSAGE_OVERHEAD + estimateTextTokens(message.content);
+
+    const imageCount = message.images?.length || 0;
+    if (imageCount > 0) {
+        tokens += supportsImages ? imageCount * estimateImageTokens() : OMITTED_IMAGES_NOTE;
+    }
+
+    (message.pdfs || []).forEach(pdf => {
+        tokens += estimatePdfTokens(pdf);
+    });
+
+    return tokens;
+};
+
+export default {
+    estimateTextTokens,
+    estimateImageTokens,
+    estimatePdfTokens,
+    estimateMessageTokens
+};